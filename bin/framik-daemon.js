@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FramikDaemon = require('../lib/daemon');
+const FramikHttpServer = require('../lib/http-server');
+const Playlist = require('../lib/playlist');
+const Scheduler = require('../lib/scheduler');
+const { probeHardware } = require('../lib/probe');
+
+/**
+ * Framik daemon entry point
+ */
+
+const DEFAULT_PLAYLIST_STATE_PATH = path.join(os.tmpdir(), 'framik-playlist.json');
+const DEFAULT_SCHEDULE_STATE_PATH = path.join(os.tmpdir(), 'framik-schedule.json');
+const DEFAULT_WEAR_PATH = path.join(os.tmpdir(), 'framik-wear.json');
+
+const USAGE = 'Usage: framik-daemon [--backend native|virtual] [--socket path] [--lock path] [--sleep-timeout ms]\n' +
+    '                     [--http-port port] [--http-host address] [--rotation 0|90|180|270]\n' +
+    '                     [--mirror none|horizontal|vertical|both] [--min-refresh-interval ms] [--wear-file path]\n' +
+    '                     [--busy-timeout ms] [--refresh-timeout ms] [--retries n]\n' +
+    '                     [--pins rst=17,dc=25,cs=8,busy=24,pwr=18] [--spi-device path] [--spi-speed hz] [--gpio-chip n|path]\n' +
+    '                     [--gpio-driver gpiod|lgpio|sysfs] [--spi-driver spidev|software-spi]\n' +
+    '                     [--log-level debug|info|warn|error]\n' +
+    '                     [--playlist dir|file.json] [--interval ms] [--shuffle] [--active-hours HH:MM-HH:MM[,...]]\n' +
+    '                     [--playlist-state path] [--schedule file.json] [--schedule-state path]\n' +
+    '       framik-daemon --probe [hardware options]';
+
+// Options that take no value
+const FLAGS = ['--shuffle', '--probe', '--help'];
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i].startsWith('--') && !FLAGS.includes(argv[i]) && value === undefined) {
+            throw new Error(`Missing value for ${argv[i]}`);
+        }
+        switch (argv[i]) {
+            case '--backend':
+                options.backend = value;
+                i++;
+                break;
+            case '--socket':
+                options.socketPath = value;
+                i++;
+                break;
+            case '--lock':
+                options.lockPath = value;
+                i++;
+                break;
+            case '--sleep-timeout':
+                options.sleepTimeout = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--http-port':
+                options.httpPort = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--http-host':
+                options.httpHost = value;
+                i++;
+                break;
+            case '--rotation':
+                options.rotation = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--mirror':
+                options.mirror = value;
+                i++;
+                break;
+            case '--min-refresh-interval':
+                options.minRefreshInterval = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--wear-file':
+                options.wearPath = value;
+                i++;
+                break;
+            case '--busy-timeout':
+                options.busyTimeout = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--refresh-timeout':
+                options.refreshTimeout = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--retries':
+                options.retries = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--pins':
+                options.pins = parsePins(value);
+                i++;
+                break;
+            case '--spi-device':
+                options.spiDevice = value;
+                i++;
+                break;
+            case '--spi-speed':
+                options.spiSpeedHz = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--gpio-chip':
+                options.gpioChip = /^\d+$/.test(value) ? parseInt(value, 10) : value;
+                i++;
+                break;
+            case '--gpio-driver':
+                options.gpioDriver = value;
+                i++;
+                break;
+            case '--spi-driver':
+                options.spiDriver = value;
+                i++;
+                break;
+            case '--log-level':
+                options.logLevel = value;
+                i++;
+                break;
+            case '--playlist':
+                options.playlist = value;
+                i++;
+                break;
+            case '--interval':
+                options.interval = parseNumber(argv[i], value);
+                i++;
+                break;
+            case '--shuffle':
+                options.shuffle = true;
+                break;
+            case '--active-hours':
+                options.activeHours = value.split(',');
+                i++;
+                break;
+            case '--playlist-state':
+                options.playlistState = value;
+                i++;
+                break;
+            case '--schedule':
+                options.schedule = value;
+                i++;
+                break;
+            case '--schedule-state':
+                options.scheduleState = value;
+                i++;
+                break;
+            case '--probe':
+                options.probe = true;
+                break;
+            case '--help':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Parse a numeric option value
+ * @param {string} name - Option name, for the error message
+ * @param {string} value - Command line value
+ * @returns {number} Non-negative integer
+ */
+function parseNumber(name, value) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${name} "${value}". Expected a non-negative integer`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Parse --pins, a comma separated list of name=GPIO pairs
+ * @param {string} value - e.g. 'rst=5,busy=13'
+ * @returns {Object} Pin mapping
+ */
+function parsePins(value) {
+    const pins = {};
+    value.split(',').forEach(pair => {
+        const [name, pin] = pair.split('=');
+        if (!/^\d+$/.test(pin || '')) {
+            throw new Error(`Invalid pin "${pair}". Expected name=GPIO, e.g. busy=24`);
+        }
+        pins[name.trim()] = parseInt(pin, 10);
+    });
+    return pins;
+}
+
+/**
+ * Build playlist options from --playlist and the playlist flags
+ * A JSON file holds Playlist options; its relative item paths are resolved against the file.
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} Playlist options
+ */
+function loadPlaylistOptions(options) {
+    let playlist;
+    if (fs.statSync(options.playlist).isDirectory()) {
+        playlist = { directory: options.playlist };
+    } else {
+        const base = path.dirname(options.playlist);
+        playlist = JSON.parse(fs.readFileSync(options.playlist, 'utf8'));
+        if (playlist.directory) {
+            playlist.directory = path.resolve(base, playlist.directory);
+        }
+        if (Array.isArray(playlist.items)) {
+            playlist.items = playlist.items.map(item => typeof item === 'string'
+                ? path.resolve(base, item)
+                : { ...item, path: path.resolve(base, item.path) });
+        }
+    }
+
+    if (options.interval !== undefined) {
+        playlist.interval = options.interval;
+    }
+    if (options.shuffle) {
+        playlist.shuffle = true;
+    }
+    if (options.activeHours) {
+        playlist.activeHours = options.activeHours;
+    }
+    playlist.statePath = options.playlistState || playlist.statePath || DEFAULT_PLAYLIST_STATE_PATH;
+    return playlist;
+}
+
+/**
+ * Build scheduler jobs from --schedule
+ * The JSON file holds a list of jobs, or an object with a jobs list; relative image and
+ * template paths are resolved against the file.
+ * @param {string} file - Schedule file path
+ * @returns {Array<Object>} Scheduler jobs
+ */
+function loadScheduleJobs(file) {
+    const base = path.dirname(file);
+    const schedule = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const jobs = Array.isArray(schedule) ? schedule : schedule.jobs || [];
+    return jobs.map(job => {
+        const action = { ...job.action };
+        ['image', 'template'].forEach(key => {
+            if (typeof action[key] === 'string') {
+                action[key] = path.resolve(base, action[key]);
+            }
+        });
+        return { ...job, action };
+    });
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('Error:', error.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+    if (options.probe) {
+        // Report the detected hardware and exit, for diagnosing a panel that fails to start
+        const report = probeHardware(options);
+        console.log(JSON.stringify(report, null, 2));
+        process.exit(report.ok ? 0 : 1);
+    }
+    options.refreshPolicy = {
+        minInterval: options.minRefreshInterval,
+        wearPath: options.wearPath || DEFAULT_WEAR_PATH
+    };
+    options.faultPolicy = {
+        busyTimeout: options.busyTimeout,
+        refreshTimeout: options.refreshTimeout,
+        retries: options.retries
+    };
+    // Driver messages go through the daemon log, without the banner
+    options.logger = entry => {
+        const log = entry.level === 'error' || entry.level === 'warn' ? console.error : console.log;
+        log(`Driver ${entry.source}: ${entry.message}`);
+    };
+    const daemon = new FramikDaemon(options);
+
+    daemon.on('job:start', job => console.log(`Job ${job.id}: ${job.type} started`));
+    daemon.on('job:done', job => {
+        console.log(`Job ${job.id}: ${job.type} ${job.skipped ? 'skipped, frame unchanged' : `done in ${job.duration} ms`}`);
+        const wear = daemon.epd.getWearReport();
+        if (!job.skipped && wear.cleanRecommended) {
+            console.log(`Panel cleaning recommended (${wear.reasons.join(', ')}): clear it to white`);
+        }
+    });
+    daemon.on('job:error', (error, job) => console.error(`Job ${job.id}: ${job.type} failed: ${error.message}`));
+    daemon.on('panel:init', () => console.log('Panel initialized'));
+    daemon.on('panel:sleep', () => console.log('Panel asleep'));
+    daemon.on('error', error => console.error('Error:', error.message));
+
+    await daemon.start();
+    console.log(`Framik daemon listening on ${daemon.socketPath} (${daemon.epd.backend.name} backend)`);
+
+    let httpServer = null;
+    if (options.httpPort !== undefined) {
+        httpServer = new FramikHttpServer(daemon, { port: options.httpPort, host: options.httpHost });
+        await httpServer.listen();
+        console.log(`HTTP API listening on http://${httpServer.host}:${httpServer.port}`);
+    }
+
+    let playlist = null;
+    if (options.playlist !== undefined) {
+        playlist = new Playlist({ ...loadPlaylistOptions(options), daemon });
+        playlist.on('show', item => console.log(`Playlist: showing ${item.path} (${item.position + 1}/${item.total})`));
+        playlist.on('pause', until => console.log(`Playlist: outside active hours until ${until.toLocaleString()}`));
+        playlist.on('item:error', (error, item) => console.error(`Playlist: skipping ${item.path}: ${error.message}`));
+        playlist.on('warning', error => console.error('Playlist:', error.message));
+        playlist.on('error', error => console.error('Playlist error:', error.message));
+        await playlist.start();
+    }
+
+    let scheduler = null;
+    if (options.schedule !== undefined) {
+        scheduler = new Scheduler({
+            daemon,
+            jobs: loadScheduleJobs(options.schedule),
+            statePath: options.scheduleState || DEFAULT_SCHEDULE_STATE_PATH
+        });
+        scheduler.on('job:start', run => console.log(`Schedule: running ${run.name}${run.catchUp ? ' (missed run)' : ''}`));
+        scheduler.on('job:error', (error, run) => console.error(`Schedule: ${run.name} failed: ${error.message}`));
+        scheduler.on('warning', error => console.error('Schedule:', error.message));
+        scheduler.on('error', error => console.error('Schedule error:', error.message));
+        await scheduler.start();
+    }
+
+    const shutdown = () => {
+        console.log('Shutting down...');
+        Promise.resolve(playlist && playlist.stop())
+            .then(() => scheduler && scheduler.stop())
+            .then(() => httpServer && httpServer.close())
+            .then(() => daemon.stop())
+            .then(() => process.exit(0))
+            .catch(error => {
+                console.error('Error:', error.message);
+                process.exit(1);
+            });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+});
@@ -1,4 +1,7 @@
 {
+  "variables": {
+    "has_lgpio%": "<!(test -f /usr/include/lgpio.h && echo 1 || echo 0)"
+  },
   "targets": [
     {
       "target_name": "epd_7in3e_addon",
@@ -6,10 +9,10 @@
         "src/addon.cpp",
         "src/EPD_7in3e.c",
         "src/DEV_Config.c",
+        "src/Debug.c",
         "src/RPI_gpiod.c",
         "src/dev_hardware_SPI.c",
-        "src/sysfs_gpio.c",
-        "src/sysfs_software_spi.c"
+        "src/sysfs_gpio.c"
       ],
       "include_dirs": [
         "<!@(node -p \"require('node-addon-api').include\")",
@@ -30,6 +33,12 @@
           "libraries": [
             "-lgpiod"
           ],
+          "conditions": [
+            ["has_lgpio==1", {
+              "defines": [ "HAVE_LGPIO" ],
+              "libraries": [ "-llgpio" ]
+            }]
+          ],
           "cflags": [
             "-std=c99",
             "-Wall",
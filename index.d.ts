@@ -1,4 +1,6 @@
 declare module 'epd-7in3e-addon' {
+  import { EventEmitter } from 'events';
+
   export interface Colors {
     BLACK: number;
     WHITE: number;
@@ -8,20 +10,410 @@ declare module 'epd-7in3e-addon' {
     GREEN: number;
   }
 
-  export class EPD7in3e {
+  /**
+   * Driver calls implemented by every backend
+   */
+  export interface Backend {
+    readonly name: string;
+    readonly Colors?: Colors;
+    /** Open the GPIO and SPI interfaces */
+    open(): void;
+    /** Reset and configure the panel; the only way out of deep sleep */
+    wake(): void;
+    clear(color: number): void;
+    show7Block(): void;
+    show(): void;
+    display(imageBuffer: Buffer): void;
+    sleep(): void;
+    exit(): void;
+    openAsync(): Promise<void>;
+    wakeAsync(): Promise<void>;
+    clearAsync(color: number): Promise<void>;
+    show7BlockAsync(): Promise<void>;
+    showAsync(): Promise<void>;
+    displayAsync(imageBuffer: Buffer): Promise<void>;
+    sleepAsync(): Promise<void>;
+    getWidth(): number;
+    getHeight(): number;
+    getBufferSize(): number;
+    /** Set the busy wait limits in ms (0 waits forever); optional */
+    setBusyTimeout?(busyTimeout: number, refreshTimeout: number): void;
+  }
+
+  /** BCM GPIO numbers of the panel signals */
+  export interface PinMapping {
+    rst: number;
+    dc: number;
+    cs: number;
+    busy: number;
+    pwr: number;
+    /** Only driven by the software SPI */
+    mosi: number;
+    /** Only driven by the software SPI */
+    sclk: number;
+  }
+
+  export type GpioDriver = 'gpiod' | 'lgpio' | 'sysfs';
+  export type SpiDriver = 'spidev' | 'software-spi';
+
+  export interface HardwareOptions {
+    /**
+     * Pins wired differently from the Waveshare HAT, in BCM numbers or sysfs numbers on a Jetson
+     * (default: rst 17, dc 25, cs 8, busy 24, pwr 18, mosi 10, sclk 11; on a Jetson rst 50, dc 13, cs 19, busy 15,
+     * pwr 79, mosi 16, sclk 18)
+     */
+    pins?: Partial<PinMapping>;
+    /** SPI device (default: '/dev/spidev0.0') */
+    spiDevice?: string;
+    /** SPI clock in Hz (default: 10000000) */
+    spiSpeedHz?: number;
+    /** GPIO chip number or device path (default: gpiochip4 on a Pi 5, else gpiochip0) */
+    gpioChip?: number | string;
+    /** GPIO driver (default: sysfs on Jetson, else gpiod); lgpio needs the addon built against liblgpio */
+    gpioDriver?: GpioDriver | 'auto';
+    /** SPI driver (default: software-spi on Jetson, else spidev) */
+    spiDriver?: SpiDriver | 'auto';
+  }
+
+  export interface HardwareConfig {
+    pins: PinMapping;
+    spiDevice: string;
+    spiSpeedHz: number;
+    /** Device path, or null when detected from the board model */
+    gpioChip: string | null;
+    /** Driver used, the board default when none was given */
+    gpioDriver: GpioDriver;
+    /** Driver used, the board default when none was given */
+    spiDriver: SpiDriver;
+  }
+
+  export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+  /** Message of the native driver */
+  export interface LogEntry {
+    level: LogLevel;
+    /** Driver part that logged it: 'dev', 'epd', 'gpiod', 'spi', 'sysfs' or 'software-spi' */
+    source: string;
+    message: string;
+    /** SPI device of the panel */
+    spiDevice: string;
+    /** GPIO chip of the panel, or null when detected from the board model */
+    gpioChip: string | null;
+  }
+
+  export interface NativeBackendOptions extends HardwareOptions {
+    /** Receives the driver messages instead of the console */
+    logger?: (entry: LogEntry) => void;
+    /** Lowest level passed on (default: 'info') */
+    logLevel?: LogLevel;
+    /** Log the driver banner lines on open (default: true without a logger) */
+    banner?: boolean;
+  }
+
+  export interface VirtualBackendOptions extends HardwareOptions {
+    /** Delay in ms applied to async operations (default: 0) */
+    refreshTime?: number;
+  }
+
+  export interface EPD7in3eOptions extends VirtualBackendOptions, NativeBackendOptions {
+    /** 'native' (default), 'virtual' or a backend instance. Defaults to the EPD_BACKEND environment variable. */
+    backend?: 'native' | 'virtual' | Backend;
+    /** Default color distance for RGB mapping (default: 'rgb') */
+    colorDistance?: ColorDistance;
+    /** Ink colors used for RGB mapping and dithering (default: 'ideal') */
+    palette?: PaletteInput;
+    /** Clockwise rotation of the drawing on the panel (default: 0) */
+    rotation?: Rotation;
+    /** Mirroring of the drawing as seen in the frame (default: 'none') */
+    mirror?: MirrorMode;
+    /** Minimum refresh interval and wear counter */
+    refreshPolicy?: RefreshPolicy;
+    /** Idle time in ms after which an awake panel is put to sleep (default: null, never) */
+    autoSleep?: number | null;
+    /** Busy wait limits and retries after a hardware fault */
+    faultPolicy?: FaultPolicy;
+  }
+
+  export interface ProbedDevice {
+    path: string;
+    /** Readable and writable by this process */
+    accessible: boolean;
+  }
+
+  export interface HardwareProbe {
+    platform: string;
+    arch: string;
+    /** Device tree model, e.g. 'Raspberry Pi 5 Model B Rev 1.0' */
+    model: string | null;
+    board: 'raspberry-pi-5' | 'raspberry-pi' | 'jetson' | 'unknown';
+    gpioChips: ProbedDevice[];
+    spiDevices: ProbedDevice[];
+    /** Whether /sys/class/gpio/export is writable */
+    sysfsGpio: boolean;
+    addon: { loaded: boolean; error: string | null; gpioDrivers: GpioDriver[] };
+    /** Configuration the native backend would use, with the detected chip and drivers filled in */
+    config: HardwareConfig & { gpioChip: string; gpioDriver: GpioDriver; spiDriver: SpiDriver };
+    /** Why the native backend would fail to open */
+    problems: string[];
+    ok: boolean;
+  }
+
+  export interface FaultPolicy {
+    /** Limit in ms for the reset, power on, power off and sleep steps (default: 10000, 0 to wait forever) */
+    busyTimeout?: number;
+    /** Limit in ms for the refresh itself (default: 60000, 0 to wait forever) */
+    refreshTimeout?: number;
+    /** Attempts after a timeout, each preceded by a reset (default: 0) */
+    retries?: number;
+  }
+
+  /** Driver step that failed */
+  export type FaultStage = 'open' | 'reset' | 'power-on' | 'refresh' | 'power-off' | 'sleep';
+
+  /**
+   * Base class of the hardware errors
+   */
+  export class EPDError extends Error {
+    readonly stage: FaultStage;
+    constructor(message: string, stage: FaultStage);
+  }
+
+  /**
+   * The panel could not be brought up: the interfaces did not open (stage 'open'),
+   * or the panel stayed busy while being reset and configured
+   */
+  export class EPDInitError extends EPDError {
+    readonly code: 'EPD_INIT_FAILED';
+    /** Busy wait limit in ms that ran out, null for 'open' */
+    readonly timeout: number | null;
+    constructor(message: string, stage: FaultStage, timeout?: number | null);
+  }
+
+  /**
+   * The busy line did not go idle in time during a refresh or sleep
+   */
+  export class EPDBusyTimeoutError extends EPDError {
+    readonly code: 'EPD_BUSY_TIMEOUT';
+    /** Busy wait limit in ms that ran out */
+    readonly timeout: number;
+    constructor(message: string, stage: FaultStage, timeout: number);
+  }
+
+  /**
+   * off: nothing open; initialized: GPIO/SPI open, panel not configured;
+   * awake: ready to refresh; sleeping: deep sleep, woken by the next refresh
+   */
+  export type PowerState = 'off' | 'initialized' | 'awake' | 'sleeping';
+
+  export interface RefreshPolicy {
+    /** Minimum time in ms between refreshes, e.g. 180000 (default: 0, no limit) */
+    minInterval?: number;
+    /**
+     * While a refresh waits for its turn, a newer refresh of the same kind replaces it (default: true).
+     * Displays replace displays and clears replace clears; the replaced calls resolve once the newer
+     * refresh has completed, displayIfChangedAsync() with `displayed: false, superseded: true`.
+     */
+    coalesce?: boolean;
+    /** JSON file keeping the wear counter across restarts (default: kept in memory) */
+    wearPath?: string | null;
+    /** Refreshes after which cleaning is recommended (default: 100, 0 to disable) */
+    cleanEvery?: number;
+    /** Time in ms without refresh after which cleaning is recommended (default: 24 hours, 0 to disable) */
+    maxIdle?: number;
+  }
+
+  export interface WearReport {
+    refreshes: number;
+    refreshesSinceClean: number;
+    lastRefresh: string | null;
+    /** Last clear to white */
+    lastClean: string | null;
+    /** True when the panel should be cleared to white */
+    cleanRecommended: boolean;
+    reasons: string[];
+  }
+
+  export type Rotation = 0 | 90 | 180 | 270;
+  export type MirrorMode = 'none' | 'horizontal' | 'vertical' | 'both';
+
+  export interface FrameComparison {
+    /** True if any pixel differs from the last frame */
+    changed: boolean;
+    changedPixels: number;
+    totalPixels: number;
+    /** Share of changed pixels, 0 to 100 */
+    percentChanged: number;
+    /** SHA-256 hex digest of the compared buffer */
+    hash: string;
+    /** Hash of the last frame, or null when the panel content is unknown */
+    previousHash: string | null;
+  }
+
+  export interface DisplayIfChangedOptions {
+    /** Minimum percentage of changed pixels that triggers a refresh (default: 0, any change) */
+    threshold?: number;
+  }
+
+  /**
+   * Color distance used to find the nearest ink:
+   * weighted sRGB, CIELAB ΔE76, CIELAB ΔE2000 or OKLab
+   */
+  export type ColorDistance = 'rgb' | 'deltaE76' | 'deltaE2000' | 'oklab';
+
+  export interface ColorMappingOptions {
+    /** Color distance for this call (default: the instance's colorDistance) */
+    distance?: ColorDistance;
+    /** Ink colors for this call (default: the instance's palette) */
+    palette?: PaletteInput;
+  }
+
+  export interface PaletteEntry {
+    color: number;
+    r: number;
+    g: number;
+    b: number;
+  }
+
+  export type PaletteName = 'ideal' | 'measured-7in3e';
+  export type InkName = 'BLACK' | 'WHITE' | 'YELLOW' | 'RED' | 'BLUE' | 'GREEN';
+
+  /**
+   * Preset name, list of palette entries, or sRGB values keyed by ink name
+   */
+  export type PaletteInput =
+    | PaletteName
+    | PaletteEntry[]
+    | Record<InkName, [number, number, number] | { r: number; g: number; b: number }>;
+
+  /**
+   * Hardware backend driving the panel through the native addon.
+   * Each instance drives its own panel; open() fails with an EPDInitError
+   * when its pins or SPI device are held by another open panel.
+   */
+  export class NativeBackend implements Backend {
+    readonly name: 'native';
+    readonly Colors: Colors;
+    readonly config: HardwareConfig;
+    readonly logger: ((entry: LogEntry) => void) | null;
+    readonly logLevel: LogLevel;
+    readonly banner: boolean;
+    constructor(options?: NativeBackendOptions);
+    static readonly LOG_LEVELS: LogLevel[];
+    open(): void;
+    wake(): void;
+    clear(color: number): void;
+    show7Block(): void;
+    show(): void;
+    display(imageBuffer: Buffer): void;
+    sleep(): void;
+    exit(): void;
+    openAsync(): Promise<void>;
+    wakeAsync(): Promise<void>;
+    clearAsync(color: number): Promise<void>;
+    show7BlockAsync(): Promise<void>;
+    showAsync(): Promise<void>;
+    displayAsync(imageBuffer: Buffer): Promise<void>;
+    sleepAsync(): Promise<void>;
+    getWidth(): number;
+    getHeight(): number;
+    getBufferSize(): number;
+    setBusyTimeout(busyTimeout: number, refreshTimeout: number): void;
+  }
+
+  /**
+   * Pure-JS panel emulator keeping the last frame in memory
+   */
+  export class VirtualBackend implements Backend {
+    readonly name: 'virtual';
+    readonly Colors: Colors;
+    /** Checked like the native backend's, then ignored */
+    readonly config: HardwareConfig;
+    refreshTime: number;
+    refreshCount: number;
+    constructor(options?: VirtualBackendOptions);
+    open(): void;
+    wake(): void;
+    clear(color: number): void;
+    show7Block(): void;
+    show(): void;
+    display(imageBuffer: Buffer): void;
+    sleep(): void;
+    exit(): void;
+    openAsync(): Promise<void>;
+    wakeAsync(): Promise<void>;
+    clearAsync(color: number): Promise<void>;
+    show7BlockAsync(): Promise<void>;
+    showAsync(): Promise<void>;
+    displayAsync(imageBuffer: Buffer): Promise<void>;
+    sleepAsync(): Promise<void>;
+    getWidth(): number;
+    getHeight(): number;
+    getBufferSize(): number;
+    setBusyTimeout(busyTimeout: number, refreshTimeout: number): void;
+
+    /**
+     * Make the next calls reaching a step fail as the driver would
+     * A busy step times out at once instead of after the limit.
+     * @param times - Number of failures (default: 1)
+     */
+    simulateFault(stage: FaultStage, times?: number): void;
+
+    /**
+     * Get a copy of the last frame pushed to the panel
+     * @returns Packed 4bpp framebuffer
+     */
+    getFramebuffer(): Buffer;
+
+    /**
+     * Render the current framebuffer as a PNG image
+     * @returns PNG file contents
+     */
+    toPNG(options?: { palette?: PaletteInput }): Promise<Buffer>;
+
+    /**
+     * Write the current framebuffer to a PNG file
+     * @param filePath - Destination path
+     */
+    savePNG(filePath: string, options?: { palette?: PaletteInput }): Promise<void>;
+  }
+
+  /**
+   * Emits 'power' with the new and former power state whenever it changes
+   */
+  export class EPD7in3e extends EventEmitter {
+    /** Width in logical (rotated) coordinates */
     readonly width: number;
+    /** Height in logical (rotated) coordinates */
     readonly height: number;
+    /** Panel-native width (800) */
+    readonly panelWidth: number;
+    /** Panel-native height (480) */
+    readonly panelHeight: number;
     readonly bufferSize: number;
     readonly colors: Colors;
+    readonly backend: Backend;
+    readonly colorDistance: ColorDistance;
+    readonly palette: ReadonlyArray<PaletteEntry>;
+    /** True once init() has been called (any power state but 'off') */
+    readonly initialized: boolean;
+    readonly powerState: PowerState;
+    /** Auto-sleep timeout in ms, or null when disabled */
+    readonly autoSleep: number | null;
 
-    constructor();
+    constructor(options?: EPD7in3eOptions);
 
     /**
      * Initialize the e-Paper display
-     * Must be called before any other operations
+     * Must be called before any other operations. After sleep() it wakes the panel instead.
      */
     init(): void;
 
+    /**
+     * Wake the panel from sleep
+     * Refreshes wake a sleeping panel on their own; call this to get it ready ahead of time.
+     */
+    wake(): void;
+
     /**
      * Clear the display with a specified color
      * @param color - Color value (use Colors constants)
@@ -44,8 +436,17 @@ declare module 'epd-7in3e-addon' {
      */
     display(imageBuffer: Buffer): void;
 
+    /**
+     * Display an image buffer unless the panel already shows it
+     * @param imageBuffer - Image data buffer
+     * @param options - Comparison options
+     * @returns Frame comparison, with displayed set to true if the panel was refreshed
+     */
+    displayIfChanged(imageBuffer: Buffer, options?: DisplayIfChangedOptions): FrameComparison & { displayed: boolean };
+
     /**
      * Put the display to sleep mode
+     * Does nothing unless the panel is awake. The next refresh wakes it again.
      */
     sleep(): void;
 
@@ -54,9 +455,154 @@ declare module 'epd-7in3e-addon' {
      */
     exit(): void;
 
+    /**
+     * Initialize the e-Paper display on a worker thread
+     * After sleepAsync() it wakes the panel instead.
+     * @returns Resolves once the panel is ready
+     */
+    initAsync(): Promise<void>;
+
+    /**
+     * Wake the panel from sleep on a worker thread
+     * @returns Resolves once the panel is ready
+     */
+    wakeAsync(): Promise<void>;
+
+    /**
+     * Clear the display with a specified color on a worker thread
+     * @param color - Color value (use Colors constants)
+     * @returns Resolves once the refresh has completed
+     */
+    clearAsync(color?: number): Promise<void>;
+
+    /**
+     * Display the 7-color block test pattern on a worker thread
+     * @returns Resolves once the refresh has completed
+     */
+    show7BlockAsync(): Promise<void>;
+
+    /**
+     * Display the color test pattern on a worker thread
+     * @returns Resolves once the refresh has completed
+     */
+    showAsync(): Promise<void>;
+
+    /**
+     * Display an image buffer on a worker thread
+     * The buffer is copied when the call is made, so it may be reused right away.
+     * @param imageBuffer - Image data buffer
+     * @returns Resolves once the refresh has completed
+     */
+    displayAsync(imageBuffer: Buffer): Promise<void>;
+
+    /**
+     * Display an image buffer on a worker thread unless the panel already shows it
+     * The comparison runs when the call reaches the front of the queue.
+     * @param imageBuffer - Image data buffer
+     * @param options - Comparison options
+     * @returns Frame comparison, with displayed set to true if the panel was refreshed. When a newer
+     *   display replaced this one while it waited (see RefreshPolicy.coalesce), displayed is false and
+     *   superseded is true.
+     */
+    displayIfChangedAsync(imageBuffer: Buffer, options?: DisplayIfChangedOptions): Promise<FrameComparison & { displayed: boolean; superseded?: boolean }>;
+
+    /**
+     * Put the display to sleep mode on a worker thread
+     * @returns Resolves once the panel is asleep
+     */
+    sleepAsync(): Promise<void>;
+
+    /**
+     * Check whether asynchronous operations are queued or running
+     * @returns True while the panel is busy
+     */
+    isBusy(): boolean;
+
+    /**
+     * Get the power state of the panel
+     */
+    getPowerState(): PowerState;
+
+    on(event: 'power', listener: (state: PowerState, previous: PowerState) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    /**
+     * Get the pin mapping and interfaces used by the backend
+     * @returns null for a backend without one
+     */
+    getHardwareConfig(): HardwareConfig | null;
+
+    /**
+     * Put the panel to sleep automatically once it has been idle for a while
+     * @param timeout - Idle time in ms (0 sleeps right after each refresh), or null to disable
+     */
+    setAutoSleep(timeout: number | null): void;
+    getAutoSleep(): number | null;
+
+    /**
+     * Compare an image buffer with the last frame sent to the panel
+     * Every pixel counts as changed while the panel content is unknown.
+     */
+    compareFrame(imageBuffer: Buffer): FrameComparison;
+
+    /**
+     * Get a copy of the last frame sent to the panel
+     * @returns Packed panel buffer, or null when the panel content is unknown
+     */
+    getLastFrame(): Buffer | null;
+
+    /**
+     * Get the SHA-256 hash of the last frame sent to the panel
+     * @returns Hex digest, or null when the panel content is unknown
+     */
+    getLastFrameHash(): string | null;
+
+    /**
+     * Forget the last frame, so the next displayIfChanged() refreshes
+     */
+    resetLastFrame(): void;
+
+    /**
+     * Set the refresh policy
+     * Synchronous refreshes throw while the minimum interval has not elapsed; asynchronous ones wait
+     * for it, and a burst of them collapses into the latest. A clear to white counts as cleaning.
+     */
+    setRefreshPolicy(policy: RefreshPolicy): void;
+    getRefreshPolicy(): Required<RefreshPolicy>;
+
+    /**
+     * Get the time left before the refresh policy allows the next refresh
+     * @returns Delay in ms, 0 if a refresh may start now
+     */
+    getRefreshDelay(): number;
+
+    /**
+     * Report the wear counter and whether the panel should be cleaned with a clear to white
+     */
+    getWearReport(): WearReport;
+
+    /**
+     * Change how hardware faults are handled
+     * Busy waits that time out fail with an EPDBusyTimeoutError (EPDInitError while waking);
+     * the panel is then reset before the next refresh, and retried at once if retries allows it.
+     */
+    setFaultPolicy(policy: FaultPolicy): void;
+    getFaultPolicy(): Required<FaultPolicy>;
+
+    /**
+     * Set the rotation of the drawing on the panel
+     * Drawing, image loading, getWidth and getHeight use logical coordinates; buffers stay in panel order.
+     */
+    setRotation(rotation: Rotation): void;
+    getRotation(): Rotation;
+
+    /** Set mirroring of the drawing, as seen in the frame */
+    setMirror(mirror: MirrorMode): void;
+    getMirror(): MirrorMode;
+
     /**
      * Get display width
-     * @returns Width in pixels
+     * @returns Width in pixels, in logical (rotated) coordinates
      */
     getWidth(): number;
 
@@ -85,6 +631,22 @@ declare module 'epd-7in3e-addon' {
      */
     createBuffer(color?: number): Buffer;
 
+    /**
+     * Create a drawing canvas over an image buffer
+     * @param buffer - Buffer to draw into (default: a new white buffer)
+     */
+    createCanvas(buffer?: Buffer): Canvas;
+
+    /**
+     * Draw UTF-8 text into an image buffer
+     * @param x - Box left edge, or the anchor point for center/right alignment without a width
+     * @param y - Top of the first line
+     */
+    drawText(buffer: Buffer, x: number, y: number, text: string, options?: TextOptions): TextMetrics;
+
+    /** Measure text as drawText would lay it out */
+    measureText(text: string, options?: TextOptions): TextMetrics;
+
     /**
      * Set a pixel in the image buffer
      * @param buffer - Image buffer
@@ -102,8 +664,533 @@ declare module 'epd-7in3e-addon' {
      * @returns Color value
      */
     getPixel(buffer: Buffer, x: number, y: number): number;
+
+    /**
+     * Map RGB values to the closest display color
+     * @returns Display color value
+     */
+    mapRGBToDisplayColor(r: number, g: number, b: number, options?: ColorDistance | ColorMappingOptions): number;
+
+    /**
+     * Set the ink colors used for RGB mapping and dithering
+     */
+    setPalette(palette: PaletteInput): void;
+
+    /**
+     * Get the ink colors used for RGB mapping and dithering
+     */
+    getPalette(): ReadonlyArray<PaletteEntry>;
+
+    /**
+     * Create a buffer from RGB image data using closest color mapping
+     * @param channels - Number of color channels (3 for RGB, 4 for RGBA)
+     */
+    createBufferFromRGB(rgbData: Uint8Array, width: number, height: number, channels?: number, options?: ColorMappingOptions): Buffer;
+
+    /**
+     * Create a buffer from RGB image data with advanced color mapping options
+     * @param channels - Number of color channels (3 for RGB, 4 for RGBA)
+     * @param method - Color mapping or dithering method (default: 'closest')
+     */
+    createBufferFromRGBAdvanced(rgbData: Uint8Array, width: number, height: number, channels?: number, method?: ColorMethod, options?: ColorMappingOptions): Buffer;
+
+    /**
+     * Create a buffer from RGB image data using dithering
+     * @param channels - Number of color channels (3 for RGB, 4 for RGBA)
+     * @param method - Dithering method (default: 'floyd-steinberg')
+     */
+    createBufferFromRGBDithered(rgbData: Uint8Array, width: number, height: number, channels?: number, method?: DitherMethod, options?: ColorMappingOptions): Buffer;
+
+    /**
+     * Load an image file (any format sharp decodes, plus BMP) and convert it to a display buffer
+     * @param input - File path or file contents
+     */
+    loadImage(input: string | Buffer, options?: LoadImageOptions): Promise<Buffer>;
+
+    /**
+     * Render an SVG document or template to a display buffer
+     * {{ name }} placeholders are filled from options.variables (XML-escaped; {{{ name }}} inserts as is).
+     */
+    renderSVG(svg: string | Buffer, options?: RenderSVGOptions): Promise<Buffer>;
+
+    /**
+     * Render a display buffer as a PNG image without refreshing the panel
+     * @param options.palette - Ink colors to draw with (default: the instance's palette)
+     */
+    toPNG(buffer: Buffer, options?: { palette?: PaletteInput }): Promise<Buffer>;
+
+    /**
+     * Convert an uncompressed 1/4/8/24/32-bit BMP file to a display buffer (no sharp needed)
+     * Exact ink colors are kept, other colors map to the nearest ink.
+     */
+    static fromBMP(buffer: Buffer, options?: { palette?: PaletteInput }): Buffer;
+
+    /**
+     * Write a display buffer as a BMP file
+     * 4-bit files (default) keep the panel's pixel values as palette indices.
+     */
+    static toBMP(panelBuffer: Buffer, options?: { bitsPerPixel?: 1 | 4 | 8 | 24; palette?: PaletteInput }): Buffer;
+
+    /** Load a TrueType or OpenType font for drawText */
+    static loadFont(source: string | Buffer): Font;
+
+    /** Check the machine for the GPIO chips, SPI devices and addon the native backend needs, without opening them */
+    static probe(options?: HardwareOptions): HardwareProbe;
+  }
+
+  export type BuiltinFontName = 'Font8' | 'Font12' | 'Font16' | 'Font20' | 'Font24';
+
+  /** Font loaded with EPD7in3e.loadFont */
+  export interface Font {
+    readonly name: string;
+  }
+
+  export interface TextOptions {
+    /** Built-in font name or a loaded font (default: the built-in font closest to size) */
+    font?: BuiltinFontName | Font;
+    /** Font size in pixels (default: 16) */
+    size?: number;
+    /** Text color (default: BLACK) */
+    color?: number;
+    /** Alignment within the box width, or around x without one (default: 'left') */
+    align?: 'left' | 'center' | 'right';
+    /** Box width; text wraps to fit and is clipped to the box */
+    width?: number;
+    /** Box height; lines that do not fit are dropped */
+    height?: number;
+    /** Wrap long lines at word boundaries (default: true when a width is given) */
+    wrap?: boolean;
+    /** Extra pixels between lines (default: 0) */
+    lineSpacing?: number;
+  }
+
+  export interface TextMetrics {
+    width: number;
+    height: number;
+    /** Text of each laid out line */
+    lines: string[];
+    /** Whether lines were dropped to fit the box height */
+    truncated: boolean;
+  }
+
+  export interface StrokeStyle {
+    /** Stroke color, or null for no outline (default: BLACK) */
+    color?: number | null;
+    /** Stroke width in pixels (default: 1) */
+    lineWidth?: number;
+    /** Dash pattern as [on, off, ...] lengths in pixels (default: solid) */
+    dash?: number[];
+  }
+
+  export interface ShapeStyle extends StrokeStyle {
+    /** Fill color, or true to fill with the stroke color */
+    fill?: number | boolean;
+  }
+
+  export type Point = [number, number] | { x: number; y: number };
+
+  /**
+   * 2D drawing on a packed panel buffer, like Waveshare's GUI_Paint
+   * Drawing outside the canvas or the clip region is skipped.
+   */
+  export class Canvas {
+    readonly buffer: Buffer;
+    readonly width: number;
+    readonly height: number;
+
+    constructor(buffer: Buffer, options?: { width?: number; height?: number; orientation?: object });
+
+    setClip(x: number, y: number, width: number, height: number): void;
+    resetClip(): void;
+    clear(color?: number): void;
+    setPixel(x: number, y: number, color: number): void;
+    /** @returns Color value, or -1 outside the canvas */
+    getPixel(x: number, y: number): number;
+    drawLine(x0: number, y0: number, x1: number, y1: number, style?: StrokeStyle): void;
+    drawRect(x: number, y: number, width: number, height: number, style?: ShapeStyle): void;
+    drawCircle(cx: number, cy: number, radius: number, style?: ShapeStyle): void;
+    drawPolygon(points: Point[], style?: ShapeStyle): void;
+    drawPolyline(points: Point[], style?: StrokeStyle): void;
+    floodFill(x: number, y: number, color: number): void;
+    drawText(x: number, y: number, text: string, options?: TextOptions): TextMetrics;
+    measureText(text: string, options?: TextOptions): TextMetrics;
+  }
+
+  export type FitMode = 'contain' | 'cover' | 'fill';
+
+  export interface LoadImageOptions extends ColorMappingOptions {
+    /** How the image fits the panel (default: 'contain') */
+    fit?: FitMode;
+    /** Letterbox and transparency color, as a CSS color or { r, g, b } (default: white) */
+    background?: string | { r: number; g: number; b: number };
+    /** Clockwise rotation in degrees applied before fitting (default: 0) */
+    rotate?: number;
+    /** Color mapping or dithering method (default: 'closest') */
+    method?: ColorMethod;
   }
 
+  export interface RenderSVGOptions extends ColorMappingOptions {
+    /** Template values by name; dotted placeholders read nested properties */
+    variables?: Record<string, unknown>;
+    /** How the SVG fits the panel (default: 'contain') */
+    fit?: FitMode;
+    /** Color behind transparent areas, as a CSS color or { r, g, b } (default: white) */
+    background?: string | { r: number; g: number; b: number };
+    /** Color mapping or dithering method (default: 'closest') */
+    method?: ColorMethod;
+  }
+
+  export type DitherMethod = 'floyd-steinberg' | 'atkinson' | 'stucki' | 'sierra' | 'bayer' | 'blue-noise';
+  export type ColorMethod = 'closest' | 'threshold' | 'exact' | DitherMethod;
+
+  export const DITHER_METHODS: DitherMethod[];
+  export const COLOR_METHODS: ColorMethod[];
+  export const DISTANCE_METHODS: ColorDistance[];
+  export const FIT_MODES: FitMode[];
+  export const BUILTIN_FONT_NAMES: BuiltinFontName[];
+  export const ROTATIONS: Rotation[];
+  export const MIRROR_MODES: MirrorMode[];
+  export const POWER_STATES: PowerState[];
+  export const FAULT_STAGES: FaultStage[];
+  export const DEFAULT_PINS: Readonly<PinMapping>;
+  export const GPIO_DRIVERS: GpioDriver[];
+  export const SPI_DRIVERS: SpiDriver[];
+  export const LOG_LEVELS: LogLevel[];
+  export const PALETTES: Record<PaletteName, ReadonlyArray<PaletteEntry>>;
   export const Colors: Colors;
   export default EPD7in3e;
-}
\ No newline at end of file
+}
+declare module 'epd-7in3e-addon/lib/daemon' {
+  import { EventEmitter } from 'events';
+  import { EPD7in3e, EPD7in3eOptions, FaultStage, WearReport } from 'epd-7in3e-addon';
+
+  export type JobType = 'display' | 'clear' | 'show7Block' | 'show' | 'sleep';
+
+  export interface Job {
+    type: JobType;
+    /** Packed panel buffer (display jobs) */
+    buffer?: Buffer;
+    /** Fill color (clear jobs) */
+    color?: number;
+    /** Skip display and clear jobs when the panel already shows that frame */
+    ifChanged?: boolean;
+  }
+
+  export interface JobSummary {
+    id: number;
+    type: JobType;
+    /** Time in ms from submission to completion */
+    duration: number;
+    /** True if no refresh was needed (ifChanged jobs) */
+    skipped: boolean;
+    /** Id of the refresh that replaced this one while it waited for the minimum interval */
+    supersededBy?: number;
+  }
+
+  export interface DaemonStatus {
+    running: boolean;
+    /** Power state of the display (see EPD7in3e.getPowerState) */
+    panel: PowerState;
+    backend: string;
+    busy: boolean;
+    currentJob: { id: number; type: JobType } | null;
+    queueLength: number;
+    completed: number;
+    failed: number;
+    skipped: number;
+    superseded: number;
+    lastRefresh: string | null;
+    /** Last hardware fault of a job */
+    lastFault: { message: string; code: string; stage: FaultStage; timeout: number | null; at: string } | null;
+    /** Time in ms before the refresh policy allows the next refresh */
+    refreshDelay: number;
+    wear: WearReport;
+  }
+
+  export interface FramikDaemonOptions extends EPD7in3eOptions {
+    /** Display instance (default: a new EPD7in3e built from these options) */
+    epd?: EPD7in3e;
+    /** Unix socket for clients (default: $TMPDIR/framik.sock) */
+    socketPath?: string;
+    /** Lock file guarding panel ownership (default: $TMPDIR/framik.lock) */
+    lockPath?: string;
+    /** Idle time in ms before the panel is put to sleep (default: 0), set as the display's auto-sleep */
+    sleepTimeout?: number;
+  }
+
+  /**
+   * Long-running process owning the panel and running jobs one at a time
+   */
+  class FramikDaemon extends EventEmitter {
+    readonly epd: EPD7in3e;
+    readonly socketPath: string;
+    readonly lockPath: string;
+
+    constructor(options?: FramikDaemonOptions);
+
+    /**
+     * Take ownership of the panel and start listening for clients
+     */
+    start(): Promise<void>;
+
+    /**
+     * Finish the current job, put the panel to sleep and release it
+     */
+    stop(): Promise<void>;
+
+    /**
+     * Queue a job for the panel
+     * @returns Resolves with the finished job summary
+     */
+    submit(job: Job): Promise<JobSummary>;
+
+    /**
+     * Get the daemon status
+     */
+    getStatus(): DaemonStatus;
+
+    static readonly DEFAULT_SOCKET_PATH: string;
+    static readonly DEFAULT_LOCK_PATH: string;
+  }
+
+  export = FramikDaemon;
+}
+
+declare module 'epd-7in3e-addon/lib/client' {
+  import { JobSummary, DaemonStatus } from 'epd-7in3e-addon/lib/daemon';
+
+  /**
+   * Client for a running Framik daemon
+   */
+  class FramikClient {
+    readonly socketPath: string;
+
+    constructor(options?: { socketPath?: string });
+
+    display(buffer: Buffer, options?: { ifChanged?: boolean }): Promise<JobSummary>;
+    clear(color?: number, options?: { ifChanged?: boolean }): Promise<JobSummary>;
+    show7Block(): Promise<JobSummary>;
+    show(): Promise<JobSummary>;
+    sleep(): Promise<JobSummary>;
+    status(): Promise<DaemonStatus>;
+
+    /**
+     * Send a raw request and wait for its response
+     */
+    request(message: object): Promise<any>;
+  }
+
+  export = FramikClient;
+}
+
+declare module 'epd-7in3e-addon/lib/http-server' {
+  import { Server } from 'http';
+  import FramikDaemon = require('epd-7in3e-addon/lib/daemon');
+
+  export interface FramikHttpServerOptions {
+    /** Listen port (default: 8080) */
+    port?: number;
+    /** Listen address (default: 127.0.0.1) */
+    host?: string;
+    /** Upload size limit in bytes (default: 20 MB) */
+    maxBodySize?: number;
+  }
+
+  /**
+   * REST API in front of a Framik daemon
+   */
+  class FramikHttpServer {
+    readonly daemon: FramikDaemon;
+    readonly server: Server;
+    port: number;
+    host: string;
+
+    constructor(daemon: FramikDaemon, options?: FramikHttpServerOptions);
+
+    /**
+     * Start accepting requests
+     */
+    listen(): Promise<void>;
+
+    /**
+     * Stop accepting requests
+     */
+    close(): Promise<void>;
+  }
+
+  export = FramikHttpServer;
+}
+
+declare module 'epd-7in3e-addon/lib/playlist' {
+  import { EventEmitter } from 'events';
+  import { EPD7in3e, FitMode, ColorMethod, ColorDistance, PaletteInput } from 'epd-7in3e-addon';
+  import FramikDaemon = require('epd-7in3e-addon/lib/daemon');
+
+  export interface PlaylistImageOptions {
+    fit?: FitMode;
+    background?: string | { r: number; g: number; b: number };
+    rotate?: number;
+    method?: ColorMethod;
+    distance?: ColorDistance;
+    palette?: PaletteInput;
+  }
+
+  export interface PlaylistItem extends PlaylistImageOptions {
+    path: string;
+    /** Time in ms this item stays on screen (default: the playlist interval) */
+    duration?: number;
+  }
+
+  export interface PlaylistOptions extends PlaylistImageOptions {
+    /** Display used to load images, and to show them without a daemon */
+    epd?: EPD7in3e;
+    /** Daemon to submit frames to (default: drive epd directly) */
+    daemon?: FramikDaemon;
+    /** Directory of images, read again on every refresh */
+    directory?: string;
+    /** Image paths or items */
+    items?: Array<string | PlaylistItem>;
+    /** Time in ms each item stays on screen (default: 15 minutes) */
+    interval?: number;
+    /** Random order, reshuffled after each round (default: false) */
+    shuffle?: boolean;
+    /** Local time windows for refreshes, e.g. '07:00-23:00' (default: always) */
+    activeHours?: Array<string | { start: string; end: string }>;
+    /** JSON file where the position is saved (default: not saved) */
+    statePath?: string;
+  }
+
+  export interface PlaylistEntry {
+    path: string;
+    position: number;
+    total: number;
+  }
+
+  export interface PlaylistStatus {
+    running: boolean;
+    current: string | null;
+    position: number;
+    total: number;
+    shownAt: string | null;
+    nextAt: string | null;
+    active: boolean;
+  }
+
+  /**
+   * Cycles through images on an interval, inside active hours, resuming its position after a restart
+   * Events: 'show', 'pause', 'item:error', 'warning', 'error'
+   */
+  class Playlist extends EventEmitter {
+    constructor(options: PlaylistOptions);
+
+    start(): Promise<void>;
+    stop(): Promise<void>;
+    /** Show the next item now, ignoring active hours */
+    next(): Promise<PlaylistEntry>;
+    /** Show the previous item now, ignoring active hours */
+    previous(): Promise<PlaylistEntry>;
+    getStatus(): PlaylistStatus;
+    isActive(date?: Date): boolean;
+
+    static readonly IMAGE_EXTENSIONS: string[];
+  }
+
+  export = Playlist;
+}
+
+declare module 'epd-7in3e-addon/lib/cron' {
+  export interface CronSchedule {
+    minutes: Set<number>;
+    hours: Set<number>;
+    days: Set<number>;
+    months: Set<number>;
+    weekdays: Set<number>;
+    anyDay: boolean;
+    anyWeekday: boolean;
+  }
+
+  /** Parse a five-field cron expression or a @macro such as '@daily' */
+  export function parseCron(expression: string): CronSchedule;
+  /** First matching minute after a time (default: now) */
+  export function nextRun(cron: CronSchedule | string, after?: Date): Date;
+  /** Last matching minute at or before a time (default: now) */
+  export function previousRun(cron: CronSchedule | string, before?: Date): Date;
+}
+
+declare module 'epd-7in3e-addon/lib/scheduler' {
+  import { EventEmitter } from 'events';
+  import { EPD7in3e } from 'epd-7in3e-addon';
+  import { PlaylistImageOptions } from 'epd-7in3e-addon/lib/playlist';
+  import FramikDaemon = require('epd-7in3e-addon/lib/daemon');
+
+  export type SchedulerActionType = 'display' | 'svg' | 'clear' | 'sleep' | 'task';
+
+  export type SchedulerAction =
+    | ({ type: 'display'; image: string } & PlaylistImageOptions)
+    | ({ type: 'svg'; template: string; variables?: Record<string, any> } & PlaylistImageOptions)
+    | { type: 'clear'; color?: string | number }
+    | { type: 'sleep' }
+    | { type: 'task'; task: string };
+
+  /** Returns a panel buffer to display, or nothing */
+  export type SchedulerTask = (epd: EPD7in3e) => Promise<Buffer | void> | Buffer | void;
+
+  export interface SchedulerJob {
+    /** Unique job name */
+    name: string;
+    /** Cron expression, e.g. '0 7 * * *' */
+    schedule: string;
+    action: SchedulerAction;
+    /** Run once on start if a scheduled time was missed (default: the scheduler's catchUp) */
+    catchUp?: boolean;
+  }
+
+  export interface SchedulerJobSummary extends SchedulerJob {
+    catchUp: boolean;
+    lastRun: string | null;
+    nextRun: string;
+  }
+
+  export interface SchedulerRun {
+    name: string;
+    scheduledAt: string;
+    catchUp: boolean;
+  }
+
+  export interface SchedulerOptions {
+    /** Display used to render frames, and to show them without a daemon */
+    epd?: EPD7in3e;
+    /** Daemon to submit jobs to (default: drive epd directly) */
+    daemon?: FramikDaemon;
+    /** Jobs defined in code; they replace saved jobs of the same name */
+    jobs?: SchedulerJob[];
+    /** Task functions by name */
+    tasks?: Record<string, SchedulerTask>;
+    /** JSON file holding the job list and last runs (default: not saved) */
+    statePath?: string;
+    /** Run jobs missed while stopped when starting (default: true) */
+    catchUp?: boolean;
+  }
+
+  /**
+   * Runs named jobs on cron schedules, saving the job list and catching up on missed runs at start
+   * Events: 'job:start', 'job:done', 'job:error', 'warning', 'error'
+   */
+  class Scheduler extends EventEmitter {
+    constructor(options: SchedulerOptions);
+
+    defineTask(name: string, task: SchedulerTask): void;
+    start(): Promise<void>;
+    stop(): Promise<void>;
+    /** Add or replace a job */
+    addJob(job: SchedulerJob): Promise<SchedulerJobSummary>;
+    removeJob(name: string): Promise<boolean>;
+    getJobs(): SchedulerJobSummary[];
+    /** Run a job now, outside its schedule */
+    runJob(name: string): Promise<{ name: string; duration: number; skipped: boolean }>;
+
+    static readonly ACTION_TYPES: SchedulerActionType[];
+  }
+
+  export = Scheduler;
+}
@@ -1,30 +1,131 @@
-const addon = require('./build/Release/epd_7in3e_addon.node');
+const EventEmitter = require('events');
+const Colors = require('./lib/colors');
+const { createBackend, NativeBackend, VirtualBackend } = require('./lib/backends');
+const { PALETTES, resolvePalette } = require('./lib/palette');
+const { COLOR_METHODS, DITHER_METHODS, isDitherMethod, dither } = require('./lib/dither');
+const { DISTANCE_METHODS, createMatcher } = require('./lib/color-space');
+const { FIT_MODES, loadRGB, renderPNG } = require('./lib/image');
+const { bmpToPanel, panelToBMP } = require('./lib/bmp');
+const { rasterizeSVG } = require('./lib/svg');
+const Canvas = require('./lib/canvas');
+const { BUILTIN_FONT_NAMES, loadFont } = require('./lib/font');
+const { MIRROR_MODES, ROTATIONS, Orientation } = require('./lib/orientation');
+const { compareFrames, hashFrame } = require('./lib/frame-diff');
+const RefreshPolicy = require('./lib/refresh-policy');
+const {
+    FAULT_STAGES, DEFAULT_BUSY_TIMEOUT, DEFAULT_REFRESH_TIMEOUT,
+    EPDError, EPDInitError, EPDBusyTimeoutError, isPanelFault
+} = require('./lib/errors');
+const { DEFAULT_PINS, GPIO_DRIVERS, SPI_DRIVERS } = require('./lib/hardware-config');
+const { probeHardware } = require('./lib/probe');
+
+// off: nothing open; initialized: GPIO/SPI open, panel not configured;
+// awake: panel configured and ready to refresh; sleeping: panel in deep sleep
+const POWER_STATES = ['off', 'initialized', 'awake', 'sleeping'];
+
+// Panel resolution (EPD_7IN3E_WIDTH x EPD_7IN3E_HEIGHT)
+const PANEL_WIDTH = 800;
+const PANEL_HEIGHT = 480;
+const PANEL_BUFFER_SIZE = (PANEL_WIDTH / 2) * PANEL_HEIGHT;
 
 /**
  * Waveshare 7.3inch e-Paper Display (EPD_7in3e) Node.js Module
  * 
  * This module provides a JavaScript interface to control the Waveshare 7.3inch e-Paper display.
  * It wraps the native C library with a Node.js addon for easy integration.
+ *
+ * Events: 'power' (state, previous) when the power state changes (see getPowerState)
  */
-class EPD7in3e {
-    constructor() {
-        this.initialized = false;
-        this.width = addon.getWidth();
-        this.height = addon.getHeight();
-        this.bufferSize = addon.getBufferSize();
-        this.colors = addon.Colors;
+class EPD7in3e extends EventEmitter {
+    /**
+     * @param {Object} options - Display options
+     * @param {string|Object} options.backend - 'native' (default), 'virtual' or a backend instance.
+     *   Defaults to the EPD_BACKEND environment variable when set.
+     * @param {number} options.refreshTime - Simulated refresh delay in ms for the virtual backend
+     * @param {string} options.colorDistance - Default color distance for RGB mapping:
+     *   'rgb' (default), 'deltaE76', 'deltaE2000' or 'oklab'
+     * @param {string|Array|Object} options.palette - Ink colors used for RGB mapping:
+     *   'ideal' (default), 'measured-7in3e' or a custom palette (see setPalette)
+     * @param {number} options.rotation - Clockwise rotation of the drawing on the panel: 0 (default), 90, 180 or 270
+     * @param {string} options.mirror - 'none' (default), 'horizontal', 'vertical' or 'both'
+     * @param {Object} options.refreshPolicy - Minimum refresh interval and wear counter (see setRefreshPolicy)
+     * @param {number} options.autoSleep - Idle time in ms after which an awake panel is put to sleep
+     *   (default: null, never; see setAutoSleep)
+     * @param {Object} options.faultPolicy - Busy wait limits and retries (see setFaultPolicy)
+     * @param {Object} options.pins - GPIO numbers { rst, dc, cs, busy, pwr, mosi, sclk }, BCM or sysfs numbers on a Jetson
+     *   (default: Waveshare HAT wiring on the board)
+     * @param {string} options.spiDevice - SPI device (default: '/dev/spidev0.0')
+     * @param {number} options.spiSpeedHz - SPI clock in Hz (default: 10000000)
+     * @param {number|string} options.gpioChip - GPIO chip number or device path (default: gpiochip4 on a Pi 5, else gpiochip0)
+     * @param {string} options.gpioDriver - 'gpiod', 'lgpio' or 'sysfs' (default: sysfs on a Jetson, else gpiod,
+     *   from the device tree model)
+     * @param {string} options.spiDriver - 'spidev' or 'software-spi', bit-banged on the mosi and sclk pins
+     *   (default: software-spi on a Jetson, else spidev)
+     * @param {Function} options.logger - Receives the native driver messages as
+     *   { level, source, message, spiDevice, gpioChip } instead of stdout
+     * @param {string} options.logLevel - Lowest driver message level passed on: 'debug', 'info' (default), 'warn' or 'error'
+     * @param {boolean} options.banner - Log the driver banner lines on init (default: true without a logger)
+     */
+    constructor(options = {}) {
+        super();
+        this.backend = createBackend(options.backend, options);
+        this.powerState = 'off';
+        this.panelWidth = this.backend.getWidth();
+        this.panelHeight = this.backend.getHeight();
+        this._setOrientation(options.rotation || 0, options.mirror || 'none');
+        this.bufferSize = this.backend.getBufferSize();
+        this.colors = this.backend.Colors || Colors;
+        this.colorDistance = options.colorDistance || 'rgb';
+        if (!DISTANCE_METHODS.includes(this.colorDistance)) {
+            throw new Error(`Unknown color distance "${this.colorDistance}". Expected one of: ${DISTANCE_METHODS.join(', ')}`);
+        }
+        this._matchers = new WeakMap();
+        this.setPalette(options.palette || 'ideal');
+        this._queue = Promise.resolve();
+        this._pendingJobs = 0;
+        this._lastFrame = null;
+        this._lastFrameHash = null;
+        this.refreshPolicy = new RefreshPolicy(options.refreshPolicy);
+        this.setFaultPolicy(options.faultPolicy || {});
+        this._waitingRefresh = null;
+        this._autoSleepTimer = null;
+        this.setAutoSleep(options.autoSleep === undefined ? null : options.autoSleep);
+    }
+
+    /**
+     * Whether the GPIO/SPI interfaces are open (any power state but 'off')
+     * @returns {boolean} True once init() has been called
+     */
+    get initialized() {
+        return this.powerState !== 'off';
     }
 
     /**
      * Initialize the e-Paper display
-     * Must be called before any other operations
+     * Must be called before any other operations. After sleep() it wakes the panel instead.
      */
     init() {
-        if (this.initialized) {
+        this._checkIdle();
+        if (this.powerState === 'awake') {
             throw new Error('Display already initialized');
         }
-        addon.init();
-        this.initialized = true;
+        if (this.powerState === 'off') {
+            this.backend.open();
+            this._setPowerState('initialized');
+        }
+        this._retry(() => this._wake());
+    }
+
+    /**
+     * Wake the panel from sleep
+     * Refreshes wake a sleeping panel on their own; call this to get it ready ahead of time.
+     */
+    wake() {
+        this._checkInitialized();
+        this._checkIdle();
+        if (this.powerState !== 'awake') {
+            this._retry(() => this._wake());
+        }
     }
 
     /**
@@ -33,7 +134,8 @@ class EPD7in3e {
      */
     clear(color = this.colors.WHITE) {
         this._checkInitialized();
-        addon.clear(color);
+        this._checkIdle();
+        this._track(() => this.backend.clear(color), this._filledFrame(color), color === this.colors.WHITE);
     }
 
     /**
@@ -41,7 +143,8 @@ class EPD7in3e {
      */
     show7Block() {
         this._checkInitialized();
-        addon.show7Block();
+        this._checkIdle();
+        this._track(() => this.backend.show7Block(), null);
     }
 
     /**
@@ -49,7 +152,8 @@ class EPD7in3e {
      */
     show() {
         this._checkInitialized();
-        addon.show();
+        this._checkIdle();
+        this._track(() => this.backend.show(), null);
     }
 
     /**
@@ -58,6 +162,7 @@ class EPD7in3e {
      */
     display(imageBuffer) {
         this._checkInitialized();
+        this._checkIdle();
         
         if (!Buffer.isBuffer(imageBuffer)) {
             throw new Error('Expected a Buffer object');
@@ -67,30 +172,429 @@ class EPD7in3e {
             throw new Error(`Buffer size mismatch. Expected ${this.bufferSize} bytes, got ${imageBuffer.length}`);
         }
         
-        addon.display(imageBuffer);
+        this._track(() => this.backend.display(imageBuffer), Buffer.from(imageBuffer));
+    }
+
+    /**
+     * Display an image buffer unless the panel already shows it
+     * Compares the buffer with the last frame sent to the panel and only refreshes when
+     * enough pixels differ, sparing a full refresh (and its flashing) for identical frames.
+     * @param {Buffer} imageBuffer - Image data buffer
+     * @param {Object} options - Comparison options
+     * @param {number} options.threshold - Minimum percentage of changed pixels that triggers a refresh
+     *   (default: 0, any change)
+     * @returns {Object} Frame comparison (see compareFrame) with displayed set to true if the panel was refreshed
+     */
+    displayIfChanged(imageBuffer, options = {}) {
+        this._checkInitialized();
+        this._checkIdle();
+        const stats = this.compareFrame(imageBuffer);
+        stats.displayed = shouldRefresh(stats, options);
+        if (stats.displayed) {
+            this.display(imageBuffer);
+        }
+        return stats;
     }
 
     /**
      * Put the display to sleep mode
+     * Does nothing unless the panel is awake. The next refresh wakes it again.
      */
     sleep() {
         this._checkInitialized();
-        addon.sleep();
+        this._checkIdle();
+        if (this.powerState !== 'awake') {
+            return;
+        }
+        this._cancelAutoSleep();
+        try {
+            this.backend.sleep();
+        } catch (error) {
+            this._checkFault(error);
+            throw error;
+        }
+        this._setPowerState('sleeping');
     }
 
     /**
      * Exit and cleanup the module
      */
     exit() {
-        if (this.initialized) {
-            addon.exit();
-            this.initialized = false;
+        this._checkIdle();
+        this._cancelAutoSleep();
+        if (this.powerState !== 'off') {
+            this.backend.exit();
+            this._setPowerState('off');
+        }
+    }
+
+    /**
+     * Initialize the e-Paper display on a worker thread
+     * After sleepAsync() it wakes the panel instead.
+     * @returns {Promise<void>} Resolves once the panel is ready
+     */
+    initAsync() {
+        return this._enqueue(() => {
+            if (this.powerState === 'awake') {
+                throw new Error('Display already initialized');
+            }
+            if (this.powerState !== 'off') {
+                return this._retryAsync(() => this._wakeAsync());
+            }
+            return this.backend.openAsync().then(() => {
+                this._setPowerState('initialized');
+                return this._retryAsync(() => this._wakeAsync());
+            });
+        });
+    }
+
+    /**
+     * Wake the panel from sleep on a worker thread
+     * @returns {Promise<void>} Resolves once the panel is ready
+     */
+    wakeAsync() {
+        return this._enqueue(() => {
+            this._checkInitialized();
+            return this.powerState === 'awake' ? undefined : this._retryAsync(() => this._wakeAsync());
+        });
+    }
+
+    /**
+     * Clear the display with a specified color on a worker thread
+     * Refreshes wait for the minimum interval of the refresh policy (see setRefreshPolicy).
+     * @param {number} color - Color value (use Colors constants)
+     * @returns {Promise<void>} Resolves once the refresh has completed
+     */
+    clearAsync(color = this.colors.WHITE) {
+        return this._enqueueRefresh('clear', () => {
+            this._checkInitialized();
+            return this._trackAsync(() => this.backend.clearAsync(color), this._filledFrame(color), color === this.colors.WHITE);
+        });
+    }
+
+    /**
+     * Display the 7-color block test pattern on a worker thread
+     * @returns {Promise<void>} Resolves once the refresh has completed
+     */
+    show7BlockAsync() {
+        return this._enqueueRefresh('show7Block', () => {
+            this._checkInitialized();
+            return this._trackAsync(() => this.backend.show7BlockAsync(), null);
+        });
+    }
+
+    /**
+     * Display the color test pattern on a worker thread
+     * @returns {Promise<void>} Resolves once the refresh has completed
+     */
+    showAsync() {
+        return this._enqueueRefresh('show', () => {
+            this._checkInitialized();
+            return this._trackAsync(() => this.backend.showAsync(), null);
+        });
+    }
+
+    /**
+     * Display an image buffer on a worker thread
+     * The buffer is copied when the call is made, so it may be reused right away.
+     * @param {Buffer} imageBuffer - Image data buffer
+     * @returns {Promise<void>} Resolves once the refresh has completed
+     */
+    displayAsync(imageBuffer) {
+        if (!Buffer.isBuffer(imageBuffer)) {
+            return Promise.reject(new Error('Expected a Buffer object'));
+        }
+
+        if (imageBuffer.length !== this.bufferSize) {
+            return Promise.reject(new Error(`Buffer size mismatch. Expected ${this.bufferSize} bytes, got ${imageBuffer.length}`));
+        }
+
+        const frame = Buffer.from(imageBuffer);
+        return this._enqueueRefresh('display', () => {
+            this._checkInitialized();
+            return this._trackAsync(() => this.backend.displayAsync(frame), frame);
+        });
+    }
+
+    /**
+     * Display an image buffer on a worker thread unless the panel already shows it
+     * The comparison runs when the call reaches the front of the queue, against the frame
+     * left by the operations queued before it.
+     * @param {Buffer} imageBuffer - Image data buffer
+     * @param {Object} options - Comparison options (see displayIfChanged)
+     * @returns {Promise<Object>} Frame comparison with displayed set to true if the panel was refreshed,
+     *   or displayed false and superseded true if a newer display replaced this one while it waited
+     */
+    displayIfChangedAsync(imageBuffer, options = {}) {
+        if (!Buffer.isBuffer(imageBuffer)) {
+            return Promise.reject(new Error('Expected a Buffer object'));
+        }
+
+        if (imageBuffer.length !== this.bufferSize) {
+            return Promise.reject(new Error(`Buffer size mismatch. Expected ${this.bufferSize} bytes, got ${imageBuffer.length}`));
+        }
+
+        const frame = Buffer.from(imageBuffer);
+        return this._enqueueRefresh('display', () => {
+            this._checkInitialized();
+            const stats = this.compareFrame(frame);
+            stats.displayed = shouldRefresh(stats, options);
+            if (!stats.displayed) {
+                return stats;
+            }
+            return this._trackAsync(() => this.backend.displayAsync(frame), frame).then(() => stats);
+        }, () => ({ ...this.compareFrame(frame), displayed: false, superseded: true }));
+    }
+
+    /**
+     * Put the display to sleep mode on a worker thread
+     * @returns {Promise<void>} Resolves once the panel is asleep
+     */
+    sleepAsync() {
+        return this._enqueue(() => {
+            this._checkInitialized();
+            if (this.powerState !== 'awake') {
+                return undefined;
+            }
+            this._cancelAutoSleep();
+            return this.backend.sleepAsync().then(() => {
+                this._setPowerState('sleeping');
+            }, error => {
+                this._checkFault(error);
+                throw error;
+            });
+        });
+    }
+
+    /**
+     * Get the pin mapping and interfaces used by the backend
+     * @returns {Object|null} { pins, spiDevice, spiSpeedHz, gpioChip, gpioDriver, spiDriver }, or null for a backend
+     *   without one
+     */
+    getHardwareConfig() {
+        const config = this.backend.config;
+        return config ? { ...config, pins: { ...config.pins } } : null;
+    }
+
+    /**
+     * Get the power state of the panel
+     * @returns {string} 'off', 'initialized' (interfaces open, panel not configured), 'awake' or 'sleeping'
+     */
+    getPowerState() {
+        return this.powerState;
+    }
+
+    /**
+     * Put the panel to sleep automatically once it has been idle for a while
+     * The timer restarts after every refresh and wake-up. Vendors recommend sleeping the panel
+     * between refreshes, since leaving it powered can damage it over time.
+     * @param {number|null} timeout - Idle time in ms (0 sleeps right after each refresh), or null to disable
+     */
+    setAutoSleep(timeout) {
+        if (timeout !== null && (typeof timeout !== 'number' || timeout < 0)) {
+            throw new Error(`Invalid auto-sleep timeout ${timeout}. Expected a number of ms or null`);
+        }
+        this.autoSleep = timeout;
+        if (timeout === null) {
+            this._cancelAutoSleep();
+        } else if (this.powerState === 'awake') {
+            this._scheduleAutoSleep();
         }
     }
 
+    /**
+     * Get the auto-sleep timeout
+     * @returns {number|null} Idle time in ms, or null when disabled
+     */
+    getAutoSleep() {
+        return this.autoSleep;
+    }
+
+    /**
+     * Check whether asynchronous operations are queued or running
+     * @returns {boolean} True while the panel is busy
+     */
+    isBusy() {
+        return this._pendingJobs > 0;
+    }
+
+    /**
+     * Compare an image buffer with the last frame sent to the panel
+     * Every pixel counts as changed while the panel content is unknown (nothing displayed yet,
+     * a test pattern, or a failed refresh).
+     * @param {Buffer} imageBuffer - Image data buffer
+     * @returns {Object} { changed, changedPixels, totalPixels, percentChanged, hash, previousHash }
+     */
+    compareFrame(imageBuffer) {
+        if (!Buffer.isBuffer(imageBuffer)) {
+            throw new Error('Expected a Buffer object');
+        }
+
+        if (imageBuffer.length !== this.bufferSize) {
+            throw new Error(`Buffer size mismatch. Expected ${this.bufferSize} bytes, got ${imageBuffer.length}`);
+        }
+
+        const stats = compareFrames(this._lastFrame, imageBuffer);
+        stats.previousHash = this._lastFrameHash;
+        return stats;
+    }
+
+    /**
+     * Get a copy of the last frame sent to the panel
+     * @returns {Buffer|null} Packed panel buffer, or null when the panel content is unknown
+     */
+    getLastFrame() {
+        return this._lastFrame ? Buffer.from(this._lastFrame) : null;
+    }
+
+    /**
+     * Get the SHA-256 hash of the last frame sent to the panel
+     * @returns {string|null} Hex digest, or null when the panel content is unknown
+     */
+    getLastFrameHash() {
+        return this._lastFrameHash;
+    }
+
+    /**
+     * Set the refresh policy
+     * Synchronous refreshes throw while the minimum interval has not elapsed; asynchronous ones wait
+     * for it, and a burst of them collapses into the latest. A clear to white counts as cleaning.
+     * @param {Object} policy - Refresh policy
+     * @param {number} policy.minInterval - Minimum time in ms between refreshes, e.g. 180000 (default: 0, no limit)
+     * @param {boolean} policy.coalesce - While a refresh waits for its turn, newer refreshes of the same kind
+     *   (display, clear, test pattern) replace it (default: true)
+     * @param {string} policy.wearPath - JSON file keeping the wear counter across restarts (default: kept in memory)
+     * @param {number} policy.cleanEvery - Refreshes after which cleaning is recommended (default: 100, 0 to disable)
+     * @param {number} policy.maxIdle - Time in ms without refresh after which cleaning is recommended
+     *   (default: 24 hours, 0 to disable)
+     */
+    setRefreshPolicy(policy) {
+        this.refreshPolicy.configure(policy);
+    }
+
+    /**
+     * Get the refresh policy
+     * @returns {Object} { minInterval, coalesce, wearPath, cleanEvery, maxIdle }
+     */
+    getRefreshPolicy() {
+        return this.refreshPolicy.getOptions();
+    }
+
+    /**
+     * Get the time left before the refresh policy allows the next refresh
+     * @returns {number} Delay in ms, 0 if a refresh may start now
+     */
+    getRefreshDelay() {
+        return this.refreshPolicy.getDelay();
+    }
+
+    /**
+     * Report the wear counter and whether the panel should be cleaned with a clear to white
+     * @returns {Object} { refreshes, refreshesSinceClean, lastRefresh, lastClean, cleanRecommended, reasons }
+     */
+    getWearReport() {
+        return this.refreshPolicy.getReport();
+    }
+
+    /**
+     * Change how hardware faults are handled
+     * Every busy wait of the driver gives up after a limit and fails with an EPDBusyTimeoutError
+     * (EPDInitError while waking). The panel is then reset before the next refresh, and a refresh
+     * or wake that timed out can be retried at once after such a reset.
+     * @param {Object} policy - Fault policy
+     * @param {number} policy.busyTimeout - Limit in ms for the reset, power on, power off and sleep steps
+     *   (default: 10000, 0 to wait forever)
+     * @param {number} policy.refreshTimeout - Limit in ms for the refresh itself (default: 60000, 0 to wait forever)
+     * @param {number} policy.retries - Attempts after a timeout, each preceded by a reset (default: 0)
+     */
+    setFaultPolicy(policy) {
+        const faultPolicy = {
+            busyTimeout: policy.busyTimeout !== undefined ? policy.busyTimeout : DEFAULT_BUSY_TIMEOUT,
+            refreshTimeout: policy.refreshTimeout !== undefined ? policy.refreshTimeout : DEFAULT_REFRESH_TIMEOUT,
+            retries: policy.retries || 0
+        };
+        for (const [name, value] of Object.entries(faultPolicy)) {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`Invalid ${name} ${value}. Expected a non-negative integer`);
+            }
+        }
+        this.faultPolicy = faultPolicy;
+        if (typeof this.backend.setBusyTimeout === 'function') {
+            this.backend.setBusyTimeout(faultPolicy.busyTimeout, faultPolicy.refreshTimeout);
+        }
+    }
+
+    /**
+     * Get the fault policy
+     * @returns {Object} { busyTimeout, refreshTimeout, retries }
+     */
+    getFaultPolicy() {
+        return { ...this.faultPolicy };
+    }
+
+    /**
+     * Forget the last frame, so the next displayIfChanged() refreshes
+     * Use it when the panel may have been changed by another process.
+     */
+    resetLastFrame() {
+        this._lastFrame = null;
+        this._lastFrameHash = null;
+    }
+
+    /**
+     * Set the ink colors used for RGB mapping and dithering
+     * @param {string|Array|Object} palette - Preset name ('ideal', 'measured-7in3e'), a list of
+     *   { color, r, g, b } entries, or an object keyed by color name (BLACK..GREEN) with [r, g, b] values
+     */
+    setPalette(palette) {
+        this.palette = resolvePalette(palette);
+    }
+
+    /**
+     * Get the ink colors used for RGB mapping and dithering
+     * @returns {Array} Palette entries as { color, r, g, b } objects
+     */
+    getPalette() {
+        return this.palette;
+    }
+
+    /**
+     * Set the rotation of the drawing on the panel
+     * Drawing, image loading, getWidth and getHeight use the rotated (logical) coordinates, while
+     * buffers stay in panel order. At 90 and 270 degrees the display is 480x800 (portrait).
+     * @param {number} rotation - Clockwise rotation in degrees: 0, 90, 180 or 270
+     */
+    setRotation(rotation) {
+        this._setOrientation(rotation, this.orientation.mirror);
+    }
+
+    /**
+     * Get the rotation of the drawing on the panel
+     * @returns {number} Rotation in degrees
+     */
+    getRotation() {
+        return this.orientation.rotation;
+    }
+
+    /**
+     * Set mirroring of the drawing, as seen in the frame
+     * @param {string} mirror - 'none', 'horizontal', 'vertical' or 'both'
+     */
+    setMirror(mirror) {
+        this._setOrientation(this.orientation.rotation, mirror);
+    }
+
+    /**
+     * Get mirroring of the drawing
+     * @returns {string} Mirror mode
+     */
+    getMirror() {
+        return this.orientation.mirror;
+    }
+
     /**
      * Get display width
-     * @returns {number} Width in pixels
+     * @returns {number} Width in pixels, in logical (rotated) coordinates
      */
     getWidth() {
         return this.width;
@@ -98,7 +602,7 @@ class EPD7in3e {
 
     /**
      * Get display height
-     * @returns {number} Height in pixels
+     * @returns {number} Height in pixels, in logical (rotated) coordinates
      */
     getHeight() {
         return this.height;
@@ -132,6 +636,47 @@ class EPD7in3e {
         return buffer;
     }
 
+    /**
+     * Create a drawing canvas over an image buffer
+     * @param {Buffer} buffer - Image buffer to draw into (default: a new white buffer)
+     * @returns {Canvas} Canvas with lines, shapes, fills and clipping (see lib/canvas.js)
+     */
+    createCanvas(buffer = this.createBuffer()) {
+        return new Canvas(buffer, { orientation: this.orientation });
+    }
+
+    /**
+     * Draw text into an image buffer
+     * @param {Buffer} buffer - Image buffer
+     * @param {number} x - Box left edge, or the anchor point for center/right alignment without a width
+     * @param {number} y - Top of the first line
+     * @param {string} text - UTF-8 text ('\n' starts a new line)
+     * @param {Object} options - Text options
+     * @param {string|Object} options.font - Built-in font name ('Font8', 'Font12', 'Font16', 'Font20', 'Font24')
+     *   or a font returned by EPD7in3e.loadFont (default: the built-in font closest to options.size)
+     * @param {number} options.size - Font size in pixels (default: 16)
+     * @param {number} options.color - Text color (default: BLACK)
+     * @param {string} options.align - 'left' (default), 'center' or 'right'
+     * @param {number} options.width - Box width; text wraps to fit and is clipped to the box
+     * @param {number} options.height - Box height; lines that do not fit are dropped
+     * @param {boolean} options.wrap - Wrap long lines at word boundaries (default: true when a width is given)
+     * @param {number} options.lineSpacing - Extra pixels between lines (default: 0)
+     * @returns {Object} { width, height, lines, truncated } of the drawn text
+     */
+    drawText(buffer, x, y, text, options = {}) {
+        return this.createCanvas(buffer).drawText(x, y, text, options);
+    }
+
+    /**
+     * Measure text as drawText would lay it out
+     * @param {string} text - Text to measure
+     * @param {Object} options - Text options (see drawText)
+     * @returns {Object} { width, height, lines, truncated }
+     */
+    measureText(text, options = {}) {
+        return this.createCanvas().measureText(text, options);
+    }
+
     /**
      * Set a pixel in the image buffer
      * @param {Buffer} buffer - Image buffer
@@ -148,10 +693,12 @@ class EPD7in3e {
             throw new Error('Coordinates out of bounds');
         }
         
-        const bufferWidth = (this.width % 2 === 0) ? (this.width / 2) : (this.width / 2 + 1);
-        const byteIndex = Math.floor(x / 2) + y * bufferWidth;
+        const panelX = this.orientation.panelX(x, y);
+        const panelY = this.orientation.panelY(x, y);
+        const bufferWidth = (this.panelWidth % 2 === 0) ? (this.panelWidth / 2) : (this.panelWidth / 2 + 1);
+        const byteIndex = Math.floor(panelX / 2) + panelY * bufferWidth;
         
-        if (x % 2 === 0) {
+        if (panelX % 2 === 0) {
             // Even column - high nibble
             buffer[byteIndex] = (buffer[byteIndex] & 0x0F) | (color << 4);
         } else {
@@ -189,21 +736,19 @@ class EPD7in3e {
      * @param {number} r - Red value (0-255)
      * @param {number} g - Green value (0-255)
      * @param {number} b - Blue value (0-255)
+     * @param {Object|string} options - Mapping options, or the color distance as a string
+     * @param {string} options.distance - Color distance: 'rgb' (weighted RGB), 'deltaE76', 'deltaE2000' (CIELAB)
+     *   or 'oklab' (default: the instance's colorDistance)
+     * @param {string|Array|Object} options.palette - Ink colors to match against (default: the instance's palette)
      * @returns {number} Display color value
      */
-    mapRGBToDisplayColor(r, g, b) {
+    mapRGBToDisplayColor(r, g, b, options = {}) {
         // Improved color mapping using perceptual color distance
         // Based on human vision sensitivity (more sensitive to green, less to blue)
-        
-        // Define the available display colors with their RGB values
-        const displayColors = [
-            { color: this.colors.BLACK, r: 0, g: 0, b: 0 },           // Black
-            { color: this.colors.WHITE, r: 255, g: 255, b: 255 },     // White
-            { color: this.colors.YELLOW, r: 255, g: 255, b: 0 },      // Yellow
-            { color: this.colors.RED, r: 255, g: 0, b: 0 },           // Red
-            { color: this.colors.BLUE, r: 0, g: 0, b: 255 },          // Blue
-            { color: this.colors.GREEN, r: 0, g: 255, b: 0 }          // Green
-        ];
+        const { distance, palette } = this._resolveMapping(options);
+
+        // Available display colors with their RGB values
+        const displayColors = palette;
 
         // First try exact matches (like the original BMP functions)
         for (const dispColor of displayColors) {
@@ -212,6 +757,10 @@ class EPD7in3e {
             }
         }
 
+        if (distance !== 'rgb') {
+            return this._getMatcher(palette, distance)(r, g, b);
+        }
+
         // Use weighted Euclidean distance for better perceptual matching
         // Human eyes are more sensitive to green, less to blue
         let minDistance = Infinity;
@@ -257,9 +806,13 @@ class EPD7in3e {
      * @param {number} width - Image width
      * @param {number} height - Image height
      * @param {number} channels - Number of color channels (3 for RGB, 4 for RGBA)
+     * @param {Object} options - Mapping options
+     * @param {string} options.distance - Color distance (see mapRGBToDisplayColor)
+     * @param {string|Array|Object} options.palette - Ink colors (see setPalette)
      * @returns {Buffer} Display buffer with preserved colors
      */
-    createBufferFromRGB(rgbData, width, height, channels = 3) {
+    createBufferFromRGB(rgbData, width, height, channels = 3, options = {}) {
+        const mapping = this._resolveMapping(options);
         const buffer = Buffer.alloc(this.bufferSize);
         
         // Process each pixel using BMP-compatible color mapping
@@ -271,7 +824,7 @@ class EPD7in3e {
                 const b = rgbData[pixelIndex + 2];
                 
                 // Use the BMP-compatible color mapping
-                const displayColor = this.mapRGBToDisplayColor(r, g, b);
+                const displayColor = this.mapRGBToDisplayColor(r, g, b, mapping);
                 this.setPixel(buffer, x, y, displayColor);
             }
         }
@@ -285,10 +838,19 @@ class EPD7in3e {
      * @param {number} width - Image width
      * @param {number} height - Image height
      * @param {number} channels - Number of color channels (3 for RGB, 4 for RGBA)
-     * @param {string} method - Color mapping method: 'closest' (default), 'threshold', 'exact'
+     * @param {string} method - Color mapping method: 'closest' (default), 'threshold', 'exact',
+     *   or a dithering method: 'floyd-steinberg', 'atkinson', 'stucki', 'sierra', 'bayer', 'blue-noise'
+     * @param {Object} options - Mapping options
+     * @param {string} options.distance - Color distance (see mapRGBToDisplayColor)
+     * @param {string|Array|Object} options.palette - Ink colors (see setPalette)
      * @returns {Buffer} Display buffer with preserved colors
      */
-    createBufferFromRGBAdvanced(rgbData, width, height, channels = 3, method = 'closest') {
+    createBufferFromRGBAdvanced(rgbData, width, height, channels = 3, method = 'closest', options = {}) {
+        if (isDitherMethod(method)) {
+            return this.createBufferFromRGBDithered(rgbData, width, height, channels, method, options);
+        }
+
+        const mapping = this._resolveMapping(options);
         const buffer = Buffer.alloc(this.bufferSize);
         
         for (let y = 0; y < Math.min(height, this.height); y++) {
@@ -303,15 +865,15 @@ class EPD7in3e {
                 switch (method) {
                     case 'threshold':
                         // Use threshold-based mapping (like GUI_ReadBmp_RGB_4Color)
-                        displayColor = this.mapRGBWithThreshold(r, g, b);
+                        displayColor = this.mapRGBWithThreshold(r, g, b, mapping);
                         break;
                     case 'exact':
                         // Use exact color matching only
-                        displayColor = this.mapRGBExact(r, g, b);
+                        displayColor = this.mapRGBExact(r, g, b, mapping);
                         break;
                     default:
                         // Use closest color matching (default)
-                        displayColor = this.mapRGBToDisplayColor(r, g, b);
+                        displayColor = this.mapRGBToDisplayColor(r, g, b, mapping);
                 }
                 
                 this.setPixel(buffer, x, y, displayColor);
@@ -321,14 +883,167 @@ class EPD7in3e {
         return buffer;
     }
 
+    /**
+     * Create a buffer from RGB image data using dithering
+     * Photographs keep their tones by mixing inks instead of snapping each pixel to the nearest one.
+     * @param {Uint8Array} rgbData - RGB image data array
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} channels - Number of color channels (3 for RGB, 4 for RGBA)
+     * @param {string} method - 'floyd-steinberg' (default), 'atkinson', 'stucki', 'sierra', 'bayer' or 'blue-noise'
+     * @param {Object} options - Mapping options
+     * @param {string} options.distance - Color distance used to pick the nearest ink (see mapRGBToDisplayColor)
+     * @param {string|Array|Object} options.palette - Ink colors used for matching and error diffusion (see setPalette)
+     * @returns {Buffer} Display buffer
+     */
+    createBufferFromRGBDithered(rgbData, width, height, channels = 3, method = 'floyd-steinberg', options = {}) {
+        if (!isDitherMethod(method)) {
+            throw new Error(`Unknown dithering method "${method}". Expected one of: ${DITHER_METHODS.join(', ')}`);
+        }
+
+        const buffer = Buffer.alloc(this.bufferSize);
+        const mapping = this._resolveMapping(options);
+        const mapColor = (r, g, b) => this.mapRGBToDisplayColor(r, g, b, mapping);
+        const indices = dither(rgbData, width, height, channels, method, mapColor, mapping.palette);
+
+        for (let y = 0; y < Math.min(height, this.height); y++) {
+            for (let x = 0; x < Math.min(width, this.width); x++) {
+                this.setPixel(buffer, x, y, indices[y * width + x]);
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Load an image file and convert it to a display buffer
+     * Accepts any format sharp can decode (JPEG, PNG, WebP, GIF, AVIF/HEIC, TIFF...) plus BMP.
+     * @param {string|Buffer} input - Image file path or file contents
+     * @param {Object} options - Loading options
+     * @param {string} options.fit - 'contain' (default, letterboxed), 'cover' (cropped) or 'fill' (stretched)
+     * @param {string|Object} options.background - Letterbox and transparency color, as a CSS color
+     *   string or { r, g, b } (default: white)
+     * @param {number} options.rotate - Clockwise rotation in degrees applied before fitting (default: 0)
+     * @param {string} options.method - Color mapping or dithering method (see createBufferFromRGBAdvanced)
+     * @param {string} options.distance - Color distance (see mapRGBToDisplayColor)
+     * @param {string|Array|Object} options.palette - Ink colors (see setPalette)
+     * @returns {Promise<Buffer>} Display buffer
+     */
+    async loadImage(input, options = {}) {
+        const image = await loadRGB(input, this.width, this.height, options);
+        return this.createBufferFromRGBAdvanced(
+            image.data, image.width, image.height, image.channels,
+            options.method || 'closest',
+            { distance: options.distance, palette: options.palette }
+        );
+    }
+
+    /**
+     * Render an SVG document to a display buffer
+     * Placeholders such as {{ temperature }} are filled from options.variables before rendering, so
+     * a dashboard layout can be designed in any SVG editor. Text uses the fonts installed on the system.
+     * @param {string|Buffer} svg - SVG document or template
+     * @param {Object} options - Rendering options
+     * @param {Object} options.variables - Template values; {{ name }} is XML-escaped, {{{ name }}} inserted as is
+     * @param {string} options.fit - 'contain' (default), 'cover' or 'fill'
+     * @param {string|Object} options.background - Color behind transparent areas (default: white)
+     * @param {string} options.method - Color mapping or dithering method (see createBufferFromRGBAdvanced)
+     * @param {string} options.distance - Color distance (see mapRGBToDisplayColor)
+     * @param {string|Array|Object} options.palette - Ink colors (see setPalette)
+     * @returns {Promise<Buffer>} Display buffer
+     */
+    async renderSVG(svg, options = {}) {
+        const image = await rasterizeSVG(svg, this.width, this.height, options);
+        return this.createBufferFromRGBAdvanced(
+            image.data, image.width, image.height, image.channels,
+            options.method || 'closest',
+            { distance: options.distance, palette: options.palette }
+        );
+    }
+
+    /**
+     * Render a display buffer as a PNG image, to preview a frame without refreshing the panel
+     * The image is rotated like the display, so it shows the frame as it hangs (mirroring included).
+     * @param {Buffer} buffer - Display buffer
+     * @param {Object} options - Rendering options
+     * @param {string|Array|Object} options.palette - Ink colors to draw with, e.g. 'measured-7in3e'
+     *   for a realistic preview (default: the instance's palette)
+     * @returns {Promise<Buffer>} PNG file contents
+     */
+    async toPNG(buffer, options = {}) {
+        if (!Buffer.isBuffer(buffer)) {
+            throw new Error('Expected a Buffer object');
+        }
+        if (buffer.length !== this.bufferSize) {
+            throw new Error(`Buffer size mismatch. Expected ${this.bufferSize} bytes, got ${buffer.length}`);
+        }
+        const palette = options.palette ? resolvePalette(options.palette) : this.palette;
+        const view = new Orientation(this.panelWidth, this.panelHeight, { rotation: this.orientation.rotation });
+        return renderPNG(buffer, this.panelWidth, this.panelHeight, palette, view);
+    }
+
+    /**
+     * Convert a BMP file to a display buffer without sharp
+     * Reads uncompressed 1, 4, 8, 24 and 32-bit files like GUI_ReadBmp_RGB_7Color: the image
+     * is placed at the top-left corner and clipped to the panel, exact ink colors are kept
+     * and any other color is mapped to the nearest ink.
+     * @param {Buffer} buffer - BMP file contents
+     * @param {Object} options - Conversion options
+     * @param {string|Array|Object} options.palette - Ink colors to match against (default: 'ideal')
+     * @returns {Buffer} Display buffer
+     */
+    static fromBMP(buffer, options = {}) {
+        return bmpToPanel(buffer, PANEL_WIDTH, PANEL_HEIGHT, resolvePalette(options.palette || 'ideal'));
+    }
+
+    /**
+     * Write a display buffer as a BMP file
+     * 4-bit files keep the panel's pixel values as palette indices, so they load back unchanged.
+     * @param {Buffer} panelBuffer - Display buffer
+     * @param {Object} options - Output options
+     * @param {number} options.bitsPerPixel - 1 (black and white only), 4 (default), 8 or 24
+     * @param {string|Array|Object} options.palette - Ink colors written to the file (default: 'ideal')
+     * @returns {Buffer} BMP file contents
+     */
+    static toBMP(panelBuffer, options = {}) {
+        if (!Buffer.isBuffer(panelBuffer)) {
+            throw new Error('Expected a Buffer object');
+        }
+        if (panelBuffer.length !== PANEL_BUFFER_SIZE) {
+            throw new Error(`Buffer size mismatch. Expected ${PANEL_BUFFER_SIZE} bytes, got ${panelBuffer.length}`);
+        }
+        return panelToBMP(panelBuffer, PANEL_WIDTH, PANEL_HEIGHT, resolvePalette(options.palette || 'ideal'), options.bitsPerPixel);
+    }
+
+    /**
+     * Load a TrueType or OpenType font for drawText
+     * @param {string|Buffer} source - Font file path or contents
+     * @returns {Object} Font, rendered at the size given to drawText
+     */
+    static loadFont(source) {
+        return loadFont(source);
+    }
+
+    /**
+     * Check the machine for the GPIO chips, SPI devices and addon the native backend needs
+     * Nothing is opened; use it to diagnose a display that fails to initialize.
+     * @param {Object} options - Hardware options to check, as given to the constructor
+     * @returns {Object} Report: { platform, arch, model, board, gpioChips, spiDevices, sysfsGpio, addon,
+     *   config, problems, ok }
+     */
+    static probe(options = {}) {
+        return probeHardware(options);
+    }
+
     /**
      * Map RGB using threshold method (based on GUI_ReadBmp_RGB_4Color)
      * @param {number} r - Red value (0-255)
      * @param {number} g - Green value (0-255)
      * @param {number} b - Blue value (0-255)
+     * @param {Object|string} options - Mapping options for edge cases (see mapRGBToDisplayColor)
      * @returns {number} Display color value
      */
-    mapRGBWithThreshold(r, g, b) {
+    mapRGBWithThreshold(r, g, b, options = {}) {
         // Based on GUI_ReadBmp_RGB_4Color logic
         if (r < 128 && g < 128 && b < 128) {
             return this.colors.BLACK;
@@ -344,7 +1059,7 @@ class EPD7in3e {
             return this.colors.GREEN;
         } else {
             // Default to closest color for edge cases
-            return this.mapRGBToDisplayColor(r, g, b);
+            return this.mapRGBToDisplayColor(r, g, b, options);
         }
     }
 
@@ -353,9 +1068,10 @@ class EPD7in3e {
      * @param {number} r - Red value (0-255)
      * @param {number} g - Green value (0-255)
      * @param {number} b - Blue value (0-255)
+     * @param {Object|string} options - Mapping options when there is no exact match (see mapRGBToDisplayColor)
      * @returns {number} Display color value
      */
-    mapRGBExact(r, g, b) {
+    mapRGBExact(r, g, b, options = {}) {
         // Based on GUI_ReadBmp_RGB_7Color exact matching logic
         if (r === 0 && g === 0 && b === 0) {
             return this.colors.BLACK;
@@ -371,7 +1087,7 @@ class EPD7in3e {
             return this.colors.GREEN;
         } else {
             // If no exact match, fall back to closest color
-            return this.mapRGBToDisplayColor(r, g, b);
+            return this.mapRGBToDisplayColor(r, g, b, options);
         }
     }
 
@@ -524,10 +1240,12 @@ class EPD7in3e {
             throw new Error('Coordinates out of bounds');
         }
         
-        const bufferWidth = (this.width % 2 === 0) ? (this.width / 2) : (this.width / 2 + 1);
-        const byteIndex = Math.floor(x / 2) + y * bufferWidth;
+        const panelX = this.orientation.panelX(x, y);
+        const panelY = this.orientation.panelY(x, y);
+        const bufferWidth = (this.panelWidth % 2 === 0) ? (this.panelWidth / 2) : (this.panelWidth / 2 + 1);
+        const byteIndex = Math.floor(panelX / 2) + panelY * bufferWidth;
         
-        if (x % 2 === 0) {
+        if (panelX % 2 === 0) {
             // Even column - high nibble
             return (buffer[byteIndex] & 0xF0) >> 4;
         } else {
@@ -536,6 +1254,191 @@ class EPD7in3e {
         }
     }
 
+    /**
+     * Internal method to apply a rotation and mirror mode
+     * @private
+     */
+    _setOrientation(rotation, mirror) {
+        this.orientation = new Orientation(this.panelWidth, this.panelHeight, { rotation, mirror });
+        this.width = this.orientation.width;
+        this.height = this.orientation.height;
+    }
+
+    /**
+     * Internal method running a refresh under the refresh policy and recording the frame it leaves
+     * The content is unknown while the refresh runs and stays unknown if it fails.
+     * @param {Function} refresh - Function performing the refresh
+     * @param {Buffer|null} frame - Frame shown afterwards, or null if not tracked
+     * @param {boolean} cleaning - True for a clear to white
+     * @private
+     */
+    _track(refresh, frame, cleaning = false) {
+        this.refreshPolicy.check();
+        this.resetLastFrame();
+        this._retry(() => {
+            if (this.powerState !== 'awake') {
+                this._wake();
+            }
+            refresh();
+        });
+        this._setLastFrame(frame);
+        this.refreshPolicy.record(cleaning);
+        this._scheduleAutoSleep();
+    }
+
+    /**
+     * Internal method recording the frame left on the panel by an asynchronous refresh
+     * @param {Function} refresh - Function returning a Promise for the refresh
+     * @param {Buffer|null} frame - Frame shown afterwards, or null if not tracked
+     * @param {boolean} cleaning - True for a clear to white
+     * @returns {Promise<void>} Result of the refresh
+     * @private
+     */
+    _trackAsync(refresh, frame, cleaning = false) {
+        this.resetLastFrame();
+        return this._retryAsync(() => {
+            const ready = this.powerState === 'awake' ? Promise.resolve() : this._wakeAsync();
+            return ready.then(refresh);
+        }).then(() => {
+            this._setLastFrame(frame);
+            this.refreshPolicy.record(cleaning);
+        });
+    }
+
+    /**
+     * Internal method resetting and configuring the panel, the only way out of deep sleep
+     * The state stays 'initialized' if it fails.
+     * @private
+     */
+    _wake() {
+        this._setPowerState('initialized');
+        this.backend.wake();
+        this._setPowerState('awake');
+        this._scheduleAutoSleep();
+    }
+
+    /**
+     * Internal method waking the panel on a worker thread
+     * @private
+     */
+    _wakeAsync() {
+        this._setPowerState('initialized');
+        return this.backend.wakeAsync().then(() => {
+            this._setPowerState('awake');
+        });
+    }
+
+    /**
+     * Internal method running an operation again after a panel fault, as the fault policy allows
+     * @param {Function} operation - Function waking the panel if needed and driving it
+     * @returns {*} Result of the operation
+     * @private
+     */
+    _retry(operation) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return operation();
+            } catch (error) {
+                if (!this._checkFault(error) || attempt >= this.faultPolicy.retries) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Internal method running an asynchronous operation again after a panel fault
+     * @param {Function} operation - Function returning a Promise
+     * @param {number} attempt - Attempts already made
+     * @returns {Promise} Result of the operation
+     * @private
+     */
+    _retryAsync(operation, attempt = 0) {
+        return operation().catch(error => {
+            if (!this._checkFault(error) || attempt >= this.faultPolicy.retries) {
+                throw error;
+            }
+            return this._retryAsync(operation, attempt + 1);
+        });
+    }
+
+    /**
+     * Internal method marking the panel for a reset after a busy wait timed out
+     * Its state is unknown then, and a reset is the only way to bring it back.
+     * @param {Error} error - Failure of a driver call
+     * @returns {boolean} True if the error was a panel fault
+     * @private
+     */
+    _checkFault(error) {
+        if (!isPanelFault(error)) {
+            return false;
+        }
+        this._cancelAutoSleep();
+        this._setPowerState('initialized');
+        return true;
+    }
+
+    /**
+     * Internal method restarting the auto-sleep timer
+     * Synchronous refreshes restart it directly, asynchronous ones once the queue is empty.
+     * The panel is only put to sleep if nothing else is queued by then. The timer does not keep
+     * the process alive: a script that has finished its work exits without waiting for it.
+     * @private
+     */
+    _scheduleAutoSleep() {
+        this._cancelAutoSleep();
+        if (this.autoSleep === null) {
+            return;
+        }
+        this._autoSleepTimer = setTimeout(() => {
+            this._autoSleepTimer = null;
+            if (this.powerState === 'awake' && !this.isBusy()) {
+                // A failure resurfaces on the next operation, which wakes the panel again
+                this.sleepAsync().catch(() => {});
+            }
+        }, this.autoSleep);
+        this._autoSleepTimer.unref();
+    }
+
+    /**
+     * Internal method stopping the auto-sleep timer
+     * @private
+     */
+    _cancelAutoSleep() {
+        clearTimeout(this._autoSleepTimer);
+        this._autoSleepTimer = null;
+    }
+
+    /**
+     * Internal method changing the power state, emitting 'power' when it differs
+     * @param {string} state - New power state
+     * @private
+     */
+    _setPowerState(state) {
+        const previous = this.powerState;
+        if (state !== previous) {
+            this.powerState = state;
+            this.emit('power', state, previous);
+        }
+    }
+
+    /**
+     * Internal method storing the last frame and its hash
+     * @private
+     */
+    _setLastFrame(frame) {
+        this._lastFrame = frame;
+        this._lastFrameHash = frame ? hashFrame(frame) : null;
+    }
+
+    /**
+     * Internal method building the frame a clear leaves on the panel
+     * @private
+     */
+    _filledFrame(color) {
+        return this.createBuffer(color);
+    }
+
     /**
      * Internal method to check if display is initialized
      * @private
@@ -545,8 +1448,155 @@ class EPD7in3e {
             throw new Error('Display not initialized. Call init() first.');
         }
     }
+
+    /**
+     * Internal method returning the cached nearest-ink matcher for a perceptual distance
+     * @param {Array} palette - Palette list
+     * @param {string} distance - 'deltaE76', 'deltaE2000' or 'oklab'
+     * @returns {Function} (r, g, b) => color index
+     * @private
+     */
+    _getMatcher(palette, distance) {
+        let matchers = this._matchers.get(palette);
+        if (!matchers) {
+            matchers = {};
+            this._matchers.set(palette, matchers);
+        }
+        if (!matchers[distance]) {
+            matchers[distance] = createMatcher(palette, distance);
+        }
+        return matchers[distance];
+    }
+
+    /**
+     * Internal method filling in mapping options from the instance defaults
+     * @param {Object|string} options - Mapping options, or the color distance as a string
+     * @returns {Object} { distance, palette } with the palette resolved to a list
+     * @private
+     */
+    _resolveMapping(options) {
+        if (typeof options === 'string') {
+            options = { distance: options };
+        }
+        return {
+            distance: options.distance || this.colorDistance,
+            palette: options.palette ? resolvePalette(options.palette) : this.palette
+        };
+    }
+
+    /**
+     * Internal method to reject synchronous calls while async operations are pending
+     * @private
+     */
+    _checkIdle() {
+        if (this._pendingJobs > 0) {
+            throw new Error('Display is busy with an asynchronous operation');
+        }
+    }
+
+    /**
+     * Internal method to run async operations one at a time, in call order
+     * The driver state is shared, so overlapping transfers would corrupt the panel.
+     * @param {Function} task - Function returning a Promise
+     * @returns {Promise} Result of the task
+     * @private
+     */
+    _enqueue(task) {
+        // Later refreshes must not jump ahead of this operation
+        this._waitingRefresh = null;
+        this._pendingJobs++;
+        const run = this._queue.then(task);
+        const settle = () => {
+            this._pendingJobs--;
+            if (this._pendingJobs === 0 && this.powerState === 'awake') {
+                this._scheduleAutoSleep();
+            }
+        };
+        this._queue = run.then(settle, settle);
+        return run;
+    }
+
+    /**
+     * Internal method queueing a refresh that waits for the minimum interval
+     * While a refresh waits its turn, a newer refresh of the same kind replaces its operation
+     * (latest frame wins). Replaced callers are answered once the newer refresh has completed,
+     * with the result their own call gives for a refresh that did not happen, or its error.
+     * @param {string} kind - 'display', 'clear', 'show7Block' or 'show'
+     * @param {Function} operation - Function returning a Promise for the refresh
+     * @param {Function} supersede - Function returning the result of the call if it is replaced
+     *   (default: undefined)
+     * @returns {Promise} Result of the refresh
+     * @private
+     */
+    _enqueueRefresh(kind, operation, supersede = () => undefined) {
+        const caller = { supersede, replaced: false, result: undefined };
+        const waiting = this._waitingRefresh;
+        if (waiting && waiting.kind === kind && this.refreshPolicy.minInterval > 0 && this.refreshPolicy.coalesce) {
+            waiting.caller.replaced = true;
+            waiting.caller.result = waiting.caller.supersede();
+            waiting.caller = caller;
+            waiting.operation = operation;
+            return answer(waiting.run, caller);
+        }
+
+        const slot = { kind, operation, caller };
+        slot.run = this._enqueue(async () => {
+            const delay = this.refreshPolicy.getDelay();
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+            if (this._waitingRefresh === slot) {
+                this._waitingRefresh = null;
+            }
+            return slot.operation();
+        });
+        this._waitingRefresh = slot;
+        return answer(slot.run, caller);
+    }
+}
+
+/**
+ * Answer a caller of a queued refresh
+ * @param {Promise} run - Refresh that runs
+ * @param {Object} caller - { replaced, result } of the call
+ * @returns {Promise} Result of the refresh, or the caller's own result if its refresh was replaced
+ */
+function answer(run, caller) {
+    return run.then(result => (caller.replaced ? caller.result : result));
+}
+
+/**
+ * Decide whether a frame comparison calls for a refresh
+ * @param {Object} stats - Frame comparison
+ * @param {Object} options - Comparison options
+ * @param {number} options.threshold - Minimum percentage of changed pixels (default: 0)
+ * @returns {boolean} True if the panel should be refreshed
+ */
+function shouldRefresh(stats, options) {
+    const threshold = options.threshold || 0;
+    return stats.changed && stats.percentChanged >= threshold;
 }
 
 // Export the class and color constants
 module.exports = EPD7in3e;
-module.exports.Colors = addon.Colors;
\ No newline at end of file
+module.exports.Colors = Colors;
+module.exports.NativeBackend = NativeBackend;
+module.exports.VirtualBackend = VirtualBackend;
+module.exports.EPDError = EPDError;
+module.exports.EPDInitError = EPDInitError;
+module.exports.EPDBusyTimeoutError = EPDBusyTimeoutError;
+module.exports.FAULT_STAGES = FAULT_STAGES;
+module.exports.DEFAULT_PINS = DEFAULT_PINS;
+module.exports.GPIO_DRIVERS = GPIO_DRIVERS;
+module.exports.SPI_DRIVERS = SPI_DRIVERS;
+module.exports.LOG_LEVELS = NativeBackend.LOG_LEVELS;
+module.exports.Canvas = Canvas;
+module.exports.DITHER_METHODS = DITHER_METHODS;
+module.exports.COLOR_METHODS = COLOR_METHODS;
+module.exports.DISTANCE_METHODS = DISTANCE_METHODS;
+module.exports.PALETTES = PALETTES;
+module.exports.FIT_MODES = FIT_MODES;
+module.exports.BUILTIN_FONT_NAMES = BUILTIN_FONT_NAMES;
+module.exports.ROTATIONS = ROTATIONS;
+module.exports.MIRROR_MODES = MIRROR_MODES;
+module.exports.POWER_STATES = POWER_STATES;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const NativeBackend = require('./native');
+const VirtualBackend = require('./virtual');
+
+const BACKENDS = {
+    native: NativeBackend,
+    virtual: VirtualBackend
+};
+
+/**
+ * Resolve the backend option passed to EPD7in3e
+ *
+ * A backend is any object implementing the driver calls (open, wake, clear,
+ * show7Block, show, display, sleep, exit, their *Async variants and the
+ * getWidth/getHeight/getBufferSize getters). open() brings up the GPIO and
+ * SPI interfaces; wake() resets and configures the panel, which is also the
+ * only way out of deep sleep. setBusyTimeout(busyTimeout, refreshTimeout) is
+ * optional and receives the busy wait limits of the fault policy. Strings
+ * select a built-in one.
+ *
+ * @param {string|Object} backend - Backend name ('native', 'virtual') or instance
+ * @param {Object} options - Options forwarded to built-in backends
+ * @returns {Object} Backend instance
+ */
+function createBackend(backend, options = {}) {
+    if (backend && typeof backend === 'object') {
+        return backend;
+    }
+
+    const name = backend || process.env.EPD_BACKEND || 'native';
+    const Backend = BACKENDS[name];
+    if (!Backend) {
+        throw new Error(`Unknown backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return new Backend(options);
+}
+
+module.exports = {
+    createBackend,
+    NativeBackend,
+    VirtualBackend
+};
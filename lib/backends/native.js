@@ -0,0 +1,328 @@
+const path = require('path');
+const { toEPDError } = require('../errors');
+const { resolveHardwareConfig, claimHardware, releaseHardware } = require('../hardware-config');
+
+const ADDON_PATH = path.join(__dirname, '../../build/Release/epd_7in3e_addon.node');
+
+// Levels of the driver messages, as DEV_Log_Level
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DEFAULT_LOG_LEVEL = 'info';
+
+let addon = null;
+
+// Where the driver messages of each open panel go, by device id. Messages of the
+// module-level addon functions come from device 0 and have no entry.
+const logSinks = new Map();
+
+// Level the addon currently filters at, null before the logger is set
+let loggerLevel = null;
+
+/**
+ * Load the compiled addon on first use
+ * @returns {Object} Native addon exports
+ */
+function loadAddon() {
+    if (!addon) {
+        try {
+            addon = require(ADDON_PATH);
+        } catch (error) {
+            throw new Error(
+                `Unable to load the native addon (${error.message.split('\n')[0]}). ` +
+                'Build it with "npm run build" or use the virtual backend.'
+            );
+        }
+    }
+    return addon;
+}
+
+/**
+ * Run a synchronous addon call, turning driver failures into typed errors
+ * @param {Function} operation - Addon call
+ * @returns {*} Result of the call
+ */
+function call(operation) {
+    try {
+        return operation();
+    } catch (error) {
+        throw toEPDError(error);
+    }
+}
+
+/**
+ * Turn the driver failures of an asynchronous addon call into typed errors
+ * @param {Promise} promise - Addon call
+ * @returns {Promise} Result of the call
+ */
+function settle(promise) {
+    return promise.catch(error => {
+        throw toEPDError(error);
+    });
+}
+
+/**
+ * Convert a hardware configuration to the argument of the addon's open()
+ * @param {Object} config - Resolved hardware configuration, with the drivers of the board filled in
+ * @param {boolean} banner - Log the banner lines of the driver
+ * @returns {Object} Addon configuration, with an empty gpioChip to detect it
+ */
+function toAddonConfig(config, banner) {
+    return {
+        ...config,
+        gpioChip: config.gpioChip || '',
+        banner
+    };
+}
+
+/**
+ * Check the log level option
+ * @param {*} level - Option value
+ * @returns {string} Log level
+ */
+function checkLogLevel(level) {
+    if (level === undefined || level === null) {
+        return DEFAULT_LOG_LEVEL;
+    }
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown logLevel "${level}". Expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    return level;
+}
+
+/**
+ * Write a driver message to the console, as the driver does without a logger
+ * @param {Object} entry - { level, source, message }
+ */
+function writeLog(entry) {
+    if (entry.level === 'error') {
+        console.error(entry.message);
+    } else if (entry.level === 'warn') {
+        console.warn(entry.message);
+    } else {
+        console.log(entry.message);
+    }
+}
+
+/**
+ * Pass a driver message from the addon to the logger of its panel
+ * @param {Object} entry - { level, source, message, device } from the addon, or { flushed, device } once the
+ *   messages a panel sent before flushLogger() have all been passed on
+ */
+function dispatchLog(entry) {
+    const sink = logSinks.get(entry.device);
+    if (entry.flushed) {
+        if (sink && --sink.flushes === 0 && !sink.open) {
+            logSinks.delete(entry.device);
+            updateLogger();
+        }
+        return;
+    }
+    if (!sink) {
+        if (LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(DEFAULT_LOG_LEVEL)) {
+            writeLog(entry);
+        }
+        return;
+    }
+    if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(sink.level)) {
+        return;
+    }
+
+    const record = {
+        level: entry.level,
+        source: entry.source,
+        message: entry.message,
+        spiDevice: sink.config.spiDevice,
+        gpioChip: sink.config.gpioChip
+    };
+    if (!sink.logger) {
+        writeLog(record);
+        return;
+    }
+    try {
+        sink.logger(record);
+    } catch (error) {
+        // A failing logger must not break the driver calls
+        console.error(`EPD logger failed: ${error.message}`);
+    }
+}
+
+/**
+ * Route the driver messages through dispatchLog, filtered at the lowest level an open panel asks for
+ */
+function updateLogger() {
+    let level = LOG_LEVELS.indexOf(DEFAULT_LOG_LEVEL);
+    for (const sink of logSinks.values()) {
+        level = Math.min(level, LOG_LEVELS.indexOf(sink.level));
+    }
+    if (level !== loggerLevel) {
+        addon.setLogger(dispatchLog, level);
+        loggerLevel = level;
+    }
+}
+
+/**
+ * Hardware backend driving the panel through the native addon
+ * Each backend drives its own panel, so several of them can run side by side
+ * on different pins and SPI devices.
+ */
+class NativeBackend {
+    /**
+     * @param {Object} options - Hardware options: pins, spiDevice, spiSpeedHz, gpioChip, gpioDriver, spiDriver
+     *   (see resolveHardwareConfig)
+     * @param {Function} options.logger - Called with { level, source, message, spiDevice, gpioChip } for each
+     *   driver message (default: written to the console)
+     * @param {string} options.logLevel - Lowest level passed on: 'debug', 'info' (default), 'warn' or 'error'
+     * @param {boolean} options.banner - Log the banner lines of the driver on open (default: true without a logger)
+     */
+    constructor(options = {}) {
+        if (options.logger !== undefined && options.logger !== null && typeof options.logger !== 'function') {
+            throw new Error('logger must be a function');
+        }
+        this.name = 'native';
+        this.config = resolveHardwareConfig(options);
+        this.logger = options.logger || null;
+        this.logLevel = checkLogLevel(options.logLevel);
+        this.banner = options.banner !== undefined ? Boolean(options.banner) : !this.logger;
+        this.addon = loadAddon();
+        if (!this.addon.gpioDrivers.includes(this.config.gpioDriver)) {
+            throw new Error(
+                `GPIO driver "${this.config.gpioDriver}" is not built into the addon. ` +
+                `Available: ${this.addon.gpioDrivers.join(', ')}`
+            );
+        }
+        this.panel = new this.addon.Panel();
+        this.Colors = this.addon.Colors;
+
+        // Registered while the panel is open, see _openLog
+        this._logSink = { logger: this.logger, level: this.logLevel, config: this.config, open: false, flushes: 0 };
+    }
+
+    open() {
+        claimHardware(this.config, this);
+        this._openLog();
+        try {
+            call(() => this.panel.open(toAddonConfig(this.config, this.banner)));
+        } catch (error) {
+            this._closeLog();
+            releaseHardware(this);
+            throw error;
+        }
+    }
+
+    wake() {
+        call(() => this.panel.wake());
+    }
+
+    clear(color) {
+        call(() => this.panel.clear(color));
+    }
+
+    show7Block() {
+        call(() => this.panel.show7Block());
+    }
+
+    show() {
+        call(() => this.panel.show());
+    }
+
+    display(imageBuffer) {
+        call(() => this.panel.display(imageBuffer));
+    }
+
+    sleep() {
+        call(() => this.panel.sleep());
+    }
+
+    exit() {
+        try {
+            this.panel.exit();
+        } finally {
+            this._closeLog();
+            releaseHardware(this);
+        }
+    }
+
+    setBusyTimeout(busyTimeout, refreshTimeout) {
+        this.panel.setBusyTimeout(busyTimeout, refreshTimeout);
+    }
+
+    openAsync() {
+        try {
+            claimHardware(this.config, this);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        this._openLog();
+        return settle(this.panel.openAsync(toAddonConfig(this.config, this.banner))).catch(error => {
+            this._closeLog();
+            releaseHardware(this);
+            throw error;
+        });
+    }
+
+    wakeAsync() {
+        return settle(this.panel.wakeAsync());
+    }
+
+    clearAsync(color) {
+        return settle(this.panel.clearAsync(color));
+    }
+
+    show7BlockAsync() {
+        return settle(this.panel.show7BlockAsync());
+    }
+
+    showAsync() {
+        return settle(this.panel.showAsync());
+    }
+
+    displayAsync(imageBuffer) {
+        return settle(this.panel.displayAsync(imageBuffer));
+    }
+
+    sleepAsync() {
+        return settle(this.panel.sleepAsync());
+    }
+
+    getWidth() {
+        return this.addon.getWidth();
+    }
+
+    getHeight() {
+        return this.addon.getHeight();
+    }
+
+    getBufferSize() {
+        return this.addon.getBufferSize();
+    }
+
+    /**
+     * Internal method passing the driver messages of the panel to its logger while it is open
+     * @private
+     */
+    _openLog() {
+        this._logSink.open = true;
+        logSinks.set(this.panel.id, this._logSink);
+        updateLogger();
+    }
+
+    /**
+     * Internal method dropping the logger of a closed panel once the messages it already sent
+     * have reached it, so the logger is not kept and its level no longer applies
+     * @private
+     */
+    _closeLog() {
+        const sink = this._logSink;
+        sink.open = false;
+        if (this.addon.flushLogger(this.panel.id)) {
+            sink.flushes++;
+        } else if (sink.flushes === 0) {
+            logSinks.delete(this.panel.id);
+            updateLogger();
+        }
+    }
+}
+
+module.exports = NativeBackend;
+module.exports.loadAddon = loadAddon;
+module.exports.LOG_LEVELS = LOG_LEVELS;
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const Colors = require('../colors');
+const { resolvePalette } = require('../palette');
+const { renderPNG } = require('../image');
+const {
+    FAULT_STAGES, DEFAULT_BUSY_TIMEOUT, DEFAULT_REFRESH_TIMEOUT, EPDInitError, EPDBusyTimeoutError
+} = require('../errors');
+const { resolveHardwareConfig } = require('../hardware-config');
+
+const WIDTH = 800;
+const HEIGHT = 480;
+const BUFFER_WIDTH = (WIDTH % 2 === 0) ? (WIDTH / 2) : (WIDTH / 2 + 1);
+const BUFFER_SIZE = BUFFER_WIDTH * HEIGHT;
+
+// Same order as Color_seven[] in EPD_7in3e.c
+const TEST_COLORS = [Colors.BLACK, Colors.YELLOW, Colors.RED, Colors.BLUE, Colors.GREEN, Colors.WHITE];
+
+// Busy waits of each driver call, in order (see EPD_7in3e.c)
+const WAKE_STAGES = ['reset', 'power-on'];
+const REFRESH_STAGES = ['power-on', 'refresh', 'power-off'];
+
+/**
+ * Pure-JS panel emulator
+ *
+ * Accepts the same calls as the native backend and keeps the last frame
+ * pushed to the controller in memory, so code above the driver can run on
+ * machines without a panel attached. Hardware faults can be simulated to
+ * exercise error handling (see simulateFault).
+ */
+class VirtualBackend {
+    /**
+     * @param {Object} options - Emulator options
+     * @param {number} options.refreshTime - Delay in ms applied to async operations (default: 0)
+     * Hardware options (pins, spiDevice, spiSpeedHz, gpioChip) are checked as by the native backend, then ignored.
+     */
+    constructor(options = {}) {
+        this.name = 'virtual';
+        this.config = resolveHardwareConfig(options);
+        this.Colors = Colors;
+        this.refreshTime = options.refreshTime || 0;
+        this.framebuffer = Buffer.alloc(BUFFER_SIZE, (Colors.WHITE << 4) | Colors.WHITE);
+        this.refreshCount = 0;
+        this.opened = false;
+        this.configured = false;
+        this.sleeping = false;
+        this.busyTimeout = DEFAULT_BUSY_TIMEOUT;
+        this.refreshTimeout = DEFAULT_REFRESH_TIMEOUT;
+        this.faults = {};
+    }
+
+    open() {
+        this._fault(['open']);
+        this.opened = true;
+    }
+
+    wake() {
+        if (!this.opened) {
+            throw new Error('Virtual panel not initialized');
+        }
+        this._fault(WAKE_STAGES);
+        this.configured = true;
+        this.sleeping = false;
+    }
+
+    clear(color) {
+        this._checkAwake();
+        this._fault(REFRESH_STAGES);
+        this.framebuffer.fill(((color & 0x0F) << 4) | (color & 0x0F));
+        this.refreshCount++;
+    }
+
+    show7Block() {
+        this._checkAwake();
+        this._fault(REFRESH_STAGES);
+        // The driver streams 20000 bytes per color and leaves the rest of RAM untouched
+        for (let k = 0; k < TEST_COLORS.length; k++) {
+            const value = (TEST_COLORS[k] << 4) | TEST_COLORS[k];
+            this.framebuffer.fill(value, k * 20000, (k + 1) * 20000);
+        }
+        this.refreshCount++;
+    }
+
+    show() {
+        this._checkAwake();
+        this._fault(REFRESH_STAGES);
+        let k = 0;
+        for (let j = 0; j < HEIGHT; j++) {
+            let color = Colors.BLACK;
+            if (!(j > 10 && j < 50) && j >= HEIGHT / 2) {
+                color = TEST_COLORS[k];
+                k = (k + 1) % TEST_COLORS.length;
+            }
+            this.framebuffer.fill((color << 4) | color, j * BUFFER_WIDTH, (j + 1) * BUFFER_WIDTH);
+        }
+        this.refreshCount++;
+    }
+
+    display(imageBuffer) {
+        this._checkAwake();
+        this._fault(REFRESH_STAGES);
+        if (!Buffer.isBuffer(imageBuffer)) {
+            throw new TypeError('Expected buffer');
+        }
+        if (imageBuffer.length !== BUFFER_SIZE) {
+            throw new Error(`Buffer size mismatch. Expected ${BUFFER_SIZE} bytes`);
+        }
+        imageBuffer.copy(this.framebuffer);
+        this.refreshCount++;
+    }
+
+    sleep() {
+        this._checkAwake();
+        this._fault(['sleep']);
+        this.sleeping = true;
+    }
+
+    exit() {
+        this.opened = false;
+        this.configured = false;
+        this.sleeping = false;
+    }
+
+    setBusyTimeout(busyTimeout, refreshTimeout) {
+        this.busyTimeout = busyTimeout;
+        this.refreshTimeout = refreshTimeout;
+    }
+
+    openAsync() {
+        return this._defer(() => this.open());
+    }
+
+    wakeAsync() {
+        return this._defer(() => this.wake());
+    }
+
+    clearAsync(color) {
+        return this._defer(() => this.clear(color));
+    }
+
+    show7BlockAsync() {
+        return this._defer(() => this.show7Block());
+    }
+
+    showAsync() {
+        return this._defer(() => this.show());
+    }
+
+    displayAsync(imageBuffer) {
+        const frame = Buffer.from(imageBuffer);
+        return this._defer(() => this.display(frame));
+    }
+
+    sleepAsync() {
+        return this._defer(() => this.sleep());
+    }
+
+    getWidth() {
+        return WIDTH;
+    }
+
+    getHeight() {
+        return HEIGHT;
+    }
+
+    getBufferSize() {
+        return BUFFER_SIZE;
+    }
+
+    /**
+     * Get a copy of the last frame pushed to the panel
+     * @returns {Buffer} Packed 4bpp framebuffer
+     */
+    getFramebuffer() {
+        return Buffer.from(this.framebuffer);
+    }
+
+    /**
+     * Make the next calls reaching a step fail as the driver would
+     * A busy step times out at once instead of after the limit.
+     * @param {string} stage - 'open', 'reset', 'power-on', 'refresh', 'power-off' or 'sleep'
+     * @param {number} times - Number of failures (default: 1)
+     */
+    simulateFault(stage, times = 1) {
+        if (!FAULT_STAGES.includes(stage)) {
+            throw new Error(`Unknown fault stage "${stage}". Expected one of: ${FAULT_STAGES.join(', ')}`);
+        }
+        this.faults[stage] = (this.faults[stage] || 0) + times;
+    }
+
+    /**
+     * Render the current framebuffer as a PNG image
+     * @param {Object} options - Rendering options
+     * @param {string|Array|Object} options.palette - Ink colors to draw with (default: 'ideal')
+     * @returns {Promise<Buffer>} PNG file contents
+     */
+    toPNG(options = {}) {
+        return renderPNG(this.framebuffer, WIDTH, HEIGHT, resolvePalette(options.palette || 'ideal'));
+    }
+
+    /**
+     * Write the current framebuffer to a PNG file
+     * @param {string} filePath - Destination path
+     * @param {Object} options - Rendering options (see toPNG)
+     * @returns {Promise<void>}
+     */
+    async savePNG(filePath, options = {}) {
+        const png = await this.toPNG(options);
+        await fs.promises.writeFile(filePath, png);
+    }
+
+    /**
+     * Internal method mirroring the controller ignoring commands while closed or asleep
+     * @private
+     */
+    _checkAwake() {
+        if (!this.opened) {
+            throw new Error('Virtual panel not initialized');
+        }
+        if (!this.configured || this.sleeping) {
+            throw new Error('Virtual panel is asleep. Reset it with wake() first.');
+        }
+    }
+
+    /**
+     * Internal method failing at the first step with a pending simulated fault
+     * @param {Array} stages - Steps of the call, in order
+     * @private
+     */
+    _fault(stages) {
+        const stage = stages.find(name => this.faults[name] > 0);
+        if (!stage) {
+            return;
+        }
+        this.faults[stage]--;
+        if (stage === 'open') {
+            throw new EPDInitError('Failed to initialize e-Paper module', stage);
+        }
+        const timeout = stage === 'refresh' ? this.refreshTimeout : this.busyTimeout;
+        const message = `e-Paper still busy after ${timeout} ms (${stage})`;
+        if (stages === WAKE_STAGES) {
+            throw new EPDInitError(message, stage, timeout);
+        }
+        throw new EPDBusyTimeoutError(message, stage, timeout);
+    }
+
+    /**
+     * Internal method running an operation after the simulated refresh time
+     * @private
+     */
+    _defer(operation) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                try {
+                    operation();
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                }
+            }, this.refreshTime);
+        });
+    }
+}
+
+module.exports = VirtualBackend;
@@ -0,0 +1,293 @@
+const Colors = require('./colors');
+
+/**
+ * Minimal BMP reader and writer
+ *
+ * sharp (libvips) cannot decode BMP files, so uncompressed Windows bitmaps
+ * are parsed here: 1, 4 and 8-bit palette images and 24/32-bit true color,
+ * bottom-up or top-down. Panel frames can be converted to and from BMP
+ * without going through sharp.
+ */
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+
+const FILE_HEADER_SIZE = 14;
+const INFO_HEADER_SIZE = 40;
+const WRITE_DEPTHS = [1, 4, 8, 24];
+
+/**
+ * Check whether a buffer starts with a BMP file header
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for BMP data
+ */
+function isBMP(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 26 && buffer[0] === 0x42 && buffer[1] === 0x4D;
+}
+
+/**
+ * Decode a BMP file to packed RGB pixels
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { data, width, height, channels } with 3 channels per pixel
+ */
+function decodeBMP(buffer) {
+    if (!isBMP(buffer)) {
+        throw new Error('Not a BMP file');
+    }
+
+    const dataOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    if (headerSize < INFO_HEADER_SIZE) {
+        throw new Error(`Unsupported BMP header size: ${headerSize}`);
+    }
+    if (buffer.length < FILE_HEADER_SIZE + headerSize) {
+        throw new Error('Truncated BMP file');
+    }
+
+    const width = buffer.readInt32LE(18);
+    const rawHeight = buffer.readInt32LE(22);
+    const bitsPerPixel = buffer.readUInt16LE(28);
+    const compression = buffer.readUInt32LE(30);
+    const topDown = rawHeight < 0;
+    const height = Math.abs(rawHeight);
+
+    if (width <= 0 || height === 0) {
+        throw new Error('Invalid BMP dimensions');
+    }
+    if (![1, 4, 8, 24, 32].includes(bitsPerPixel)) {
+        throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+    }
+    if (compression !== BI_RGB && !(compression === BI_BITFIELDS && bitsPerPixel === 32)) {
+        throw new Error('Compressed BMP files are not supported');
+    }
+
+    // Palette entries are stored as BGRX right after the info header, before the pixels
+    let palette = null;
+    if (bitsPerPixel <= 8) {
+        const declared = buffer.readUInt32LE(46);
+        if (declared > (1 << bitsPerPixel)) {
+            throw new Error(`Invalid BMP palette: ${declared} colors for ${bitsPerPixel}-bit pixels`);
+        }
+        const count = declared || (1 << bitsPerPixel);
+        const paletteOffset = FILE_HEADER_SIZE + headerSize;
+        if (paletteOffset + count * 4 > Math.min(dataOffset, buffer.length)) {
+            throw new Error('Truncated BMP palette');
+        }
+        palette = [];
+        for (let i = 0; i < count; i++) {
+            const offset = paletteOffset + i * 4;
+            palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+        }
+    }
+
+    // 32-bit bitfield images declare their channel masks after the basic header
+    let masks = null;
+    if (compression === BI_BITFIELDS) {
+        if (buffer.length < 66) {
+            throw new Error('Truncated BMP file');
+        }
+        masks = [buffer.readUInt32LE(54), buffer.readUInt32LE(58), buffer.readUInt32LE(62)];
+    }
+
+    const rowSize = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+    if (dataOffset + rowSize * height > buffer.length) {
+        throw new Error('Truncated BMP file');
+    }
+
+    const data = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        const row = dataOffset + (topDown ? y : height - 1 - y) * rowSize;
+        for (let x = 0; x < width; x++) {
+            let r, g, b;
+
+            if (palette) {
+                const bitOffset = x * bitsPerPixel;
+                const byte = buffer[row + (bitOffset >> 3)];
+                const shift = 8 - bitsPerPixel - (bitOffset & 7);
+                const index = (byte >> shift) & ((1 << bitsPerPixel) - 1);
+                [r, g, b] = palette[index] || [0, 0, 0];
+            } else if (masks) {
+                const pixel = buffer.readUInt32LE(row + x * 4);
+                [r, g, b] = masks.map(mask => extractChannel(pixel, mask));
+            } else {
+                const offset = row + x * (bitsPerPixel / 8);
+                b = buffer[offset];
+                g = buffer[offset + 1];
+                r = buffer[offset + 2];
+            }
+
+            const out = (y * width + x) * 3;
+            data[out] = r;
+            data[out + 1] = g;
+            data[out + 2] = b;
+        }
+    }
+
+    return { data, width, height, channels: 3 };
+}
+
+/**
+ * Extract a channel from a bitfield pixel and scale it to 0-255
+ * @param {number} pixel - 32-bit pixel value
+ * @param {number} mask - Channel mask
+ * @returns {number} Channel value (0-255)
+ */
+function extractChannel(pixel, mask) {
+    if (mask === 0) {
+        return 0;
+    }
+    let shift = 0;
+    while (((mask >>> shift) & 1) === 0) {
+        shift++;
+    }
+    const max = mask >>> shift;
+    return Math.round((((pixel & mask) >>> shift) * 255) / max);
+}
+
+/**
+ * Convert a BMP file to a packed panel buffer
+ * Mirrors GUI_ReadBmp_RGB_7Color: the image is drawn from the top-left corner,
+ * clipped to the panel, and pixels matching an ink exactly keep that ink.
+ * Other colors, which the C reader skips, are mapped to the nearest ink.
+ * @param {Buffer} buffer - BMP file contents
+ * @param {number} width - Panel width
+ * @param {number} height - Panel height
+ * @param {Array} palette - Ink list as { color, r, g, b } objects
+ * @returns {Buffer} Panel buffer, white where the image does not cover the panel
+ */
+function bmpToPanel(buffer, width, height, palette) {
+    const image = decodeBMP(buffer);
+    const rowBytes = Math.ceil(width / 2);
+    const panel = Buffer.alloc(rowBytes * height, (Colors.WHITE << 4) | Colors.WHITE);
+    const exact = new Map();
+    palette.forEach(ink => {
+        exact.set((ink.r << 16) | (ink.g << 8) | ink.b, ink.color);
+    });
+
+    for (let y = 0; y < Math.min(height, image.height); y++) {
+        for (let x = 0; x < Math.min(width, image.width); x++) {
+            const offset = (y * image.width + x) * 3;
+            const r = image.data[offset];
+            const g = image.data[offset + 1];
+            const b = image.data[offset + 2];
+            let color = exact.get((r << 16) | (g << 8) | b);
+            if (color === undefined) {
+                color = nearestInk(r, g, b, palette);
+            }
+
+            const index = Math.floor(x / 2) + y * rowBytes;
+            if (x % 2 === 0) {
+                panel[index] = (panel[index] & 0x0F) | (color << 4);
+            } else {
+                panel[index] = (panel[index] & 0xF0) | color;
+            }
+        }
+    }
+    return panel;
+}
+
+/**
+ * Write a packed panel buffer as a bottom-up BMP file
+ * 4-bit files store the panel nibbles unchanged with the ink colors as palette;
+ * 1-bit files keep only black and white.
+ * @param {Buffer} panel - Packed panel buffer
+ * @param {number} width - Panel width
+ * @param {number} height - Panel height
+ * @param {Array} palette - Ink list as { color, r, g, b } objects
+ * @param {number} bitsPerPixel - 1, 4 (default), 8 or 24
+ * @returns {Buffer} BMP file contents
+ */
+function panelToBMP(panel, width, height, palette, bitsPerPixel = 4) {
+    if (!WRITE_DEPTHS.includes(bitsPerPixel)) {
+        throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}. Expected one of: ${WRITE_DEPTHS.join(', ')}`);
+    }
+
+    // Color table indexed by nibble value; unused values render as white like the panel
+    const white = palette.find(ink => ink.color === Colors.WHITE);
+    const inks = [];
+    for (let value = 0; value < 16; value++) {
+        inks.push(palette.find(ink => ink.color === value) || white);
+    }
+
+    let table = [];
+    if (bitsPerPixel === 1) {
+        table = [inks[Colors.BLACK], inks[Colors.WHITE]];
+    } else if (bitsPerPixel <= 8) {
+        table = bitsPerPixel === 4 ? inks : inks.concat(new Array(256 - 16).fill(white));
+    }
+
+    const rowBytes = Math.ceil(width / 2);
+    const rowSize = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+    const dataOffset = FILE_HEADER_SIZE + INFO_HEADER_SIZE + table.length * 4;
+    const file = Buffer.alloc(dataOffset + rowSize * height);
+
+    file.write('BM', 0, 'ascii');
+    file.writeUInt32LE(file.length, 2);
+    file.writeUInt32LE(dataOffset, 10);
+    file.writeUInt32LE(INFO_HEADER_SIZE, 14);
+    file.writeInt32LE(width, 18);
+    file.writeInt32LE(height, 22);
+    file.writeUInt16LE(1, 26);
+    file.writeUInt16LE(bitsPerPixel, 28);
+    file.writeUInt32LE(BI_RGB, 30);
+    file.writeUInt32LE(rowSize * height, 34);
+    file.writeInt32LE(2835, 38);
+    file.writeInt32LE(2835, 42);
+    file.writeUInt32LE(table.length, 46);
+
+    table.forEach((ink, i) => {
+        const offset = FILE_HEADER_SIZE + INFO_HEADER_SIZE + i * 4;
+        file[offset] = ink.b;
+        file[offset + 1] = ink.g;
+        file[offset + 2] = ink.r;
+    });
+
+    for (let y = 0; y < height; y++) {
+        const row = dataOffset + (height - 1 - y) * rowSize;
+        if (bitsPerPixel === 4) {
+            panel.copy(file, row, y * rowBytes, (y + 1) * rowBytes);
+            continue;
+        }
+        for (let x = 0; x < width; x++) {
+            const byte = panel[Math.floor(x / 2) + y * rowBytes];
+            const color = x % 2 === 0 ? byte >> 4 : byte & 0x0F;
+            if (bitsPerPixel === 1) {
+                if (color !== Colors.BLACK) {
+                    file[row + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            } else if (bitsPerPixel === 8) {
+                file[row + x] = color;
+            } else {
+                const ink = inks[color];
+                file[row + x * 3] = ink.b;
+                file[row + x * 3 + 1] = ink.g;
+                file[row + x * 3 + 2] = ink.r;
+            }
+        }
+    }
+    return file;
+}
+
+/**
+ * Find the nearest ink with the weighted RGB distance used by mapRGBToDisplayColor
+ * @returns {number} Color index
+ */
+function nearestInk(r, g, b, palette) {
+    let best = Colors.WHITE;
+    let minDistance = Infinity;
+    for (const ink of palette) {
+        const distance = 2 * (r - ink.r) ** 2 + 4 * (g - ink.g) ** 2 + (b - ink.b) ** 2;
+        if (distance < minDistance) {
+            minDistance = distance;
+            best = ink.color;
+        }
+    }
+    return best;
+}
+
+module.exports = {
+    isBMP,
+    decodeBMP,
+    bmpToPanel,
+    panelToBMP
+};
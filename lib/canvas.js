@@ -0,0 +1,627 @@
+const Colors = require('./colors');
+const { alignLine, layoutText } = require('./text');
+
+/**
+ * 2D drawing on a packed panel buffer
+ *
+ * The counterpart of Waveshare's GUI_Paint: shapes are rasterized straight
+ * into the 4bpp layout used by setPixel/getPixel (two pixels per byte, even
+ * x in the high nibble), and text with the fonts of lib/font.js. With an
+ * orientation, coordinates are logical and only the final pixel writes are
+ * mapped to panel order. Everything outside the canvas or the current clip
+ * region is silently skipped, so shapes may extend past the edges.
+ */
+class Canvas {
+    /**
+     * @param {Buffer} buffer - Packed panel buffer to draw into
+     * @param {Object} options - Canvas options
+     * @param {number} options.width - Width in pixels (default: 800)
+     * @param {number} options.height - Height in pixels (default: 480)
+     * @param {Orientation} options.orientation - Rotation and mirroring of the drawing (see lib/orientation.js).
+     *   Canvas coordinates are then logical and the width and height options are ignored.
+     */
+    constructor(buffer, options = {}) {
+        const orientation = options.orientation || null;
+        const panelWidth = orientation ? orientation.panelWidth : options.width || 800;
+        const panelHeight = orientation ? orientation.panelHeight : options.height || 480;
+        this.width = orientation ? orientation.width : panelWidth;
+        this.height = orientation ? orientation.height : panelHeight;
+        this.rowBytes = Math.ceil(panelWidth / 2);
+
+        if (!Buffer.isBuffer(buffer)) {
+            throw new Error('Expected a Buffer object');
+        }
+        if (buffer.length !== this.rowBytes * panelHeight) {
+            throw new Error(`Buffer size mismatch. Expected ${this.rowBytes * panelHeight} bytes, got ${buffer.length}`);
+        }
+
+        this.buffer = buffer;
+        this.orientation = orientation && !orientation.identity ? orientation : null;
+        this.resetClip();
+    }
+
+    /**
+     * Restrict drawing to a rectangle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Clip width
+     * @param {number} height - Clip height
+     */
+    setClip(x, y, width, height) {
+        this.clip = {
+            x0: Math.max(0, Math.floor(x)),
+            y0: Math.max(0, Math.floor(y)),
+            x1: Math.min(this.width, Math.floor(x + width)) - 1,
+            y1: Math.min(this.height, Math.floor(y + height)) - 1
+        };
+    }
+
+    /**
+     * Allow drawing on the whole canvas again
+     */
+    resetClip() {
+        this.clip = { x0: 0, y0: 0, x1: this.width - 1, y1: this.height - 1 };
+    }
+
+    /**
+     * Fill the clip region (the whole canvas by default) with a color
+     * @param {number} color - Color value (default: WHITE)
+     */
+    clear(color = Colors.WHITE) {
+        for (let y = this.clip.y0; y <= this.clip.y1; y++) {
+            this._span(this.clip.x0, this.clip.x1, y, color);
+        }
+    }
+
+    /**
+     * Set a single pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} color - Color value
+     */
+    setPixel(x, y, color) {
+        this._plot(Math.round(x), Math.round(y), color);
+    }
+
+    /**
+     * Read a single pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Color value, or -1 outside the canvas
+     */
+    getPixel(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return -1;
+        }
+        if (this.orientation) {
+            const panelX = this.orientation.panelX(x, y);
+            y = this.orientation.panelY(x, y);
+            x = panelX;
+        }
+        const byte = this.buffer[(x >> 1) + y * this.rowBytes];
+        return (x & 1) === 0 ? byte >> 4 : byte & 0x0F;
+    }
+
+    /**
+     * Draw a straight line
+     * @param {number} x0 - Start X
+     * @param {number} y0 - Start Y
+     * @param {number} x1 - End X
+     * @param {number} y1 - End Y
+     * @param {Object} style - Stroke style
+     * @param {number} style.color - Stroke color (default: BLACK)
+     * @param {number} style.lineWidth - Stroke width in pixels (default: 1)
+     * @param {Array<number>} style.dash - Dash pattern as [on, off, ...] lengths in pixels (default: solid)
+     */
+    drawLine(x0, y0, x1, y1, style = {}) {
+        const stroke = this._stroke(style);
+        if (stroke) {
+            this._line(Math.round(x0), Math.round(y0), Math.round(x1), Math.round(y1), stroke);
+        }
+    }
+
+    /**
+     * Draw a rectangle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {Object} style - Shape style
+     * @param {number|null} style.color - Stroke color, or null for no outline (default: BLACK)
+     * @param {number|boolean} style.fill - Fill color, or true to fill with the stroke color
+     * @param {number} style.lineWidth - Stroke width in pixels (default: 1)
+     * @param {Array<number>} style.dash - Dash pattern for the outline (default: solid)
+     */
+    drawRect(x, y, width, height, style = {}) {
+        const x0 = Math.round(x);
+        const y0 = Math.round(y);
+        const x1 = x0 + Math.round(width) - 1;
+        const y1 = y0 + Math.round(height) - 1;
+        if (x1 < x0 || y1 < y0) {
+            return;
+        }
+
+        const fill = this._fillColor(style);
+        if (fill !== null) {
+            for (let row = y0; row <= y1; row++) {
+                this._span(x0, x1, row, fill);
+            }
+        }
+        const stroke = this._stroke(style);
+        if (stroke) {
+            this._outline([[x0, y0], [x1, y0], [x1, y1], [x0, y1]], true, stroke);
+        }
+    }
+
+    /**
+     * Draw a circle
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} radius - Radius in pixels
+     * @param {Object} style - Shape style (see drawRect)
+     */
+    drawCircle(cx, cy, radius, style = {}) {
+        cx = Math.round(cx);
+        cy = Math.round(cy);
+        radius = Math.round(radius);
+        if (radius < 0) {
+            return;
+        }
+
+        const fill = this._fillColor(style);
+        if (fill !== null) {
+            // Midpoint circle, filled with horizontal spans
+            let x = radius;
+            let y = 0;
+            let error = 1 - radius;
+            while (x >= y) {
+                this._span(cx - x, cx + x, cy + y, fill);
+                this._span(cx - x, cx + x, cy - y, fill);
+                this._span(cx - y, cx + y, cy + x, fill);
+                this._span(cx - y, cx + y, cy - x, fill);
+                y++;
+                if (error < 0) {
+                    error += 2 * y + 1;
+                } else {
+                    x--;
+                    error += 2 * (y - x) + 1;
+                }
+            }
+        }
+
+        const stroke = this._stroke(style);
+        if (stroke) {
+            for (const [x, y] of circlePoints(radius)) {
+                this._stamp(cx + x, cy + y, stroke);
+            }
+        }
+    }
+
+    /**
+     * Draw a closed polygon
+     * @param {Array} points - Vertices as [x, y] pairs or { x, y } objects
+     * @param {Object} style - Shape style (see drawRect); filling uses the even-odd rule
+     */
+    drawPolygon(points, style = {}) {
+        const vertices = normalizePoints(points);
+        if (vertices.length === 0) {
+            return;
+        }
+
+        const fill = this._fillColor(style);
+        if (fill !== null && vertices.length >= 3) {
+            this._fillPolygon(vertices, fill);
+        }
+        const stroke = this._stroke(style);
+        if (stroke) {
+            this._outline(vertices, true, stroke);
+        }
+    }
+
+    /**
+     * Draw connected line segments
+     * @param {Array} points - Vertices as [x, y] pairs or { x, y } objects
+     * @param {Object} style - Stroke style (see drawLine)
+     */
+    drawPolyline(points, style = {}) {
+        const stroke = this._stroke(style);
+        if (stroke) {
+            this._outline(normalizePoints(points), false, stroke);
+        }
+    }
+
+    /**
+     * Flood fill the area connected to a point that shares its color
+     * @param {number} x - Seed X
+     * @param {number} y - Seed Y
+     * @param {number} color - Fill color
+     */
+    floodFill(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (!this._inClip(x, y)) {
+            return;
+        }
+        const target = this.getPixel(x, y);
+        if (target === color) {
+            return;
+        }
+
+        // Scanline fill: paint a run, then queue the runs above and below it
+        const stack = [[x, y]];
+        while (stack.length > 0) {
+            const [sx, sy] = stack.pop();
+            if (this.getPixel(sx, sy) !== target) {
+                continue;
+            }
+            let left = sx;
+            while (left > this.clip.x0 && this.getPixel(left - 1, sy) === target) {
+                left--;
+            }
+            let right = sx;
+            while (right < this.clip.x1 && this.getPixel(right + 1, sy) === target) {
+                right++;
+            }
+            this._span(left, right, sy, color);
+
+            for (const ny of [sy - 1, sy + 1]) {
+                if (ny < this.clip.y0 || ny > this.clip.y1) {
+                    continue;
+                }
+                let inRun = false;
+                for (let nx = left; nx <= right; nx++) {
+                    const matches = this.getPixel(nx, ny) === target;
+                    if (matches && !inRun) {
+                        stack.push([nx, ny]);
+                    }
+                    inRun = matches;
+                }
+            }
+        }
+    }
+
+    /**
+     * Draw text, optionally wrapped and aligned inside a box
+     * @param {number} x - Box left edge, or the anchor point for center/right alignment without a width
+     * @param {number} y - Top of the first line
+     * @param {string} text - Text to draw ('\n' starts a new line)
+     * @param {Object} options - Text options
+     * @param {string|BitmapFont|OutlineFont} options.font - Built-in font name ('Font8' to 'Font24')
+     *   or a font returned by loadFont (default: the built-in font closest to options.size)
+     * @param {number} options.size - Pixel size for outline fonts (default: 16)
+     * @param {number} options.color - Text color (default: BLACK)
+     * @param {string} options.align - 'left' (default), 'center' or 'right'
+     * @param {number} options.width - Box width; text wraps to fit and is clipped to the box
+     * @param {number} options.height - Box height; lines that do not fit are dropped
+     * @param {boolean} options.wrap - Wrap long lines (default: true when a width is given)
+     * @param {number} options.lineSpacing - Extra pixels between lines (default: 0)
+     * @returns {Object} { width, height, lines, truncated } of the laid out text
+     */
+    drawText(x, y, text, options = {}) {
+        const layout = layoutText(text, options);
+        const color = options.color !== undefined ? options.color : Colors.BLACK;
+        const align = options.align || 'left';
+        x = Math.round(x);
+        y = Math.round(y);
+
+        const savedClip = this.clip;
+        if (options.width !== undefined || options.height !== undefined) {
+            const right = options.width !== undefined ? x + Math.floor(options.width) - 1 : savedClip.x1;
+            const bottom = options.height !== undefined ? y + Math.floor(options.height) - 1 : savedClip.y1;
+            this.clip = {
+                x0: options.width !== undefined ? Math.max(savedClip.x0, x) : savedClip.x0,
+                y0: Math.max(savedClip.y0, y),
+                x1: Math.min(savedClip.x1, right),
+                y1: Math.min(savedClip.y1, bottom)
+            };
+        }
+
+        try {
+            layout.lines.forEach((line, i) => {
+                const lineX = alignLine(x, line.width, align, options.width);
+                const baseline = y + layout.ascent + i * (layout.lineHeight + layout.lineSpacing);
+                for (const { glyph, x: offset } of line.glyphs) {
+                    this._glyph(Math.round(lineX + offset) + glyph.left, baseline + glyph.top, glyph, color);
+                }
+            });
+        } finally {
+            this.clip = savedClip;
+        }
+
+        return this._textMetrics(layout);
+    }
+
+    /**
+     * Measure text without drawing it
+     * @param {string} text - Text to measure
+     * @param {Object} options - Text options (see drawText)
+     * @returns {Object} { width, height, lines, truncated }
+     */
+    measureText(text, options = {}) {
+        return this._textMetrics(layoutText(text, options));
+    }
+
+    /**
+     * Internal method summarizing a text layout
+     * @private
+     */
+    _textMetrics(layout) {
+        return {
+            width: layout.width,
+            height: layout.height,
+            lines: layout.lines.map(line => line.text),
+            truncated: layout.truncated
+        };
+    }
+
+    /**
+     * Internal method drawing the set pixels of a glyph bitmap
+     * @private
+     */
+    _glyph(x, y, glyph, color) {
+        for (let gy = 0; gy < glyph.height; gy++) {
+            for (let gx = 0; gx < glyph.width; gx++) {
+                if (glyph.bitmap[gy * glyph.width + gx]) {
+                    this._plot(x + gx, y + gy, color);
+                }
+            }
+        }
+    }
+
+    /**
+     * Internal method resolving stroke options, or null when the outline is disabled
+     * @private
+     */
+    _stroke(style) {
+        if (style.color === null) {
+            return null;
+        }
+        const dash = style.dash && style.dash.length > 0 ? style.dash : null;
+        if (dash && !dash.every(length => Number.isInteger(length) && length >= 0)) {
+            throw new Error('Dash pattern must contain non-negative integers');
+        }
+        if (dash && dash.every(length => length === 0)) {
+            throw new Error('Dash pattern must not be all zeros');
+        }
+        return {
+            color: style.color !== undefined ? style.color : Colors.BLACK,
+            lineWidth: Math.max(1, Math.round(style.lineWidth || 1)),
+            dash,
+            // Position along the dash pattern, carried across connected segments
+            phase: 0
+        };
+    }
+
+    /**
+     * Internal method resolving the fill color of a shape, or null for outlines only
+     * @private
+     */
+    _fillColor(style) {
+        if (style.fill === undefined || style.fill === false || style.fill === null) {
+            return null;
+        }
+        if (style.fill === true) {
+            return style.color !== undefined && style.color !== null ? style.color : Colors.BLACK;
+        }
+        return style.fill;
+    }
+
+    /**
+     * Internal method drawing the edges of a polygon or polyline
+     * @private
+     */
+    _outline(vertices, closed, stroke) {
+        if (vertices.length === 1) {
+            this._stamp(vertices[0][0], vertices[0][1], stroke);
+            return;
+        }
+        const count = closed ? vertices.length : vertices.length - 1;
+        for (let i = 0; i < count; i++) {
+            const [x0, y0] = vertices[i];
+            const [x1, y1] = vertices[(i + 1) % vertices.length];
+            this._line(x0, y0, x1, y1, stroke, i > 0);
+        }
+    }
+
+    /**
+     * Internal method rasterizing a line with Bresenham's algorithm
+     * @param {boolean} skipFirst - Skip the start point, shared with the previous segment
+     * @private
+     */
+    _line(x0, y0, x1, y1, stroke, skipFirst = false) {
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let error = dx + dy;
+        let x = x0;
+        let y = y0;
+        let first = true;
+
+        for (;;) {
+            if (!(first && skipFirst)) {
+                this._stamp(x, y, stroke);
+            }
+            first = false;
+            if (x === x1 && y === y1) {
+                break;
+            }
+            const e2 = 2 * error;
+            if (e2 >= dy) {
+                error += dy;
+                x += sx;
+            }
+            if (e2 <= dx) {
+                error += dx;
+                y += sy;
+            }
+        }
+    }
+
+    /**
+     * Internal method drawing one stroke point, honouring the dash pattern and line width
+     * @private
+     */
+    _stamp(x, y, stroke) {
+        if (stroke.dash) {
+            const period = stroke.dash.reduce((sum, length) => sum + length, 0);
+            let position = stroke.phase % period;
+            stroke.phase++;
+            let on = true;
+            for (const length of stroke.dash) {
+                if (position < length) {
+                    break;
+                }
+                position -= length;
+                on = !on;
+            }
+            if (!on) {
+                return;
+            }
+        }
+
+        if (stroke.lineWidth === 1) {
+            this._plot(x, y, stroke.color);
+            return;
+        }
+        // Square dot centered on the point, like DOT_FILL_AROUND in GUI_Paint
+        const start = -Math.floor((stroke.lineWidth - 1) / 2);
+        for (let oy = start; oy < start + stroke.lineWidth; oy++) {
+            this._span(x + start, x + start + stroke.lineWidth - 1, y + oy, stroke.color);
+        }
+    }
+
+    /**
+     * Internal method filling a polygon with the even-odd rule, sampling pixel centers
+     * @private
+     */
+    _fillPolygon(vertices, color) {
+        let minY = Infinity;
+        let maxY = -Infinity;
+        vertices.forEach(([, y]) => {
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        });
+
+        for (let y = Math.max(minY, this.clip.y0); y <= Math.min(maxY, this.clip.y1); y++) {
+            const scan = y + 0.5;
+            const crossings = [];
+            for (let i = 0; i < vertices.length; i++) {
+                const [ax, ay] = vertices[i];
+                const [bx, by] = vertices[(i + 1) % vertices.length];
+                if ((ay <= scan && by > scan) || (by <= scan && ay > scan)) {
+                    crossings.push(ax + ((scan - ay) / (by - ay)) * (bx - ax));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                this._span(Math.ceil(crossings[i] - 0.5), Math.ceil(crossings[i + 1] - 0.5) - 1, y, color);
+            }
+        }
+    }
+
+    /**
+     * Internal method checking whether a point lies in the clip region
+     * @private
+     */
+    _inClip(x, y) {
+        return x >= this.clip.x0 && x <= this.clip.x1 && y >= this.clip.y0 && y <= this.clip.y1;
+    }
+
+    /**
+     * Internal method writing a pixel nibble if it lies in the clip region
+     * @private
+     */
+    _plot(x, y, color) {
+        if (!this._inClip(x, y)) {
+            return;
+        }
+        if (this.orientation) {
+            const panelX = this.orientation.panelX(x, y);
+            y = this.orientation.panelY(x, y);
+            x = panelX;
+        }
+        const index = (x >> 1) + y * this.rowBytes;
+        if ((x & 1) === 0) {
+            this.buffer[index] = (this.buffer[index] & 0x0F) | ((color & 0x0F) << 4);
+        } else {
+            this.buffer[index] = (this.buffer[index] & 0xF0) | (color & 0x0F);
+        }
+    }
+
+    /**
+     * Internal method writing a horizontal run of pixels, clipped
+     * @private
+     */
+    _span(x0, x1, y, color) {
+        if (y < this.clip.y0 || y > this.clip.y1) {
+            return;
+        }
+        const start = Math.max(x0, this.clip.x0);
+        const end = Math.min(x1, this.clip.x1);
+        for (let x = start; x <= end; x++) {
+            this._plot(x, y, color);
+        }
+    }
+}
+
+/**
+ * Outline points of a circle centered on the origin, in drawing order
+ * Walking the ring in order keeps dash patterns continuous.
+ * @param {number} radius - Radius in pixels
+ * @returns {Array<Array<number>>} [x, y] offsets
+ */
+function circlePoints(radius) {
+    // First octant, from (radius, 0) towards the diagonal
+    const octant = [];
+    let x = radius;
+    let y = 0;
+    let error = 1 - radius;
+    while (x >= y) {
+        octant.push([x, y]);
+        y++;
+        if (error < 0) {
+            error += 2 * y + 1;
+        } else {
+            x--;
+            error += 2 * (y - x) + 1;
+        }
+    }
+
+    // Reflect into the other seven octants, reversing every other one so the ring stays ordered
+    const transforms = [
+        ([a, b]) => [a, b], ([a, b]) => [b, a], ([a, b]) => [-b, a], ([a, b]) => [-a, b],
+        ([a, b]) => [-a, -b], ([a, b]) => [-b, -a], ([a, b]) => [b, -a], ([a, b]) => [a, -b]
+    ];
+    const points = [];
+    const seen = new Set();
+    transforms.forEach((transform, i) => {
+        const ordered = i % 2 === 0 ? octant : octant.slice().reverse();
+        for (const point of ordered) {
+            const [px, py] = transform(point);
+            const key = `${px},${py}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                points.push([px, py]);
+            }
+        }
+    });
+    return points;
+}
+
+/**
+ * Convert a list of [x, y] pairs or { x, y } objects to rounded [x, y] pairs
+ * @param {Array} points - Input points
+ * @returns {Array<Array<number>>} Rounded points
+ */
+function normalizePoints(points) {
+    if (!Array.isArray(points)) {
+        throw new Error('Expected an array of points');
+    }
+    return points.map(point => {
+        const [x, y] = Array.isArray(point) ? point : [point.x, point.y];
+        return [Math.round(x), Math.round(y)];
+    });
+}
+
+module.exports = Canvas;
@@ -0,0 +1,489 @@
+/**
+ * CFF outline reader for OpenType (.otf) fonts
+ *
+ * Parses the Compact Font Format table and interprets Type 2 charstrings
+ * into path commands. Hints are skipped; CID-keyed fonts are supported
+ * through FDSelect.
+ */
+
+// Top and private DICT operators (two-byte operators are 1200 + second byte)
+const OP_CHARSTRINGS = 17;
+const OP_PRIVATE = 18;
+const OP_SUBRS = 19;
+const OP_CHARSTRING_TYPE = 1206;
+const OP_FD_ARRAY = 1236;
+const OP_FD_SELECT = 1237;
+
+const MAX_SUBR_DEPTH = 10;
+
+/**
+ * Parse a CFF table
+ * @param {Buffer} cff - CFF table contents
+ * @returns {Object} { glyphPath(glyph) } returning ['M'|'L'|'C'|'Z', ...coords] commands
+ */
+function parseCFF(cff) {
+    if (cff.length < 4) {
+        throw corrupt('the CFF header is truncated');
+    }
+    const headerSize = cff[2];
+    const names = readIndex(cff, headerSize);
+    const topDicts = readIndex(cff, names.end);
+    const strings = readIndex(cff, topDicts.end);
+    const globalSubrs = readIndex(cff, strings.end);
+    if (topDicts.items.length === 0) {
+        throw corrupt('the CFF table has no top DICT');
+    }
+
+    const top = parseDict(cff, topDicts.items[0].start, topDicts.items[0].end);
+    if (top[OP_CHARSTRING_TYPE] && top[OP_CHARSTRING_TYPE][0] !== 2) {
+        throw new Error('Only Type 2 CFF charstrings are supported');
+    }
+    if (!top[OP_CHARSTRINGS]) {
+        throw new Error('CFF font has no charstrings');
+    }
+    const charStrings = readIndex(cff, top[OP_CHARSTRINGS][0]);
+
+    // Local subroutines come from the font's private DICT, or per font DICT for CID fonts
+    let localSubrsFor;
+    if (top[OP_FD_ARRAY] && top[OP_FD_SELECT]) {
+        const fdArray = readIndex(cff, top[OP_FD_ARRAY][0]);
+        const fdSubrs = fdArray.items.map(item => readPrivateSubrs(cff, parseDict(cff, item.start, item.end)));
+        const fdSelect = readFDSelect(cff, top[OP_FD_SELECT][0], charStrings.items.length);
+        localSubrsFor = glyph => fdSubrs[fdSelect(glyph)] || emptyIndex();
+    } else {
+        const subrs = readPrivateSubrs(cff, top);
+        localSubrsFor = () => subrs;
+    }
+
+    return {
+        glyphPath: glyph => {
+            const item = charStrings.items[glyph];
+            if (!item) {
+                return [];
+            }
+            return runCharString(cff, item, globalSubrs, localSubrsFor(glyph));
+        }
+    };
+}
+
+/**
+ * Error for a CFF structure that does not fit in the table
+ * @param {string} detail - What is wrong
+ * @returns {Error} Error to throw
+ */
+function corrupt(detail) {
+    return new Error(`Corrupt font: ${detail}`);
+}
+
+/**
+ * Read an INDEX structure
+ * @returns {Object} { items: [{ start, end }], end }
+ */
+function readIndex(data, offset) {
+    if (!Number.isInteger(offset) || offset < 0 || offset + 2 > data.length) {
+        throw corrupt('a CFF INDEX is out of bounds');
+    }
+    const count = data.readUInt16BE(offset);
+    if (count === 0) {
+        return { items: [], end: offset + 2 };
+    }
+    const offSize = data[offset + 2];
+    if (!(offSize >= 1 && offSize <= 4) || offset + 3 + (count + 1) * offSize > data.length) {
+        throw corrupt('a CFF INDEX is out of bounds');
+    }
+    const readOffset = i => {
+        let value = 0;
+        for (let b = 0; b < offSize; b++) {
+            value = value * 256 + data[offset + 3 + i * offSize + b];
+        }
+        return value;
+    };
+    // Offsets are 1-based from the byte before the object data
+    const base = offset + 2 + (count + 1) * offSize;
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        const item = { start: base + readOffset(i), end: base + readOffset(i + 1) };
+        if (item.start <= base || item.end < item.start || item.end > data.length) {
+            throw corrupt('a CFF INDEX entry is out of bounds');
+        }
+        items.push(item);
+    }
+    return { items, end: base + readOffset(count) };
+}
+
+function emptyIndex() {
+    return { items: [], end: 0 };
+}
+
+/**
+ * Parse a DICT into operand arrays keyed by operator
+ */
+function parseDict(data, start, end) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > data.length) {
+        throw corrupt('a CFF DICT is out of bounds');
+    }
+    const dict = {};
+    let operands = [];
+    let pos = start;
+    while (pos < end) {
+        const b0 = data[pos];
+        if (b0 <= 21) {
+            let op = b0;
+            pos++;
+            if (b0 === 12) {
+                op = 1200 + data[pos];
+                pos++;
+            }
+            dict[op] = operands;
+            operands = [];
+        } else if (b0 === 28 || b0 === 29) {
+            const size = b0 === 28 ? 2 : 4;
+            if (pos + 1 + size > end) {
+                throw corrupt('a CFF DICT operand is truncated');
+            }
+            operands.push(size === 2 ? data.readInt16BE(pos + 1) : data.readInt32BE(pos + 1));
+            pos += 1 + size;
+        } else if (b0 === 30) {
+            // Real number packed in nibbles
+            pos++;
+            let text = '';
+            while (pos < end) {
+                const byte = data[pos++];
+                const nibbles = [byte >> 4, byte & 0x0F];
+                const stop = nibbles.some(n => n === 0x0F);
+                for (const n of nibbles) {
+                    if (n === 0x0F) {
+                        break;
+                    }
+                    text += ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'E', 'E-', '', '-'][n];
+                }
+                if (stop) {
+                    break;
+                }
+            }
+            operands.push(parseFloat(text));
+        } else if (b0 >= 32 && b0 <= 246) {
+            operands.push(b0 - 139);
+            pos++;
+        } else if (b0 >= 247 && b0 <= 250) {
+            operands.push((b0 - 247) * 256 + data[pos + 1] + 108);
+            pos += 2;
+        } else if (b0 >= 251 && b0 <= 254) {
+            operands.push(-(b0 - 251) * 256 - data[pos + 1] - 108);
+            pos += 2;
+        } else {
+            pos++;
+        }
+    }
+    return dict;
+}
+
+/**
+ * Read the local subroutines referenced by a DICT's Private entry
+ */
+function readPrivateSubrs(data, dict) {
+    if (!dict[OP_PRIVATE]) {
+        return emptyIndex();
+    }
+    const [size, offset] = dict[OP_PRIVATE];
+    const privateDict = parseDict(data, offset, offset + size);
+    if (!privateDict[OP_SUBRS]) {
+        return emptyIndex();
+    }
+    return readIndex(data, offset + privateDict[OP_SUBRS][0]);
+}
+
+/**
+ * Build a glyph to font DICT lookup from an FDSelect structure
+ */
+function readFDSelect(data, offset, numGlyphs) {
+    if (!Number.isInteger(offset) || offset < 0 || offset + 3 > data.length) {
+        throw corrupt('the CFF FDSelect is out of bounds');
+    }
+    const format = data[offset];
+    if (format === 0) {
+        if (offset + 1 + numGlyphs > data.length) {
+            throw corrupt('the CFF FDSelect is truncated');
+        }
+        return glyph => data[offset + 1 + glyph];
+    }
+    if (format === 3) {
+        const ranges = data.readUInt16BE(offset + 1);
+        if (offset + 5 + ranges * 3 > data.length) {
+            throw corrupt('the CFF FDSelect is truncated');
+        }
+        return glyph => {
+            for (let i = 0; i < ranges; i++) {
+                const range = offset + 3 + i * 3;
+                const next = i + 1 < ranges ? data.readUInt16BE(range + 3) : data.readUInt16BE(offset + 3 + ranges * 3);
+                if (glyph >= data.readUInt16BE(range) && glyph < next) {
+                    return data[range + 2];
+                }
+            }
+            return 0;
+        };
+    }
+    throw new Error(`Unsupported CFF FDSelect format ${format} for ${numGlyphs} glyphs`);
+}
+
+function subrBias(count) {
+    if (count < 1240) {
+        return 107;
+    }
+    return count < 33900 ? 1131 : 32768;
+}
+
+/**
+ * Interpret a Type 2 charstring
+ */
+function runCharString(data, item, globalSubrs, localSubrs) {
+    const path = [];
+    const stack = [];
+    let x = 0;
+    let y = 0;
+    let stems = 0;
+    let haveWidth = false;
+    let open = false;
+    let done = false;
+
+    const moveTo = (dx, dy) => {
+        if (open) {
+            path.push(['Z']);
+        }
+        x += dx;
+        y += dy;
+        path.push(['M', x, y]);
+        open = true;
+    };
+    const lineTo = (dx, dy) => {
+        x += dx;
+        y += dy;
+        path.push(['L', x, y]);
+    };
+    const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+        const x1 = x + dx1;
+        const y1 = y + dy1;
+        const x2 = x1 + dx2;
+        const y2 = y1 + dy2;
+        x = x2 + dx3;
+        y = y2 + dy3;
+        path.push(['C', x1, y1, x2, y2, x, y]);
+    };
+    // The advance width may precede the first stack-clearing operator's arguments
+    const takeWidth = expectedEven => {
+        if (!haveWidth) {
+            haveWidth = true;
+            if ((stack.length % 2 === 1) === expectedEven) {
+                stack.shift();
+            }
+        }
+    };
+    const stemHints = () => {
+        takeWidth(true);
+        stems += stack.length >> 1;
+        stack.length = 0;
+    };
+
+    const execute = (start, end, depth) => {
+        let pos = start;
+        while (pos < end && !done) {
+            const b0 = data[pos++];
+            if (b0 >= 32 || b0 === 28) {
+                if (b0 === 28) {
+                    stack.push(data.readInt16BE(pos));
+                    pos += 2;
+                } else if (b0 <= 246) {
+                    stack.push(b0 - 139);
+                } else if (b0 <= 250) {
+                    stack.push((b0 - 247) * 256 + data[pos++] + 108);
+                } else if (b0 <= 254) {
+                    stack.push(-(b0 - 251) * 256 - data[pos++] - 108);
+                } else {
+                    stack.push(data.readInt32BE(pos) / 65536);
+                    pos += 4;
+                }
+                continue;
+            }
+
+            switch (b0) {
+                case 1: // hstem
+                case 3: // vstem
+                case 18: // hstemhm
+                case 23: // vstemhm
+                    stemHints();
+                    break;
+                case 19: // hintmask
+                case 20: // cntrmask
+                    stemHints();
+                    pos += (stems + 7) >> 3;
+                    break;
+                case 21: // rmoveto
+                    takeWidth(true);
+                    moveTo(stack[0], stack[1]);
+                    stack.length = 0;
+                    break;
+                case 22: // hmoveto
+                    takeWidth(false);
+                    moveTo(stack[0], 0);
+                    stack.length = 0;
+                    break;
+                case 4: // vmoveto
+                    takeWidth(false);
+                    moveTo(0, stack[0]);
+                    stack.length = 0;
+                    break;
+                case 5: // rlineto
+                    for (let i = 0; i + 1 < stack.length; i += 2) {
+                        lineTo(stack[i], stack[i + 1]);
+                    }
+                    stack.length = 0;
+                    break;
+                case 6: // hlineto
+                case 7: { // vlineto
+                    let horizontal = b0 === 6;
+                    for (const delta of stack) {
+                        if (horizontal) {
+                            lineTo(delta, 0);
+                        } else {
+                            lineTo(0, delta);
+                        }
+                        horizontal = !horizontal;
+                    }
+                    stack.length = 0;
+                    break;
+                }
+                case 8: // rrcurveto
+                    for (let i = 0; i + 5 < stack.length; i += 6) {
+                        curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5]);
+                    }
+                    stack.length = 0;
+                    break;
+                case 24: { // rcurveline
+                    let i = 0;
+                    for (; i + 7 < stack.length; i += 6) {
+                        curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5]);
+                    }
+                    lineTo(stack[i], stack[i + 1]);
+                    stack.length = 0;
+                    break;
+                }
+                case 25: { // rlinecurve
+                    let i = 0;
+                    for (; i + 7 < stack.length; i += 2) {
+                        lineTo(stack[i], stack[i + 1]);
+                    }
+                    curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5]);
+                    stack.length = 0;
+                    break;
+                }
+                case 26: { // vvcurveto
+                    let i = 0;
+                    let dx1 = 0;
+                    if (stack.length % 2 === 1) {
+                        dx1 = stack[0];
+                        i = 1;
+                    }
+                    for (; i + 3 < stack.length; i += 4) {
+                        curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+                        dx1 = 0;
+                    }
+                    stack.length = 0;
+                    break;
+                }
+                case 27: { // hhcurveto
+                    let i = 0;
+                    let dy1 = 0;
+                    if (stack.length % 2 === 1) {
+                        dy1 = stack[0];
+                        i = 1;
+                    }
+                    for (; i + 3 < stack.length; i += 4) {
+                        curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+                        dy1 = 0;
+                    }
+                    stack.length = 0;
+                    break;
+                }
+                case 30: // vhcurveto
+                case 31: { // hvcurveto
+                    let horizontal = b0 === 31;
+                    for (let i = 0; i + 3 < stack.length; i += 4) {
+                        const last = stack.length - i === 5 ? stack[i + 4] : 0;
+                        if (horizontal) {
+                            curveTo(stack[i], 0, stack[i + 1], stack[i + 2], last, stack[i + 3]);
+                        } else {
+                            curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], last);
+                        }
+                        horizontal = !horizontal;
+                    }
+                    stack.length = 0;
+                    break;
+                }
+                case 10: // callsubr
+                case 29: { // callgsubr
+                    const subrs = b0 === 10 ? localSubrs : globalSubrs;
+                    const index = stack.pop() + subrBias(subrs.items.length);
+                    const subr = subrs.items[index];
+                    if (subr && depth < MAX_SUBR_DEPTH) {
+                        execute(subr.start, subr.end, depth + 1);
+                    }
+                    break;
+                }
+                case 11: // return
+                    return;
+                case 14: // endchar
+                    takeWidth(true);
+                    if (open) {
+                        path.push(['Z']);
+                        open = false;
+                    }
+                    done = true;
+                    stack.length = 0;
+                    break;
+                case 12: {
+                    const op = data[pos++];
+                    const s = stack;
+                    if (op === 35) { // flex
+                        curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                        curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                    } else if (op === 34) { // hflex
+                        const startY = y;
+                        curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                        curveTo(s[4], 0, s[5], startY - y, s[6], 0);
+                    } else if (op === 36) { // hflex1
+                        const startY = y;
+                        curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                        curveTo(s[5], 0, s[6], s[7], s[8], startY - y - s[7]);
+                    } else if (op === 37) { // flex1
+                        const startX = x;
+                        const startY = y;
+                        const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+                        const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+                        curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                        const midX = x;
+                        const midY = y;
+                        if (Math.abs(dx) > Math.abs(dy)) {
+                            curveTo(s[6], s[7], s[8], s[9], s[10], startY - (midY + s[7] + s[9]));
+                        } else {
+                            curveTo(s[6], s[7], s[8], s[9], startX - (midX + s[6] + s[8]), s[10]);
+                        }
+                    }
+                    stack.length = 0;
+                    break;
+                }
+                default:
+                    stack.length = 0;
+            }
+        }
+    };
+
+    execute(item.start, item.end, 0);
+    if (open) {
+        path.push(['Z']);
+    }
+    return path;
+}
+
+module.exports = {
+    parseCFF
+};
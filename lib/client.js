@@ -0,0 +1,131 @@
+const net = require('net');
+const { DEFAULT_SOCKET_PATH } = require('./daemon');
+
+/**
+ * Client for a running Framik daemon
+ *
+ * Sends jobs over the daemon's Unix socket. Each call opens a short-lived
+ * connection and resolves once the daemon has finished the job.
+ */
+class FramikClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.socketPath - Daemon socket (default: $TMPDIR/framik.sock)
+     */
+    constructor(options = {}) {
+        this.socketPath = options.socketPath || DEFAULT_SOCKET_PATH;
+        this._nextId = 1;
+    }
+
+    /**
+     * Display a packed panel buffer
+     * @param {Buffer} buffer - Image buffer
+     * @param {Object} options - Job options
+     * @param {boolean} options.ifChanged - Skip the refresh if the panel already shows this frame
+     * @returns {Promise<Object>} Finished job summary
+     */
+    display(buffer, options = {}) {
+        if (!Buffer.isBuffer(buffer)) {
+            return Promise.reject(new Error('Expected a Buffer object'));
+        }
+        return this.request({ type: 'display', image: buffer.toString('base64'), ifChanged: Boolean(options.ifChanged) });
+    }
+
+    /**
+     * Clear the panel with a color
+     * @param {number} color - Color value (use Colors constants)
+     * @param {Object} options - Job options
+     * @param {boolean} options.ifChanged - Skip the refresh if the panel is already filled with this color
+     * @returns {Promise<Object>} Finished job summary
+     */
+    clear(color, options = {}) {
+        return this.request({ type: 'clear', color, ifChanged: Boolean(options.ifChanged) });
+    }
+
+    /**
+     * Display the 7-color block test pattern
+     * @returns {Promise<Object>} Finished job summary
+     */
+    show7Block() {
+        return this.request({ type: 'show7Block' });
+    }
+
+    /**
+     * Display the color test pattern
+     * @returns {Promise<Object>} Finished job summary
+     */
+    show() {
+        return this.request({ type: 'show' });
+    }
+
+    /**
+     * Put the panel to sleep now instead of waiting for the idle timeout
+     * @returns {Promise<Object>} Finished job summary
+     */
+    sleep() {
+        return this.request({ type: 'sleep' });
+    }
+
+    /**
+     * Get the daemon status
+     * @returns {Promise<Object>} Status snapshot
+     */
+    status() {
+        return this.request({ type: 'status' });
+    }
+
+    /**
+     * Send a raw request and wait for its response
+     * @param {Object} message - Request object
+     * @returns {Promise<Object>} Response result
+     */
+    request(message) {
+        const id = this._nextId++;
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection(this.socketPath);
+            let pending = '';
+
+            socket.setEncoding('utf8');
+            socket.on('connect', () => {
+                socket.write(JSON.stringify(Object.assign({ id }, message)) + '\n');
+            });
+            socket.on('data', chunk => {
+                pending += chunk;
+                const newline = pending.indexOf('\n');
+                if (newline === -1) {
+                    return;
+                }
+                socket.end();
+
+                let response;
+                try {
+                    response = JSON.parse(pending.slice(0, newline));
+                } catch (error) {
+                    reject(new Error('Invalid response from daemon'));
+                    return;
+                }
+                if (response.ok) {
+                    resolve(response.result);
+                } else {
+                    const error = new Error(response.error);
+                    // Hardware faults keep their code and the stage that failed
+                    if (response.code) {
+                        error.code = response.code;
+                        error.stage = response.stage;
+                    }
+                    reject(error);
+                }
+            });
+            socket.on('error', error => {
+                if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+                    reject(new Error(`Framik daemon is not running (${this.socketPath})`));
+                } else {
+                    reject(error);
+                }
+            });
+        });
+    }
+}
+
+module.exports = FramikClient;
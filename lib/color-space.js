@@ -0,0 +1,221 @@
+/**
+ * Perceptual color spaces and distance metrics
+ *
+ * Nearest-ink matching in CIELAB or OKLab follows perceived color
+ * differences much more closely than distances between raw sRGB values.
+ */
+
+const DISTANCE_METHODS = ['rgb', 'deltaE76', 'deltaE2000', 'oklab'];
+
+// D65 reference white
+const XN = 0.95047;
+const YN = 1.0;
+const ZN = 1.08883;
+
+const LAB_EPSILON = Math.pow(6 / 29, 3);
+const LAB_KAPPA = 3 * Math.pow(6 / 29, 2);
+
+/**
+ * Convert an 8-bit sRGB channel to linear light
+ * @param {number} value - Channel value (0-255)
+ * @returns {number} Linear value (0-1)
+ */
+function srgbToLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert sRGB to CIELAB (D65)
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} [L, a, b]
+ */
+function rgbToLab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / XN;
+    const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / YN;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / ZN;
+
+    const f = t => (t > LAB_EPSILON ? Math.cbrt(t) : t / LAB_KAPPA + 4 / 29);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Convert sRGB to OKLab
+ * @param {number} r - Red value (0-255)
+ * @param {number} g - Green value (0-255)
+ * @param {number} b - Blue value (0-255)
+ * @returns {Array<number>} [L, a, b]
+ */
+function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+/**
+ * Euclidean distance between two color triplets (ΔE76 for CIELAB, ΔEok for OKLab)
+ * @param {Array<number>} c1 - First color
+ * @param {Array<number>} c2 - Second color
+ * @returns {number} Distance
+ */
+function euclidean(c1, c2) {
+    const d0 = c1[0] - c2[0];
+    const d1 = c1[1] - c2[1];
+    const d2 = c1[2] - c2[2];
+    return Math.sqrt(d0 * d0 + d1 * d1 + d2 * d2);
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ * @param {Array<number>} lab1 - First color [L, a, b]
+ * @param {Array<number>} lab2 - Second color [L, a, b]
+ * @returns {number} ΔE2000
+ */
+function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const rad = Math.PI / 180;
+
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+    const hue = (b, a) => {
+        if (a === 0 && b === 0) {
+            return 0;
+        }
+        const h = Math.atan2(b, a) / rad;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hue(b1, a1p);
+    const h2p = hue(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) {
+            dhp -= 360;
+        } else if (dhp < -180) {
+            dhp += 360;
+        }
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) {
+            hbarp += h1p + h2p < 360 ? 360 : -360;
+        }
+        hbarp /= 2;
+    }
+
+    const T = 1 -
+        0.17 * Math.cos((hbarp - 30) * rad) +
+        0.24 * Math.cos(2 * hbarp * rad) +
+        0.32 * Math.cos((3 * hbarp + 6) * rad) -
+        0.20 * Math.cos((4 * hbarp - 63) * rad);
+
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const Lbarp50 = (Lbarp - 50) * (Lbarp - 50);
+    const SL = 1 + (0.015 * Lbarp50) / Math.sqrt(20 + Lbarp50);
+    const SC = 1 + 0.045 * Cbarp;
+    const SH = 1 + 0.015 * Cbarp * T;
+    const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+    const tL = dLp / SL;
+    const tC = dCp / SC;
+    const tH = dHp / SH;
+    return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
+}
+
+/**
+ * Build a nearest-ink matcher for a perceptual distance method
+ * Palette coordinates are converted once and results are cached per RGB value.
+ * @param {Array} palette - Ink list as { color, r, g, b } objects
+ * @param {string} method - 'deltaE76', 'deltaE2000' or 'oklab'
+ * @returns {Function} (r, g, b) => color index
+ */
+function createMatcher(palette, method) {
+    let convert;
+    let distance;
+    switch (method) {
+        case 'deltaE76':
+            convert = rgbToLab;
+            distance = euclidean;
+            break;
+        case 'deltaE2000':
+            convert = rgbToLab;
+            distance = deltaE2000;
+            break;
+        case 'oklab':
+            convert = rgbToOklab;
+            distance = euclidean;
+            break;
+        default:
+            throw new Error(`Unknown color distance "${method}". Expected one of: ${DISTANCE_METHODS.join(', ')}`);
+    }
+
+    const inks = palette.map(ink => ({ color: ink.color, coords: convert(ink.r, ink.g, ink.b) }));
+    const cache = new Map();
+
+    return (r, g, b) => {
+        const key = (r << 16) | (g << 8) | b;
+        let color = cache.get(key);
+        if (color === undefined) {
+            const coords = convert(r, g, b);
+            let minDistance = Infinity;
+            for (const ink of inks) {
+                const d = distance(coords, ink.coords);
+                if (d < minDistance) {
+                    minDistance = d;
+                    color = ink.color;
+                }
+            }
+            cache.set(key, color);
+        }
+        return color;
+    };
+}
+
+module.exports = {
+    DISTANCE_METHODS,
+    srgbToLinear,
+    rgbToLab,
+    rgbToOklab,
+    deltaE2000,
+    createMatcher
+};
@@ -0,0 +1,16 @@
+/**
+ * EPD_7in3e color indices
+ *
+ * Mirrors the EPD_7IN3E_* defines in src/EPD_7in3e.h so the constants are
+ * available without loading the native addon.
+ */
+const Colors = {
+    BLACK: 0x0,
+    WHITE: 0x1,
+    YELLOW: 0x2,
+    RED: 0x3,
+    BLUE: 0x5,
+    GREEN: 0x6
+};
+
+module.exports = Colors;
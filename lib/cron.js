@@ -0,0 +1,237 @@
+/**
+ * Cron expressions
+ *
+ * Standard five-field expressions (minute hour day-of-month month day-of-week)
+ * with lists, ranges, steps and month/day names, plus the @hourly, @daily,
+ * @weekly, @monthly and @yearly shortcuts. Times are local. As in cron, when
+ * both day fields are restricted a day matches if either of them does.
+ * Local times skipped when clocks go forward do not occur that day, and
+ * local times repeated when clocks go back match only once.
+ */
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    // 7 is accepted as Sunday
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Search limit, enough for any valid expression (Feb 29 recurs within 8 years)
+const MAX_SEARCH_YEARS = 8;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or a @macro
+ * @returns {Object} { minutes, hours, days, months, weekdays, anyDay, anyWeekday } with Sets of allowed values
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string') {
+        throw new Error('Cron expression must be a string');
+    }
+    const source = MACROS[expression.trim().toLowerCase()] || expression;
+    const parts = source.trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}". Expected 5 fields: minute hour day month weekday`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+    if (weekdays.has(7)) {
+        weekdays.delete(7);
+        weekdays.add(0);
+    }
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2] === '*' || parts[2] === '?',
+        anyWeekday: parts[4] === '*' || parts[4] === '?'
+    };
+}
+
+/**
+ * Find the first matching minute after a time
+ * The search steps through absolute times, so it keeps moving across daylight-saving changes.
+ * @param {Object|string} cron - Parsed cron or expression
+ * @param {Date} after - Exclusive start (default: now)
+ * @returns {Date} Next run time
+ */
+function nextRun(cron, after = new Date()) {
+    const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+    let time = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+    const limit = after.getFullYear() + MAX_SEARCH_YEARS;
+
+    for (let date = new Date(time); date.getFullYear() <= limit; date = new Date(time)) {
+        let next;
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            next = new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime();
+        } else if (!matchesDay(schedule, date)) {
+            next = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+        } else if (!schedule.hours.has(date.getHours())) {
+            next = startOfHour(date) + HOUR;
+        } else if (!schedule.minutes.has(date.getMinutes()) || isRepeatedTime(date)) {
+            next = time + MINUTE;
+        } else {
+            return date;
+        }
+        time = Math.max(next, time + MINUTE);
+    }
+    throw new Error('Cron expression never matches');
+}
+
+/**
+ * Find the last matching minute at or before a time
+ * The search steps through absolute times, so it keeps moving across daylight-saving changes.
+ * @param {Object|string} cron - Parsed cron or expression
+ * @param {Date} before - Inclusive end (default: now)
+ * @returns {Date} Previous run time
+ */
+function previousRun(cron, before = new Date()) {
+    const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+    let time = Math.floor(before.getTime() / MINUTE) * MINUTE;
+    const limit = before.getFullYear() - MAX_SEARCH_YEARS;
+
+    for (let date = new Date(time); date.getFullYear() >= limit; date = new Date(time)) {
+        let previous;
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            previous = new Date(date.getFullYear(), date.getMonth(), 1).getTime() - MINUTE;
+        } else if (!matchesDay(schedule, date)) {
+            previous = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() - MINUTE;
+        } else if (!schedule.hours.has(date.getHours())) {
+            previous = startOfHour(date) - MINUTE;
+        } else if (!schedule.minutes.has(date.getMinutes()) || isRepeatedTime(date)) {
+            previous = time - MINUTE;
+        } else {
+            return date;
+        }
+        time = Math.min(previous, time - MINUTE);
+    }
+    throw new Error('Cron expression never matches');
+}
+
+/**
+ * Start of the hour of a time, in absolute time
+ * @param {Date} date - Time on a minute boundary
+ * @returns {number} Timestamp in ms
+ */
+function startOfHour(date) {
+    return date.getTime() - date.getMinutes() * MINUTE;
+}
+
+/**
+ * Check whether a time is the second occurrence of its local time
+ * When clocks go back, the times of the repeated hour only match once.
+ * @param {Date} date - Time on a minute boundary
+ * @returns {boolean} True if the same local time already occurred an hour or so earlier
+ */
+function isRepeatedTime(date) {
+    const local = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes());
+    return local.getTime() !== date.getTime();
+}
+
+/**
+ * Check the day fields against a date
+ * @param {Object} schedule - Parsed cron
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(schedule, date) {
+    const day = schedule.days.has(date.getDate());
+    const weekday = schedule.weekdays.has(date.getDay());
+    if (schedule.anyDay && schedule.anyWeekday) {
+        return true;
+    }
+    if (schedule.anyDay) {
+        return weekday;
+    }
+    if (schedule.anyWeekday) {
+        return day;
+    }
+    return day || weekday;
+}
+
+/**
+ * Parse one field into the set of allowed values
+ * @param {string} part - Field text
+ * @param {Object} field - Field definition
+ * @param {string} expression - Whole expression, for error messages
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(part, field, expression) {
+    const values = new Set();
+    const fail = () => {
+        throw new Error(`Invalid ${field.name} "${part}" in cron expression "${expression}"`);
+    };
+    const parseValue = text => {
+        const lower = text.toLowerCase();
+        if (field.names && field.names.includes(lower)) {
+            return field.names.indexOf(lower) + field.offset;
+        }
+        if (!/^\d+$/.test(text)) {
+            fail();
+        }
+        const value = Number(text);
+        if (value < field.min || value > field.max) {
+            fail();
+        }
+        return value;
+    };
+
+    for (const item of part.split(',')) {
+        const [range, stepText] = item.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1 || item.split('/').length > 2) {
+            fail();
+        }
+
+        let start;
+        let end;
+        if (range === '*' || range === '?') {
+            start = field.min;
+            end = field.name === 'day of week' ? 6 : field.max;
+        } else if (range.includes('-')) {
+            const bounds = range.split('-');
+            if (bounds.length !== 2) {
+                fail();
+            }
+            start = parseValue(bounds[0]);
+            end = parseValue(bounds[1]);
+            if (end < start) {
+                fail();
+            }
+        } else {
+            start = parseValue(range);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+module.exports = {
+    nextRun,
+    parseCron,
+    previousRun
+};
@@ -0,0 +1,533 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const EPD7in3e = require('../index');
+const { EPDError } = require('./errors');
+
+const DEFAULT_SOCKET_PATH = path.join(os.tmpdir(), 'framik.sock');
+const DEFAULT_LOCK_PATH = path.join(os.tmpdir(), 'framik.lock');
+
+const JOB_TYPES = ['display', 'clear', 'show7Block', 'show', 'sleep'];
+
+const REFRESH_TYPES = ['display', 'clear', 'show7Block', 'show'];
+
+// Longest request line accepted from a client; a base64 framebuffer is about 256 KB
+const MAX_REQUEST_LENGTH = 1024 * 1024;
+
+/**
+ * Framik daemon
+ *
+ * Owns the panel for the lifetime of the process, accepts jobs from
+ * in-process callers and from clients connected to a Unix socket, and runs
+ * them one at a time. The panel is initialized before the first job and put
+ * back to sleep by the display's auto-sleep once the queue is empty, so the
+ * power state is the display's own. Refreshes respect the display's
+ * refresh policy: they wait for its minimum interval, and a refresh queued
+ * while another one of the same type waits replaces it.
+ *
+ * Events: 'job:start', 'job:done', 'job:error', 'panel:init', 'panel:sleep', 'error'
+ */
+class FramikDaemon extends EventEmitter {
+    /**
+     * @param {Object} options - Daemon options
+     * @param {EPD7in3e} options.epd - Display instance (default: a new EPD7in3e built from options)
+     * @param {string} options.socketPath - Unix socket for clients (default: $TMPDIR/framik.sock)
+     * @param {string} options.lockPath - Lock file guarding panel ownership (default: $TMPDIR/framik.lock)
+     * @param {number} options.sleepTimeout - Idle time in ms before the panel is put to sleep (default: 0),
+     *   set as the display's auto-sleep while the daemon runs
+     */
+    constructor(options = {}) {
+        super();
+        this.epd = options.epd || new EPD7in3e(options);
+        this.socketPath = options.socketPath || DEFAULT_SOCKET_PATH;
+        this.lockPath = options.lockPath || DEFAULT_LOCK_PATH;
+        this.sleepTimeout = options.sleepTimeout || 0;
+
+        this.queue = [];
+        this.currentJob = null;
+        this.running = false;
+        this.server = null;
+        this.stats = {
+            completed: 0,
+            failed: 0,
+            skipped: 0,
+            superseded: 0,
+            lastRefresh: null,
+            lastFault: null
+        };
+
+        this._nextJobId = 1;
+        this._draining = null;
+        this._refreshWait = null;
+        this._onPower = (state, previous) => this._powerChanged(state, previous);
+    }
+
+    /**
+     * Take ownership of the panel and start listening for clients
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('Daemon already running');
+        }
+
+        this._acquireLock();
+        try {
+            await this._listen();
+        } catch (error) {
+            this._releaseLock();
+            throw error;
+        }
+        this.epd.setAutoSleep(this.sleepTimeout);
+        this.epd.on('power', this._onPower);
+        this.running = true;
+    }
+
+    /**
+     * Finish the current job, put the panel to sleep and release it
+     * Jobs still waiting in the queue are rejected. The socket and the lock are released
+     * even if the panel fails to close, and that failure is thrown afterwards.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+
+        const pending = this.queue.splice(0);
+        pending.forEach(job => settle(job, null, new Error('Daemon stopped')));
+        if (this._refreshWait) {
+            this._refreshWait();
+        }
+
+        if (this._draining) {
+            await this._draining;
+        }
+
+        try {
+            if (this.epd.getPowerState() === 'awake') {
+                await this.epd.sleepAsync();
+            }
+        } finally {
+            let exitError = null;
+            try {
+                this.epd.exit();
+            } catch (error) {
+                exitError = error;
+            }
+            this.epd.removeListener('power', this._onPower);
+            await this._close();
+            this._releaseLock();
+            if (exitError) {
+                throw exitError;
+            }
+        }
+    }
+
+    /**
+     * Queue a job for the panel
+     * @param {Object} job - Job description
+     * @param {string} job.type - 'display', 'clear', 'show7Block', 'show' or 'sleep'
+     * @param {Buffer} job.buffer - Packed panel buffer (display jobs)
+     * @param {number} job.color - Fill color (clear jobs)
+     * @param {boolean} job.ifChanged - Skip display and clear jobs when the panel already shows that frame
+     * @returns {Promise<Object>} Resolves with the finished job summary; skipped is true if no refresh was needed,
+     *   supersededBy holds the id of the refresh that replaced this one while it waited
+     */
+    submit(job) {
+        if (!this.running) {
+            return Promise.reject(new Error('Daemon not running'));
+        }
+        if (!job || !JOB_TYPES.includes(job.type)) {
+            return Promise.reject(new Error(`Unknown job type. Expected one of: ${JOB_TYPES.join(', ')}`));
+        }
+        if (job.type === 'display') {
+            if (!Buffer.isBuffer(job.buffer)) {
+                return Promise.reject(new Error('Expected a Buffer object'));
+            }
+            if (job.buffer.length !== this.epd.getBufferSize()) {
+                return Promise.reject(new Error(`Buffer size mismatch. Expected ${this.epd.getBufferSize()} bytes, got ${job.buffer.length}`));
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                id: this._nextJobId++,
+                type: job.type,
+                buffer: job.buffer,
+                color: job.color,
+                ifChanged: Boolean(job.ifChanged),
+                submittedAt: Date.now(),
+                superseded: [],
+                resolve,
+                reject
+            };
+
+            // Latest frame wins: a refresh still waiting in the queue is replaced by one of the same type,
+            // as the display coalesces them. A clear is never dropped for a display.
+            const last = this.queue[this.queue.length - 1];
+            if (last && last.type === entry.type && last.ifChanged === entry.ifChanged &&
+                REFRESH_TYPES.includes(entry.type) && this._coalesces()) {
+                this.queue.pop();
+                entry.superseded = last.superseded.concat(last);
+                last.superseded = [];
+                this.stats.superseded++;
+            }
+            this.queue.push(entry);
+            this._drain();
+        });
+    }
+
+    /**
+     * Get the daemon status
+     * @returns {Object} Status snapshot
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            panel: this.epd.getPowerState(),
+            backend: this.epd.backend.name,
+            busy: this.currentJob !== null,
+            currentJob: this.currentJob ? { id: this.currentJob.id, type: this.currentJob.type } : null,
+            queueLength: this.queue.length,
+            completed: this.stats.completed,
+            failed: this.stats.failed,
+            skipped: this.stats.skipped,
+            superseded: this.stats.superseded,
+            lastRefresh: this.stats.lastRefresh,
+            lastFault: this.stats.lastFault,
+            refreshDelay: this.epd.getRefreshDelay(),
+            wear: this.epd.getWearReport()
+        };
+    }
+
+    /**
+     * Internal method processing queued jobs one at a time
+     * @private
+     */
+    _drain() {
+        if (this._draining) {
+            return this._draining;
+        }
+
+        this._draining = (async () => {
+            while (this.queue.length > 0) {
+                // The refresh waits in the queue, where newer refreshes can replace it
+                if (REFRESH_TYPES.includes(this.queue[0].type)) {
+                    await this._waitForRefreshSlot();
+                    if (!this.running) {
+                        break;
+                    }
+                }
+
+                const job = this.queue.shift();
+                this.currentJob = job;
+                this.emit('job:start', job);
+
+                try {
+                    const skipped = await this._run(job);
+                    this.stats.completed++;
+                    const summary = { id: job.id, type: job.type, duration: Date.now() - job.submittedAt, skipped };
+                    this.emit('job:done', summary);
+                    settle(job, summary);
+                } catch (error) {
+                    this.stats.failed++;
+                    if (error instanceof EPDError) {
+                        this.stats.lastFault = describeFault(error);
+                    }
+                    this.emit('job:error', error, job);
+                    settle(job, null, error);
+                } finally {
+                    this.currentJob = null;
+                }
+            }
+            this._draining = null;
+        })();
+        return this._draining;
+    }
+
+    /**
+     * Internal method waiting until the refresh policy allows the next refresh
+     * stop() ends the wait early.
+     * @private
+     */
+    async _waitForRefreshSlot() {
+        const delay = this.epd.getRefreshDelay();
+        if (delay === 0) {
+            return;
+        }
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            this._refreshWait = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+        this._refreshWait = null;
+    }
+
+    /**
+     * Internal method checking whether queued refreshes replace each other
+     * @private
+     */
+    _coalesces() {
+        const policy = this.epd.getRefreshPolicy();
+        return policy.minInterval > 0 && policy.coalesce;
+    }
+
+    /**
+     * Internal method running a single job against the panel
+     * @returns {Promise<boolean>} True if the job was skipped because the frame was already shown
+     * @private
+     */
+    async _run(job) {
+        if (job.type === 'sleep') {
+            if (this.epd.getPowerState() === 'awake') {
+                await this.epd.sleepAsync();
+            }
+            return false;
+        }
+
+        const color = job.color === undefined ? this.epd.colors.WHITE : job.color;
+        if (job.ifChanged && (job.type === 'display' || job.type === 'clear')) {
+            const frame = job.type === 'display' ? job.buffer : this.epd.createBuffer(color);
+            if (!this.epd.compareFrame(frame).changed) {
+                this.stats.skipped++;
+                return true;
+            }
+        }
+
+        // Refreshes wake a panel that is asleep or was reset after a fault
+        if (this.epd.getPowerState() === 'off') {
+            await this.epd.initAsync();
+        }
+        switch (job.type) {
+            case 'display':
+                await this.epd.displayAsync(job.buffer);
+                break;
+            case 'clear':
+                await this.epd.clearAsync(color);
+                break;
+            case 'show7Block':
+                await this.epd.show7BlockAsync();
+                break;
+            case 'show':
+                await this.epd.showAsync();
+                break;
+        }
+        this.stats.lastRefresh = new Date().toISOString();
+        return false;
+    }
+
+    /**
+     * Internal method reporting the display's power changes as panel events
+     * @param {string} state - New power state
+     * @param {string} previous - Former power state
+     * @private
+     */
+    _powerChanged(state, previous) {
+        if (state === 'awake') {
+            this.emit('panel:init');
+        } else if (state === 'sleeping' && previous === 'awake') {
+            this.emit('panel:sleep');
+        }
+    }
+
+    /**
+     * Internal method taking the ownership lock, replacing stale ones
+     * @private
+     */
+    _acquireLock() {
+        try {
+            fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const owner = parseInt(fs.readFileSync(this.lockPath, 'utf8'), 10);
+        if (owner && isProcessAlive(owner)) {
+            throw new Error(`Panel is already owned by process ${owner} (${this.lockPath})`);
+        }
+        fs.unlinkSync(this.lockPath);
+        fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+    }
+
+    /**
+     * Internal method removing the ownership lock
+     * @private
+     */
+    _releaseLock() {
+        try {
+            fs.unlinkSync(this.lockPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Internal method opening the client socket
+     * Holding the lock means any socket file left behind is stale.
+     * @private
+     */
+    _listen() {
+        if (fs.existsSync(this.socketPath)) {
+            fs.unlinkSync(this.socketPath);
+        }
+
+        this.server = net.createServer(socket => this._handleConnection(socket));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.socketPath, () => {
+                this.server.removeListener('error', reject);
+                this.server.on('error', error => this.emit('error', error));
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Internal method closing the client socket
+     * @private
+     */
+    _close() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Internal method reading newline-delimited JSON requests from a client
+     * @private
+     */
+    _handleConnection(socket) {
+        let pending = '';
+        socket.setEncoding('utf8');
+        socket.on('error', () => socket.destroy());
+        socket.on('data', chunk => {
+            pending += chunk;
+            let newline;
+            while ((newline = pending.indexOf('\n')) !== -1) {
+                const line = pending.slice(0, newline);
+                pending = pending.slice(newline + 1);
+                if (line.trim()) {
+                    this._handleRequest(socket, line);
+                }
+            }
+            if (pending.length > MAX_REQUEST_LENGTH) {
+                // A client that never ends its line would otherwise grow the buffer without limit
+                pending = '';
+                socket.pause();
+                reply(socket, { id: null, ok: false, error: `Request line longer than ${MAX_REQUEST_LENGTH} characters` });
+                socket.end(() => socket.destroy());
+            }
+        });
+    }
+
+    /**
+     * Internal method answering a single client request
+     * @private
+     */
+    async _handleRequest(socket, line) {
+        let request;
+        try {
+            request = JSON.parse(line);
+        } catch (error) {
+            reply(socket, { id: null, ok: false, error: 'Invalid JSON request' });
+            return;
+        }
+
+        try {
+            let result;
+            if (request.type === 'status') {
+                result = this.getStatus();
+            } else {
+                result = await this.submit({
+                    type: request.type,
+                    buffer: request.image !== undefined ? Buffer.from(request.image, 'base64') : undefined,
+                    color: request.color,
+                    ifChanged: request.ifChanged
+                });
+            }
+            reply(socket, { id: request.id, ok: true, result });
+        } catch (error) {
+            const fault = error instanceof EPDError ? { code: error.code, stage: error.stage } : {};
+            reply(socket, { id: request.id, ok: false, error: error.message, ...fault });
+        }
+    }
+}
+
+/**
+ * Answer a finished job and the refreshes it replaced
+ * @param {Object} job - Queued job
+ * @param {Object|null} summary - Job summary when it succeeded
+ * @param {Error} error - Failure reason
+ */
+function settle(job, summary, error) {
+    job.superseded.forEach(replaced => {
+        if (summary) {
+            replaced.resolve({ ...summary, id: replaced.id, type: replaced.type, supersededBy: job.id });
+        } else {
+            replaced.reject(error);
+        }
+    });
+    if (summary) {
+        job.resolve(summary);
+    } else {
+        job.reject(error);
+    }
+}
+
+/**
+ * Summarize a hardware fault for the status
+ * @param {EPDError} error - Typed driver error
+ * @returns {Object} { message, code, stage, timeout, at }
+ */
+function describeFault(error) {
+    return {
+        message: error.message,
+        code: error.code,
+        stage: error.stage,
+        timeout: error.timeout,
+        at: new Date().toISOString()
+    };
+}
+
+/**
+ * Write a response line if the client is still connected
+ * @param {net.Socket} socket - Client connection
+ * @param {Object} message - Response object
+ */
+function reply(socket, message) {
+    if (!socket.destroyed) {
+        socket.write(JSON.stringify(message) + '\n');
+    }
+}
+
+/**
+ * Check whether a process id belongs to a running process
+ * @param {number} pid - Process id
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+module.exports = FramikDaemon;
+module.exports.DEFAULT_SOCKET_PATH = DEFAULT_SOCKET_PATH;
+module.exports.DEFAULT_LOCK_PATH = DEFAULT_LOCK_PATH;
@@ -0,0 +1,302 @@
+/**
+ * Dithering for the 6-ink panel palette
+ *
+ * Error diffusion spreads the difference between a pixel and the ink it was
+ * mapped to over neighbouring pixels; ordered dithering offsets each pixel
+ * by a threshold matrix before mapping. Both produce an array of color
+ * indices that the caller packs into a panel buffer.
+ */
+
+// [dx, dy, weight] offsets relative to the current pixel, for left-to-right scanning
+const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    // Atkinson only propagates 6/8 of the error, which keeps highlights clean
+    'atkinson': {
+        divisor: 8,
+        offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    'stucki': {
+        divisor: 42,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    'sierra': {
+        divisor: 32,
+        offsets: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    }
+};
+
+const ORDERED_METHODS = ['bayer', 'blue-noise'];
+
+const DITHER_METHODS = Object.keys(ERROR_DIFFUSION_KERNELS).concat(ORDERED_METHODS);
+
+// Methods accepted by createBufferFromRGBAdvanced: per-pixel mappings, then dithering
+const COLOR_METHODS = ['closest', 'threshold', 'exact'].concat(DITHER_METHODS);
+
+// Amplitude of the ordered-dither offset, in 0-255 channel units.
+// The inks are far apart in RGB, so the offset has to be large to mix them.
+const ORDERED_SPREAD = 160;
+
+const BAYER_8X8 = [
+    [0, 32, 8, 40, 2, 34, 10, 42],
+    [48, 16, 56, 24, 50, 18, 58, 26],
+    [12, 44, 4, 36, 14, 46, 6, 38],
+    [60, 28, 52, 20, 62, 30, 54, 22],
+    [3, 35, 11, 43, 1, 33, 9, 41],
+    [51, 19, 59, 27, 49, 17, 57, 25],
+    [15, 47, 7, 39, 13, 45, 5, 37],
+    [63, 31, 55, 23, 61, 29, 53, 21]
+];
+
+const BLUE_NOISE_SIZE = 64;
+
+let blueNoiseMatrix = null;
+
+/**
+ * Check whether a method name is a dithering method
+ * @param {string} method - Color mapping method
+ * @returns {boolean} True for dithering methods
+ */
+function isDitherMethod(method) {
+    return DITHER_METHODS.includes(method);
+}
+
+/**
+ * Dither RGB image data to panel color indices
+ * @param {Uint8Array} rgbData - RGB image data array
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - Number of color channels (3 for RGB, 4 for RGBA)
+ * @param {string} method - Dithering method (see DITHER_METHODS)
+ * @param {Function} mapColor - (r, g, b) => color index of the nearest ink
+ * @param {Array} palette - Ink list as { color, r, g, b } objects
+ * @returns {Uint8Array} Color index per pixel, row-major
+ */
+function dither(rgbData, width, height, channels, method, mapColor, palette) {
+    if (ERROR_DIFFUSION_KERNELS[method]) {
+        return errorDiffusion(rgbData, width, height, channels, ERROR_DIFFUSION_KERNELS[method], mapColor, palette);
+    }
+    if (method === 'bayer') {
+        return ordered(rgbData, width, height, channels, BAYER_8X8, 64, mapColor);
+    }
+    if (method === 'blue-noise') {
+        return ordered(rgbData, width, height, channels, getBlueNoiseMatrix(), BLUE_NOISE_SIZE * BLUE_NOISE_SIZE, mapColor);
+    }
+    throw new Error(`Unknown dithering method "${method}". Expected one of: ${DITHER_METHODS.join(', ')}`);
+}
+
+/**
+ * Error diffusion with serpentine scanning
+ * Alternating the scan direction each row avoids the diagonal "worm" artifacts
+ * of left-to-right only scanning.
+ */
+function errorDiffusion(rgbData, width, height, channels, kernel, mapColor, palette) {
+    const inks = {};
+    palette.forEach(ink => {
+        inks[ink.color] = ink;
+    });
+
+    const work = new Float32Array(width * height * 3);
+    for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+        work[i * 3] = rgbData[j];
+        work[i * 3 + 1] = rgbData[j + 1];
+        work[i * 3 + 2] = rgbData[j + 2];
+    }
+
+    const result = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const reverse = y % 2 === 1;
+        for (let step = 0; step < width; step++) {
+            const x = reverse ? width - 1 - step : step;
+            const index = y * width + x;
+            const r = clamp(work[index * 3]);
+            const g = clamp(work[index * 3 + 1]);
+            const b = clamp(work[index * 3 + 2]);
+
+            const color = mapColor(Math.round(r), Math.round(g), Math.round(b));
+            const ink = inks[color];
+            result[index] = color;
+
+            const errR = r - ink.r;
+            const errG = g - ink.g;
+            const errB = b - ink.b;
+
+            for (const [dx, dy, weight] of kernel.offsets) {
+                const nx = reverse ? x - dx : x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) {
+                    continue;
+                }
+                const target = (ny * width + nx) * 3;
+                const factor = weight / kernel.divisor;
+                work[target] += errR * factor;
+                work[target + 1] += errG * factor;
+                work[target + 2] += errB * factor;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Ordered dithering against a square threshold matrix
+ */
+function ordered(rgbData, width, height, channels, matrix, levels, mapColor) {
+    const size = matrix.length;
+    const result = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const row = matrix[y % size];
+        for (let x = 0; x < width; x++) {
+            const offset = ((row[x % size] + 0.5) / levels - 0.5) * ORDERED_SPREAD;
+            const pixelIndex = (y * width + x) * channels;
+            result[y * width + x] = mapColor(
+                Math.round(clamp(rgbData[pixelIndex] + offset)),
+                Math.round(clamp(rgbData[pixelIndex + 1] + offset)),
+                Math.round(clamp(rgbData[pixelIndex + 2] + offset))
+            );
+        }
+    }
+    return result;
+}
+
+/**
+ * Get the blue-noise threshold matrix, generating it on first use
+ * @returns {Array<Array<number>>} BLUE_NOISE_SIZE x BLUE_NOISE_SIZE ranks
+ */
+function getBlueNoiseMatrix() {
+    if (!blueNoiseMatrix) {
+        blueNoiseMatrix = generateBlueNoise(BLUE_NOISE_SIZE, 1.5, 0x5EED);
+    }
+    return blueNoiseMatrix;
+}
+
+/**
+ * Generate a blue-noise threshold matrix with Ulichney's void-and-cluster method
+ * @param {number} size - Matrix width and height
+ * @param {number} sigma - Gaussian filter radius
+ * @param {number} seed - Seed for the initial random pattern
+ * @returns {Array<Array<number>>} Rank of each cell, 0 to size*size-1
+ */
+function generateBlueNoise(size, sigma, seed) {
+    const count = size * size;
+
+    // Toroidal Gaussian weights indexed by wrapped (dx, dy)
+    const gauss = new Float64Array(count);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            const wy = Math.min(dy, size - dy);
+            gauss[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+        }
+    }
+
+    const pattern = new Uint8Array(count);
+    const energy = new Float64Array(count);
+    const toggle = (index, sign) => {
+        pattern[index] = sign > 0 ? 1 : 0;
+        const px = index % size;
+        const py = Math.floor(index / size);
+        for (let y = 0; y < size; y++) {
+            const dy = ((y - py) + size) % size;
+            for (let x = 0; x < size; x++) {
+                const dx = ((x - px) + size) % size;
+                energy[y * size + x] += sign * gauss[dy * size + dx];
+            }
+        }
+    };
+    // Tightest cluster: the set pixel with the most energy.
+    // Largest void: the empty pixel with the least energy.
+    const find = (value, pickMax) => {
+        let best = -1;
+        for (let i = 0; i < count; i++) {
+            if (pattern[i] === value && (best === -1 || (pickMax ? energy[i] > energy[best] : energy[i] < energy[best]))) {
+                best = i;
+            }
+        }
+        return best;
+    };
+
+    // Initial pattern: 10% random points, relaxed until evenly spread
+    const random = mulberry32(seed);
+    const initialOnes = Math.floor(count / 10);
+    let placed = 0;
+    while (placed < initialOnes) {
+        const index = Math.floor(random() * count);
+        if (!pattern[index]) {
+            toggle(index, 1);
+            placed++;
+        }
+    }
+    for (let iteration = 0; iteration < count; iteration++) {
+        const cluster = find(1, true);
+        toggle(cluster, -1);
+        const voidIndex = find(0, false);
+        toggle(voidIndex, 1);
+        if (voidIndex === cluster) {
+            break;
+        }
+    }
+
+    const initialPattern = Uint8Array.from(pattern);
+    const initialEnergy = Float64Array.from(energy);
+    const ranks = new Int32Array(count);
+
+    // Phase 1: rank the initial points by removing tightest clusters
+    for (let rank = initialOnes - 1; rank >= 0; rank--) {
+        const cluster = find(1, true);
+        toggle(cluster, -1);
+        ranks[cluster] = rank;
+    }
+
+    // Phases 2 and 3: fill the largest voids until every cell is ranked
+    pattern.set(initialPattern);
+    energy.set(initialEnergy);
+    for (let rank = initialOnes; rank < count; rank++) {
+        const voidIndex = find(0, false);
+        toggle(voidIndex, 1);
+        ranks[voidIndex] = rank;
+    }
+
+    const matrix = [];
+    for (let y = 0; y < size; y++) {
+        matrix.push(Array.from(ranks.subarray(y * size, (y + 1) * size)));
+    }
+    return matrix;
+}
+
+/**
+ * Small seeded PRNG so the generated matrix is identical on every run
+ */
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function clamp(value) {
+    return value < 0 ? 0 : (value > 255 ? 255 : value);
+}
+
+module.exports = {
+    COLOR_METHODS,
+    DITHER_METHODS,
+    isDitherMethod,
+    dither,
+    getBlueNoiseMatrix
+};
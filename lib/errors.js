@@ -0,0 +1,102 @@
+/**
+ * Hardware errors
+ *
+ * The driver reports failures with a code and the step that failed. They are
+ * turned into typed errors so callers can tell a missing interface from a
+ * panel that stopped answering, and the display can decide to reset it.
+ */
+
+// Steps of the driver that can fail
+const FAULT_STAGES = ['open', 'reset', 'power-on', 'refresh', 'power-off', 'sleep'];
+
+// Busy wait limits in ms, as EPD_7IN3E_BUSY_TIMEOUT_MS and EPD_7IN3E_REFRESH_TIMEOUT_MS
+const DEFAULT_BUSY_TIMEOUT = 10000;
+const DEFAULT_REFRESH_TIMEOUT = 60000;
+
+/**
+ * Base class of the hardware errors
+ */
+class EPDError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} stage - Step that failed (see FAULT_STAGES)
+     */
+    constructor(message, stage) {
+        super(message);
+        this.name = this.constructor.name;
+        this.stage = stage;
+    }
+}
+
+/**
+ * The panel could not be brought up: the GPIO/SPI interfaces did not open
+ * (stage 'open'), or the panel stayed busy while being reset and configured
+ */
+class EPDInitError extends EPDError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} stage - 'open', 'reset' or 'power-on'
+     * @param {number|null} timeout - Busy wait limit in ms that ran out, null for 'open'
+     */
+    constructor(message, stage, timeout = null) {
+        super(message, stage);
+        this.code = 'EPD_INIT_FAILED';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * The busy line did not go idle in time during a refresh or sleep, usually a
+ * loose ribbon cable or a panel that needs a reset
+ */
+class EPDBusyTimeoutError extends EPDError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} stage - 'power-on', 'refresh', 'power-off' or 'sleep'
+     * @param {number} timeout - Busy wait limit in ms that ran out
+     */
+    constructor(message, stage, timeout) {
+        super(message, stage);
+        this.code = 'EPD_BUSY_TIMEOUT';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Turn an error raised by the native addon into a typed error
+ * Errors without a known code are returned unchanged.
+ * @param {Error} error - Error from the addon
+ * @returns {Error} EPDInitError, EPDBusyTimeoutError or the error itself
+ */
+function toEPDError(error) {
+    if (!error || error instanceof EPDError) {
+        return error;
+    }
+    if (error.code === 'EPD_INIT_FAILED') {
+        return new EPDInitError(error.message, error.stage, error.timeout || null);
+    }
+    if (error.code === 'EPD_BUSY_TIMEOUT') {
+        return new EPDBusyTimeoutError(error.message, error.stage, error.timeout);
+    }
+    return error;
+}
+
+/**
+ * Whether an error means the panel stopped answering, so a reset may bring it back
+ * @param {Error} error - Any error
+ * @returns {boolean} True for busy wait timeouts, including those while waking
+ */
+function isPanelFault(error) {
+    return error instanceof EPDError && typeof error.timeout === 'number';
+}
+
+module.exports = {
+    FAULT_STAGES,
+    DEFAULT_BUSY_TIMEOUT,
+    DEFAULT_REFRESH_TIMEOUT,
+    EPDError,
+    EPDInitError,
+    EPDBusyTimeoutError,
+    toEPDError,
+    isPanelFault
+};
@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSfnt } = require('./sfnt');
+
+/**
+ * Fonts for text rendering
+ *
+ * Both font kinds return 1-bit glyph bitmaps: e-paper inks cannot blend,
+ * so outlines are rasterized without anti-aliasing. Glyphs are positioned
+ * relative to the pen on the baseline: `left` and `top` give the offset of
+ * the bitmap's top-left corner, `advance` the pen movement.
+ */
+
+// Sub-scanlines per pixel row when rasterizing outlines
+const SUPERSAMPLE = 4;
+
+// Minimum pixel coverage for an outline pixel to be inked
+const COVERAGE_THRESHOLD = 0.5;
+
+const BUILTIN_FONT_NAMES = ['Font8', 'Font12', 'Font16', 'Font20', 'Font24'];
+
+let builtinData = null;
+const builtinFonts = {};
+
+/**
+ * Fixed-size bitmap font in the layout of Waveshare's sFONT tables:
+ * one cell per character, rows of ceil(width / 8) bytes, MSB first
+ */
+class BitmapFont {
+    /**
+     * @param {string} name - Font name
+     * @param {Object} definition - { width, height, ascent, chars, data }
+     *   where chars lists the characters in table order and data is the base64 glyph table
+     */
+    constructor(name, definition) {
+        this.name = name;
+        this.width = definition.width;
+        this.height = definition.height;
+        this.ascent = definition.ascent;
+        this.size = definition.height;
+        this.table = Buffer.from(definition.data, 'base64');
+        this.bytesPerRow = Math.ceil(this.width / 8);
+        this.index = new Map();
+        Array.from(definition.chars).forEach((char, i) => {
+            this.index.set(char.codePointAt(0), i);
+        });
+        this.cache = new Map();
+    }
+
+    /**
+     * Get line metrics
+     * @returns {Object} { ascent, descent, lineHeight } in pixels
+     */
+    getMetrics() {
+        return { ascent: this.ascent, descent: this.height - this.ascent, lineHeight: this.height };
+    }
+
+    /**
+     * Get the bitmap of a character
+     * @param {number} codepoint - Unicode codepoint
+     * @returns {Object|null} { advance, left, top, width, height, bitmap }, or null if the font lacks it
+     */
+    getGlyph(codepoint) {
+        if (this.cache.has(codepoint)) {
+            return this.cache.get(codepoint);
+        }
+        const index = this.index.get(codepoint);
+        let glyph = null;
+        if (index !== undefined) {
+            const bitmap = new Uint8Array(this.width * this.height);
+            const start = index * this.height * this.bytesPerRow;
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    const byte = this.table[start + y * this.bytesPerRow + (x >> 3)];
+                    bitmap[y * this.width + x] = (byte >> (7 - (x & 7))) & 1;
+                }
+            }
+            glyph = { advance: this.width, left: 0, top: -this.ascent, width: this.width, height: this.height, bitmap };
+        }
+        this.cache.set(codepoint, glyph);
+        return glyph;
+    }
+}
+
+/**
+ * Scalable TrueType or OpenType font
+ */
+class OutlineFont {
+    /**
+     * @param {Buffer} buffer - Font file contents
+     * @param {string} name - Font name
+     */
+    constructor(buffer, name = 'font') {
+        this.name = name;
+        this.font = parseSfnt(buffer);
+        this.cache = new Map();
+    }
+
+    /**
+     * Get line metrics
+     * @param {number} size - Font size in pixels per em
+     * @returns {Object} { ascent, descent, lineHeight } in pixels
+     */
+    getMetrics(size) {
+        const scale = size / this.font.unitsPerEm;
+        const ascent = Math.round(this.font.ascender * scale);
+        const descent = Math.round(-this.font.descender * scale);
+        return { ascent, descent, lineHeight: ascent + descent + Math.round(this.font.lineGap * scale) };
+    }
+
+    /**
+     * Rasterize a character
+     * @param {number} codepoint - Unicode codepoint
+     * @param {number} size - Font size in pixels per em
+     * @returns {Object|null} { advance, left, top, width, height, bitmap }, or null if the font lacks it
+     */
+    getGlyph(codepoint, size) {
+        const key = `${codepoint}:${size}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        const index = this.font.glyphIndex(codepoint);
+        let glyph = null;
+        if (index !== 0) {
+            const scale = size / this.font.unitsPerEm;
+            glyph = rasterize(this.font.glyphPath(index), scale);
+            glyph.advance = this.font.advanceWidth(index) * scale;
+        }
+        this.cache.set(key, glyph);
+        return glyph;
+    }
+}
+
+/**
+ * Get a bundled bitmap font
+ * @param {string} name - 'Font8', 'Font12', 'Font16', 'Font20' or 'Font24'
+ * @returns {BitmapFont} Font
+ */
+function getBuiltinFont(name) {
+    if (!builtinData) {
+        builtinData = require('./fonts/bitmap-fonts');
+    }
+    if (!builtinData[name]) {
+        throw new Error(`Unknown font "${name}". Expected one of: ${Object.keys(builtinData).join(', ')} or a loaded font`);
+    }
+    if (!builtinFonts[name]) {
+        builtinFonts[name] = new BitmapFont(name, builtinData[name]);
+    }
+    return builtinFonts[name];
+}
+
+/**
+ * Get the bundled bitmap font closest to a pixel height
+ * @param {number} size - Desired line height in pixels
+ * @returns {BitmapFont} Font
+ */
+function getBuiltinFontForSize(size) {
+    const best = BUILTIN_FONT_NAMES.reduce((a, b) => {
+        const da = Math.abs(getBuiltinFont(a).size - size);
+        const db = Math.abs(getBuiltinFont(b).size - size);
+        return db < da ? b : a;
+    });
+    return getBuiltinFont(best);
+}
+
+/**
+ * Load a TrueType or OpenType font
+ * @param {string|Buffer} source - Font file path or contents
+ * @returns {OutlineFont} Font
+ */
+function loadFont(source) {
+    if (typeof source === 'string') {
+        return new OutlineFont(fs.readFileSync(source), path.basename(source, path.extname(source)));
+    }
+    if (!Buffer.isBuffer(source)) {
+        throw new Error('Font must be a file path or a Buffer');
+    }
+    return new OutlineFont(source);
+}
+
+/**
+ * Rasterize path commands into a 1-bit bitmap
+ * @param {Array} commands - ['M'|'L'|'Q'|'C'|'Z', ...coords] in font units, y up
+ * @param {number} scale - Pixels per font unit
+ * @returns {Object} { left, top, width, height, bitmap } relative to the pen on the baseline
+ */
+function rasterize(commands, scale) {
+    const edges = [];
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    let startX = 0;
+    let startY = 0;
+    let x = 0;
+    let y = 0;
+
+    // Flip y so rows grow downwards from the baseline
+    const lineTo = (nx, ny) => {
+        if (ny !== y) {
+            edges.push([x, y, nx, ny]);
+        }
+        minX = Math.min(minX, nx);
+        maxX = Math.max(maxX, nx);
+        minY = Math.min(minY, ny);
+        maxY = Math.max(maxY, ny);
+        x = nx;
+        y = ny;
+    };
+    const curveTo = (points, evaluate) => {
+        let length = 0;
+        let px = x;
+        let py = y;
+        for (const [cx, cy] of points) {
+            length += Math.hypot(cx - px, cy - py);
+            px = cx;
+            py = cy;
+        }
+        const steps = Math.min(64, Math.max(2, Math.ceil(length / 1.5)));
+        const x0 = x;
+        const y0 = y;
+        for (let i = 1; i <= steps; i++) {
+            const [nx, ny] = evaluate(x0, y0, i / steps);
+            lineTo(nx, ny);
+        }
+    };
+
+    for (const command of commands) {
+        const [type] = command;
+        const coords = [];
+        for (let i = 1; i < command.length; i += 2) {
+            coords.push([command[i] * scale, -command[i + 1] * scale]);
+        }
+        if (type === 'M') {
+            [x, y] = coords[0];
+            [startX, startY] = coords[0];
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        } else if (type === 'L') {
+            lineTo(coords[0][0], coords[0][1]);
+        } else if (type === 'Q') {
+            const [[cx, cy], [ex, ey]] = coords;
+            curveTo(coords, (x0, y0, t) => {
+                const u = 1 - t;
+                return [u * u * x0 + 2 * u * t * cx + t * t * ex, u * u * y0 + 2 * u * t * cy + t * t * ey];
+            });
+        } else if (type === 'C') {
+            const [[c1x, c1y], [c2x, c2y], [ex, ey]] = coords;
+            curveTo(coords, (x0, y0, t) => {
+                const u = 1 - t;
+                const a = u * u * u;
+                const b = 3 * u * u * t;
+                const c = 3 * u * t * t;
+                const d = t * t * t;
+                return [a * x0 + b * c1x + c * c2x + d * ex, a * y0 + b * c1y + c * c2y + d * ey];
+            });
+        } else if (type === 'Z') {
+            lineTo(startX, startY);
+        }
+    }
+
+    if (edges.length === 0) {
+        return { left: 0, top: 0, width: 0, height: 0, bitmap: new Uint8Array(0) };
+    }
+
+    const left = Math.floor(minX);
+    const top = Math.floor(minY);
+    const width = Math.ceil(maxX) - left;
+    const height = Math.ceil(maxY) - top;
+    const coverage = new Float32Array(width * height);
+
+    // Non-zero winding scanline fill, with exact horizontal coverage per sub-scanline
+    for (let row = 0; row < height; row++) {
+        for (let sub = 0; sub < SUPERSAMPLE; sub++) {
+            const scanY = top + row + (sub + 0.5) / SUPERSAMPLE;
+            const crossings = [];
+            for (const [x0, y0, x1, y1] of edges) {
+                if ((y0 <= scanY && y1 > scanY) || (y1 <= scanY && y0 > scanY)) {
+                    crossings.push([x0 + ((scanY - y0) / (y1 - y0)) * (x1 - x0), y1 > y0 ? 1 : -1]);
+                }
+            }
+            crossings.sort((a, b) => a[0] - b[0]);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i][1];
+                if (winding === 0) {
+                    continue;
+                }
+                const spanStart = crossings[i][0] - left;
+                const spanEnd = crossings[i + 1][0] - left;
+                for (let px = Math.max(0, Math.floor(spanStart)); px < Math.min(width, Math.ceil(spanEnd)); px++) {
+                    const overlap = Math.min(spanEnd, px + 1) - Math.max(spanStart, px);
+                    coverage[row * width + px] += overlap / SUPERSAMPLE;
+                }
+            }
+        }
+    }
+
+    const bitmap = new Uint8Array(width * height);
+    for (let i = 0; i < bitmap.length; i++) {
+        bitmap[i] = coverage[i] >= COVERAGE_THRESHOLD ? 1 : 0;
+    }
+    return { left, top, width, height, bitmap };
+}
+
+module.exports = {
+    BUILTIN_FONT_NAMES,
+    BitmapFont,
+    OutlineFont,
+    getBuiltinFont,
+    getBuiltinFontForSize,
+    loadFont,
+    rasterize
+};
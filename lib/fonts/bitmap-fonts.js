@@ -0,0 +1,40 @@
+// Generated by scripts/build-bitmap-fonts.js - do not edit.
+// Rasterized from SourceCodePro-Regular.ttf, licensed under the SIL Open Font License 1.1 (see OFL.txt).
+
+module.exports = {
+    Font8: {
+        width: 5,
+        height: 8,
+        ascent: 6,
+        chars: " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~ ¡¢£¤¥¦§¨©ª«¬­®¯°±²³´µ¶·¸¹º»¼½¾¿ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿŒœŠšŸŽž€‘’“”–—…•",
+        data: 'AAAAAAAAAAAAICAAACAAAABQUAAAAAAAAABwAEAAAAAAYEAwEGAAAAAAgAAAAAAAAGBgQLBwAAAAICAAAAAAAAAgAAAAIAAAAAAgACAgAAAAAAAgQAAAAAAAIHAgAAAAAAAAAAAgIAAAAABwAAAAAAAAAAAAIAAAABAAIABAQAAAUBAgEHAAAAAgICAgcAAAAFAQACBwAAAAUBAgEHAAAAAwEBBwEAAAAGBAEBBwAAAAUABwAHAAAABwACAgIAAAAFBQcABwAAAAUBBQEGAAAAAAIAAAIAAAAAAgAAAgIAAAECBAIAAAAAAAcABwAAAAAAAgEAAAAAAAEBAgACAAAABQAKCgAEAAACBAUHCAAAAAUBBwAHAAAABAAAAAcAAAAFAAABBgAAAAQEBgQHAAAABAQHBAQAAAAEAAkABwAAAAEBBwEBAAAAAgICAgcAAAABAQEBBwAAAAECBgEAAAAABAQEBAcAAAAFBQIAAAAAAAQEAgEBAAAABQgIAAcAAAAFAAcAAAAAAAUICAAHAgAABQAHAQEAAAAEBAMABwAAAAICAgICAAAAAAAAAQcAAAAABQUAAgAAAAiKCgUFAAAABQICBAEAAAABBQICAgAAAAEAAgQHAAADAAAAAAAAAAAEAAICAAEABgICAgICAgAAAgQAAAAAAAAAAAAAAAcAAAAAAAAAAAAAAAcBBQUAAAAABwAABwAAAAAHAAAHAAAAAQcBAQcAAAAABwUABwAAAQIHAgICAAAAAAcBBgYABwAABwEAAAAAAAAGAAAAAAAAAAYAAAACBAAEBQYEBAAABAICAgIDAAAAAA8KCgoAAAAABwEAAAAAAAAHAAAHAAAAAAcAAAcAAAAABwEBBwEAAAAHBAQEAAAAAAYEAQcAAAAABwAAAwAAAAABAQEHAAAAAAAFBAIAAAAACooFBQAAAAAFAgIFAAAAAAAFAAICBAAABwIABwAAAAICBAICAgACAgICAgICAgACAgICAgIAAAAAAwAAAAAAAAAAAAAAAAAAAgAAAgIAAAIGBAYCAAAABQQGAAcAAAAABQUHAAAAAAEEAgcCAAACAgIAAAICAgIEBgEDAQAAAAAAAAAAAAAAAAAEAgAAAAABAAAAAAAAAAAABAQAAAAAAAAHAAAAAAAAAAcAAAAAAAIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACBwIHAAAAAAAAAAAAAAACAAAAAAAAAgAAAAAAAAAAAAEBAQcAAAAHBwcBAQAAAAAAAgAAAAAAAAAAAAACAAICAgAAAAAAAgUAAAAAAAAAAAAFBQAAAAAEBAAAAQAAAAQEAQABAAAABAAAAAEAAAAAAgACBAQCAAIEBQcIAAAAAgQFBwgAAAACBAUHCAAAAAIEBQcIAAAAAgQFBwgAAAICBAUHCAAAAAIGBQYJAAAABAAAAAcAAAAEBAYEBwAAAAQEBgQHAAAABAQGBAcAAAAEBAYEBwAAAAICAgIHAAAAAgICAgcAAAACAgICBwAAAAICAgIHAAAABQAMAQYAAAAEBAIBAQAAAAUICAAHAAAABQgIAAcAAAAFCAgABwAAAAUICAAHAAAABQgIAAcAAAAABQIFAAAAAAUJCgQHAAAAAAAAAQcAAAAAAAABBwAAAAAAAAEHAAAAAAAAAQcAAAABBQICAgAAAAQFAAcAAAAGAQACAAEAAAIABwEFBQAAAAAHAQUFAAACAAcBBQUAAAAABwEFBQAAAAAHAQUFAAAAAAcBBQUAAAAABwKKDwAAAAAHAAAHAAAAAAcFAAcAAAAABwUABwAAAgAHBQAHAAAAAAcFAAcAAAIABgAAAAAAAQAGAAAAAAACAAYAAAAAAAAABgAAAAAAAAIDAQAHAAAAAAcBAAAAAAAABwAABwAAAgAHAAAHAAACAAcAAAcAAAAABwAABwAAAAAHAAAHAAAAAAAHAAAAAAAABwEEBwAAAAABAQEHAAACAAEBAQcAAAIAAQEBBwAAAAABAQEHAAACAAAFAAICBAAABwAABwAAAAAABQACAgQABgoLCgcAAAAABQqKBwAAAgQEAwAHAAAAAAYEAQcAAAABBQICAgAAAgEAAgQHAAAAAAcCAAcAAAACBAYEAwAAAAACAAAAAAAAAgIAAAAAAAAABQAAAAAAAAUFAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAKAAAAAAAGBgAAAA'
+    },
+    Font12: {
+        width: 7,
+        height: 12,
+        ascent: 9,
+        chars: " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~ ¡¢£¤¥¦§¨©ª«¬­®¯°±²³´µ¶·¸¹º»¼½¾¿ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿŒœŠšŸŽž€‘’“”–—…•",
+        data: 'AAAAAAAAAAAAAAAAABAQEBAQABAQAAAAACwsIAAAAAAAAAAAAAAAPCgoOCgIAAAAEBA8QDAMBEQQEAAAAGCUkGAMIkIMAAAAADAIECBiVEx+AAAAABAQEBAAAAAAAAAAAAgQEBAAABAQCAAAACAQEAgICAAQECAAAAAAEHwYKAAAAAAAAAAQEBA8EBAAAAAAAAAAAAAAABAYCBAAAAAAAAA8AAAAAAAAAAAAAAAAABAQAAAAAAQICAAQECAgIEAAABhkRFRUREQ4AAAAABAwEBAQEBB8AAAAADhMBAQIECB8AAAAADhEBBgYBAR4AAAAAAgYGChI/ggIAAAAADxgQHgEBAR4AAAAABggQFhkREQ8AAAAAHwECAgQEBAQAAAAADhERCgoREQ8AAAAADhEREQ8BAR4AAAAAAAAEBAAABAQAAAAAAAAEBAAABAYCBAAAAAEGCAgEAQAAAAAAAAAPAAAfAAAAAAAAABgEAgIEGAAAAAAADgEDAgQABAQAAAAABgkQEYSElhAIBgAABAYKCgsfERCAAAAAHhERHhEQkR8AAAAABxgQEBAQGA8AAAAAHhEREJCRER4AAAAADxAQHhgQEB8AAAAADwgICA4ICAgAAAAADxgQEBMREQ8AAAAAERERHxEREREAAAAAHwQEBAQEBB8AAAAADwEBAQEBAQ4AAAAAERMSFBoTERCAAAAAAAgICAgICA8AAAAAERkbGxUVEREAAAAAERkZFRUTExEAAAAADhEREJCREQ4AAAAAHhERER4QEBAAAAAADhEREJCREQ4EA4AAHhERER4SEREAAAAADxAQDAMBAR8AAAAAH4QEBAQEBAQAAAAAEREREREREQ4AAAAAEBERCQoKBgQAAAAAIKC0lJYbGxkAAAAAEQkKBAYKCREAAAAAEBEJCgQEBAQAAAAAHwECBgQIEB8AAAAHAAAAAAAAAAAABwAAAAgIBAQEAgIAAQAMAgICAgICAgICDAAABAIKCAAAAAAAAAAAAAAAAAAAAAAAHwAIBAAAAAAAAAAAAAAAAAAOAQMZER8AAAAAEBAWERERER4AAAAAAAAPGBAQEA8AAAAAAQEPEREREQ8AAAAAAAAOER8QEA8AAAADBAQfBAQEBAQAAAAAAAAPkREOEA8QkQ4AEBAXGREREREAAAAAAgAeAgICAgIAAAAAAgAeAgICAgICBAgAEBAREhQaERGAAAAYBAQEBAQEBAcAAAAAAAAfFJSUlJSAAAAAAAAXGREREREAAAAAAAAOEREREQ4AAAAAAAAWERERER4QEAAAAAAPEREREQ8BAQAAAAADDAgICAgAAAAAAAAOEAwDAR8AAAAAAAAfCAgIBAcAAAAAAAARERERER8AAAAAAAAQEQkKCgQAAAAAAAAgpJaaGxsAAAAAAAARCgYGChEAAAAAAAAQEQkKBgQECBAAAAAfAwYECB8AAAABBAQEBAgEBAQEAwAEBAQEBAQEBAQEBAQIBAQEBAMEBAQECAAAAAAACBMAAAAAAAAAAAAAAAAAAAAAAAAAAAAEBAAEBAQEBAAAAAYOEBAIDwAAAAAABwgICB4ICB8AAAAAABAfERELEQAAAAAAEBEKCh8fBAQAAAAEBAQEBAAABAQEBAQADggMExENAgIMAAAACgAAAAAAAAAAAAAADhEOqKiIkAoAAAAGAg4KAAAAAAAAAAAAAAAACRISCQAAAAAAAAAAAA8BAAAAAAAAAAAAAA8AAAAAAAAEBAAACAAAAAAAAAAADgAAAAAAAAAAAAAACgoEAAAAAAAAAAAAAAQEDwQEAB8AAAACAgQOAAAAAAAAAAACAgIKAAAAAAAAAAACBAAAAAAAAAAAAAAAAAARERERER8QEAAADR0dHQ0BAQEBAAAAAAAABAQAAAAAAAAAAAAAAAAAAAAEAAQEAAAGAAAAAAAAAAAECggKAAAAAAAAAAAAAAAACgkJAgAAAAAAAAkICAAKE4AAAAAAAAkICAMIkQOAAAAAGAiJGAAKE4AAAAAAAAAEBAAEBAgQDwAABAYKCgsfERCAAAAABAYKCgsfERCAAAAABAYKCgsfERCAAAACBAYKCgsfERCAAAAABAYKCgsfERCAAAAABAYKCgsfERCAAAAAB4YKCxIeEiOAAAAABxgQEBAQGA8AAgAADxAQHhgQEB8AAAAADxAQHhgQEB8AAAAADxAQHhgQEB8AAAAADxAQHhgQEB8AAAAAHwQEBAQEBB8AAAAAHwQEBAQEBB8AAAAAHwQEBAQEBB8AAAAAHwQEBAQEBB8AAAAAHhERGJCRER4AAAAAERkZFRUTExEAAAAADhEREJCREQ4AAAAADhEREJCREQ4AAAAADhEREJCREQ4AAAACDhEREJCREQ4AAAAADhEREJCREQ4AAAAAAAAJBgYLAAAAAAAADxETFJSZGR4AAAAAEREREREREQ4AAAAAEREREREREQ4AAAAAEREREREREQ4AAAAAEREREREREQ4AAAAAEBEJCgQEBAQAAAAAEBwREZEfEBAAAAAEGhISFBIRkJcAAAAMBAAOAQMZER8AAAACBAAOAQMZER8AAAAGCAAOAQMZER8AAAAACwAOAQMZER8AAAAACwAOAQMZER8AAAAGAgAOAQMZER8AAAAAAAAbBI+UJBuAAAAAAAAPGBAQEA8AAgAMBAAOER8QEA8AAAACBAAOER8QEA8AAAAGCAAOER8QEA8AAAAACgAOER8QEA8AAAAEAgAeAgICAgIAAAADAgAeAgICAgIAAAAGAQAeAgICAgIAAAAADQAeAgICAgIAAAAIBgoBHxEREQ4AAAAACwAXGREREREAAAAIBAAOEREREQ4AAAACBAAOEREREQ4AAAAECgAOEREREQ4AAAAIBgAOEREREQ4AAAAACgAOEREREQ4AAAAAAAQAAA8ABAAAAAAAAAAPExMVGR4AAAAIBAARERERER8AAAACBAARERERER8AAAAECgARERERER8AAAAACgARERERER8AAAACBAAQEQkKBgQECBAAEBAWERERER4QEAAACgAQEQkKBgQECBAAD5ISIyISEg+AAAAAAAAbJKekJBuAAAAADxAQDAMBAR8AAAAIBgAOEAwDAR8AAAAAEBEJCgQEBAQAAAAAHwECBgQIEB8AAAAIBgAfAwYECB8AAAAABwgIHx4YCAcAAAAABAAEBAAAAAAAAAAABgIEAAAAAAAAAAAACRIbCwAAAAAAAAAAGwkJAgAAAAAAAAAAAAAAAB8fAAAAAAAAAAAAAD+/gAAAAAAAAAAAAAAAFDWAAAAAAAAABg4OBAAAAAA'
+    },
+    Font16: {
+        width: 10,
+        height: 16,
+        ascent: 12,
+        chars: " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~ ¡¢£¤¥¦§¨©ª«¬­®¯°±²³´µ¶·¸¹º»¼½¾¿ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿŒœŠšŸŽž€‘’“”–—…•",
+        data: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgACAAIAAgACAAIAAgAAAAAAAwADAAAAAAAAAAAAAAAMwAyADIAMgAyAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABIAEgA/AD8AEgASAD8AAAAkACQAAAAAAAAAAAAIAAgAHgAzACAAMAAcAAcAAQABAD4ADAAIAAAAAAAAAAAAAABwgEkAigBIADAAAwAUgCSARIAHAAAAAAAAAAAAAAAYADQAJAAkADgAMIB4gE0ARwBnAD2AAAAAAAAAAAAAAAwADAAMAAgACAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgAEAAwACAAIABgAGAAYAAgACAAIAAQAAgAAAAAAAAAQABgACAAEAAQABAAEAAQABAAEAAgAGAAQACAAAAAAAAAAAAAIAAgACQAeAAwAFgAiAAAAAAAAAAAAAAAAAAAAAAAAAAgACAAIAD8ACAAIAAgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMAAwABAAEABgAAAAAAAAAAAAAAAAAAAA/AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADAAMAAAAAAAAAAAAAAABAAIAAgAGAAQABAAIAAgAGAAQABAAMAAgAAAAAAAAAAAAHgAjAGEAQQBNAEkAYQAhACMAHgAAAAAAAAAAAAAAAAAcABwADAAMAAwADAAMAAwADAA/AAAAAAAAAAAAAAAAAD4AQwADAAMAAgAGAAwAGAAwAH8AAAAAAAAAAAAAAAAAPgADAAEAAgAcAAYAAQABAEMAPgAAAAAAAAAAAAAAAAAGAA4ACgASACIAYgB/gAIAAgACAAAAAAAAAAAAAAAAAD8AIAAgACgAPgABAAEAAQBDAD4AAAAAAAAAAAAAAAAAHwAwACAAYAB+AGEAYQAhADEAHgAAAAAAAAAAAAAAAAB/AAEAAgAEAAQADAAIAAgACAAIAAAAAAAAAAAAAAAAAD4AIQAhADMAHgAnAEEAQQBhAD4AAAAAAAAAAAAAAAAAPgBjAEEAQQBjAD0AAQABAAIAPAAAAAAAAAAAAAAAAAAAAAAADAAMAAAAAAAAAAAADAAMAAAAAAAAAAAAAAAAAAAAAAAMAAwAAAAAAAAAAAAMAAwABAAEABgAAAAAAAAAAAADAAwAGAAgADAADAAGAAEAAAAAAAAAAAAAAAAAAAAAAAAAPwA/AAAAAAB/AAAAAAAAAAAAAAAAAAAAAAAAAAAAMAAYAAYAAwAGAAwAMAAgAAAAAAAAAAAAAAAAABwAIgADAAIABgAMAAgAAAAAAAwADAAAAAAAAAAAAAAAAAAeACEAYIBAgEeASIBIgEuARABgACAAHwAAAAAAAAAAAAwAHAAWABIAMgAjAD8AYQBBgECAAAAAAAAAAAAAADgAPwAhACEAIwA+ACEAIYAhgCMAPgAAAAAAAAAAAAAABgAfACAAYABgAEAAQABgACAAMYAfAAAAAAAAAAAAAAA4AH4AYwBhAGGAYYBhgGGAYQBjAHwAAAAAAAAAAAAAAD8APwAgACAAIAA/ACAAIAAgACAAPwAAAAAAAAAAAAAAHwA/ACAAIAAgAD8AMAAgACAAIAAgAAAAAAAAAAAAAAAOAD8AIABgAEAAQwBHgEGAYYAxgB8AAAAAAAAAAAAAAAEAYQBhAGEAYQB/AGEAYQBhAGEAYQAAAAAAAAAAAAAAPwA/AAgACAAIAAgACAAIAAgADAA/AAAAAAAAAAAAAAAeAB8AAQABAAEAAQABAAEAAwAiAD4AAAAAAAAAAAAAAAAAIQAiACQALAA8ADYAIgAjACEAIYAAAAAAAAAAAAAAAAAgACAAIAAgACAAIAAgACAAMAA/gAAAAAAAAAAAAAABAGMAYwBzAFcAVQBNAE0AQQBBAEEAAAAAAAAAAAAAAAAAYQBxAHEAaQBpAGUAZQBjAGMAYQAAAAAAAAAAAAAADAA+AGEAQYBBgEGAQYBBgGEAMwAeAAAAAAAAAAAAAAA8AD8AIYAhgCGAIwA+ACAAIAAgACAAAAAAAAAAAAAAAAwAPgBhAEGAQYBBgEGAQYBhACMAHgAMAAcAAQAAAAAAPAA/ACEAIQAhAD8APAAmACIAIwAhgAAAAAAAAAAAAAAMAD8AIAAgADAAHAAHAAEAAYBhAD4AAAAAAAAAAAAAAH8AfwAIAAgACAAIAAgACAAIAAgACAAAAAAAAAAAAAAAAABhAGEAYQBhAGEAYQBhAGEAIwAeAAAAAAAAAAAAAABAAEGAYQAhACMAMgASABYAFAAMAAwAAAAAAAAAAAAAAACAwIDAgEiATIBNgFWAVwBzADMAMwAAAAAAAAAAAAAAAAAhADIAEgAcAAwAHAAWADIAIwBhAAAAAAAAAAAAAABAAGEAIQAyABIAHAAMAAgACAAIAAgAAAAAAAAAAAAAAD8APwADAAIABAAMAAgAEAAwACAAf4AAAAAAAAAAAAAADwAIAAgACAAIAAgACAAIAAgACAAIAAgACAAPAAAAAAAgACAAEAAQABgACAAIAAQABAAEAAIAAgADAAAAAAAAADwABAAEAAQABAAEAAQABAAEAAQABAAEAAQAPAAAAAAACAAMABQAEgASACIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAB/gAAAAAAQAAgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHgAjAAEADwAxAGEAYwA9AAAAAAAAAAAAAABgAGAAYABuAHMAYQBhgGGAYQBjAH4AAAAAAAAAAAAAAAAAAAAAAA4AMQAgAGAAYAAgADEAHwAAAAAAAAAAAAEAAQABAAEAHQAzAGEAQQBBAGEAIwA9AAAAAAAAAAAAAAAAAAAAAAAeADMAYQB/gH8AYAAwAB8AAAAAAAAAAAADAAeACAAIAD8ACAAIAAgACAAIAAgACAAAAAAAAAAAAAAAAAAAAAAAH4AiACMAIwA2ACgAIAA/ACGAQIA/AAwAAABgAGAAYABuAHMAYQBhAGEAYQBhAGEAAAAAAAAAAAAAAAYABAAAADwABAAEAAQABAAEAAQABAAAAAAAAAAAAAAABgAEAAAAPAAEAAQABAAEAAQABAAEAAQABAB8ABAAIAAgACAAIAAhACIAJAAsADYAIgAhACGAAAAAAAAAAAA4AHgACAAIAAgACAAIAAgACAAIAAwABwAAAAAAAAAAAAAAAAAAAAAAWwBtgEyATIBMgEyATIBMgAAAAAAAAAAAAAAAAAAAAAAOAHMAYQBhAGEAYQBhAGEAAAAAAAAAAAAAAAAAAAAAAB4AMwBhAEGAQYBhACMAHgAAAAAAAAAAAAAAAAAAAAAADgBzAGEAYYBhgGEAYwB+AGAAYABgAAAAAAAAAAAAAAAdADMAYQBBAEEAYQAjAD0AAQABAAEAAAAAAAAAAAAAAAcAPAAwADAAMAAwADAAMAAAAAAAAAAAAAAAAAAAAAAAHgAhACAAOAAHAAEAAQA+AAAAAAAAAAAAAAAAABgAGAB/ABgAGAAYABgAGAAIAA+AAAAAAAAAAAAAAAAAAAAAAEEAYQBhAGEAYQBhAGMAPQAAAAAAAAAAAAAAAAAAAAAAQABhACEAIgASABYAHAAMAAAAAAAAAAAAAAAAAAAAAACAgMyATIBMgFWAcwBzADMAAAAAAAAAAAAAAAAAAAAAACEAMgAWAAwADAAWADIAYQAAAAAAAAAAAAAAAAAAAAAAQABhACEAMgASABIADAAMAAgACABwAAAAAAAAAAAAAAA/AAMABgAEAAgAEAAgAH8AAAAAAAAAAAAAAAcACAAIAAgACAAIADAACAAIAAgACAAIAAwAAQAAAAgACAAIAAgACAAIAAgACAAIAAgACAAIAAgACAAIAAgAAAA4AAgACAAIAAgADAAHAAwACAAIAAgACAAIACAAAAAAAAAAAAAAAAAAAAA5AAYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMAAwAAAAAAAgACAAIAAgACAAIAAgAAAAAAAAABAAOAB0ANAAkACQAJAAVAA4ABAAAAAAAAAAAAAAAAAAfABAAMAAwAD4APgAQABAAMAB/AAAAAAAAAAAAAAAAAAAAQQA/ACMAIQAhADMAfQAAAAAAAAAAAAAAAAAAAAAAYQAhADIAFgAMAH8ADAA/AAgACAAAAAAAAAAAAAgACAAIAAgACAAIAAgAAAAAAAgACAAIAAgACAAIAAgAAAAeABIAMAAYACYAYwAhABkABgACACIAHAAAAAAAAAAAADIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAiAEEAXIAQgCCAIIAQgEyAIQAeAAAAAAAAAAAADAASAAYAEgASABoAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEQAiAGQAZAAyABEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD8AAQABAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPwAAAAAAAAAAAAAAAAAAAAAAAAAAABIALQAFACUAIgAcAAAAAAAAAAAAAAAAAAAAAAAAAAAAHAAcAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMABIAEgAcAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIAAgACAA/AAgACAAIAAAAfwAAAAAAAAAAAAYAAgAEAAwAGAAeAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgACAAwAAgACABwAAAAAAAAAAAAAAAAAAAAAAAAAAAAGAAwACAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQBhAGEAYQBhAGEAYwB9gGAAYABgAAAAAAAIAD8AfwB/AH8AfwA/AAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAADAAMAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgADAAEAAAAHAAEAAQABAAEAB4AAAAAAAAAAAAAAAAAAAAAAAAAAAAIABIAIgAiABIADAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAmADIAGQAZADIAJAAAAAAAAAAAAAAAAAAAAGCAIQAiACAAAAACABIAJQBHgAEAAAAAAAAAAAAAAAAAYIAhACIAIAAAAAcAEIAhAEMAB4AAAAAAAAAAAAAAAABwgBCAMQAQAHAAAgASACUAR4ABAAAAAAAAAAAAAAAAAAAAAAAMAAwAAAAAAAQACAAYADAAIAAwAB4AAAAAAAAADAAcABYAEgAyACMAPwBhAEGAQIAAAAAAAAAAAAgAAAAMABwAFgASADIAIwA/AGEAQYBAgAAAAAAAAAAAAgAAAAwAHAAWABIAMgAjAD8AYQBBgECAAAAAAAAAAAAEAAAADAAcABYAEgAyACMAPwBhAEGAQIAAAAAAAAAAAAAAAAAMABwAFgASADIAIwA/AGEAQYBAgAAAAAAAAAAADAAAAAwAHAAWABIAMgAjAD8AYQBBgECAAAAAAAAAAAAAAAeAD4AcABQAFAAngCQAfABEAEQAx4AAAAAAAAAAAAAABgAfACAAYABgAEAAQABgACAAMYAfAAQABAACAAAABAA/AD8AIAAgACAAPwAgACAAIAAgAD8AAAAAAAAAAAAAAD8APwAgACAAIAA/ACAAIAAgACAAPwAAAAAAAAAAABAAPwA/ACAAIAAgAD8AIAAgACAAIAA/AAAAAAAAAAAAAAA/AD8AIAAgACAAPwAgACAAIAAgAD8AAAAAAAAAAAAAAD8APwAIAAgACAAIAAgACAAIAAwAPwAAAAAAAAAAAAgAPwA/AAgACAAIAAgACAAIAAgADAA/AAAAAAAAAAAAAgA/AD8ACAAIAAgACAAIAAgACAAMAD8AAAAAAAAAAAAAAD8APwAIAAgACAAIAAgACAAIAAwAPwAAAAAAAAAAAAAAOAB+AGMAYQBhgPmAYYBhgGEAYwB8AAAAAAAAAAAAAgAAAGEAcQBxAGkAaQBlAGUAYwBjAGEAAAAAAAAAAAAAAAwAPgBhAEGAQYBBgEGAQYBhADMAHgAAAAAAAAAAAAgADAA+AGEAQYBBgEGAQYBBgGEAMwAeAAAAAAAAAAAAAgAMAD4AYQBBgEGAQYBBgEGAYQAzAB4AAAAAAAAAAAAEAAwAPgBhAEGAQYBBgEGAQYBhADMAHgAAAAAAAAAAAAAADAA+AGEAQYBBgEGAQYBBgGEAMwAeAAAAAAAAAAAAAAAAAAAAAAAjABYADAAcADIAIQAAAAAAAAAAAAAAAAAAAAyAPwBjAEOARYBNgEmAUYBxAHMAXgAAAAAAAAAAAAAAAABhAGEAYQBhAGEAYQBhAGEAIwAeAAAAAAAAAAAACAAAAGEAYQBhAGEAYQBhAGEAYQAjAB4AAAAAAAAAAAACAAAAYQBhAGEAYQBhAGEAYQBhACMAHgAAAAAAAAAAAAAAAABhAGEAYQBhAGEAYQBhAGEAIwAeAAAAAAAAAAAACABAAGEAIQAyABIAHAAMAAgACAAIAAgAAAAAAAAAAAAAAAAAIAA+ACcAIYAhgCGAPwA8ACAAIAAAAAAAAAAAAAgAPgAiAGIAZgBkAGQAZgBhgGCAYIBvAAAAAAAAAAAAGAAMAAQAAAAeACMAAQAPADEAYQBjAD0AAAAAAAAAAAACAAQACAAAAB4AIwABAA8AMQBhAGMAPQAAAAAAAAAAAAwAGgAQAAAAHgAjAAEADwAxAGEAYwA9AAAAAAAAAAAAAAAdAAYAAAAeACMAAQAPADEAYQBjAD0AAAAAAAAAAAAAABIAEAAAAB4AIwABAA8AMQBhAGMAPQAAAAAAAAAAAA4AEgAMAAAAHgAjAAEADwAxAGEAYwA9AAAAAAAAAAAAAAAAAAAAAABzAAyADIAfwG+AzADMAHeAAAAAAAAAAAAAAAAAAAAAAA4AMQAgAGAAYAAgADEAHwAEAAQABgAAABgACAAEAAAAHgAzAGEAf4B/AGAAMAAfAAAAAAAAAAAAAgAEAAgAAAAeADMAYQB/gH8AYAAwAB8AAAAAAAAAAAAMABoAEAAAAB4AMwBhAH+AfwBgADAAHwAAAAAAAAAAAAAAEgAQAAAAHgAzAGEAf4B/AGAAMAAfAAAAAAAAAAAACAAMAAQAAAA8AAQABAAEAAQABAAEAAQAAAAAAAAAAAACAAYABAAAADwABAAEAAQABAAEAAQABAAAAAAAAAAAAAQACgARAAAAPAAEAAQABAAEAAQABAAEAAAAAAAAAAAAAAAbAAAAAAA8AAQABAAEAAQABAAEAAQAAAAAAAAAAAAAAB8ADgASAAEAPwAhAEGAQYBBACMAHgAAAAAAAAAAAAAAHQAGAAAADgBzAGEAYQBhAGEAYQBhAAAAAAAAAAAAEAAIAAAAAAAeADMAYQBBgEGAYQAjAB4AAAAAAAAAAAAGAAwACAAAAB4AMwBhAEGAQYBhACMAHgAAAAAAAAAAAAwAFgACAAAAHgAzAGEAQYBBgGEAIwAeAAAAAAAAAAAAEAA6ACYAAAAeADMAYQBBgEGAYQAjAB4AAAAAAAAAAAAAADIAAAAAAB4AMwBhAEGAQYBhACMAHgAAAAAAAAAAAAAAAAAAAAwACAAAAD8AAAAAAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAfADMAYwBFgEmAcQAzAH4AAAAAAAAAAAAQAAgAAAAAAEEAYQBhAGEAYQBhAGMAPQAAAAAAAAAAAAYADAAIAAAAQQBhAGEAYQBhAGEAYwA9AAAAAAAAAAAADAAUAAIAAABBAGEAYQBhAGEAYQBjAD0AAAAAAAAAAAAAADYAAAAAAEEAYQBhAGEAYQBhAGMAPQAAAAAAAAAAAAYADAAIAAAAQABhACEAMgASABIADAAMAAgACABwAAAAAABgAGAAYABuAHMAYQBhgGGAYQBjAH4AYABgAGAAAAAAABIAAAAAAEAAYQAhADIAEgASAAwADAAIAAgAcAAAAAAAD4A/gGQARABEAEeARABEAEQAJAAfgAAAAAAAAAAAAAAAAAAAAAAzAEyAzICPwIeAzABMAHOAAAAAAAAAAAAMAAwAPwAgACAAMAAcAAcAAQABgGEAPgAAAAAAAAAAAAIAFgAMAAAAHgAhACAAOAAHAAEAAQA+AAAAAAAAAAAAAABAAGEAIQAyABIAHAAMAAgACAAIAAgAAAAAAAAAAAAMAD8APwADAAIABAAMAAgAEAAwACAAf4AAAAAAAAAAABAAGgAMAAAAPwADAAYABAAIABAAIAB/AAAAAAAAAAAAAAAAAA8AEAAwAD8AfwB+ADAAMAAQgA8AAAAAAAAAAAAAAAQACAAYABwADAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADAAMAAQABAAIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAARACIAJAA3ADcAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADMAMwARABMAIgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPwA/AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/gP+AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAG2AbYAAAAAAAAAAAAAAAAAAAAAAAAAIAB4APgAeABwAAAAAAAAAAAAAAAAA'
+    },
+    Font20: {
+        width: 12,
+        height: 20,
+        ascent: 16,
+        chars: " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~ ¡¢£¤¥¦§¨©ª«¬­®¯°±²³´µ¶·¸¹º»¼½¾¿ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿŒœŠšŸŽž€‘’“”–—…•",
+        data: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYABgAGAAYABgAGAAYABgAAAAAABgAGAAYAAAAAAAAAAAAAAAAAGYAZgBmAGYAZgBCAEIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACIAIgAiACIA/wAmACQAZAD/AEQARABEAEQAAAAAAAAAAAAAAAgACAAYAH4AYwDAAMAAcAAcAAcAAwABAMMAfgAYAAgACAAAAAAAAAAAAAAA4AEwgREBEgEUAeAAQAAHgGiAyIGIgQyABwAAAAAAAAAAAAAAAAAAAHgATADMAEwAWABwAOCAsYGZAQ8BhgHPgPmAAAAAAAAAAAAAAAAAGAAYABgAGAAYABgAGAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYABAAIABgAEAAQADAAMAAwADAAMAAQABAAGAAMAAQAAgAAAAAAAABgACAAEAAYAAgACAAMAAwADAAMAAwACAAIABgAMAAgAEAAAAAAAAAAAAAAAAAAGAAYABgA/wA8ABgAJABmAEIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABgAGAAYABgA/wAYABgAGAAYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGAAcABwADAAIABgAMAAAAAAAAAAAAAAAAAAAAAAAAAD/AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYADwAGAAAAAAAAAAAAAAAAAADAAIAAgAGAAQADAAIAAgAGAAQABAAMAAgAGAAQABAAMAAAAAAAAAAAAA8AGYAwwCBAIEBmYGZgZmAgQCBAMMAZgA8AAAAAAAAAAAAAAAAAAAAGAB4ABgACAAIAAgACAAIAAgACAAIABgA/4AAAAAAAAAAAAAAAAAAAHwA7gCDAAMAAwACAAYADAAYADAAYADfAf8AAAAAAAAAAAAAAAAAAAB8AO4AAwADAAMADgA8AAYAAwABAAMBxwB+AAAAAAAAAAAAAAAAAAAABgAOAB4AFgA2AGYAxgGGAf+B/wAGAAYABgAAAAAAAAAAAAAAAAAAAH8A/wDAAMAAwAD+AMcAAwABAAEAAwHHAHwAAAAAAAAAAAAAAAAAAAAeAH8AQADAAIAAnAD/AMEAgYCBgMEAYwA+AAAAAAAAAAAAAAAAAAAA/wD/AAMABgAEAAwACAAYABgAGAAQABAAEAAAAAAAAAAAAAAAAAAAADwAZgDDAMEAwwByADwAxwCBAYGBgYDDAH4AAAAAAAAAAAAAAAAAAAA8AO4AgwGBAYEAgwDHAHkAAQADAAMAhgD8AAAAAAAAAAAAAAAAAAAAAAAAAAAAGAA8ABgAAAAAAAAAAAAYADwAGAAAAAAAAAAAAAAAAAAAAAAAAAAAABgAPAAYAAAAAAAAAAAAGAAcABwADAAIABgAMAAAAAAAAAAAAAEABgAMADgAYADAAGAAGAAMAAMAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/AAAAAAAAAP8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgABgADAAHAAGAAMABgAYADAAwACAAAAAAAAAAAAAAAAAAAAAGAB+AEIAAwACAAYADAAYABAAAAAAABgAOAAYAAAAAAAAAAAAAAAAAAAADAB/AEEAgIGAgYOBD4EQgRCBEYEegYAAgADAAHMAHgAAAAAAAAAAABgAGAA8ACQAJABmAEIAwwD/AIEBgYGBgQGAAAAAAAAAAAAAAAAAAAD+AMcAwwDDAMMA/gD+AMEAwYDBgMGA/wD+AAAAAAAAAAAAAAAAAAAAPwBxAMAAwACAAYABgAGAAIAAwADAAHGAPwAAAAAAAAAAAAAAAAAAAPwAzgCDAIGAgYCBgIGAgYCBgIGAgwDeAPwAAAAAAAAAAAAAAAAAAAD/AMAAwADAAMAA/gD+AMAAwADAAMAA/wD/gAAAAAAAAAAAAAAAAAAAf4BgAEAAQABAAGAAfwBAAEAAQABAAEAAQAAAAAAAAAAAAAAAAAAAAD8AYQDAAIABgAGAAYcBh4GBgIGAwYBjgD8AAAAAAAAAAAAAAAAAAACBAIEAgQCBAIEA/wD/AIEAgQCBAIEAgQCBAAAAAAAAAAAAAAAAAAAA/wAYABgAGAAYABgAGAAYABgAGAAYAP8A/wAAAAAAAAAAAAAAAAAAAH8AAwADAAMAAwADAAMAAwADAAMAgwDGAHwAAAAAAAAAAAAAAAAAAADBgMMAxgDMANgA2AD8AOQAxgDDAMMAwYDBgAAAAAAAAAAAAAAAAAAAQABAAEAAQABAAEAAQABAAEAAQABAAH8Af4AAAAAAAAAAAAAAAAAAAcOBw4HDgeeBpYGlgb2BmYGZgYGBgYGBgYGAAAAAAAAAAAAAAAAAAADBAMEA4QChALEAkQCZAIkAjQCFAIcAgwCDAAAAAAAAAAAAAAAAAAAAfgDnAMMBgYGBgYGBgYGBgYGBgYDDAOcAPAAAAAAAAAAAAAAAAAAAAP4AwwDBgMGAwYDBAP8A/ADAAMAAwADAAMAAAAAAAAAAAAAAAAAAAAB+AOcAwwGBgYGBgYGBgYGBgYGBgMMA5wA8ABgADAAHgAAAAAAAAAAA/gDDAMGAwYDBgMMA/gD8AMQAxgDDAMMAwYAAAAAAAAAAAAAAAAAAAH4A4wDAAMAA4AB4AB4ABwABgAGAgYDjAH4AAAAAAAAAAAAAAAAAAAH/gBgAGAAYABgAGAAYABgAGAAYABgAGAAYAAAAAAAAAAAAAAAAAAAAgQCBAIEAgQCBAIEAgQCBAIEAgQDDAOcAfgAAAAAAAAAAAAAAAAAAAYGBgYCBAMMAwwBCAGYAZgAkACQAPAAYABgAAAAAAAAAAAAAAAAAAAMAwwDBAIGYgZmBmYG9gb2ApYDlAOcA5wDDAAAAAAAAAAAAAAAAAAAAwQDDAGYAZgA8ABgAGAA8ACQAZgBCAMMBgYAAAAAAAAAAAAAAAAAAAYGAgQDDAEIAZgAkADwAGAAYABgAGAAYABgAAAAAAAAAAAAAAAAAAAD/gAMAAwAGAAwADAAYADAAIABgAMAA/wH/gAAAAAAAAAAAAAAAAD8AMAAwADAAMAAwADAAMAAwADAAMAAwADAAMAAwADAAPwAAAAAAAADAAEAAQABgACAAMAAQABAAGAAIAAgADAAEAAYAAgACAAMAAAAAAAAA/AAMAAwADAAMAAwADAAMAAwADAAMAAwADAAMAAwADAD8AAAAAAAAAAAAGAAYACQAJABmAEIAQgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/Af+AAAAAACAAMAAYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPAD/AAMAAQAfAGEAwQCDAMcAeQAAAAAAAAAAAAAAAADAAMAAwACAAJ4A/wDDAMGAwYDBgMGAwwDnAL4AAAAAAAAAAAAAAAAAAAAAAAAAAAAeAH8AwADAAIAAgADAAMAAYYA/AAAAAAAAAAAAAAAAAAMAAwADAAEAOQB/AMMBgwGDAYMBgwCDAMcAfQAAAAAAAAAAAAAAAAAAAAAAAAAAADwAdwDBAIGB/4H/AIAAwABhAD8AAAAAAAAAAAAAAAIAD4AYABgAEAD/AH8AEAAQABAAEAAQABAAEAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAP4BngMIAwwDCAGYAfACAAMAAf4CBgICAgYD/AAAAAADAAMAAwACAAJ4A/wDDAMEAwQDBAMEAwQDBAMEAAAAAAAAAAAAAAAAADAAMAAAAAAD8APwADAAMAAwADAAMAAwADAAMAAAAAAAAAAAAAAAAAAwADAAAAAAA/AD8AAwADAAMAAwADAAMAAwADAAMAAwAGAH4AAAAAADAAMAAwADAAMEAwwDGAMwA2AD8AOYAwwDBAMGAAAAAAAAAAAAAAAAB+AAYABgAGAAYABgAGAAYABgAGAAYABgAGAAPgAAAAAAAAAAAAAAAAAAAAAAAAAABMwH/gZmBmIGYgZiBmIGYgZiBmIAAAAAAAAAAAAAAAAAAAAAAAAAAAJ4A/wDDAMEAwQDBAMEAwQDBAMEAAAAAAAAAAAAAAAAAAAAAAAAAAAA8AH4AwwGBgYGBgYGBgMMA5wB+AAAAAAAAAAAAAAAAAAAAAAAAAAAAngD/AMMAwYDBgMGAwYDDAOcA/gCAAMAAwADAAAAAAAAAAAAAAAAAADkAfwDDAYMBgwGDAYMAgwDHAH0AAQADAAMAAwAAAAAAAAAAAAAAAABHAF8AcABgAGAAYABgAGAAYABgAAAAAAAAAAAAAAAAAAAAAAAAAAAAPADnAMAAwAB4AB8AAwABAMMAfgAAAAAAAAAAAAAAAAAAABAAMAAwAP8A/wAwADAAMAAwADAAMAAYAB+AAAAAAAAAAAAAAAAAAAAAAAAAAACBAIMAgwCDAIMAgwCDAIMAxwB5AAAAAAAAAAAAAAAAAAAAAAAAAAABgYCBAMMAwwBCAGYAJAA0ADwAGAAAAAAAAAAAAAAAAAAAAAAAAAAAAwDDGMEYgRiBvYGlgKWA5wDnAOMAAAAAAAAAAAAAAAAAAAAAAAAAAACBAMMAZgA0ABgAGAAsAGYAwwCBAAAAAAAAAAAAAAAAAAAAAAAAAAABgYCBgMEAwwBiAGYAJAA0ABwAGAAYABAAMAHgAAAAAAAAAAAAAAAAAP8AfwAGAAwACAAYADAAYADAAf+AAAAAAAAAAAAAAAAADwAYABgAGAAYABgAGAAQAOAAEAAYABgAGAAYABgAGAAPAAAAAAAYABgAGAAYABgAGAAYABgAGAAYABgAGAAYABgAGAAYABgAGAAYAAAAAADwABgAGAAYABgAGAAYAAgABwAIABgAGAAYABgAGAAYAPAAAAAAAAAAAAAAAAAAAAAAAAAAcQCfAIYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABgAGAAYAAAAAAAYABgAGAAYABgAGAAYABgAGAAAAAAAAAAIAAgAHgB/AGgAyADIAMgASABoAD8ADAAIAAgAAAAAAAAAAAAAAAAAHgA/AGAAYABgAGAA/gAwACAAIABgAP8A/4AAAAAAAAAAAAAAAAAAAAAAAAGBgP8AQgDDAMMAwwBmAP8BgYAAAAAAAAAAAAAAAAAAAAAAAAGBgIEAwwBiACQANAA8AP8AGAD/ABgAGAAYAAAAAAAAAAAAAAAYABgAGAAYABgAGAAYABgAGAAAAAAAGAAYABgAGAAYABgAGAAYAAAAAAAYAD4AYABgAHAA3ACHAIMAwQBzAB4ABgAGAEYAfAAAAAAAAAAAAAAAZgBmAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPADDAIEBPIFggUCBQIFAgWCBPICJAMMAfgAAAAAAAAAAAAAACAA8AAIAHgAiAGYAPgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACEAYgDGAIwAjADGAGIAIQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/wABAAEAAQABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPABSAJ0AmQCZAEIAZgAYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAfgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAYACQAJAAkADwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGAAYABgAGAD/ABgAGAAYAAAAAAD/AAAAAAAAAAAAOABkAAQABAAMABgAMAB+AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADwAZAAGAAwAHAAGAEYAPAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQADAAYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgQCDAIMAgwCDAIMAgwDDAMcA+YCAAIAAgACAAAAAAAAAAHsA+wD7APsB+wD7APsAewALAAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAGAA8ABgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQABgADAAYAAgAOAAIAAgACAAIAAgAfwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPABmAEIAQgBmADwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACEAEYAYwAxADEAYwBGAIQAAAAAAAAAAAAAAAAAAAAAAEAAwIBBAEIARABAAAAAAgBmAMWBjYEHgAGAAAAAAAAAAAAAAAAAAABAAMCAQQBCAEQAQAAAAAeAYIDBgYEBBgAHgAAAAAAAAAAAAAAAAAAB4AAgwCGAYQAyAeAAQAACACYARYDNgYeAAYAAAAAAAAAAAAAAAAAAAAAAAAAAABgAHAAYAAAAAAAIABgAEABgAEAAwABAAH4APAAYAAgAAAAYABgAPAAkACQAZgBCAMMA/wCBAYGBgYEBgAAAAAAAAAAAGAAQAAAAGAAYADwAJAAkAGYAQgDDAP8AgQGBgYGBAYAAAAAAAAAAADwAQgAAABgAGAA8ACQAJABmAEIAwwD/AIEBgYGBgQGAAAAAAAAAAAB+AAwAAAAYABgAPAAkACQAZgBCAMMA/wCBAYGBgYEBgAAAAAAAAAAAZgAkAAAAGAAYADwAJAAkAGYAQgDDAP8AgQGBgYGBAYAAAAAAAAAAACQAGAAAABgAGAA8ACQAJABmAEIAwwD/AIEBgYGBgQGAAAAAAAAAAAAAAAAAAAAfwBwAPAAsAGwAbwBPgMwA/AGMAYwBD4MPwAAAAAAAAAAAAAAAAAAAPwBxAMAAwACAAYABgAGAAIAAwADAAHGAPwAMAAwABgAMABgADAAAAP8AwADAAMAAwAD+AP4AwADAAMAAwAD/AP+AAAAAAAAAAAAMAAgAAAD/AMAAwADAAMAA/gD+AMAAwADAAMAA/wD/gAAAAAAAAAAAFgAiAAAA/wDAAMAAwADAAP4A/gDAAMAAwADAAP8A/4AAAAAAAAAAADIAIgAAAP8AwADAAMAAwAD+AP4AwADAAMAAwAD/AP+AAAAAAAAAAAAYAAgAAAD/ABgAGAAYABgAGAAYABgAGAAYABgA/wD/AAAAAAAAAAAAGAAQAAAA/wAYABgAGAAYABgAGAAYABgAGAAYAP8A/wAAAAAAAAAAADwAQgAAAP8AGAAYABgAGAAYABgAGAAYABgAGAD/AP8AAAAAAAAAAABmACQAAAD/ABgAGAAYABgAGAAYABgAGAAYABgA/wD/AAAAAAAAAAAAAAAAAAAA/ADOAIMAgYCBgfGD8YCBgIGAgYCDAN4A/AAAAAAAAAAAAH4ARgAAAMEAwQDhAKEAsQCRAJkAiQCNAIUAhwCDAIMAAAAAAAAAAAAYAAgAAAB+AOcAwwGBgYGBgYGBgYGBgYGBgMMA5wA8AAAAAAAAAAAAGAAQAAAAfgDnAMMBgYGBgYGBgYGBgYGBgYDDAOcAPAAAAAAAAAAAADwAQgAAAH4A5wDDAYGBgYGBgYGBgYGBgYGAwwDnADwAAAAAAAAAAAB+AAwAAAB+AOcAwwGBgYGBgYGBgYGBgYGBgMMA5wA8AAAAAAAAAAAAZgAkAAAAfgDnAMMBgYGBgYGBgYGBgYGBgYDDAOcAPAAAAAAAAAAAAAAAAAAAAAAAAAAAAMMAZgA8ABgAPABmAMMAAAAAAAAAAAAAAAAAAAAAAAAAAAB/gOcAwwGHgY2BiYGZgbGBoYHhgMMA5wG8AAAAAAAAAAAAGAAIAAAAgQCBAIEAgQCBAIEAgQCBAIEAgQDDAOcAfgAAAAAAAAAAABgAEAAAAIEAgQCBAIEAgQCBAIEAgQCBAIEAwwDnAH4AAAAAAAAAAAA8AEIAAACBAIEAgQCBAIEAgQCBAIEAgQCBAMMA5wB+AAAAAAAAAAAAZgAkAAAAgQCBAIEAgQCBAIEAgQCBAIEAgQDDAOcAfgAAAAAAAAAAABgAEAAAAYGAgQDDAEIAZgAkADwAGAAYABgAGAAYABgAAAAAAAAAAAAAAAAAAADAAMAA/gD/AMGAwYDBgMGAzwD+AMAAwADAAAAAAAAAAAAAAAAQAHwAxgDGAIYAhACMAIgAjACGAIOAgYCAgIGAjwAAAAAAAAAAAAAAMAAYAAgAAAAAADwA/wADAAEAHwBhAMEAgwDHAHkAAAAAAAAAAAAAAAYADAAYAAAAAAA8AP8AAwABAB8AYQDBAIMAxwB5AAAAAAAAAAAAAAAYABwAIgAAAAAAPAD/AAMAAQAfAGEAwQCDAMcAeQAAAAAAAAAAAAAAAAB5AE4AAAAAADwA/wADAAEAHwBhAMEAgwDHAHkAAAAAAAAAAAAAAAAAIgBmAAAAAAA8AP8AAwABAB8AYQDBAIMAxwB5AAAAAAAAAAAAAAAcACYANAAIAAAAPAD/AAMAAQAfAGEAwQCDAMcAeQAAAAAAAAAAAAAAAAAAAAAAAAAAAOcB/YAYwBhAf8GfgRgDCAEcAeeAAAAAAAAAAAAAAAAAAAAAAAAAAAAeAH8AwADAAIAAgADAAMAAYYA/AAgADAAEAAwAAAAwABAACAAAAAAAPAB3AMEAgYH/gf8AgADAAGEAPwAAAAAAAAAAAAAABgAMABgAAAAAADwAdwDBAIGB/4H/AIAAwABhAD8AAAAAAAAAAAAAABgAPAAiAAAAAAA8AHcAwQCBgf+B/wCAAMAAYQA/AAAAAAAAAAAAAAAAACYAZgAAAAAAPAB3AMEAgYH/gf8AgADAAGEAPwAAAAAAAAAAAAAAMAAYAAwAAAAAAPwA/AAMAAwADAAMAAwADAAMAAwAAAAAAAAAAAAAAAIABgAMAAAAAAD8APwADAAMAAwADAAMAAwADAAMAAAAAAAAAAAAAAAMAB4AMwAAAAAA/AD8AAwADAAMAAwADAAMAAwADAAAAAAAAAAAAAAAAAAzADMAAAAAAPwA/AAMAAwADAAMAAwADAAMAAwAAAAAAAAAAAAAAAAAMwAeADwAZgADAD0A5wCBgYGBgYGBgIMAxwB+AAAAAAAAAAAAAAAAAHkATgAAAAAAngD/AMMAwQDBAMEAwQDBAMEAwQAAAAAAAAAAAAAAIAAwABgAAAAAADwAfgDDAYGBgYGBgYGAwwDnAH4AAAAAAAAAAAAAAAQADAAYAAAAAAA8AH4AwwGBgYGBgYGBgMMA5wB+AAAAAAAAAAAAAAAYADwAZgAAAAAAPAB+AMMBgYGBgYGBgYDDAOcAfgAAAAAAAAAAAAAAAAByAE4AAAAAADwAfgDDAYGBgYGBgYGAwwDnAH4AAAAAAAAAAAAAAAAAZgBmAAAAAAA8AH4AwwGBgYGBgYGBgMMA5wB+AAAAAAAAAAAAAAAAAAAAAAAAABgAGAAAAAAA/wAAAAAAGAAYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD2AZwDHAYWBiYGZgbGA4wDnAP4AAAAAAAAAAAAAAGAAMAAYAAAAAACBAIMAgwCDAIMAgwCDAIMAxwB5AAAAAAAAAAAAAAAEAAwAGAAAAAAAgQCDAIMAgwCDAIMAgwCDAMcAeQAAAAAAAAAAAAAAGAA8AGYAAAAAAIEAgwCDAIMAgwCDAIMAgwDHAHkAAAAAAAAAAAAAAAAAZgBmAAAAAACBAIMAgwCDAIMAgwCDAIMAxwB5AAAAAAAAAAAAAAAGAAwAGAAAAAABgYCBgMEAwwBiAGYAJAA0ABwAGAAYABAAMAHgAAAAAADAAMAAwACAAJ4A/wDDAMGAwYDBgMGAwwDnAP4AgADAAMAAwAAAAAAAZgBmAAAAAAGBgIGAwQDDAGIAZgAkADQAHAAYABgAEAAwAeAAAAAAAAAAf8DsAYwBjAGMAQ8BD4EMAYwBjACMAO+AP8AAAAAAAAAAAAAAAAAAAAAAAAAAAOMB9YEYwxhDD8MPgwgBGAGUAOeAAAAAAAAAAAA0ABwAAAB+AOMAwADAAOAAeAAeAAcAAYABgIGA4wB+AAAAAAAAAAAAAABCACYAPAAAAAAAPADnAMAAwAB4AB8AAwABAMMAfgAAAAAAAAAAAGYAJAAAAYGAgQDDAEIAZgAkADwAGAAYABgAGAAYABgAAAAAAAAAAAA0ABwAAAD/gAMAAwAGAAwADAAYADAAIABgAMAA/wH/gAAAAAAAAAAAAAACADYAHAAIAAAA/wB/AAYADAAIABgAMABgAMAB/4AAAAAAAAAAAAAAAAAAAA8AOYBgAGAAQAH/AMAB/gDAAEAAYAAxgB8AAAAAAAAAAAAAAAAACAAYABAAMAA4ADgAGAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABgAHAAcAAwACAAYABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAhAGIAxACEAOYA5wBmAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAZgDnAGcAIQAjAEYAhAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/AP8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/8P/wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAZmBmYGZgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADwAfgB+AH4APAAYAAAAAAAAAAAAAAAAA'
+    },
+    Font24: {
+        width: 14,
+        height: 24,
+        ascent: 19,
+        chars: " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~ ¡¢£¤¥¦§¨©ª«¬­®¯°±²³´µ¶·¸¹º»¼½¾¿ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿŒœŠšŸŽž€‘’“”–—…•",
+        data: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwADAAMAAwADAAMAAwADAAMAAQAAAAAAAAADgAeAA4AAAAAAAAAAAAAAAAAAAAhgHGAcYBxgHGAYYAhgCGAIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAACAEIAQgBGAEYB/wDEAMQAxADEA/8AjACMAIgAiAGIAAAAAAAAAAAAAAAAABAAEAAQAHwA/gGCAYABgAHAAPgAPgAHAAMAAwEDA/4A/AAQABAAEAAQAAAAAAAAAAAAAAGAA8CGYYQhBCIEJAZgA8AAAgAPgNiBmMMYxhjECIAPAAAAAAAAAAAAAAAAAAAAAABwAPgBiAGIAZgBsADgAMCB4INhhjGGGwYPBw8Dn4H4wAAAAAAAAAAAAAAAAAAAMAA4ADAAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABgAMABgAGAAwADAAIABgAGAAYABgAGAAYABgACAAMAAwABgADAAGAAIAAAAAAAABgADAAGAAMAAwABgAGAAYAAgACAAIAAgAGAAYABgAEAAwAGAAYADAAYAAAAAAAAAAAAAAAAAAAAAQABAAMAMzAf4AeAB4AEwAxACGAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwADAAMAAwA/8D/wAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwADgAeAA4AAgAGAAYAHAAYAAAAAAAAAAAAAAAAAAAAAAAAAAAA/8D/wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwAHgAeAA4AAAAAAAAAAAAAAAAAAAAAwACAAYABgAEAAwADAAYABgAEAAwADAAIABgAGAAwADAAIABgAGAAQAAAAAAAAAAAAAwAPwBxgGDAwMDAQMBgzmDOYMxgwGDAwMDAYMBzgB8AAAAAAAAAAAAAAAAAAAAAAAAAHgB+AAYABgAGAAYABgAGAAYABgAGAAYABgD/4P/gAAAAAAAAAAAAAAAAAAAAAAwAfwDjgIGAAMAAwAGAAYADAAcADgAcADgAcAD/wP/gAAAAAAAAAAAAAAAAAAAAAAwAfwDhgADAAMAAwAGAHwAfAAGAAMAAwADAgMD3gH8AAAAAAAAAAAAAAAAAAAAAAAAAA4AHgA2ADYAZgDGAYYDBgMGB/+H/4AGAAYABgAGAAAAAAAAAAAAAAAAAAAAAAAAAf8B/gGAAYABgAG4Af4BBwADAAMAAwADAgMD3gH8AAAAAAAAAAAAAAAAAAAAAAAYAH8A4wGAAYADAAMAA34DxwMDgwGDAYMBgYMA5wB8AAAAAAAAAAAAAAAAAAAAAAAAA/+D/wACAAYADAAMABgAGAAwADAAMAAwADAAMABwAAAAAAAAAAAAAAAAAAAAAAA4AP4BhwGDAQMBgwHCAPwA/AGHAwMDAYMBgwMBhwD+AAAAAAAAAAAAAAAAAAAAAAAwAPwBhgMDAwMDAwMBgwOB/4D5AAMAAwADAAYDnAH4AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADgAeAB4ABAAAAAAAAAAAAAwAHgAeAA4AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADgAeAB4ABAAAAAAAAAAAAAwADgAeAA4AAgAGAAYAHAAYAAAAAAAAAAAAAAAAwAOABwAMADgAYABgADgAHAAHAAOAAMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/wAAAAAAAAAAA/8B/wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABAAHAAGAAOAAMAAYABgAMADgAcAHAAYAAAAAAAAAAAAAAAAAAAAAAAAAAAAD8Ac4ABgACAAYABgAMABgAMAAwACAAAAAAAHAAeABwAAAAAAAAAAAAAAAAAAAAAAAAAH4AwwGBgwGDAIIAhg+GOIYghmCGIYY/ghyCAAMAAYAAwQB/AAgAAAAAAAAAAAAwADgAeABoAEwAzADEAIYBhgH+Af8DAwMDAwGGAYYBgAAAAAAAAAAAAAAAAAAAAAH4A/4DBwMDAwMDAwMGA/wD/wMDgwGDAYMBgwOD/wP8AAAAAAAAAAAAAAAAAAAAAAA+AP8BwQGAAwADAAMAAwADAAMAAwADAAOAAcGA/4B+AAAAAAAAAAAAAAAAAAAAAAPwA/wDBwMDAwODAYMBgwGDAYMBgwGDAYMDAwcD/gP4AAAAAAAAAAAAAAAAAAAAAAH/Af8BgAGAAYABgAGAAf4B/gGAAYABgAGAAYAB/4H/gAAAAAAAAAAAAAAAAAAAAAH/gf+BgAGAAYABgAGAAf8B/wGAAYABgAGAAYABgAGAAAAAAAAAAAAAAAAAAAAAAAA+AP8BwQOAAwADAAYABgAGD4YPgwGDAYMBgYGA/4B+AAAAAAAAAAAAAAAAAAAAAAMBAwODA4MDgwODA4MDg/+D/4MDgwODA4MDgwODA4MDgAAAAAAAAAAAAAAAAAAAAAP/A/8AMAAwADAAMAAwADAAMAAwADAAMAAwADAD/wP/AAAAAAAAAAAAAAAAAAAAAAH/Af8AAwADAAMAAwADAAMAAwADAAMAAwADAwYB/gD8AAAAAAAAAAAAAAAAAAAAAAEBgwMDBgMOAwwDGAM4A3gD3APMA4YDBgMDAwMDAYMBwAAAAAAAAAAAAAAAAAAAAAGAAYABgAGAAYABgAGAAYABgAGAAYABgAGAAYAB/4H/gAAAAAAAAAAAAAAAAAAAAAMDg4ODh4OHg8eCzYNNg2mDaYM5gzGDMYMBgwGDAYMBgAAAAAAAAAAAAAAAAAAAAAMBA4EDgQPBA8EDYQNhAzEDMQMZAxkDDQMPAwcDBwMDAAAAAAAAAAAAAAAAAAAAAAB8Af4BhwMDAwGGAYYBhgGGAYYBhgGDAYMDA4cB/gD8AAAAAAAAAAAAAAAAAAAAAAH8A/8DAwMBgwGDAYMBgwMD/gP4AwADAAMAAwADAAMAAAAAAAAAAAAAAAAAAAAAAAB8Af4BhwMDAwGGAYYBhgGGAYYBhgGDAYMDA4MB7gD8ADgAGAAPgAeAAAAAAAAAAAH4A/4DAwMBgwGDAYMDA4cD/gOYAwwDDgMGAwMDAwMBgAAAAAAAAAAAAAAAAAAAAAB8Af8BgwOAAwABgAHgAPgAPgAHAAOAAYABgwMD/wD+AAAAAAAAAAAAAAAAAAAAAAf/h/+AMAAwADAAMAAwADAAMAAwADAAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAAMBAwGDAYMBgwGDAYMBgwGDAYMBgwEDAwMDAYMB/gD8AAAAAAAAAAAAAAAAAAAAAAYBhwGDAYMDAwMBgwGGAYYAxgDEAMwATABoAHgAOAA4AAAAAAAAAAAAAAAAAAAAAAwAzgDGAMYAxjDGOYY5hnmGaYNtg02DzYPHA8cDhwGHAAAAAAAAAAAAAAAAAAAAAAMBAwMBhwHGAMwAbAB4ADgAOAB4AMwAzAGGAYcDAwMBgAAAAAAAAAAAAAAAAAAAAAYBgwGDAwGDAYYAxgDMAGwAeAA4ADAAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAAP/g/+AAwAGAAYADAAYABgAMABgAOAAwAGAA4AD/4P/gAAAAAAAAAAAAAAAAAAAfwBgAGAAYABgAGAAYABgAGAAYABgAGAAYABgAGAAYABgAGAAYAB/AD8AAAAAAAABAAGAAYAAgADAAMAAYABgACAAMAAwABgAGAAYAAwADAAEAAYABgADAAMAAAAAAAAD+AAYABgAGAAYABgAGAAYABgAGAAYABgAGAAYABgAGAAYABgAGAH4AfgAAAAAAAAAAAAwADgAaABoAEwAxACGAYYBggAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAf/gAAAAAAAAMAAYAAwABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHwB/gEDAAMAAwB/AeMDgwMDAwMDjwH5AAAAAAAAAAAAAAAAAAADAAMAAwADAAMAAzwD/wODAwODAYMBgwGDAYMDg4MD7gN8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD4A/wHBA4ADAAMAAwADAAOAAYAA94B+AAAAAAAAAAAAAAAAAAAAAwADAAMAAwADAHsB/wOHAwMDAwcDBwMDAwMDAwMB3wD7AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHwA/gGDAwGDAYP/g/+DAAMAAYAB4wB+AAAAAAAAAAAAAAAAAAAAH8AYADAAMAAwAf8D/4AwADAAMAAwADAAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAH+A/8GGAwIDAgGGAc4A/AEAAwAB/AH/gwGDAMMBg4OB/gAAAAADAAMAAwADAAMAAx4DfwPDA4MDAYMBgwGDAYMBgwGDAYMBgAAAAAAAAAAAAAAAAAAAHAAcABgAAAAAA/gD/AAMAAwADAAMAAwADAAMAAwADAAMAAAAAAAAAAAAAAAAAAAAHAAcABgAAAAAA/gD/AAMAAwADAAMAAwADAAMAAwADAAMAAwAGAAYA/gD8AAAAAABgAGAAYABgAGAAYGBgwGGAYwBmAG4AfwBzAGGAYMBg4GBgAAAAAAAAAAAAAAAAAAD8APwADAAMAAwADAAMAAwADAAMAAwADAAMAAwADAAPQAfgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAucH/4c5hjGGMYYxhjGGMYYxhjGGMYYxgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAx4DfwPDA4MDAYMBgwGDAYMBgwGDAYMBgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHgB/gOHAwMDAYcBhwGDAYMDg4MBzgD8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAzwD/wODAwODAYMBgwGDAYMDg4MD7gN8AwADAAMAAwADAAAAAAAAAAAAAAAAAAAAAHkB/wOHAwMDAwcDBwMDAwMDAwMB3wD7AAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAI+An4CwAOAAwACAAIAAgACAAIAAgACAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHwB/wGCA4ABgAD4AD4ABwABggMDxwD+AAAAAAAAAAAAAAAAAAAAAAAAAGAAYABgA/8D/4BgAGAAYABgAGAAYABgAGAAOYAfgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwMDAwMDAwMDAwMDAwMDAwMDAwcD/wHzAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgGDAYMDAQMBggGGAMYAzABsAGgAOAA4AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADADMMMY4xjjGeIZpgm2DTYNNA8cDxwGHAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwMBgwHGAMwAbAA4ADgAeADMAYYBgwMDAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABgGDAYMDAYMBgwCGAMYARABsAGgAOAA4ADAAMABgA+ADgAAAAAAAAAAAAAAAAAAAAf8B/wAHAA4AHAAYADAAYADAAYAD/wP/gAAAAAAAAAAAAAAAAAAADwAYADAAMAAwADAAMAAwADAAYAHAADAAMAAwADAAMAAwADAAMAAfAAcAAAAAADAAMAAwADAAMAAwADAAMAAwADAAMAAwADAAMAAwADAAMAAwADAAMAAwADAAMAAAAAAD4AAwADAAEAAQABAAMAAwABAAHAAPABgAEAAwADAAEAAQABAAMAHwAcAAAAAAAAAAAAAAAAAAAAAAAAAAAADBAfEDHwIOAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADAAOAA4ADAAAAAAABAAMAAwADAAMAAwADAAMAAwADAAEAAAAAAAAAAIAAgACAA+AP8ByAGIAYgBiAGIAYgByAD7AH4AGAAIAAgAAAAAAAAAAAAAAAAAAAAcAH8A4wDAAYAAgADAAMAD/gBgAGAAQADAAMAD/4P/gAAAAAAAAAAAAAAAAAAAAAAAAAACAAMxgf8BxgGDAQMBAwGDAYYB/wM7ggEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwGDAwGCAYYAxABMAGgD/wP/ADAD/4AwADAAMAAwAAAAAAAAAAAAAAAAADAAMAAwADAAMAAwADAAMAAwADAAEAAAAAAAEAAwADAAMAAwADAAMAAwADAAMAAAAAAAAAB8AMYAgADAAOAB+AMOAwcDAwGDAOMAfgAcAAYABgGMAfwAMAAAAAAAAAAAAAAAxADOAMQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA4AM4BAwIBhnyEwISAxIBEgESAxMCEbII4ggEBggD8AAAAAAAAAAAAAAAAAAAAfAAEAAYAfgDGAIYA/gBwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQQDDAYYDjAMYAxgBjAGGAMMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/8D/wABAAEAAQABAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA/8D/wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAeACGAXoBSQF5AXkBSgCCAHwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD8AHwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAB4AMQAhADEAHwAMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwADAAMAAwA/8D/wAwADAAMAAwAAAB/wP/AAAAAAAAAAAAAAB4AMwABAAEAAwAGAAwAGAA/gD8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAB4AMwABAAMADgADAAGAIYA/AB4AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwAHAA4ADAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwMDAwMDAwMDAwMDAwMDAwMDAwcD/wP5gwADAAMAAwAAAAAAAAAAAAByAfMD8wPzA/MD8wPzA/MB8wDzADMAAwADAAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA4AHgAeAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADAAMAAYABgAcAAYAHgAGAAYABgAGAAYABgA/gB+AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAfADEAIYBhgCGAMYA/AAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABCAGMAYYAwwBhAGMAwwGGAQwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA4CDgYCBAIIAhACAAIAAAAAGAMQBjYMJhh/EAYABgAAAAAAAAAAAAAAAAAAAAAAAA4CDgYCBAIIAhACAAIAAAgAPgMGBgIMBBgMEBgAPwAAAAAAAAAAAAAAAAAAAAAGAB8BAQMDBgcMAZgRgB8AAAAAGAEQAzYGJgx/CAYABgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADgAOAA4ABAAAAAAABgAEAAwAGAAwAGAAYABgAHCAP4AOAAwABAAAAAwADgAeABoAEwAzADEAIYBhgH+Af8DAwMDAwGGAYYBgAAAAAAAAAAAAAA4ADAAAAAwADgAeABoAEwAzADEAIYBhgH+Af8DAwMDAwGGAYYBgAAAAAAAAAAAAABsAIQAAAAwADgAeABoAEwAzADEAIYBhgH+Af8DAwMDAwGGAYYBgAAAAAAAAAAAAAG+ARwAAAAwADgAeABoAEwAzADEAIYBhgH+Af8DAwMDAwGGAYYBgAAAAAAAAAAAAADOAMQAAAAwADgAeABoAEwAzADEAIYBhgH+Af8DAwMDAwGGAYYBgAAAAAAAAAAAAABIADgAAAAwADgAeABoAEwAzADEAIYBhgH+Af8DAwMDAwGGAYYBgAAAAAAAAAAAAAAAAAAAAAA/wD/AeABoAGgAyADMAY+BjwGYA/gD+AYIBggGD8wPwAAAAAAAAAAAAAAAAAAAAAA+AP8BwQGAAwADAAMAAwADAAMAAwADAAOAAcGA/4B+ABgAGAAMAAQAHAA4AAgAAAH/Af8BgAGAAYABgAGAAf4B/gGAAYABgAGAAYAB/4H/gAAAAAAAAAAAAAAcABAAAAH/Af8BgAGAAYABgAGAAf4B/gGAAYABgAGAAYAB/4H/gAAAAAAAAAAAAABkAEIAAAH/Af8BgAGAAYABgAGAAf4B/gGAAYABgAGAAYAB/4H/gAAAAAAAAAAAAABmAEYAAAH/Af8BgAGAAYABgAGAAf4B/gGAAYABgAGAAYAB/4H/gAAAAAAAAAAAAAAwABAAAAP/A/8AMAAwADAAMAAwADAAMAAwADAAMAAwADAD/wP/AAAAAAAAAAAAAAA4ADAAAAP/A/8AMAAwADAAMAAwADAAMAAwADAAMAAwADAD/wP/AAAAAAAAAAAAAABsAIQAAAP/A/8AMAAwADAAMAAwADAAMAAwADAAMAAwADAD/wP/AAAAAAAAAAAAAADOAMQAAAP/A/8AMAAwADAAMAAwADAAMAAwADAAMAAwADAD/wP/AAAAAAAAAAAAAAAAAAAAAAPwA/wDBwMDAwODAYMBj/GH4YMBgwGDAYMDAwcD/gP4AAAAAAAAAAAAAAG+AQ4AAAMBA4EDgQPBA8EDYQNhAzEDMQMZAxkDDQMPAwcDBwMDAAAAAAAAAAAAAAAwABAAAAB8Af4BhwMDAwGGAYYBhgGGAYYBhgGDAYMDA4cB/gD8AAAAAAAAAAAAAAA4ADAAAAB8Af4BhwMDAwGGAYYBhgGGAYYBhgGDAYMDA4cB/gD8AAAAAAAAAAAAAABsAIQAAAB8Af4BhwMDAwGGAYYBhgGGAYYBhgGDAYMDA4cB/gD8AAAAAAAAAAAAAAG+ARwAAAB8Af4BhwMDAwGGAYYBhgGGAYYBhgGDAYMDA4cB/gD8AAAAAAAAAAAAAADOAMQAAAB8Af4BhwMDAwGGAYYBhgGGAYYBhgGDAYMDA4cB/gD8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEAAYMAxgBsADgAOABsAMYBhwECAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAB9gf+BhwMHAweGDYYZhhmGMYZhhkGDwYODA4cD/gb8AAAAAAAAAAAAAAAwABAAAAMBAwGDAYMBgwGDAYMBgwGDAYMBgwEDAwMDAYMB/gD8AAAAAAAAAAAAAAA4ADAAAAMBAwGDAYMBgwGDAYMBgwGDAYMBgwEDAwMDAYMB/gD8AAAAAAAAAAAAAABsAIQAAAMBAwGDAYMBgwGDAYMBgwGDAYMBgwEDAwMDAYMB/gD8AAAAAAAAAAAAAADOAMQAAAMBAwGDAYMBgwGDAYMBgwGDAYMBgwEDAwMDAYMB/gD8AAAAAAAAAAAAAAA4ADAAAAYBgwGDAwGDAYYAxgDMAGwAeAA4ADAAMAAwADAAMAAwAAAAAAAAAAAAAAAAAAAAAAEAAwADAAP+A/8DA4MBgwGDAYMDg4cD/gPgAwADAAMAAAAAAAAAAAAAAAAAAAAA/AHMA4YDBgMGAwwDGAMYAxgDHAMOAwODAYMAwwCDEYMfAAAAAAAAAAAAAAAAAGAAcAAwABgAAAAAAHwB/gEDAAMAAwB/AeMDgwMDAwMDjwH5AAAAAAAAAAAAAAAAAAYADAAYADAAAAAAAHwB/gEDAAMAAwB/AeMDgwMDAwMDjwH5AAAAAAAAAAAAAAAAABgAPABmAMIAAAAAAHwB/gEDAAMAAwB/AeMDgwMDAwMDjwH5AAAAAAAAAAAAAAAAAAAA8wCbAI4AAAAAAHwB/gEDAAMAAwB/AeMDgwMDAwMDjwH5AAAAAAAAAAAAAAAAAAAARgDmAEYAAAAAAHwB/gEDAAMAAwB/AeMDgwMDAwMDjwH5AAAAAAAAAAAAAAAAADwARABEADwAAAAAAHwB/gEDAAMAAwB/AeMDgwMDAwMDjwH5AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA8cH74A4wDDAMEH/wz/GMAwQDDgGfMfPwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD4A/wHBA4ADAAMAAwADAAOAAYAA94B+ABgAGAAMAAQAOAAAAGAAcAAwABgAAAAAAHwA/gGDAwGDAYP/g/+DAAMAAYAB4wB+AAAAAAAAAAAAAAAAAA4ADAAYADAAAAAAAHwA/gGDAwGDAYP/g/+DAAMAAYAB4wB+AAAAAAAAAAAAAAAAADgAPABkAMIAAAAAAHwA/gGDAwGDAYP/g/+DAAMAAYAB4wB+AAAAAAAAAAAAAAAAAAAARgDmAMYAAAAAAHwA/gGDAwGDAYP/g/+DAAMAAYAB4wB+AAAAAAAAAAAAAAAAAGAAMAAYAAwAAAAAA/gD/AAMAAwADAAMAAwADAAMAAwADAAMAAAAAAAAAAAAAAAAAAYADgAMABgAAAAAA/gD/AAMAAwADAAMAAwADAAMAAwADAAMAAAAAAAAAAAAAAAAABgAPAAmAEMAAAAAA/gD/AAMAAwADAAMAAwADAAMAAwADAAMAAAAAAAAAAAAAAAAAAAAYgBnAGMAAAAAA/gD/AAMAAwADAAMAAwADAAMAAwADAAMAAAAAAAAAAAAAAAAAAAA4wB+ADwA/ADGAAMAcwH/A4eDAYIBhgGCAYMDAwMBzgD8AAAAAAAAAAAAAAAAAAAA8wCaAI4AAAAAAx4DfwPDA4MDAYMBgwGDAYMBgwGDAYMBgAAAAAAAAAAAAAAAAMAAYAAwABAAAAAAAHgB/gOHAwMDAYcBhwGDAYMDg4MBzgD8AAAAAAAAAAAAAAAAAAwAHAA4ADAAAAAAAHgB/gOHAwMDAYcBhwGDAYMDg4MBzgD8AAAAAAAAAAAAAAAAADAAeADMAIYAAAAAAHgB/gOHAwMDAYcBhwGDAYMDg4MBzgD8AAAAAAAAAAAAAAAAAAAA4gG2ARwAAAAAAHgB/gOHAwMDAYcBhwGDAYMDg4MBzgD8AAAAAAAAAAAAAAAAAAAAxADOAMQAAAAAAHgB/gOHAwMDAYcBhwGDAYMDg4MBzgD8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwADAAAAAAA/8D/wAAAAAAMAAwABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAHmB/wOHAw8DDYcZhzGDYYPDg4MDzgP8AAAAAAAAAAAAAAAAAMAAYAAwABAAAAAAAwMDAwMDAwMDAwMDAwMDAwMDAwcD/wHzAAAAAAAAAAAAAAAAAAwAHAAwACAAAAAAAwMDAwMDAwMDAwMDAwMDAwMDAwcD/wHzAAAAAAAAAAAAAAAAADAAeADMAIYAAAAAAwMDAwMDAwMDAwMDAwMDAwMDAwcD/wHzAAAAAAAAAAAAAAAAAAAAhAHOAMQAAAAAAwMDAwMDAwMDAwMDAwMDAwMDAwcD/wHzAAAAAAAAAAAAAAAAAAwAHAAYADAAAAAABgGDAYMDAYMBgwCGAMYARABsAGgAOAA4ADAAMABgA+ADgAAAAAADAAMAAwADAAMAAzwD/gODAwODAYMBgwGDAYMDg4MD7gN8AwADAAMAAwADAAAAAAAAxADOAMQAAAAABgGDAYMDAYMBgwCGAMYARABsAGgAOAA4ADAAMABgA+ADgAAAAAAAAAB/wf/DmAMYBhgGGAYYBh+GHwYYBhgGGAMYA5gB/8B/wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAccD74Y4xjhMEEwfzB/MEAQYBjgHbMPHwAAAAAAAAAAAAABsADgAAAB8Af8BgwOAAwABgAHgAPgAPgAHAAOAAYABgwMD/wD+AAAAAAAAAAAAAAAAAIIAxABsADgAAAAAAHwB/wGCA4ABgAD4AD4ABwABggMDxwD+AAAAAAAAAAAAAADOAMQAAAYBgwGDAwGDAYYAxgDMAGwAeAA4ADAAMAAwADAAMAAwAAAAAAAAAAAAAABsADgAAAP/g/+AAwAGAAYADAAYABgAMABgAOAAwAGAA4AD/4P/gAAAAAAAAAAAAAAAAIIARgBsADgAAAAAAf8B/wAHAA4AHAAYADAAYADAAYAD/wP/gAAAAAAAAAAAAAAAAAAAAAAMAD8AYYDAAcABgAP/A/8BgAP+AYABgADAAMCAc4A/AAAAAAAAAAAAAAAAAAAAAAAYADAAYABgAHAAeAB4ABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMAB4AHgAOAAIABgAMABgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQADDAYYBDAMMA84DzwHPAIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABhgHPAc8B5wBDAMMAxgGMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/A/8AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA//z//AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABzmHO8c5gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA4APwA/gD+AP4A/AB4AAAAAAAAAAAAAAAAAAAAAA'
+    }
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+/**
+ * Frame comparison
+ *
+ * Compares packed 4bpp panel buffers so refreshes can be skipped when the
+ * panel already shows the same image. Both nibbles of a byte are pixels
+ * (the panel width is even), so a buffer holds two pixels per byte.
+ */
+
+/**
+ * Hash a panel buffer
+ * @param {Buffer} buffer - Packed panel buffer
+ * @returns {string} SHA-256 hex digest
+ */
+function hashFrame(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Count the pixels that differ between two panel buffers of the same size
+ * @param {Buffer} previous - Frame on the panel
+ * @param {Buffer} next - Frame to compare
+ * @returns {number} Number of changed pixels
+ */
+function countChangedPixels(previous, next) {
+    if (previous.equals(next)) {
+        return 0;
+    }
+    let changed = 0;
+    for (let i = 0; i < next.length; i++) {
+        const diff = previous[i] ^ next[i];
+        if (diff !== 0) {
+            changed += ((diff & 0xF0) !== 0) + ((diff & 0x0F) !== 0);
+        }
+    }
+    return changed;
+}
+
+/**
+ * Compare a frame with the one on the panel
+ * @param {Buffer|null} previous - Frame on the panel, or null when unknown
+ * @param {Buffer} next - Frame to compare
+ * @returns {Object} { changed, changedPixels, totalPixels, percentChanged, hash }
+ */
+function compareFrames(previous, next) {
+    const totalPixels = next.length * 2;
+    const changedPixels = previous ? countChangedPixels(previous, next) : totalPixels;
+    return {
+        changed: changedPixels > 0,
+        changedPixels,
+        totalPixels,
+        percentChanged: changedPixels / totalPixels * 100,
+        hash: hashFrame(next)
+    };
+}
+
+module.exports = {
+    compareFrames,
+    countChangedPixels,
+    hashFrame
+};
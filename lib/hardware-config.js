@@ -0,0 +1,247 @@
+/**
+ * Hardware configuration
+ *
+ * Pin mapping and interfaces of the native backend. The defaults match the
+ * Waveshare e-Paper HAT on the board the process runs on; HATs and custom
+ * boards wired differently override them through the EPD7in3e options. Several
+ * panels can be driven from one process as long as they use their own pins and
+ * SPI device.
+ */
+
+const fs = require('fs');
+const { EPDInitError } = require('./errors');
+
+// BCM GPIO numbers, as in DEV_Default. MOSI and SCLK are only driven by the software SPI.
+const DEFAULT_PINS = Object.freeze({ rst: 17, dc: 25, cs: 8, busy: 24, pwr: 18, mosi: 10, sclk: 11 });
+
+// The same wiring on a Jetson, in sysfs GPIO numbers, as in DEV_Board_Default
+const JETSON_PINS = Object.freeze({ rst: 50, dc: 13, cs: 19, busy: 15, pwr: 79, mosi: 16, sclk: 18 });
+
+const PIN_NAMES = Object.keys(DEFAULT_PINS);
+
+// Drivers built into the addon, as DEV_GPIO_Driver and DEV_SPI_Driver. lgpio needs its library at build time.
+const GPIO_DRIVERS = ['gpiod', 'lgpio', 'sysfs'];
+const SPI_DRIVERS = ['spidev', 'software-spi'];
+
+const DEFAULT_SPI_DEVICE = '/dev/spidev0.0';
+const DEFAULT_SPI_SPEED_HZ = 10000000;
+
+// Longest path the driver accepts (DEV_PATH_MAX - 1)
+const MAX_PATH_LENGTH = 63;
+
+const MODEL_PATH = '/proc/device-tree/model';
+const CPUINFO_PATH = '/proc/cpuinfo';
+
+// GPIO lines and SPI devices held by the open panels of this process, by resource key
+const claims = new Map();
+
+/**
+ * Read a text file
+ * @param {string} file - File path
+ * @returns {string|null} Contents, or null if it cannot be read
+ */
+function readText(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Board model from the device tree, falling back to /proc/cpuinfo
+ * @returns {string|null} e.g. 'Raspberry Pi 5 Model B Rev 1.0'
+ */
+function readModel() {
+    const model = readText(MODEL_PATH);
+    if (model) {
+        return model.replace(/\0/g, '').trim() || null;
+    }
+    const match = /^Model\s*:\s*(.+)$/m.exec(readText(CPUINFO_PATH) || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Board family of a model
+ * @param {string|null} model - Board model
+ * @returns {string} 'raspberry-pi-5', 'raspberry-pi', 'jetson' or 'unknown'
+ */
+function boardOf(model) {
+    if (!model) {
+        return 'unknown';
+    }
+    if (/Raspberry Pi 5/.test(model)) {
+        return 'raspberry-pi-5';
+    }
+    if (/Raspberry Pi/.test(model)) {
+        return 'raspberry-pi';
+    }
+    if (/Jetson/i.test(model)) {
+        return 'jetson';
+    }
+    return 'unknown';
+}
+
+/**
+ * Default pins and drivers of a board, the same the driver picks when left to choose
+ * @param {string} board - Board family (see boardOf)
+ * @returns {Object} { pins, gpioDriver, spiDriver }: the sysfs GPIO and software SPI on a Jetson,
+ *   else gpiod and spidev on the BCM pins
+ */
+function boardDefaults(board) {
+    if (board === 'jetson') {
+        return { pins: JETSON_PINS, gpioDriver: 'sysfs', spiDriver: 'software-spi' };
+    }
+    return { pins: DEFAULT_PINS, gpioDriver: 'gpiod', spiDriver: 'spidev' };
+}
+
+/**
+ * Fill in and check the hardware options
+ * @param {Object} options - Display options
+ * @param {Object} options.pins - GPIO numbers { rst, dc, cs, busy, pwr, mosi, sclk } of the GPIO driver (BCM, or sysfs
+ *   numbers on a Jetson); missing pins keep the default of the board
+ * @param {string} options.spiDevice - SPI device (default: '/dev/spidev0.0')
+ * @param {number} options.spiSpeedHz - SPI clock in Hz (default: 10000000)
+ * @param {number|string} options.gpioChip - GPIO chip number or device path (default: detected from the board model)
+ * @param {string} options.gpioDriver - 'gpiod', 'lgpio' or 'sysfs' (default: sysfs on Jetson, else gpiod)
+ * @param {string} options.spiDriver - 'spidev' or 'software-spi' (default: software-spi on Jetson, else spidev)
+ * @param {string} board - Board family giving the defaults (default: detected from the board model)
+ * @returns {Object} { pins, spiDevice, spiSpeedHz, gpioChip, gpioDriver, spiDriver } with gpioChip as a path,
+ *   or null when detected by the driver
+ */
+function resolveHardwareConfig(options = {}, board = boardOf(readModel())) {
+    const defaults = boardDefaults(board);
+    const pins = { ...defaults.pins };
+    for (const [name, pin] of Object.entries(options.pins || {})) {
+        if (!PIN_NAMES.includes(name)) {
+            throw new Error(`Unknown pin "${name}". Expected one of: ${PIN_NAMES.join(', ')}`);
+        }
+        if (!Number.isInteger(pin) || pin < 0) {
+            throw new Error(`Invalid GPIO number ${pin} for pin ${name}`);
+        }
+        pins[name] = pin;
+    }
+
+    const gpioDriver = checkDriver('gpioDriver', options.gpioDriver, GPIO_DRIVERS) || defaults.gpioDriver;
+    const spiDriver = checkDriver('spiDriver', options.spiDriver, SPI_DRIVERS) || defaults.spiDriver;
+
+    const used = new Map();
+    for (const name of usedPins({ spiDriver })) {
+        if (used.has(pins[name])) {
+            throw new Error(`Pins ${used.get(pins[name])} and ${name} both use GPIO ${pins[name]}`);
+        }
+        used.set(pins[name], name);
+    }
+
+    const spiDevice = options.spiDevice || DEFAULT_SPI_DEVICE;
+    checkPath('spiDevice', spiDevice);
+
+    const spiSpeedHz = options.spiSpeedHz !== undefined ? options.spiSpeedHz : DEFAULT_SPI_SPEED_HZ;
+    if (!Number.isInteger(spiSpeedHz) || spiSpeedHz <= 0) {
+        throw new Error(`Invalid SPI speed ${options.spiSpeedHz}. Expected a positive number of Hz`);
+    }
+
+    let gpioChip = null;
+    if (options.gpioChip !== undefined && options.gpioChip !== null) {
+        gpioChip = Number.isInteger(options.gpioChip) ? `/dev/gpiochip${options.gpioChip}` : options.gpioChip;
+        checkPath('gpioChip', gpioChip);
+    }
+
+    return { pins, spiDevice, spiSpeedHz, gpioChip, gpioDriver, spiDriver };
+}
+
+/**
+ * Check a driver option
+ * @param {string} name - Option name
+ * @param {*} value - Option value
+ * @param {Array<string>} drivers - Accepted drivers
+ * @returns {string|null} Driver, or null for the board default
+ */
+function checkDriver(name, value, drivers) {
+    if (value === undefined || value === null || value === 'auto') {
+        return null;
+    }
+    if (!drivers.includes(value)) {
+        throw new Error(`Unknown ${name} "${value}". Expected one of: auto, ${drivers.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Names of the pins a configuration drives
+ * @param {Object} config - Hardware configuration
+ * @returns {Array<string>} Pin names, with mosi and sclk for the software SPI only
+ */
+function usedPins(config) {
+    return config.spiDriver === 'software-spi' ? PIN_NAMES : PIN_NAMES.filter(name => name !== 'mosi' && name !== 'sclk');
+}
+
+/**
+ * Check a device path option
+ * @param {string} name - Option name
+ * @param {*} value - Option value
+ */
+function checkPath(name, value) {
+    if (typeof value !== 'string' || !value.startsWith('/dev/')) {
+        throw new Error(`Invalid ${name} ${value}. Expected a /dev path`);
+    }
+    if (value.length > MAX_PATH_LENGTH) {
+        throw new Error(`Invalid ${name} ${value}. Paths are limited to ${MAX_PATH_LENGTH} characters`);
+    }
+}
+
+/**
+ * Reserve the pins and SPI device of a panel being opened
+ * Fails without reserving anything when another open panel holds one of them.
+ * @param {Object} config - Resolved hardware configuration
+ * @param {Object} owner - Backend opening the panel
+ * @throws {EPDInitError} If a pin or the SPI device is already used by another panel
+ */
+function claimHardware(config, owner) {
+    // Without an explicit chip, the driver detects the same one for every panel
+    const chip = config.gpioChip || 'gpiochip';
+    const resources = usedPins(config).map(name => ({
+        key: `${chip}:${config.pins[name]}`,
+        label: `GPIO ${config.pins[name]} (${name})`
+    }));
+    if (config.spiDriver !== 'software-spi') {
+        resources.push({ key: config.spiDevice, label: `SPI device ${config.spiDevice}` });
+    }
+
+    for (const { key, label } of resources) {
+        if (claims.has(key) && claims.get(key) !== owner) {
+            throw new EPDInitError(`${label} is already used by another panel`, 'open');
+        }
+    }
+    for (const { key } of resources) {
+        claims.set(key, owner);
+    }
+}
+
+/**
+ * Release the pins and SPI device reserved by a panel
+ * @param {Object} owner - Backend closing the panel
+ */
+function releaseHardware(owner) {
+    for (const [key, holder] of claims) {
+        if (holder === owner) {
+            claims.delete(key);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_PINS,
+    JETSON_PINS,
+    PIN_NAMES,
+    DEFAULT_SPI_DEVICE,
+    DEFAULT_SPI_SPEED_HZ,
+    GPIO_DRIVERS,
+    SPI_DRIVERS,
+    readModel,
+    boardOf,
+    boardDefaults,
+    resolveHardwareConfig,
+    claimHardware,
+    releaseHardware
+};
@@ -0,0 +1,286 @@
+const http = require('http');
+const { FIT_MODES } = require('./image');
+const { COLOR_METHODS } = require('./dither');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_MAX_BODY_SIZE = 20 * 1024 * 1024;
+
+/**
+ * HTTP error carrying a status code
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * REST API in front of a Framik daemon
+ *
+ * Routes:
+ *   POST /display  - Image upload (JPEG/PNG/WebP/BMP, raw body or multipart/form-data)
+ *                    Query: fit=contain|cover|fill, method=closest|threshold|exact or a dithering method
+ *                    (floyd-steinberg, atkinson, stucki, sierra, bayer, blue-noise), wait=false, ifChanged=true
+ *   POST /clear    - JSON body or query: color=white|black|... or color index, ifChanged=true
+ *   POST /sleep    - Put the panel to sleep
+ *   GET  /status   - Daemon status
+ */
+class FramikHttpServer {
+    /**
+     * @param {FramikDaemon} daemon - Running daemon owning the panel
+     * @param {Object} options - Server options
+     * @param {number} options.port - Listen port (default: 8080)
+     * @param {string} options.host - Listen address (default: 127.0.0.1)
+     * @param {number} options.maxBodySize - Upload size limit in bytes (default: 20 MB)
+     */
+    constructor(daemon, options = {}) {
+        this.daemon = daemon;
+        this.epd = daemon.epd;
+        this.port = options.port !== undefined ? options.port : DEFAULT_PORT;
+        this.host = options.host || DEFAULT_HOST;
+        this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+        this.server = http.createServer((req, res) => this._handle(req, res));
+    }
+
+    /**
+     * Start accepting requests
+     * @returns {Promise<void>}
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop accepting requests
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Internal method routing a request
+     * @private
+     */
+    async _handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const routes = {
+            '/display': { POST: () => this._display(req, url) },
+            '/clear': { POST: () => this._clear(req, url) },
+            '/sleep': { POST: () => this._sleep() },
+            '/status': { GET: async () => ({ status: 200, body: this.daemon.getStatus() }) }
+        };
+
+        try {
+            const route = routes[url.pathname];
+            if (!route) {
+                throw new HttpError(404, `Not found: ${url.pathname}`);
+            }
+            const handler = route[req.method];
+            if (!handler) {
+                res.setHeader('Allow', Object.keys(route).join(', '));
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+            if (!this.daemon.running) {
+                throw new HttpError(503, 'Daemon not running');
+            }
+
+            const { status, body } = await handler();
+            sendJSON(res, status, body);
+        } catch (error) {
+            const fault = error.stage ? { code: error.code, stage: error.stage } : {};
+            sendJSON(res, error.status || 500, { error: error.message, ...fault });
+        }
+    }
+
+    /**
+     * Internal method handling POST /display
+     * @private
+     */
+    async _display(req, url) {
+        const fit = url.searchParams.get('fit') || 'contain';
+        const method = url.searchParams.get('method') || 'closest';
+        const wait = url.searchParams.get('wait') !== 'false';
+        const ifChanged = url.searchParams.get('ifChanged') === 'true';
+
+        if (!FIT_MODES.includes(fit)) {
+            throw new HttpError(400, `Invalid fit "${fit}". Expected one of: ${FIT_MODES.join(', ')}`);
+        }
+        if (!COLOR_METHODS.includes(method)) {
+            throw new HttpError(400, `Invalid method "${method}". Expected one of: ${COLOR_METHODS.join(', ')}`);
+        }
+
+        const body = await readBody(req, this.maxBodySize);
+        const image = extractUpload(req.headers['content-type'], body);
+        if (image.length === 0) {
+            throw new HttpError(400, 'Empty image upload');
+        }
+
+        const buffer = await this._convertImage(image, { fit, method });
+        const job = this.daemon.submit({ type: 'display', buffer, ifChanged });
+
+        if (!wait) {
+            job.catch(() => {});
+            return { status: 202, body: { accepted: true, queueLength: this.daemon.queue.length } };
+        }
+        return { status: 200, body: await job };
+    }
+
+    /**
+     * Internal method handling POST /clear
+     * @private
+     */
+    async _clear(req, url) {
+        let color = url.searchParams.get('color');
+        let ifChanged = url.searchParams.get('ifChanged') === 'true';
+        const body = await readBody(req, this.maxBodySize);
+        if (body.length > 0) {
+            let parsed;
+            try {
+                parsed = JSON.parse(body.toString('utf8'));
+            } catch (error) {
+                throw new HttpError(400, 'Invalid JSON body');
+            }
+            if (parsed && parsed.color !== undefined) {
+                color = parsed.color;
+            }
+            if (parsed && parsed.ifChanged !== undefined) {
+                ifChanged = parsed.ifChanged === true;
+            }
+        }
+
+        const result = await this.daemon.submit({ type: 'clear', color: this._parseColor(color), ifChanged });
+        return { status: 200, body: result };
+    }
+
+    /**
+     * Internal method handling POST /sleep
+     * @private
+     */
+    async _sleep() {
+        const result = await this.daemon.submit({ type: 'sleep' });
+        return { status: 200, body: result };
+    }
+
+    /**
+     * Internal method resolving a color name or index
+     * @private
+     */
+    _parseColor(color) {
+        const colors = this.epd.getColors();
+        if (color === null || color === undefined || color === '') {
+            return colors.WHITE;
+        }
+
+        const name = String(color).toUpperCase();
+        if (colors[name] !== undefined) {
+            return colors[name];
+        }
+
+        const value = Number(color);
+        if (Number.isInteger(value) && Object.values(colors).includes(value)) {
+            return value;
+        }
+        throw new HttpError(400, `Invalid color "${color}". Expected one of: ${Object.keys(colors).join(', ').toLowerCase()}`);
+    }
+
+    /**
+     * Internal method converting an uploaded image to a panel buffer
+     * @private
+     */
+    async _convertImage(image, options) {
+        try {
+            return await this.epd.loadImage(image, options);
+        } catch (error) {
+            throw new HttpError(400, `Unable to decode image: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Read a request body up to a size limit
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>} Body contents
+ */
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                // Discard the rest of the upload so the error response can still be sent
+                req.removeAllListeners('data');
+                req.resume();
+                reject(new HttpError(413, `Upload exceeds ${limit} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Extract the uploaded file from a raw or multipart/form-data body
+ * @param {string} contentType - Content-Type header
+ * @param {Buffer} body - Request body
+ * @returns {Buffer} File contents
+ */
+function extractUpload(contentType, body) {
+    const match = /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (!match) {
+        return body;
+    }
+
+    // Use the first part carrying a file name
+    const boundary = Buffer.from(`--${match[1] || match[2]}`);
+    let start = body.indexOf(boundary);
+    while (start !== -1) {
+        const next = body.indexOf(boundary, start + boundary.length);
+        if (next === -1) {
+            break;
+        }
+        const part = body.slice(start + boundary.length, next);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.slice(0, headerEnd).toString('utf8');
+            if (/filename=/i.test(headers)) {
+                // Strip the CRLF preceding the next boundary
+                return part.slice(headerEnd + 4, part.length - 2);
+            }
+        }
+        start = next;
+    }
+    throw new HttpError(400, 'No file found in multipart upload');
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJSON(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+module.exports = FramikHttpServer;
+module.exports.HttpError = HttpError;
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const Colors = require('./colors');
+const { isBMP, decodeBMP } = require('./bmp');
+
+/**
+ * Image loading and rendering
+ *
+ * Decodes an image file with sharp (BMP is decoded here since libvips cannot
+ * read it), applies EXIF orientation and an optional rotation, and fits it to
+ * the panel size. The result is flat RGB data ready for color mapping.
+ * Panel buffers go the other way for previews: each nibble is drawn with the
+ * RGB value of its ink.
+ */
+
+const FIT_MODES = ['contain', 'cover', 'fill'];
+
+// Options of EPD7in3e.loadImage and renderSVG that playlists and scheduled jobs pass through
+const IMAGE_OPTIONS = ['fit', 'background', 'rotate', 'method', 'distance', 'palette'];
+
+const DEFAULT_BACKGROUND = { r: 255, g: 255, b: 255 };
+
+/**
+ * Decode and resize an image to raw RGB pixels
+ * @param {string|Buffer} input - Image file path or file contents
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {Object} options - Loading options
+ * @param {string} options.fit - 'contain' (default), 'cover' or 'fill'
+ * @param {string|Object} options.background - Color for letterboxing and transparency,
+ *   as a CSS color string or { r, g, b } (default: white)
+ * @param {number} options.rotate - Clockwise rotation in degrees applied before fitting (default: 0)
+ * @param {number} options.density - DPI used to rasterize vector input such as SVG (default: 72)
+ * @returns {Promise<Object>} { data, width, height, channels }
+ */
+async function loadRGB(input, width, height, options = {}) {
+    const fit = options.fit || 'contain';
+    const background = options.background || DEFAULT_BACKGROUND;
+    const rotate = options.rotate || 0;
+
+    if (!FIT_MODES.includes(fit)) {
+        throw new Error(`Invalid fit "${fit}". Expected one of: ${FIT_MODES.join(', ')}`);
+    }
+    if (typeof rotate !== 'number' || !Number.isFinite(rotate)) {
+        throw new Error('Rotation must be a number of degrees');
+    }
+
+    let contents = input;
+    if (typeof input === 'string') {
+        contents = await fs.promises.readFile(input);
+    } else if (!Buffer.isBuffer(input)) {
+        throw new Error('Image must be a file path or a Buffer');
+    }
+
+    const sharp = require('sharp');
+    let image;
+    if (isBMP(contents)) {
+        const bmp = decodeBMP(contents);
+        image = sharp(bmp.data, { raw: { width: bmp.width, height: bmp.height, channels: bmp.channels } });
+    } else {
+        image = sharp(contents, options.density ? { density: options.density } : {}).autoOrient();
+    }
+
+    if (rotate % 360 !== 0) {
+        image = image.rotate(rotate, { background });
+    }
+
+    const { data, info } = await image
+        .resize(width, height, { fit, background })
+        .flatten({ background })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+/**
+ * Expand a packed panel buffer to RGB pixels
+ * Pixel values without an ink are drawn white.
+ * @param {Buffer} panel - Packed 4bpp panel buffer
+ * @param {number} width - Panel width
+ * @param {number} height - Panel height
+ * @param {Array} palette - Ink list as { color, r, g, b } objects
+ * @param {Orientation} orientation - Produce the image in logical orientation (default: panel order)
+ * @returns {Buffer} RGB data, 3 bytes per pixel
+ */
+function panelToRGB(panel, width, height, palette, orientation = null) {
+    const inks = new Array(16).fill(palette.find(ink => ink.color === Colors.WHITE));
+    palette.forEach(ink => {
+        inks[ink.color] = ink;
+    });
+
+    const rowBytes = Math.ceil(width / 2);
+    const outWidth = orientation ? orientation.width : width;
+    const outHeight = orientation ? orientation.height : height;
+    const rgb = Buffer.alloc(outWidth * outHeight * 3);
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            const panelX = orientation ? orientation.panelX(x, y) : x;
+            const panelY = orientation ? orientation.panelY(x, y) : y;
+            const byte = panel[Math.floor(panelX / 2) + panelY * rowBytes];
+            const ink = inks[panelX % 2 === 0 ? byte >> 4 : byte & 0x0F];
+            const offset = (y * outWidth + x) * 3;
+            rgb[offset] = ink.r;
+            rgb[offset + 1] = ink.g;
+            rgb[offset + 2] = ink.b;
+        }
+    }
+    return rgb;
+}
+
+/**
+ * Render a packed panel buffer as a PNG image
+ * @param {Buffer} panel - Packed 4bpp panel buffer
+ * @param {number} width - Panel width
+ * @param {number} height - Panel height
+ * @param {Array} palette - Ink list as { color, r, g, b } objects
+ * @param {Orientation} orientation - Render in logical orientation (default: panel order)
+ * @returns {Promise<Buffer>} PNG file contents
+ */
+function renderPNG(panel, width, height, palette, orientation = null) {
+    const sharp = require('sharp');
+    const raw = {
+        width: orientation ? orientation.width : width,
+        height: orientation ? orientation.height : height,
+        channels: 3
+    };
+    return sharp(panelToRGB(panel, width, height, palette, orientation), { raw })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Copy the image loading options out of an options object
+ * @param {Object} source - Options, playlist item or job action
+ * @returns {Object} Image options that are set
+ */
+function pickImageOptions(source) {
+    const options = {};
+    IMAGE_OPTIONS.forEach(key => {
+        if (source[key] !== undefined) {
+            options[key] = source[key];
+        }
+    });
+    return options;
+}
+
+module.exports = {
+    FIT_MODES,
+    IMAGE_OPTIONS,
+    loadRGB,
+    pickImageOptions,
+    panelToRGB,
+    renderPNG
+};
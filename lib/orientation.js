@@ -0,0 +1,100 @@
+/**
+ * Display orientation
+ *
+ * Maps logical coordinates, as seen in the frame, to panel-native pixel
+ * positions. Rotation follows Waveshare's Paint_SetRotate: at 90 degrees the
+ * logical origin is the panel's top-right corner and the drawing appears
+ * turned clockwise. Mirroring flips the logical image before it is rotated,
+ * so 'horizontal' always swaps left and right as seen in the frame.
+ */
+
+const ROTATIONS = [0, 90, 180, 270];
+
+const MIRROR_MODES = ['none', 'horizontal', 'vertical', 'both'];
+
+class Orientation {
+    /**
+     * @param {number} panelWidth - Panel-native width
+     * @param {number} panelHeight - Panel-native height
+     * @param {Object} options - Orientation options
+     * @param {number} options.rotation - 0 (default), 90, 180 or 270 degrees
+     * @param {string} options.mirror - 'none' (default), 'horizontal', 'vertical' or 'both'
+     */
+    constructor(panelWidth, panelHeight, options = {}) {
+        const rotation = options.rotation || 0;
+        const mirror = options.mirror || 'none';
+        if (!ROTATIONS.includes(rotation)) {
+            throw new Error(`Invalid rotation ${rotation}. Expected one of: ${ROTATIONS.join(', ')}`);
+        }
+        if (!MIRROR_MODES.includes(mirror)) {
+            throw new Error(`Invalid mirror mode "${mirror}". Expected one of: ${MIRROR_MODES.join(', ')}`);
+        }
+
+        this.panelWidth = panelWidth;
+        this.panelHeight = panelHeight;
+        this.rotation = rotation;
+        this.mirror = mirror;
+        this.swapped = rotation === 90 || rotation === 270;
+        this.width = this.swapped ? panelHeight : panelWidth;
+        this.height = this.swapped ? panelWidth : panelHeight;
+        this.mirrorX = mirror === 'horizontal' || mirror === 'both';
+        this.mirrorY = mirror === 'vertical' || mirror === 'both';
+        this.identity = rotation === 0 && mirror === 'none';
+    }
+
+    /**
+     * Panel-native X of a logical pixel
+     * @param {number} x - Logical X
+     * @param {number} y - Logical Y
+     * @returns {number} Panel X
+     */
+    panelX(x, y) {
+        if (this.mirrorX) {
+            x = this.width - 1 - x;
+        }
+        if (this.mirrorY) {
+            y = this.height - 1 - y;
+        }
+        switch (this.rotation) {
+            case 90:
+                return this.panelWidth - 1 - y;
+            case 180:
+                return this.panelWidth - 1 - x;
+            case 270:
+                return y;
+            default:
+                return x;
+        }
+    }
+
+    /**
+     * Panel-native Y of a logical pixel
+     * @param {number} x - Logical X
+     * @param {number} y - Logical Y
+     * @returns {number} Panel Y
+     */
+    panelY(x, y) {
+        if (this.mirrorX) {
+            x = this.width - 1 - x;
+        }
+        if (this.mirrorY) {
+            y = this.height - 1 - y;
+        }
+        switch (this.rotation) {
+            case 90:
+                return x;
+            case 180:
+                return this.panelHeight - 1 - y;
+            case 270:
+                return this.panelHeight - 1 - x;
+            default:
+                return y;
+        }
+    }
+}
+
+module.exports = {
+    MIRROR_MODES,
+    ROTATIONS,
+    Orientation
+};
@@ -0,0 +1,118 @@
+const Colors = require('./colors');
+
+/**
+ * Ink palettes
+ *
+ * A palette lists the sRGB value each panel ink actually shows. Nearest-color
+ * matching and dithering compare pixels against these values, so a palette
+ * measured from a real panel gives much better mapping choices than the
+ * idealized primaries.
+ */
+
+const COLOR_NAMES = ['BLACK', 'WHITE', 'YELLOW', 'RED', 'BLUE', 'GREEN'];
+
+// Palettes already in { color, r, g, b } list form
+const normalized = new WeakSet();
+
+/**
+ * Build a palette list from [r, g, b] values keyed by color name
+ * @param {Object} inks - Ink values keyed by color name
+ * @returns {Array} Frozen palette list
+ */
+function definePalette(inks) {
+    const palette = COLOR_NAMES.map(name => Object.freeze({
+        color: Colors[name],
+        r: inks[name][0],
+        g: inks[name][1],
+        b: inks[name][2]
+    }));
+    normalized.add(palette);
+    return Object.freeze(palette);
+}
+
+/**
+ * Idealized RGB values of the panel inks
+ */
+const IDEAL_PALETTE = definePalette({
+    BLACK: [0, 0, 0],
+    WHITE: [255, 255, 255],
+    YELLOW: [255, 255, 0],
+    RED: [255, 0, 0],
+    BLUE: [0, 0, 255],
+    GREEN: [0, 255, 0]
+});
+
+/**
+ * Approximate sRGB values of the Spectra 6 inks on the 7.3inch panel,
+ * measured under daylight. The real inks are much duller than the primaries.
+ */
+const MEASURED_7IN3E_PALETTE = definePalette({
+    BLACK: [25, 30, 33],
+    WHITE: [232, 232, 232],
+    YELLOW: [239, 222, 68],
+    RED: [178, 19, 24],
+    BLUE: [33, 87, 186],
+    GREEN: [18, 95, 32]
+});
+
+const PALETTES = {
+    'ideal': IDEAL_PALETTE,
+    'measured-7in3e': MEASURED_7IN3E_PALETTE
+};
+
+/**
+ * Resolve a palette option to a palette list
+ * @param {string|Array|Object} palette - Preset name ('ideal', 'measured-7in3e'),
+ *   a list of { color, r, g, b } entries, or an object keyed by color name with
+ *   [r, g, b] arrays or { r, g, b } objects for each of BLACK..GREEN
+ * @returns {Array} Palette list
+ */
+function resolvePalette(palette) {
+    if (normalized.has(palette)) {
+        return palette;
+    }
+
+    if (typeof palette === 'string') {
+        if (!PALETTES[palette]) {
+            throw new Error(`Unknown palette "${palette}". Expected one of: ${Object.keys(PALETTES).join(', ')}`);
+        }
+        return PALETTES[palette];
+    }
+
+    if (Array.isArray(palette)) {
+        const inks = {};
+        palette.forEach(entry => {
+            const name = COLOR_NAMES.find(n => Colors[n] === entry.color);
+            if (name) {
+                inks[name] = [entry.r, entry.g, entry.b];
+            }
+        });
+        return resolvePalette(inks);
+    }
+
+    if (!palette || typeof palette !== 'object') {
+        throw new Error('Expected a palette name, list or object');
+    }
+
+    const inks = {};
+    for (const name of COLOR_NAMES) {
+        const value = palette[name];
+        if (value === undefined) {
+            throw new Error(`Palette is missing ${name}`);
+        }
+        const rgb = Array.isArray(value) ? value : [value.r, value.g, value.b];
+        if (rgb.length !== 3 || !rgb.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+            throw new Error(`Invalid ${name} value in palette. Expected [r, g, b] with values 0-255`);
+        }
+        inks[name] = rgb;
+    }
+    return definePalette(inks);
+}
+
+module.exports = {
+    COLOR_NAMES,
+    IDEAL_PALETTE,
+    MEASURED_7IN3E_PALETTE,
+    PALETTES,
+    resolvePalette
+};
@@ -0,0 +1,467 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { pickImageOptions } = require('./image');
+
+const DEFAULT_INTERVAL = 15 * 60 * 1000;
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp', '.tif', '.tiff', '.avif', '.heic', '.svg'];
+
+/**
+ * Playlist
+ *
+ * Cycles through images on an interval, like a photo frame: each item stays
+ * on the panel for its duration, then the next one is loaded and displayed.
+ * Refreshes only happen inside the active hours, and the position is saved
+ * after every refresh so a restart continues where it left off instead of
+ * showing the first image again.
+ *
+ * Frames go through a FramikDaemon when one is given. Otherwise the panel is
+ * driven directly and put to sleep between refreshes.
+ *
+ * Events: 'show', 'pause', 'item:error', 'warning', 'error'
+ */
+class Playlist extends EventEmitter {
+    /**
+     * @param {Object} options - Playlist options
+     * @param {EPD7in3e} options.epd - Display used to load images, and to show them without a daemon
+     * @param {FramikDaemon} options.daemon - Daemon to submit frames to (default: drive options.epd directly)
+     * @param {string} options.directory - Directory of images, read again on every refresh
+     * @param {Array} options.items - Image paths, or { path, duration, ...image options } objects
+     * @param {number} options.interval - Time in ms each item stays on screen (default: 15 minutes)
+     * @param {boolean} options.shuffle - Show items in random order, reshuffled after each round (default: false)
+     * @param {Array} options.activeHours - Local time windows for refreshes, as 'HH:MM-HH:MM' strings or
+     *   { start, end } objects; windows may cross midnight (default: always active)
+     * @param {string} options.statePath - JSON file where the position is saved (default: not saved)
+     * @param {string} options.fit - Image fit for all items (see EPD7in3e.loadImage)
+     * @param {string} options.method - Color mapping or dithering method for all items (see EPD7in3e.loadImage)
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.epd && !options.daemon) {
+            throw new Error('Playlist needs an epd or a daemon');
+        }
+        if (!options.directory === !options.items) {
+            throw new Error('Playlist needs either a directory or a list of items');
+        }
+
+        this.daemon = options.daemon || null;
+        this.epd = options.epd || this.daemon.epd;
+        this.directory = options.directory || null;
+        this.items = options.items ? options.items.map(normalizeItem) : null;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.shuffle = Boolean(options.shuffle);
+        this.activeHours = (options.activeHours || []).map(parseWindow);
+        this.statePath = options.statePath || null;
+        this.imageOptions = pickImageOptions(options);
+
+        this.running = false;
+        this.order = [];
+        this.position = -1;
+        this.current = null;
+        this.shownAt = null;
+        this.nextAt = null;
+
+        this._savedState = null;
+        this._timer = null;
+        this._busy = Promise.resolve();
+    }
+
+    /**
+     * Start cycling
+     * A saved position is resumed: the current item stays up for the rest of its duration.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('Playlist already running');
+        }
+        const saved = await this._loadState();
+        this._savedState = saved;
+        this._syncOrder(await this._listItems());
+        this.running = true;
+
+        let delay = 0;
+        const current = this.order[this.position];
+        if (saved && saved.shownAt && current && current.path === saved.current) {
+            this.current = current;
+            this.shownAt = saved.shownAt;
+            delay = Math.max(0, this.shownAt + this._duration(current) - Date.now());
+        }
+        this._schedule(delay);
+    }
+
+    /**
+     * Stop cycling, after any refresh in progress
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.running = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+        this.nextAt = null;
+        await this._busy.catch(() => {});
+    }
+
+    /**
+     * Show the next item now, ignoring active hours
+     * @returns {Promise<Object>} { path, position, total } of the item shown
+     */
+    next() {
+        return this._manual(1);
+    }
+
+    /**
+     * Show the previous item now, ignoring active hours
+     * @returns {Promise<Object>} { path, position, total } of the item shown
+     */
+    previous() {
+        return this._manual(-1);
+    }
+
+    /**
+     * Get the playlist status
+     * @returns {Object} Status snapshot
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            current: this.current ? this.current.path : null,
+            position: this.position,
+            total: this.order.length,
+            shownAt: this.shownAt ? new Date(this.shownAt).toISOString() : null,
+            nextAt: this.nextAt ? new Date(this.nextAt).toISOString() : null,
+            active: this.isActive()
+        };
+    }
+
+    /**
+     * Check whether refreshes are allowed at a given time
+     * @param {Date} date - Time to check (default: now)
+     * @returns {boolean} True inside the active hours
+     */
+    isActive(date = new Date()) {
+        if (this.activeHours.length === 0) {
+            return true;
+        }
+        const minute = date.getHours() * 60 + date.getMinutes();
+        return this.activeHours.some(({ start, end }) => {
+            if (start === end) {
+                return true;
+            }
+            return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+        });
+    }
+
+    /**
+     * Internal method showing an item on request and restarting its timer
+     * @private
+     */
+    _manual(step) {
+        return this._exclusive(async () => {
+            const shown = await this._advance(step);
+            if (this.running) {
+                this._schedule(this._duration(this.current));
+            }
+            return shown;
+        });
+    }
+
+    /**
+     * Internal method running on each timer expiry
+     * @private
+     */
+    _tick() {
+        this._timer = null;
+        return this._exclusive(async () => {
+            if (!this.running) {
+                return;
+            }
+            const now = new Date();
+            if (!this.isActive(now)) {
+                const delay = this._msUntilActive(now);
+                this.emit('pause', new Date(now.getTime() + delay));
+                this._schedule(delay);
+                return;
+            }
+            try {
+                await this._advance(1);
+                this._schedule(this._duration(this.current));
+            } catch (error) {
+                this.emit('error', error);
+                this._schedule(this.interval);
+            }
+        }).catch(error => this.emit('error', error));
+    }
+
+    /**
+     * Internal method running playlist operations one at a time
+     * @private
+     */
+    _exclusive(task) {
+        const run = this._busy.then(task);
+        this._busy = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Internal method arming the refresh timer
+     * @private
+     */
+    _schedule(delay) {
+        clearTimeout(this._timer);
+        if (!this.running) {
+            return;
+        }
+        this.nextAt = Date.now() + delay;
+        this._timer = setTimeout(() => this._tick(), delay);
+    }
+
+    /**
+     * Internal method moving through the order and displaying the first item that loads
+     * Items that fail to load are reported with an 'item:error' event and skipped.
+     * @private
+     */
+    async _advance(step) {
+        const items = await this._listItems();
+        if (items.length === 0) {
+            throw new Error('Playlist is empty');
+        }
+        this._syncOrder(items);
+
+        for (let attempt = 0; attempt < this.order.length; attempt++) {
+            this._step(step);
+            const item = this.order[this.position];
+            try {
+                const buffer = await this.epd.loadImage(item.path, { ...this.imageOptions, ...item.options });
+                await this._display(buffer);
+            } catch (error) {
+                this.emit('item:error', error, item);
+                continue;
+            }
+
+            this.current = item;
+            this.shownAt = Date.now();
+            await this._saveState();
+            const shown = { path: item.path, position: this.position, total: this.order.length };
+            this.emit('show', shown);
+            return shown;
+        }
+        throw new Error('No playlist item could be shown');
+    }
+
+    /**
+     * Internal method moving the position by one step, reshuffling after a full round
+     * @private
+     */
+    _step(step) {
+        const length = this.order.length;
+        if (step > 0 && this.position + 1 >= length && this.shuffle && length > 1) {
+            const last = this.order[length - 1];
+            this.order = shuffled(this.order);
+            if (this.order[0] === last) {
+                [this.order[0], this.order[length - 1]] = [this.order[length - 1], this.order[0]];
+            }
+            this.position = 0;
+            return;
+        }
+        this.position = ((this.position + step) % length + length) % length;
+    }
+
+    /**
+     * Internal method reconciling the order with the current item list
+     * The order survives as long as the set of items is unchanged; otherwise it is rebuilt
+     * around the current item so the sequence continues from it.
+     * @private
+     */
+    _syncOrder(items) {
+        const byPath = new Map(items.map(item => [item.path, item]));
+        const saved = this._savedState;
+        this._savedState = null;
+
+        if (this.order.length === 0 && saved && Array.isArray(saved.order) && sameSet(saved.order, byPath)) {
+            this.order = saved.order.map(key => byPath.get(key));
+            this.position = this.order.findIndex(item => item.path === saved.current);
+            return;
+        }
+        if (this.order.length > 0 && sameSet(this.order.map(item => item.path), byPath)) {
+            this.order = this.order.map(item => byPath.get(item.path));
+            return;
+        }
+
+        const currentPath = this.current ? this.current.path : saved && saved.current;
+        const previousPosition = this.position;
+        this.order = this.shuffle ? shuffled(items) : items;
+        if (this.shuffle && byPath.has(currentPath)) {
+            // Put the current item first so the new round continues after it
+            const index = this.order.findIndex(item => item.path === currentPath);
+            [this.order[0], this.order[index]] = [this.order[index], this.order[0]];
+        }
+        const index = this.order.findIndex(item => item.path === currentPath);
+        this.position = index >= 0 ? index : Math.max(-1, Math.min(previousPosition, this.order.length) - 1);
+    }
+
+    /**
+     * Internal method listing the playlist items
+     * @private
+     */
+    async _listItems() {
+        if (this.items) {
+            return this.items;
+        }
+        const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+            .map(entry => entry.name)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(name => normalizeItem(path.join(this.directory, name)));
+    }
+
+    /**
+     * Internal method sending a frame to the panel, unless the panel already shows it
+     * Without a daemon the panel is initialized for the refresh and put back to sleep.
+     * @private
+     */
+    async _display(buffer) {
+        if (this.daemon) {
+            await this.daemon.submit({ type: 'display', buffer, ifChanged: true });
+            return;
+        }
+        if (!this.epd.compareFrame(buffer).changed) {
+            return;
+        }
+        if (!this.epd.initialized) {
+            await this.epd.initAsync();
+        }
+        await this.epd.displayAsync(buffer);
+        await this.epd.sleepAsync();
+    }
+
+    /**
+     * Internal method returning how long an item stays on screen
+     * @private
+     */
+    _duration(item) {
+        return item && item.duration ? item.duration : this.interval;
+    }
+
+    /**
+     * Internal method computing the delay until the next active window opens
+     * @private
+     */
+    _msUntilActive(now) {
+        let best = Infinity;
+        for (const { start } of this.activeHours) {
+            const next = new Date(now.getTime());
+            next.setHours(Math.floor(start / 60), start % 60, 0, 0);
+            if (next <= now) {
+                next.setDate(next.getDate() + 1);
+            }
+            best = Math.min(best, next - now);
+        }
+        return best;
+    }
+
+    /**
+     * Internal method reading the saved position
+     * @private
+     */
+    async _loadState() {
+        if (!this.statePath) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.emit('warning', new Error(`Ignoring unreadable playlist state ${this.statePath}: ${error.message}`));
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Internal method saving the position, replacing the file atomically
+     * @private
+     */
+    async _saveState() {
+        if (!this.statePath) {
+            return;
+        }
+        const state = {
+            current: this.current.path,
+            position: this.position,
+            order: this.order.map(item => item.path),
+            shownAt: this.shownAt
+        };
+        const temporary = `${this.statePath}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify(state, null, 2));
+        await fs.promises.rename(temporary, this.statePath);
+    }
+}
+
+/**
+ * Convert a playlist entry to { path, duration, options }
+ * @param {string|Object} entry - Image path or { path, duration, ...image options }
+ * @returns {Object} Normalized item
+ */
+function normalizeItem(entry) {
+    const item = typeof entry === 'string' ? { path: entry } : entry;
+    if (!item || typeof item.path !== 'string') {
+        throw new Error('Playlist items must be image paths or objects with a path');
+    }
+    if (item.duration !== undefined && !(item.duration > 0)) {
+        throw new Error(`Invalid duration for ${item.path}`);
+    }
+    return { path: path.resolve(item.path), duration: item.duration, options: pickImageOptions(item) };
+}
+
+/**
+ * Parse an active hours window
+ * @param {string|Object} window - 'HH:MM-HH:MM' or { start: 'HH:MM', end: 'HH:MM' }
+ * @returns {Object} { start, end } in minutes after midnight
+ */
+function parseWindow(window) {
+    const [start, end] = typeof window === 'string' ? window.split('-') : [window && window.start, window && window.end];
+    return { start: parseTime(start), end: parseTime(end) };
+}
+
+/**
+ * Parse a time of day
+ * @param {string} value - 'HH:MM'
+ * @returns {number} Minutes after midnight
+ */
+function parseTime(value) {
+    const match = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(value || '');
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (Number(match[1]) === 24 && match[2] !== '00')) {
+        throw new Error(`Invalid time "${value}". Expected HH:MM`);
+    }
+    return (Number(match[1]) * 60 + Number(match[2])) % (24 * 60);
+}
+
+/**
+ * Check whether a list of paths holds exactly the keys of a map
+ * @param {Array<string>} paths - Paths
+ * @param {Map} byPath - Items by path
+ * @returns {boolean} True if both hold the same paths
+ */
+function sameSet(paths, byPath) {
+    return paths.length === byPath.size && paths.every(key => byPath.has(key));
+}
+
+/**
+ * Shuffled copy of an array (Fisher-Yates)
+ * @param {Array} array - Input
+ * @returns {Array} Shuffled copy
+ */
+function shuffled(array) {
+    const copy = array.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+module.exports = Playlist;
+module.exports.IMAGE_EXTENSIONS = IMAGE_EXTENSIONS;
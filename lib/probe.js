@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveHardwareConfig, readModel, boardOf } = require('./hardware-config');
+const { loadAddon } = require('./backends/native');
+
+/**
+ * Hardware detection
+ *
+ * Looks at what the machine actually offers — GPIO chips, SPI devices, the
+ * sysfs GPIO interface and the device-tree model — instead of guessing from
+ * the distribution, so Alpine, Armbian, Buildroot and containers with the
+ * devices passed through are recognised. Nothing is opened or printed.
+ */
+
+const SYSFS_GPIO_EXPORT = '/sys/class/gpio/export';
+
+/**
+ * Whether the process may read and write a file
+ * @param {string} file - File path
+ * @returns {boolean} True if it exists and is accessible
+ */
+function isAccessible(file) {
+    try {
+        fs.accessSync(file, fs.constants.R_OK | fs.constants.W_OK);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * List the device nodes whose name starts with a prefix, in numeric order
+ * @param {string} prefix - e.g. 'gpiochip'
+ * @returns {Array<Object>} [{ path, accessible }]
+ */
+function listDevices(prefix) {
+    let names;
+    try {
+        names = fs.readdirSync('/dev').filter(name => name.startsWith(prefix));
+    } catch (error) {
+        return [];
+    }
+    return names
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+        .map(name => {
+            const file = path.join('/dev', name);
+            return { path: file, accessible: isAccessible(file) };
+        });
+}
+
+/**
+ * Try to load the native addon
+ * @returns {Object} { loaded, error, gpioDrivers } with the load error message, if any
+ */
+function probeAddon() {
+    try {
+        return { loaded: true, error: null, gpioDrivers: loadAddon().gpioDrivers };
+    } catch (error) {
+        return { loaded: false, error: error.message, gpioDrivers: [] };
+    }
+}
+
+/**
+ * Probe the machine for the interfaces the panel needs
+ * @param {Object} options - Hardware options to check (see resolveHardwareConfig)
+ * @returns {Object} Report: { platform, arch, model, board, gpioChips, spiDevices, sysfsGpio, addon,
+ *   config, problems, ok }, with config.gpioChip set to the chip the driver will open
+ */
+function probeHardware(options = {}) {
+    const addon = probeAddon();
+    const model = readModel();
+    const board = boardOf(model);
+    const gpioChips = listDevices('gpiochip');
+    const spiDevices = listDevices('spidev');
+    const sysfsGpio = isAccessible(SYSFS_GPIO_EXPORT);
+
+    // The drivers and pins open() uses on this board
+    const config = resolveHardwareConfig(options, board);
+    if (!config.gpioChip) {
+        // Same choice as DEV_GPIO_Chip
+        const pi5Chip = gpioChips.find(chip => chip.path === '/dev/gpiochip4');
+        config.gpioChip = board === 'raspberry-pi-5' && pi5Chip ? pi5Chip.path : '/dev/gpiochip0';
+    }
+
+    const problems = [];
+    if (process.platform !== 'linux') {
+        problems.push(`Unsupported platform ${process.platform}, the native driver needs Linux`);
+    }
+    if (!addon.loaded) {
+        problems.push(addon.error);
+    } else if (!addon.gpioDrivers.includes(config.gpioDriver)) {
+        problems.push(`GPIO driver ${config.gpioDriver} is not built into the addon`);
+    }
+    if (config.gpioDriver === 'sysfs') {
+        if (!sysfsGpio) {
+            problems.push(`${SYSFS_GPIO_EXPORT} is missing or not writable`);
+        }
+    } else {
+        checkDevice(problems, gpioChips, config.gpioChip, 'GPIO chip');
+    }
+    if (config.spiDriver === 'spidev') {
+        checkDevice(problems, spiDevices, config.spiDevice, 'SPI device');
+    }
+
+    return {
+        platform: process.platform,
+        arch: process.arch,
+        model,
+        board,
+        gpioChips,
+        spiDevices,
+        sysfsGpio,
+        addon,
+        config,
+        problems,
+        ok: problems.length === 0
+    };
+}
+
+/**
+ * Record a problem if a device node is missing or not accessible
+ * @param {Array<string>} problems - Problems found so far
+ * @param {Array<Object>} devices - Device nodes found
+ * @param {string} file - Device path in use
+ * @param {string} label - Kind of device
+ */
+function checkDevice(problems, devices, file, label) {
+    const device = devices.find(entry => entry.path === file);
+    if (!device && !fs.existsSync(file)) {
+        problems.push(`${label} ${file} not found`);
+    } else if (!(device ? device.accessible : isAccessible(file))) {
+        problems.push(`${label} ${file} is not readable and writable by this user`);
+    }
+}
+
+module.exports = {
+    probeHardware
+};
@@ -0,0 +1,184 @@
+const fs = require('fs');
+
+/**
+ * Refresh policy
+ *
+ * Guards the panel against refreshing too often and keeps a wear counter:
+ * the number of refreshes, and the number since the panel was last cleaned
+ * by a full clear to white. The counter can be saved to a JSON file so it
+ * survives restarts, along with the time of the last refresh, so the
+ * minimum interval also holds across them.
+ */
+
+// Refreshes after which a clear to white is recommended
+const DEFAULT_CLEAN_EVERY = 100;
+
+// Vendors recommend refreshing at least once a day so the image does not burn in
+const DEFAULT_MAX_IDLE = 24 * 60 * 60 * 1000;
+
+class RefreshPolicy {
+    /**
+     * @param {Object} options - Policy options (see configure)
+     */
+    constructor(options = {}) {
+        this.wearPath = null;
+        this.wear = emptyWear();
+        this.configure(options);
+    }
+
+    /**
+     * Change the policy settings
+     * The wear counter is read again when the wear file changes.
+     * @param {Object} options - Policy options
+     * @param {number} options.minInterval - Minimum time in ms between refreshes (default: 0, no limit)
+     * @param {boolean} options.coalesce - While a refresh waits for its turn, newer refreshes replace it (default: true)
+     * @param {string} options.wearPath - JSON file for the wear counter (default: kept in memory)
+     * @param {number} options.cleanEvery - Refreshes after which a clear to white is recommended (default: 100, 0 to disable)
+     * @param {number} options.maxIdle - Time in ms without refresh after which a clear to white is recommended
+     *   (default: 24 hours, 0 to disable)
+     */
+    configure(options = {}) {
+        const minInterval = options.minInterval || 0;
+        if (typeof minInterval !== 'number' || minInterval < 0) {
+            throw new Error(`Invalid minimum refresh interval ${options.minInterval}`);
+        }
+
+        this.minInterval = minInterval;
+        this.coalesce = options.coalesce !== false;
+        this.cleanEvery = options.cleanEvery !== undefined ? options.cleanEvery : DEFAULT_CLEAN_EVERY;
+        this.maxIdle = options.maxIdle !== undefined ? options.maxIdle : DEFAULT_MAX_IDLE;
+
+        const wearPath = options.wearPath || null;
+        if (wearPath !== this.wearPath) {
+            this.wearPath = wearPath;
+            this.wear = wearPath ? loadWear(wearPath) : this.wear;
+        }
+    }
+
+    /**
+     * Get the policy settings
+     * @returns {Object} { minInterval, coalesce, wearPath, cleanEvery, maxIdle }
+     */
+    getOptions() {
+        return {
+            minInterval: this.minInterval,
+            coalesce: this.coalesce,
+            wearPath: this.wearPath,
+            cleanEvery: this.cleanEvery,
+            maxIdle: this.maxIdle
+        };
+    }
+
+    /**
+     * Time left before the next refresh is allowed
+     * @param {number} now - Current time in ms (default: Date.now())
+     * @returns {number} Delay in ms, 0 if a refresh may start now
+     */
+    getDelay(now = Date.now()) {
+        if (this.minInterval === 0 || this.wear.lastRefresh === null) {
+            return 0;
+        }
+        return Math.max(0, this.wear.lastRefresh + this.minInterval - now);
+    }
+
+    /**
+     * Throw if a refresh may not start now
+     */
+    check() {
+        const delay = this.getDelay();
+        if (delay > 0) {
+            throw new Error(`Refresh rate limited. Next refresh allowed in ${Math.ceil(delay / 1000)} s`);
+        }
+    }
+
+    /**
+     * Count a finished refresh and save the wear counter
+     * @param {boolean} cleaning - True if the refresh cleared the panel to white
+     */
+    record(cleaning) {
+        const now = Date.now();
+        this.wear.refreshes++;
+        this.wear.lastRefresh = now;
+        if (cleaning) {
+            this.wear.refreshesSinceClean = 0;
+            this.wear.lastClean = now;
+        } else {
+            this.wear.refreshesSinceClean++;
+        }
+        if (this.wearPath) {
+            saveWear(this.wearPath, this.wear);
+        }
+    }
+
+    /**
+     * Report the wear counter and whether the panel should be cleaned
+     * @param {number} now - Current time in ms (default: Date.now())
+     * @returns {Object} { refreshes, refreshesSinceClean, lastRefresh, lastClean, cleanRecommended, reasons }
+     */
+    getReport(now = Date.now()) {
+        const reasons = [];
+        if (this.cleanEvery > 0 && this.wear.refreshesSinceClean >= this.cleanEvery) {
+            reasons.push(`${this.wear.refreshesSinceClean} refreshes since the last clean`);
+        }
+        if (this.maxIdle > 0 && this.wear.lastRefresh !== null && now - this.wear.lastRefresh >= this.maxIdle) {
+            reasons.push(`no refresh for ${Math.floor((now - this.wear.lastRefresh) / 3600000)} hours`);
+        }
+        return {
+            refreshes: this.wear.refreshes,
+            refreshesSinceClean: this.wear.refreshesSinceClean,
+            lastRefresh: toISO(this.wear.lastRefresh),
+            lastClean: toISO(this.wear.lastClean),
+            cleanRecommended: reasons.length > 0,
+            reasons
+        };
+    }
+}
+
+/**
+ * Create a wear counter for a panel that was never refreshed
+ * @returns {Object} Wear counter
+ */
+function emptyWear() {
+    return { refreshes: 0, refreshesSinceClean: 0, lastRefresh: null, lastClean: null };
+}
+
+/**
+ * Read a saved wear counter
+ * A missing file starts a new counter; an unreadable one is an error, so the count is never silently lost.
+ * @param {string} file - JSON file path
+ * @returns {Object} Wear counter
+ */
+function loadWear(file) {
+    let saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return emptyWear();
+        }
+        throw new Error(`Unreadable wear counter ${file}: ${error.message}`);
+    }
+    return { ...emptyWear(), ...saved };
+}
+
+/**
+ * Save a wear counter, replacing the file atomically
+ * @param {string} file - JSON file path
+ * @param {Object} wear - Wear counter
+ */
+function saveWear(file, wear) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(wear, null, 2));
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Format an optional timestamp
+ * @param {number|null} time - Time in ms
+ * @returns {string|null} ISO date, or null
+ */
+function toISO(time) {
+    return time === null ? null : new Date(time).toISOString();
+}
+
+module.exports = RefreshPolicy;
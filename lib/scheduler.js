@@ -0,0 +1,458 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const { nextRun, parseCron, previousRun } = require('./cron');
+const { pickImageOptions } = require('./image');
+
+const ACTION_TYPES = ['display', 'svg', 'clear', 'sleep', 'task'];
+
+// Longest delay setTimeout accepts; later runs are reached in several hops
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Scheduler
+ *
+ * Runs named jobs on cron schedules: show an image or an SVG template,
+ * clear the panel, put it to sleep, or call a task registered in code (for
+ * content rendered on the fly, such as a weather forecast). The job list and
+ * the time of each job's last run are saved to a JSON file. On start, jobs
+ * whose scheduled time passed while the process was down run once, oldest
+ * first, so the panel ends up showing what it would have shown.
+ *
+ * Jobs go through a FramikDaemon when one is given. Otherwise the panel is
+ * driven directly and put to sleep after each refresh. Frames the panel
+ * already shows are not refreshed again.
+ *
+ * Events: 'job:start', 'job:done', 'job:error', 'warning', 'error'
+ */
+class Scheduler extends EventEmitter {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {EPD7in3e} options.epd - Display used to render frames, and to show them without a daemon
+     * @param {FramikDaemon} options.daemon - Daemon to submit jobs to (default: drive options.epd directly)
+     * @param {Array} options.jobs - Jobs defined in code or configuration (see addJob); they replace saved jobs
+     *   of the same name, and are forgotten once removed from this list
+     * @param {Object} options.tasks - Task functions by name (see defineTask)
+     * @param {string} options.statePath - JSON file holding the job list and last runs (default: not saved)
+     * @param {boolean} options.catchUp - Run jobs missed while stopped when starting (default: true)
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.epd && !options.daemon) {
+            throw new Error('Scheduler needs an epd or a daemon');
+        }
+
+        this.daemon = options.daemon || null;
+        this.epd = options.epd || this.daemon.epd;
+        this.statePath = options.statePath || null;
+        this.catchUp = options.catchUp !== false;
+        this.running = false;
+        this.jobs = new Map();
+        this.tasks = new Map();
+
+        Object.entries(options.tasks || {}).forEach(([name, task]) => this.defineTask(name, task));
+        this._initialJobs = (options.jobs || []).map(job => this._normalizeJob(job));
+        this._savedRuns = new Map();
+        this._timers = new Map();
+        this._busy = Promise.resolve();
+    }
+
+    /**
+     * Register a function that task actions can call
+     * The function receives the display and may return a panel buffer to show.
+     * @param {string} name - Task name
+     * @param {Function} task - async (epd) => Buffer|undefined
+     */
+    defineTask(name, task) {
+        if (typeof task !== 'function') {
+            throw new Error(`Task "${name}" must be a function`);
+        }
+        this.tasks.set(name, task);
+    }
+
+    /**
+     * Load the saved jobs, catch up on missed runs and start the timers
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) {
+            throw new Error('Scheduler already running');
+        }
+
+        const saved = await this._loadState();
+        this.jobs.clear();
+        saved.forEach(entry => {
+            // Jobs from options.jobs are kept only while they are still defined there
+            if (entry && entry.fromOptions) {
+                this._savedRuns.set(entry.name, entry);
+                return;
+            }
+            try {
+                const job = this._normalizeJob(entry);
+                job.createdAt = entry.createdAt || Date.now();
+                job.lastRun = entry.lastRun || null;
+                this.jobs.set(job.name, job);
+            } catch (error) {
+                this.emit('warning', new Error(`Ignoring saved job "${entry && entry.name}": ${error.message}`));
+            }
+        });
+        this._initialJobs.forEach(job => {
+            const previous = this._savedRuns.get(job.name) || this.jobs.get(job.name);
+            job.createdAt = previous ? previous.createdAt : Date.now();
+            job.lastRun = previous ? previous.lastRun : null;
+            job.fromOptions = true;
+            this.jobs.set(job.name, job);
+        });
+        this._savedRuns.clear();
+        this.running = true;
+        await this._saveState();
+
+        if (this.catchUp) {
+            await this._catchUp();
+        }
+        this.jobs.forEach(job => this._arm(job));
+    }
+
+    /**
+     * Stop the timers, after any job in progress
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.running = false;
+        this._timers.forEach(timer => clearTimeout(timer));
+        this._timers.clear();
+        await this._busy.catch(() => {});
+        if (!this.daemon && this.epd.initialized) {
+            await this.epd.sleepAsync();
+        }
+    }
+
+    /**
+     * Add or replace a job and save the job list
+     * @param {Object} job - Job definition
+     * @param {string} job.name - Unique job name
+     * @param {string} job.schedule - Cron expression, e.g. '0 7 * * *' (see lib/cron.js)
+     * @param {Object} job.action - { type: 'display', image, ...image options }, { type: 'svg', template,
+     *   variables, ...image options }, { type: 'clear', color }, { type: 'sleep' } or { type: 'task', task }
+     * @param {boolean} job.catchUp - Run once on start if a scheduled time was missed (default: the scheduler's catchUp)
+     * @returns {Promise<Object>} Job summary
+     */
+    async addJob(job) {
+        const normalized = this._normalizeJob(job);
+        const previous = this.jobs.get(normalized.name);
+        normalized.createdAt = previous ? previous.createdAt : Date.now();
+        normalized.lastRun = previous ? previous.lastRun : null;
+        this.jobs.set(normalized.name, normalized);
+        await this._saveState();
+        this._arm(normalized);
+        return this._summary(normalized);
+    }
+
+    /**
+     * Remove a job and save the job list
+     * @param {string} name - Job name
+     * @returns {Promise<boolean>} True if the job existed
+     */
+    async removeJob(name) {
+        if (!this.jobs.has(name)) {
+            return false;
+        }
+        clearTimeout(this._timers.get(name));
+        this._timers.delete(name);
+        this.jobs.delete(name);
+        await this._saveState();
+        return true;
+    }
+
+    /**
+     * List the jobs
+     * @returns {Array<Object>} { name, schedule, action, catchUp, lastRun, nextRun } summaries
+     */
+    getJobs() {
+        return Array.from(this.jobs.values()).map(job => this._summary(job));
+    }
+
+    /**
+     * Run a job now, outside its schedule
+     * @param {string} name - Job name
+     * @returns {Promise<Object>} { name, duration, skipped }
+     */
+    runJob(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return Promise.reject(new Error(`Unknown job "${name}"`));
+        }
+        return this._run(job, Date.now(), false);
+    }
+
+    /**
+     * Internal method validating a job definition
+     * @private
+     */
+    _normalizeJob(job) {
+        if (!job || typeof job.name !== 'string' || job.name === '') {
+            throw new Error('Job must have a name');
+        }
+        const cron = parseCron(job.schedule);
+        // Rejects expressions such as '0 0 31 2 *' that never match
+        nextRun(cron);
+
+        const action = job.action;
+        if (!action || !ACTION_TYPES.includes(action.type)) {
+            throw new Error(`Job "${job.name}" needs an action type. Expected one of: ${ACTION_TYPES.join(', ')}`);
+        }
+        if (action.type === 'display' && typeof action.image !== 'string') {
+            throw new Error(`Job "${job.name}": display actions need an image path`);
+        }
+        if (action.type === 'svg' && typeof action.template !== 'string') {
+            throw new Error(`Job "${job.name}": svg actions need a template path`);
+        }
+        if (action.type === 'task' && typeof action.task !== 'string') {
+            throw new Error(`Job "${job.name}": task actions need a task name`);
+        }
+        if (action.type === 'clear') {
+            this._resolveColor(action.color);
+        }
+
+        return {
+            name: job.name,
+            schedule: job.schedule,
+            action: { ...action },
+            catchUp: job.catchUp !== undefined ? Boolean(job.catchUp) : this.catchUp,
+            cron,
+            createdAt: null,
+            lastRun: null,
+            fromOptions: false
+        };
+    }
+
+    /**
+     * Internal method running the jobs whose last scheduled time was missed, oldest first
+     * @private
+     */
+    async _catchUp() {
+        const now = new Date();
+        const missed = [];
+        this.jobs.forEach(job => {
+            if (!job.catchUp) {
+                return;
+            }
+            const due = previousRun(job.cron, now).getTime();
+            if (due > (job.lastRun || job.createdAt)) {
+                missed.push({ job, due });
+            }
+        });
+        missed.sort((a, b) => a.due - b.due);
+
+        for (const { job, due } of missed) {
+            await this._run(job, due, true).catch(() => {});
+        }
+    }
+
+    /**
+     * Internal method arming the timer of a job's next run
+     * @private
+     */
+    _arm(job) {
+        clearTimeout(this._timers.get(job.name));
+        if (!this.running) {
+            return;
+        }
+        const due = nextRun(job.cron).getTime();
+        const fire = () => {
+            if (this.jobs.get(job.name) !== job || !this.running) {
+                return;
+            }
+            const remaining = due - Date.now();
+            if (remaining > 0) {
+                this._timers.set(job.name, setTimeout(fire, Math.min(remaining, MAX_TIMER_DELAY)));
+                return;
+            }
+            this._run(job, due, false).catch(() => {});
+            this._arm(job);
+        };
+        this._timers.set(job.name, setTimeout(fire, Math.min(due - Date.now(), MAX_TIMER_DELAY)));
+    }
+
+    /**
+     * Internal method running a job after any job in progress, and recording the run
+     * Failures are reported with a 'job:error' event.
+     * @private
+     */
+    _run(job, scheduledAt, catchUp) {
+        const run = this._busy.then(async () => {
+            const info = { name: job.name, scheduledAt: new Date(scheduledAt).toISOString(), catchUp };
+            const startedAt = Date.now();
+            let skipped;
+            this.emit('job:start', info);
+            try {
+                skipped = await this._perform(job.action);
+            } catch (error) {
+                this.emit('job:error', error, info);
+                throw error;
+            } finally {
+                job.lastRun = Math.max(job.lastRun || 0, scheduledAt);
+                await this._saveState().catch(error => this.emit('error', error));
+            }
+            const summary = { name: job.name, duration: Date.now() - startedAt, skipped };
+            this.emit('job:done', summary);
+            return summary;
+        });
+        this._busy = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Internal method carrying out a job action
+     * @returns {Promise<boolean>} True if no refresh was needed because the panel already showed the frame
+     * @private
+     */
+    async _perform(action) {
+        switch (action.type) {
+            case 'display':
+                return this._show(await this.epd.loadImage(action.image, pickImageOptions(action)));
+            case 'svg': {
+                const template = await fs.promises.readFile(action.template, 'utf8');
+                const options = { ...pickImageOptions(action), variables: action.variables };
+                return this._show(await this.epd.renderSVG(template, options));
+            }
+            case 'clear':
+                return this._panelJob({ type: 'clear', color: this._resolveColor(action.color) });
+            case 'sleep':
+                return this._panelJob({ type: 'sleep' });
+            case 'task': {
+                const task = this.tasks.get(action.task);
+                if (!task) {
+                    throw new Error(`Unknown task "${action.task}". Register it with defineTask()`);
+                }
+                const buffer = await task(this.epd);
+                if (buffer === undefined || buffer === null) {
+                    return false;
+                }
+                return this._show(buffer);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Internal method displaying a frame
+     * @private
+     */
+    _show(buffer) {
+        return this._panelJob({ type: 'display', buffer });
+    }
+
+    /**
+     * Internal method sending a display, clear or sleep job to the panel
+     * Display and clear jobs are skipped when the panel already shows the frame. Without a
+     * daemon the panel is initialized for the refresh and put back to sleep.
+     * @returns {Promise<boolean>} True if the job was skipped
+     * @private
+     */
+    async _panelJob(job) {
+        if (this.daemon) {
+            const summary = await this.daemon.submit({ ...job, ifChanged: job.type !== 'sleep' });
+            return Boolean(summary.skipped);
+        }
+        if (job.type === 'sleep') {
+            if (this.epd.initialized) {
+                await this.epd.sleepAsync();
+            }
+            return false;
+        }
+
+        const frame = job.type === 'display' ? job.buffer : this.epd.createBuffer(job.color);
+        if (!this.epd.compareFrame(frame).changed) {
+            return true;
+        }
+
+        if (!this.epd.initialized) {
+            await this.epd.initAsync();
+        }
+        if (job.type === 'display') {
+            await this.epd.displayAsync(job.buffer);
+        } else {
+            await this.epd.clearAsync(job.color);
+        }
+        await this.epd.sleepAsync();
+        return false;
+    }
+
+    /**
+     * Internal method resolving a color name or value (default: WHITE)
+     * @private
+     */
+    _resolveColor(color) {
+        const colors = this.epd.getColors();
+        if (color === undefined || color === null) {
+            return colors.WHITE;
+        }
+        const name = String(color).toUpperCase();
+        if (colors[name] !== undefined) {
+            return colors[name];
+        }
+        if (Number.isInteger(color) && Object.values(colors).includes(color)) {
+            return color;
+        }
+        throw new Error(`Invalid color "${color}". Expected one of: ${Object.keys(colors).join(', ').toLowerCase()}`);
+    }
+
+    /**
+     * Internal method describing a job
+     * @private
+     */
+    _summary(job) {
+        return {
+            name: job.name,
+            schedule: job.schedule,
+            action: { ...job.action },
+            catchUp: job.catchUp,
+            lastRun: job.lastRun ? new Date(job.lastRun).toISOString() : null,
+            nextRun: nextRun(job.cron).toISOString()
+        };
+    }
+
+    /**
+     * Internal method reading the saved job list
+     * @private
+     */
+    async _loadState() {
+        if (!this.statePath) {
+            return [];
+        }
+        try {
+            const state = JSON.parse(await fs.promises.readFile(this.statePath, 'utf8'));
+            return Array.isArray(state.jobs) ? state.jobs : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.emit('warning', new Error(`Ignoring unreadable scheduler state ${this.statePath}: ${error.message}`));
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Internal method saving the job list, replacing the file atomically
+     * @private
+     */
+    async _saveState() {
+        if (!this.statePath) {
+            return;
+        }
+        const jobs = Array.from(this.jobs.values()).map(job => ({
+            name: job.name,
+            schedule: job.schedule,
+            action: job.action,
+            catchUp: job.catchUp,
+            createdAt: job.createdAt,
+            lastRun: job.lastRun,
+            fromOptions: job.fromOptions
+        }));
+        const temporary = `${this.statePath}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify({ jobs }, null, 2));
+        await fs.promises.rename(temporary, this.statePath);
+    }
+}
+
+module.exports = Scheduler;
+module.exports.ACTION_TYPES = ACTION_TYPES;
@@ -0,0 +1,463 @@
+const { parseCFF } = require('./cff');
+
+/**
+ * TrueType / OpenType font reader
+ *
+ * Reads just enough of an sfnt file to draw text: character mapping (cmap),
+ * horizontal metrics and glyph outlines, either quadratic (glyf) or cubic
+ * (CFF). Outlines are returned as path commands in font units, y up.
+ */
+
+// Composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const ARGS_ARE_XY_VALUES = 0x0002;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+// Simple glyph flags
+const ON_CURVE = 0x01;
+const X_SHORT = 0x02;
+const Y_SHORT = 0x04;
+const REPEAT = 0x08;
+const X_SAME_OR_POSITIVE = 0x10;
+const Y_SAME_OR_POSITIVE = 0x20;
+
+const MAX_COMPONENT_DEPTH = 8;
+
+// Bytes read from the fixed-size tables
+const MIN_TABLE_LENGTHS = { head: 54, hhea: 36, maxp: 6 };
+
+/**
+ * Parse a TrueType or OpenType font file
+ * @param {Buffer} buffer - Font file contents (.ttf or .otf)
+ * @returns {Object} { unitsPerEm, ascender, descender, lineGap, numGlyphs,
+ *   glyphIndex(codepoint), advanceWidth(glyph), glyphPath(glyph) }
+ */
+function parseSfnt(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+        throw new Error('Not a TrueType or OpenType font');
+    }
+
+    const version = buffer.readUInt32BE(0);
+    if (version === 0x74746366) {
+        throw new Error('Font collections (.ttc) are not supported');
+    }
+    if (version !== 0x00010000 && version !== 0x4F54544F && version !== 0x74727565) {
+        throw new Error('Not a TrueType or OpenType font');
+    }
+
+    const numTables = buffer.readUInt16BE(4);
+    if (12 + numTables * 16 > buffer.length) {
+        throw new Error('Not a TrueType or OpenType font');
+    }
+    const tables = {};
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        const tag = buffer.toString('latin1', record, record + 4);
+        const offset = buffer.readUInt32BE(record + 8);
+        const length = buffer.readUInt32BE(record + 12);
+        if (offset + length > buffer.length) {
+            throw corrupt(`the ${tag.trim()} table extends past the end of the file`);
+        }
+        tables[tag] = { offset, length };
+    }
+    for (const tag of ['head', 'hhea', 'maxp', 'hmtx', 'cmap']) {
+        if (!tables[tag]) {
+            throw new Error(`Font is missing the ${tag} table`);
+        }
+        if (tables[tag].length < (MIN_TABLE_LENGTHS[tag] || 0)) {
+            throw corrupt(`the ${tag} table is too short`);
+        }
+    }
+
+    const head = tables.head.offset;
+    const hhea = tables.hhea.offset;
+    const unitsPerEm = buffer.readUInt16BE(head + 18);
+    const indexToLocFormat = buffer.readInt16BE(head + 50);
+    const numGlyphs = buffer.readUInt16BE(tables.maxp.offset + 4);
+    const numberOfHMetrics = buffer.readUInt16BE(hhea + 34);
+    if (unitsPerEm === 0) {
+        throw corrupt('unitsPerEm is 0');
+    }
+    if (numberOfHMetrics === 0 || numberOfHMetrics * 4 > tables.hmtx.length) {
+        throw corrupt('the hmtx table is too short');
+    }
+
+    const cmap = parseCmap(buffer, tables.cmap);
+
+    let glyphPath;
+    if (tables.glyf && tables.loca) {
+        const glyf = buffer.subarray(tables.glyf.offset, tables.glyf.offset + tables.glyf.length);
+        const loca = parseLoca(buffer, tables.loca, indexToLocFormat, numGlyphs, glyf.length);
+        glyphPath = glyph => readGlyfPath(glyf, loca, glyph, 0);
+    } else if (tables['CFF ']) {
+        const cff = parseCFF(buffer.subarray(tables['CFF '].offset, tables['CFF '].offset + tables['CFF '].length));
+        glyphPath = glyph => cff.glyphPath(glyph);
+    } else {
+        throw new Error('Font has no supported glyph outlines (glyf or CFF)');
+    }
+
+    return {
+        unitsPerEm,
+        ascender: buffer.readInt16BE(hhea + 4),
+        descender: buffer.readInt16BE(hhea + 6),
+        lineGap: buffer.readInt16BE(hhea + 8),
+        numGlyphs,
+        glyphIndex: codepoint => cmap(codepoint),
+        advanceWidth: glyph => {
+            const metric = Math.min(glyph, numberOfHMetrics - 1);
+            return buffer.readUInt16BE(tables.hmtx.offset + metric * 4);
+        },
+        glyphPath: glyph => {
+            if (glyph < 0 || glyph >= numGlyphs) {
+                return [];
+            }
+            try {
+                return glyphPath(glyph);
+            } catch (error) {
+                // Outlines are read lazily; a read past the end of their table is reported as such
+                if (error instanceof RangeError) {
+                    throw corrupt(`the outline of glyph ${glyph} is truncated`);
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Error for a font whose structures do not fit in the file
+ * @param {string} detail - What is wrong
+ * @returns {Error} Error to throw
+ */
+function corrupt(detail) {
+    return new Error(`Corrupt font: ${detail}`);
+}
+
+/**
+ * Build a codepoint to glyph index lookup from the best Unicode subtable
+ * @param {Buffer} buffer - Font file contents
+ * @param {Object} table - cmap table { offset, length }
+ * @returns {Function} codepoint => glyph index (0 when missing)
+ */
+function parseCmap(buffer, table) {
+    const offset = table.offset;
+    const end = table.offset + table.length;
+    const count = table.length >= 4 ? buffer.readUInt16BE(offset + 2) : 0;
+    if (offset + 4 + count * 8 > end) {
+        throw corrupt('the cmap table is too short');
+    }
+    const subtables = [];
+    for (let i = 0; i < count; i++) {
+        const record = offset + 4 + i * 8;
+        const platform = buffer.readUInt16BE(record);
+        const encoding = buffer.readUInt16BE(record + 2);
+        const start = offset + buffer.readUInt32BE(record + 4);
+        if (start + 2 > end) {
+            throw corrupt('a cmap subtable is out of bounds');
+        }
+        subtables.push({ platform, encoding, start, end, format: buffer.readUInt16BE(start) });
+    }
+
+    // Prefer full Unicode (format 12), then the BMP (format 4)
+    const isUnicode = t => t.platform === 0 || (t.platform === 3 && (t.encoding === 1 || t.encoding === 10));
+    const full = subtables.find(t => isUnicode(t) && t.format === 12);
+    if (full) {
+        return readCmap12(buffer, full.start, full.end);
+    }
+    const bmp = subtables.find(t => isUnicode(t) && t.format === 4);
+    if (bmp) {
+        return readCmap4(buffer, bmp.start, bmp.end);
+    }
+    throw new Error('Font has no Unicode character map');
+}
+
+function readCmap4(buffer, start, end) {
+    if (start + 14 > end) {
+        throw corrupt('the cmap format 4 subtable is truncated');
+    }
+    const segCount = buffer.readUInt16BE(start + 6) >> 1;
+    const endCodes = start + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+    if (idRangeOffsets + segCount * 2 > end) {
+        throw corrupt('the cmap format 4 subtable is truncated');
+    }
+
+    return codepoint => {
+        if (codepoint > 0xFFFF) {
+            return 0;
+        }
+        for (let i = 0; i < segCount; i++) {
+            if (codepoint > buffer.readUInt16BE(endCodes + i * 2)) {
+                continue;
+            }
+            const first = buffer.readUInt16BE(startCodes + i * 2);
+            if (codepoint < first) {
+                return 0;
+            }
+            const delta = buffer.readUInt16BE(idDeltas + i * 2);
+            const rangeOffset = buffer.readUInt16BE(idRangeOffsets + i * 2);
+            if (rangeOffset === 0) {
+                return (codepoint + delta) & 0xFFFF;
+            }
+            const entry = idRangeOffsets + i * 2 + rangeOffset + (codepoint - first) * 2;
+            if (entry + 2 > end) {
+                return 0;
+            }
+            const glyph = buffer.readUInt16BE(entry);
+            return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+        }
+        return 0;
+    };
+}
+
+function readCmap12(buffer, start, end) {
+    const groups = start + 16 <= end ? buffer.readUInt32BE(start + 12) : -1;
+    if (groups < 0 || start + 16 + groups * 12 > end) {
+        throw corrupt('the cmap format 12 subtable is truncated');
+    }
+    return codepoint => {
+        let low = 0;
+        let high = groups - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const group = start + 16 + mid * 12;
+            const first = buffer.readUInt32BE(group);
+            const last = buffer.readUInt32BE(group + 4);
+            if (codepoint < first) {
+                high = mid - 1;
+            } else if (codepoint > last) {
+                low = mid + 1;
+            } else {
+                return buffer.readUInt32BE(group + 8) + (codepoint - first);
+            }
+        }
+        return 0;
+    };
+}
+
+/**
+ * Read the glyph offsets into the glyf table
+ * @param {Buffer} buffer - Font file contents
+ * @param {Object} table - loca table { offset, length }
+ * @param {number} format - indexToLocFormat: 0 for 16-bit halved offsets, 1 for 32-bit
+ * @param {number} numGlyphs - Glyph count
+ * @param {number} glyfLength - Length of the glyf table
+ * @returns {Uint32Array} numGlyphs + 1 offsets
+ */
+function parseLoca(buffer, table, format, numGlyphs, glyfLength) {
+    const size = format === 0 ? 2 : 4;
+    if ((numGlyphs + 1) * size > table.length) {
+        throw corrupt('the loca table is too short');
+    }
+    const loca = new Uint32Array(numGlyphs + 1);
+    for (let i = 0; i <= numGlyphs; i++) {
+        const position = table.offset + i * size;
+        loca[i] = format === 0 ? buffer.readUInt16BE(position) * 2 : buffer.readUInt32BE(position);
+        if (loca[i] > glyfLength) {
+            throw corrupt(`glyph ${i} starts past the end of the glyf table`);
+        }
+    }
+    return loca;
+}
+
+/**
+ * Read a glyf outline as path commands
+ * @param {Buffer} buffer - glyf table contents
+ * @returns {Array} Commands: ['M', x, y], ['L', x, y], ['Q', cx, cy, x, y], ['Z']
+ */
+function readGlyfPath(buffer, loca, glyph, depth) {
+    const start = loca[glyph];
+    const end = loca[glyph + 1];
+    if (end <= start) {
+        return [];
+    }
+
+    const contours = buffer.readInt16BE(start);
+    if (contours < 0) {
+        return readCompositePath(buffer, loca, start + 10, depth);
+    }
+
+    const endPoints = [];
+    for (let i = 0; i < contours; i++) {
+        endPoints.push(buffer.readUInt16BE(start + 10 + i * 2));
+    }
+    const pointCount = contours > 0 ? endPoints[contours - 1] + 1 : 0;
+    const instructionLength = buffer.readUInt16BE(start + 10 + contours * 2);
+    let pos = start + 12 + contours * 2 + instructionLength;
+
+    const flags = new Uint8Array(pointCount);
+    for (let i = 0; i < pointCount;) {
+        const flag = buffer[pos++];
+        flags[i++] = flag;
+        if (flag & REPEAT) {
+            let repeat = buffer[pos++];
+            while (repeat-- > 0 && i < pointCount) {
+                flags[i++] = flag;
+            }
+        }
+    }
+
+    const xs = new Int32Array(pointCount);
+    const ys = new Int32Array(pointCount);
+    let value = 0;
+    for (let i = 0; i < pointCount; i++) {
+        if (flags[i] & X_SHORT) {
+            const delta = buffer[pos++];
+            value += (flags[i] & X_SAME_OR_POSITIVE) ? delta : -delta;
+        } else if (!(flags[i] & X_SAME_OR_POSITIVE)) {
+            value += buffer.readInt16BE(pos);
+            pos += 2;
+        }
+        xs[i] = value;
+    }
+    value = 0;
+    for (let i = 0; i < pointCount; i++) {
+        if (flags[i] & Y_SHORT) {
+            const delta = buffer[pos++];
+            value += (flags[i] & Y_SAME_OR_POSITIVE) ? delta : -delta;
+        } else if (!(flags[i] & Y_SAME_OR_POSITIVE)) {
+            value += buffer.readInt16BE(pos);
+            pos += 2;
+        }
+        ys[i] = value;
+    }
+
+    if (pos > end) {
+        throw new RangeError('Glyph data past its end');
+    }
+
+    const path = [];
+    let first = 0;
+    for (const last of endPoints) {
+        const points = [];
+        for (let i = first; i <= last; i++) {
+            points.push({ x: xs[i], y: ys[i], on: (flags[i] & ON_CURVE) !== 0 });
+        }
+        appendQuadraticContour(path, points);
+        first = last + 1;
+    }
+    return path;
+}
+
+/**
+ * Convert a contour of on/off-curve points to path commands
+ * Two consecutive off-curve points imply an on-curve point halfway between them.
+ */
+function appendQuadraticContour(path, points) {
+    const count = points.length;
+    if (count === 0) {
+        return;
+    }
+
+    // Start on an on-curve point, or on an implied one if there is none
+    let startIndex = points.findIndex(p => p.on);
+    let start;
+    if (startIndex === -1) {
+        start = { x: (points[0].x + points[1 % count].x) / 2, y: (points[0].y + points[1 % count].y) / 2 };
+        startIndex = 1;
+    } else {
+        start = points[startIndex];
+        startIndex++;
+    }
+
+    path.push(['M', start.x, start.y]);
+    let control = null;
+    for (let i = 0; i < count; i++) {
+        const point = points[(startIndex + i) % count];
+        if (point.on) {
+            if (control) {
+                path.push(['Q', control.x, control.y, point.x, point.y]);
+                control = null;
+            } else {
+                path.push(['L', point.x, point.y]);
+            }
+        } else if (control) {
+            const midX = (control.x + point.x) / 2;
+            const midY = (control.y + point.y) / 2;
+            path.push(['Q', control.x, control.y, midX, midY]);
+            control = point;
+        } else {
+            control = point;
+        }
+    }
+    if (control) {
+        path.push(['Q', control.x, control.y, start.x, start.y]);
+    }
+    path.push(['Z']);
+}
+
+/**
+ * Read a composite glyph, transforming and merging its components
+ */
+function readCompositePath(buffer, loca, pos, depth) {
+    if (depth >= MAX_COMPONENT_DEPTH) {
+        return [];
+    }
+
+    const path = [];
+    let flags;
+    do {
+        flags = buffer.readUInt16BE(pos);
+        const component = buffer.readUInt16BE(pos + 2);
+        pos += 4;
+
+        let dx = 0;
+        let dy = 0;
+        if (flags & ARG_1_AND_2_ARE_WORDS) {
+            dx = buffer.readInt16BE(pos);
+            dy = buffer.readInt16BE(pos + 2);
+            pos += 4;
+        } else {
+            dx = buffer.readInt8(pos);
+            dy = buffer.readInt8(pos + 1);
+            pos += 2;
+        }
+        if (!(flags & ARGS_ARE_XY_VALUES)) {
+            // Point-matched placement is rare; components are left unshifted
+            dx = 0;
+            dy = 0;
+        }
+
+        let a = 1;
+        let b = 0;
+        let c = 0;
+        let d = 1;
+        if (flags & WE_HAVE_A_SCALE) {
+            a = d = buffer.readInt16BE(pos) / 16384;
+            pos += 2;
+        } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+            a = buffer.readInt16BE(pos) / 16384;
+            d = buffer.readInt16BE(pos + 2) / 16384;
+            pos += 4;
+        } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+            a = buffer.readInt16BE(pos) / 16384;
+            b = buffer.readInt16BE(pos + 2) / 16384;
+            c = buffer.readInt16BE(pos + 4) / 16384;
+            d = buffer.readInt16BE(pos + 6) / 16384;
+            pos += 8;
+        }
+
+        if (component + 1 >= loca.length) {
+            throw corrupt(`glyph ${component} used in a composite glyph does not exist`);
+        }
+        for (const command of readGlyfPath(buffer, loca, component, depth + 1)) {
+            const transformed = [command[0]];
+            for (let i = 1; i < command.length; i += 2) {
+                const x = command[i];
+                const y = command[i + 1];
+                transformed.push(a * x + c * y + dx, b * x + d * y + dy);
+            }
+            path.push(transformed);
+        }
+    } while (flags & MORE_COMPONENTS);
+    return path;
+}
+
+module.exports = {
+    parseSfnt
+};
@@ -0,0 +1,94 @@
+const { loadRGB } = require('./image');
+
+/**
+ * SVG templates
+ *
+ * Fills {{ variable }} placeholders in an SVG document and rasterizes it with
+ * sharp (librsvg). The SVG is rendered at the density that makes it match the
+ * target size, so text and strokes stay sharp instead of being upscaled.
+ */
+
+// librsvg renders SVG user units at 72 DPI by default
+const BASE_DENSITY = 72;
+
+// Density range accepted by libvips
+const MIN_DENSITY = 1;
+const MAX_DENSITY = 100000;
+
+const PLACEHOLDER = /\{\{\{\s*([\w$.-]+)\s*\}\}\}|\{\{\s*([\w$.-]+)\s*\}\}/g;
+
+const XML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+};
+
+/**
+ * Fill template placeholders
+ * {{ name }} inserts an XML-escaped value, {{{ name }}} inserts it unescaped (for SVG fragments).
+ * Dotted names such as {{ weather.temperature }} read nested properties.
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string} Filled text
+ */
+function renderTemplate(template, variables = {}) {
+    return template.replace(PLACEHOLDER, (match, rawName, escapedName) => {
+        const name = rawName || escapedName;
+        let value = variables;
+        for (const key of name.split('.')) {
+            value = value !== null && value !== undefined ? value[key] : undefined;
+        }
+        if (value === undefined || value === null) {
+            throw new Error(`Missing template variable "${name}"`);
+        }
+        const text = String(value);
+        return rawName ? text : text.replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+    });
+}
+
+/**
+ * Rasterize an SVG template to raw RGB pixels
+ * @param {string|Buffer} svg - SVG document or template
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {Object} options - Rendering options
+ * @param {Object} options.variables - Template values (see renderTemplate)
+ * @param {string} options.fit - 'contain' (default), 'cover' or 'fill'
+ * @param {string|Object} options.background - Color behind transparent areas (default: white)
+ * @returns {Promise<Object>} { data, width, height, channels }
+ */
+async function rasterizeSVG(svg, width, height, options = {}) {
+    if (Buffer.isBuffer(svg)) {
+        svg = svg.toString('utf8');
+    }
+    if (typeof svg !== 'string') {
+        throw new Error('SVG must be a string or a Buffer');
+    }
+
+    const document = Buffer.from(renderTemplate(svg, options.variables));
+    const sharp = require('sharp');
+    let metadata;
+    try {
+        metadata = await sharp(document).metadata();
+    } catch (error) {
+        throw new Error(`Invalid SVG: ${error.message}`);
+    }
+    if (metadata.format !== 'svg') {
+        throw new Error('Input is not an SVG document');
+    }
+
+    const fit = options.fit || 'contain';
+    const scaleX = width / metadata.width;
+    const scaleY = height / metadata.height;
+    const scale = fit === 'contain' ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+    const density = Math.min(MAX_DENSITY, Math.max(MIN_DENSITY, BASE_DENSITY * scale));
+
+    return loadRGB(document, width, height, { fit, background: options.background, density });
+}
+
+module.exports = {
+    rasterizeSVG,
+    renderTemplate
+};
@@ -0,0 +1,177 @@
+const { BitmapFont, OutlineFont, getBuiltinFont, getBuiltinFontForSize } = require('./font');
+
+/**
+ * Text layout
+ *
+ * Breaks a string into lines of glyphs: '\n' starts a new paragraph and,
+ * when a box width is given, words wrap greedily onto the next line. Words
+ * wider than the box are broken between characters. Characters the font
+ * lacks are drawn as '?'.
+ */
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+const DEFAULT_TEXT_SIZE = 16;
+
+const FALLBACK_CHAR = 0x3F;
+
+/**
+ * Resolve the font and size of a text style
+ * @param {Object} options - Text options
+ * @param {string|BitmapFont|OutlineFont} options.font - Built-in font name or a loaded font
+ *   (default: the built-in font closest to options.size)
+ * @param {number} options.size - Pixel size for outline fonts (default: 16)
+ * @returns {Object} { font, size }
+ */
+function resolveFont(options = {}) {
+    const size = options.size !== undefined ? options.size : DEFAULT_TEXT_SIZE;
+    if (typeof size !== 'number' || !(size > 0)) {
+        throw new Error('Font size must be a positive number');
+    }
+    if (options.font === undefined || options.font === null) {
+        return { font: getBuiltinFontForSize(size), size };
+    }
+    if (typeof options.font === 'string') {
+        return { font: getBuiltinFont(options.font), size };
+    }
+    if (options.font instanceof BitmapFont || options.font instanceof OutlineFont) {
+        return { font: options.font, size };
+    }
+    throw new Error('Font must be a built-in font name or a font returned by loadFont()');
+}
+
+/**
+ * Lay out text into lines
+ * @param {string} text - Text to lay out
+ * @param {Object} options - Text options
+ * @param {string|BitmapFont|OutlineFont} options.font - Font (see resolveFont)
+ * @param {number} options.size - Pixel size for outline fonts (default: 16)
+ * @param {number} options.width - Box width; lines wrap to fit it
+ * @param {number} options.height - Box height; lines that do not fit are dropped
+ * @param {boolean} options.wrap - Wrap long lines (default: true when a width is given)
+ * @param {number} options.lineSpacing - Extra pixels between lines (default: 0)
+ * @returns {Object} { lines, ascent, lineHeight, lineSpacing, width, height, truncated }
+ *   where each line is { text, width, glyphs } and glyphs are { glyph, x } with x relative to the line start
+ */
+function layoutText(text, options = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('Text must be a string');
+    }
+    if (options.align !== undefined && !ALIGNMENTS.includes(options.align)) {
+        throw new Error(`Invalid alignment "${options.align}". Expected one of: ${ALIGNMENTS.join(', ')}`);
+    }
+    const { font, size } = resolveFont(options);
+    const metrics = font.getMetrics(size);
+    const lineSpacing = options.lineSpacing || 0;
+    const maxWidth = options.width;
+    const wrap = options.wrap !== undefined ? options.wrap : maxWidth !== undefined;
+
+    if (maxWidth !== undefined && (typeof maxWidth !== 'number' || !(maxWidth > 0))) {
+        throw new Error('Text box width must be a positive number');
+    }
+
+    const glyphFor = codepoint => font.getGlyph(codepoint, size) || font.getGlyph(FALLBACK_CHAR, size);
+    const measure = chars => chars.reduce((sum, char) => sum + char.advance, 0);
+    const toChars = string => Array.from(string).map(char => {
+        const glyph = glyphFor(char.codePointAt(0));
+        return { char, glyph, advance: glyph ? glyph.advance : 0 };
+    });
+
+    const rawLines = [];
+    const paragraphs = text.normalize('NFC').replace(/\r\n?/g, '\n').replace(/\t/g, ' ').split('\n');
+    for (const paragraph of paragraphs) {
+        if (!wrap || maxWidth === undefined) {
+            rawLines.push(toChars(paragraph));
+            continue;
+        }
+
+        let line = [];
+        const flush = () => {
+            // Trailing spaces do not count towards the line width
+            while (line.length > 0 && line[line.length - 1].char === ' ') {
+                line.pop();
+            }
+            rawLines.push(line);
+            line = [];
+        };
+        for (const token of paragraph.split(/( +)/)) {
+            if (token === '') {
+                continue;
+            }
+            const chars = toChars(token);
+            if (token[0] === ' ') {
+                if (line.length > 0) {
+                    line.push(...chars);
+                }
+                continue;
+            }
+            if (line.length > 0 && measure(line) + measure(chars) > maxWidth) {
+                flush();
+            }
+            for (const char of chars) {
+                if (line.length > 0 && measure(line) + char.advance > maxWidth) {
+                    flush();
+                }
+                line.push(char);
+            }
+        }
+        flush();
+    }
+
+    let lines = rawLines.map(chars => {
+        const glyphs = [];
+        let pen = 0;
+        for (const { glyph, advance } of chars) {
+            if (glyph) {
+                glyphs.push({ glyph, x: pen });
+            }
+            pen += advance;
+        }
+        return { text: chars.map(c => c.char).join(''), width: Math.ceil(pen), glyphs };
+    });
+
+    let truncated = false;
+    if (options.height !== undefined) {
+        const fitting = Math.max(0, Math.floor((options.height + lineSpacing) / (metrics.lineHeight + lineSpacing)));
+        if (lines.length > fitting) {
+            lines = lines.slice(0, fitting);
+            truncated = true;
+        }
+    }
+
+    return {
+        lines,
+        ascent: metrics.ascent,
+        lineHeight: metrics.lineHeight,
+        lineSpacing,
+        width: lines.reduce((max, line) => Math.max(max, line.width), 0),
+        height: lines.length > 0 ? lines.length * metrics.lineHeight + (lines.length - 1) * lineSpacing : 0,
+        truncated
+    };
+}
+
+/**
+ * Horizontal start of a line
+ * @param {number} x - Box left edge, or the anchor point without a box width
+ * @param {number} lineWidth - Width of the line
+ * @param {string} align - 'left', 'center' or 'right'
+ * @param {number} boxWidth - Box width, if any
+ * @returns {number} X coordinate of the line start
+ */
+function alignLine(x, lineWidth, align, boxWidth) {
+    const space = boxWidth !== undefined ? boxWidth - lineWidth : -lineWidth;
+    if (align === 'center') {
+        return Math.round(x + space / 2);
+    }
+    if (align === 'right') {
+        return x + space;
+    }
+    return x;
+}
+
+module.exports = {
+    ALIGNMENTS,
+    alignLine,
+    layoutText,
+    resolveFont
+};
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { loadFont } = require('../lib/font');
+
+/**
+ * Generate lib/fonts/bitmap-fonts.js from a monospaced outline font
+ *
+ * The bundled fonts were built from Source Code Pro Regular:
+ *   node scripts/build-bitmap-fonts.js SourceCodePro-Regular.ttf
+ */
+
+const CELL_HEIGHTS = [8, 12, 16, 20, 24];
+
+// Baseline position as a fraction of the cell height
+const ASCENT_RATIO = 0.78;
+
+const EXTRA_CHARS = 'ŒœŠšŸŽž€‘’“”–—…•';
+
+function charset() {
+    const chars = [];
+    for (let cp = 0x20; cp <= 0x7E; cp++) {
+        chars.push(String.fromCodePoint(cp));
+    }
+    for (let cp = 0xA0; cp <= 0xFF; cp++) {
+        chars.push(String.fromCodePoint(cp));
+    }
+    return chars.concat(Array.from(EXTRA_CHARS));
+}
+
+function buildFont(font, height, chars) {
+    const size = height;
+    const width = Math.round(font.getGlyph(0x20, size).advance);
+    const ascent = Math.round(height * ASCENT_RATIO);
+    const bytesPerRow = Math.ceil(width / 8);
+    const table = Buffer.alloc(chars.length * height * bytesPerRow);
+    const included = [];
+
+    chars.forEach(char => {
+        const glyph = font.getGlyph(char.codePointAt(0), size);
+        if (!glyph) {
+            return;
+        }
+        const start = included.length * height * bytesPerRow;
+        const originX = Math.round((width - glyph.advance) / 2);
+        for (let gy = 0; gy < glyph.height; gy++) {
+            const y = ascent + glyph.top + gy;
+            if (y < 0 || y >= height) {
+                continue;
+            }
+            for (let gx = 0; gx < glyph.width; gx++) {
+                const x = originX + glyph.left + gx;
+                if (x < 0 || x >= width || !glyph.bitmap[gy * glyph.width + gx]) {
+                    continue;
+                }
+                table[start + y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+        included.push(char);
+    });
+
+    return {
+        width,
+        height,
+        ascent,
+        chars: included.join(''),
+        data: table.subarray(0, included.length * height * bytesPerRow).toString('base64')
+    };
+}
+
+function main() {
+    const source = process.argv[2];
+    if (!source) {
+        console.error('Usage: node scripts/build-bitmap-fonts.js <monospaced-font.ttf>');
+        process.exit(1);
+    }
+
+    const font = loadFont(source);
+    const chars = charset();
+    const lines = [
+        '// Generated by scripts/build-bitmap-fonts.js - do not edit.',
+        `// Rasterized from ${path.basename(source)}, licensed under the SIL Open Font License 1.1 (see OFL.txt).`,
+        '',
+        'module.exports = {'
+    ];
+    CELL_HEIGHTS.forEach((height, i) => {
+        const definition = buildFont(font, height, chars);
+        const comma = i < CELL_HEIGHTS.length - 1 ? ',' : '';
+        lines.push(`    Font${height}: {`);
+        lines.push(`        width: ${definition.width},`);
+        lines.push(`        height: ${definition.height},`);
+        lines.push(`        ascent: ${definition.ascent},`);
+        lines.push(`        chars: ${JSON.stringify(definition.chars)},`);
+        lines.push(`        data: '${definition.data}'`);
+        lines.push(`    }${comma}`);
+    });
+    lines.push('};', '');
+
+    const output = path.join(__dirname, '..', 'lib', 'fonts', 'bitmap-fonts.js');
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, lines.join('\n'));
+    console.log(`Wrote ${output}`);
+}
+
+main();
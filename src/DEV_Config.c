@@ -28,70 +28,336 @@
 #
 ******************************************************************************/
 #include "DEV_Config.h"
+#include "EPD_7in3e.h"
+#include <stdlib.h>
 
-#if USE_LGPIO_LIB
-int GPIO_Handle;
-int SPI_Handle;
+/**
+ * Pin mapping and interfaces, Waveshare HAT wiring by default
+**/
+static const DEV_Config_t DEV_Default = {
+	17, 25, 8, 24, 18, 10, 11,
+	"/dev/spidev0.0", 10000000, "", DEV_GPIO_AUTO, DEV_SPI_AUTO, 1
+};
+
+#ifdef USE_DEV_LIB
+/**
+ * Whether the board model, from the device tree or /proc/cpuinfo, contains a name
+**/
+static int DEV_Board_Is(const char *name)
+{
+	const char *sources[] = { "/proc/device-tree/model", "/proc/cpuinfo" };
+	char line[256];
+	for (int i = 0; i < 2; i++) {
+		FILE *fp = fopen(sources[i], "r");
+		if (fp == NULL) {
+			continue;
+		}
+		int found = 0;
+		while (!found && fgets(line, sizeof(line), fp) != NULL) {
+			found = strstr(line, name) != NULL;
+		}
+		fclose(fp);
+		if (found) {
+			return 1;
+		}
+	}
+	return 0;
+}
+
+#define DEV_Is_Pi5()	DEV_Board_Is("Raspberry Pi 5")
+#define DEV_Is_Jetson()	DEV_Board_Is("Jetson")
+#endif
+
+/**
+ * Default configuration of the board: the HAT on the Jetson sysfs GPIO numbers on a Jetson
+**/
+static void DEV_Board_Default(DEV_Config_t *config)
+{
+	*config = DEV_Default;
+#ifdef USE_DEV_LIB
+	if (DEV_Is_Jetson()) {
+		config->RST_Pin = GPIO17;
+		config->DC_Pin = GPIO25;
+		config->CS_Pin = SPI0_CS0;
+		config->BUSY_Pin = GPIO24;
+		config->PWR_Pin = GPIO18;
+		config->MOSI_Pin = SPI0_MOSI;
+		config->SCLK_Pin = SPI0_SCK;
+	}
+#endif
+}
+
+/**
+ * Devices: the one used by callers that never select one, and the one selected by each thread
+**/
+static DEV_Device DEV_Default_Device;
+static int DEV_Default_Ready = 0;
+static __thread DEV_Device *DEV_Active = NULL;
+
+#define DEV_Current (DEV_Selected()->Config)
+
+#ifdef HAVE_LGPIO
+#define GPIO_Handle (DEV_Selected()->GPIO_Handle)
+#endif
+
+static void DEV_Device_Init(DEV_Device *device)
+{
+	memset(device, 0, sizeof(*device));
+	DEV_Board_Default(&device->Config);
+	device->Busy_Timeout = EPD_7IN3E_BUSY_TIMEOUT_MS;
+	device->Refresh_Timeout = EPD_7IN3E_REFRESH_TIMEOUT_MS;
+}
+
+/******************************************************************************
+function:	Create a device with the default settings
+parameter:
+Info:	Returns NULL when out of memory
+******************************************************************************/
+DEV_Device *DEV_Device_New(void)
+{
+	static UDOUBLE DEV_Last_Id = 0;
+	DEV_Device *device = malloc(sizeof(DEV_Device));
+	if (device != NULL) {
+		DEV_Device_Init(device);
+		device->Id = ++DEV_Last_Id;
+	}
+	return device;
+}
+
+/******************************************************************************
+function:	Free a device, closing its interfaces if still open
+parameter:
+******************************************************************************/
+void DEV_Device_Free(DEV_Device *device)
+{
+	if (device->Opened) {
+		DEV_Select(device);
+		DEV_Module_Exit();
+	}
+	if (DEV_Active == device) {
+		DEV_Select(NULL);
+	}
+	free(device);
+}
+
+/******************************************************************************
+function:	Select the device used by the calling thread
+parameter:
+	device : Device, or NULL for the default one
+******************************************************************************/
+void DEV_Select(DEV_Device *device)
+{
+	if (device == NULL) {
+		if (!DEV_Default_Ready) {
+			DEV_Device_Init(&DEV_Default_Device);
+			DEV_Default_Ready = 1;
+		}
+		device = &DEV_Default_Device;
+	}
+	DEV_Active = device;
+#ifdef USE_DEV_LIB
+	GPIOD_Select(&device->GPIO);
+	DEV_HARDWARE_SPI_Select(&device->SPI);
+#endif
+}
+
+/******************************************************************************
+function:	Get the device used by the calling thread
+parameter:
+******************************************************************************/
+DEV_Device *DEV_Selected(void)
+{
+	if (DEV_Active == NULL) {
+		DEV_Select(NULL);
+	}
+	return DEV_Active;
+}
+
+void DEV_Config_Default(DEV_Config_t *config)
+{
+	DEV_Board_Default(config);
+}
+
+void DEV_Set_Config(const DEV_Config_t *config)
+{
+	DEV_Device *device = DEV_Selected();
+	device->Config = *config;
+	device->Config.SPI_Device[DEV_PATH_MAX - 1] = '\0';
+	device->Config.GPIO_Chip[DEV_PATH_MAX - 1] = '\0';
+}
+
+#ifdef USE_WIRINGPI_LIB
+/**
+ * Bus and chip select of a /dev/spidevB.C path, for the libraries that take numbers
+**/
+static void DEV_SPI_Numbers(int *bus, int *channel)
+{
+	*bus = 0;
+	*channel = 0;
+	sscanf(DEV_Current.SPI_Device, "/dev/spidev%d.%d", bus, channel);
+}
 #endif
 
+#ifdef USE_DEV_LIB
+/**
+ * Drivers of the board when the configuration leaves the choice open:
+ * sysfs GPIO and software SPI on a Jetson, else gpiod and spidev
+**/
+static void DEV_Resolve_Drivers(DEV_Config_t *config)
+{
+	if (config->GPIO_Driver != DEV_GPIO_AUTO && config->SPI_Driver != DEV_SPI_AUTO) {
+		return;
+	}
+	int jetson = DEV_Is_Jetson();
+	if (config->GPIO_Driver == DEV_GPIO_AUTO) {
+		config->GPIO_Driver = jetson ? DEV_GPIO_SYSFS : DEV_GPIO_GPIOD;
+	}
+	if (config->SPI_Driver == DEV_SPI_AUTO) {
+		config->SPI_Driver = jetson ? DEV_SPI_SOFTWARE : DEV_SPI_SPIDEV;
+	}
+}
+
+/**
+ * GPIO chip of the device: the configured one, else gpiochip4 on a Raspberry Pi 5
+ * when the kernel exposes the header pins there, else gpiochip0
+**/
+static const char *DEV_GPIO_Chip(void)
+{
+	if (DEV_Current.GPIO_Chip[0] != '\0') {
+		return DEV_Current.GPIO_Chip;
+	}
+	if (DEV_Is_Pi5() && access("/dev/gpiochip4", F_OK) == 0) {
+		return "/dev/gpiochip4";
+	}
+	return "/dev/gpiochip0";
+}
+
 /**
- * GPIO
+ * Check that the interfaces the device needs are present, rather than
+ * guessing from the distribution
 **/
-int EPD_RST_PIN;
-int EPD_DC_PIN;
-int EPD_CS_PIN;
-int EPD_BUSY_PIN;
-int EPD_PWR_PIN;
-int EPD_MOSI_PIN;
-int EPD_SCLK_PIN;
+static int DEV_Equipment_Testing(void)
+{
+	if (DEV_Current.GPIO_Driver == DEV_GPIO_SYSFS) {
+		if (access("/sys/class/gpio/export", W_OK) != 0) {
+			DEV_Log(DEV_LOG_ERROR, "dev", "/sys/class/gpio is not available\r\n");
+			return -1;
+		}
+	} else {
+		const char *chip = DEV_GPIO_Chip();
+		if (access(chip, R_OK | W_OK) != 0) {
+			DEV_Log(DEV_LOG_ERROR, "dev", "%s is not available\r\n", chip);
+			return -1;
+		}
+	}
+	if (DEV_Current.SPI_Driver == DEV_SPI_SPIDEV && access(DEV_Current.SPI_Device, R_OK | W_OK) != 0) {
+		DEV_Log(DEV_LOG_ERROR, "dev", "%s is not available\r\n", DEV_Current.SPI_Device);
+		return -1;
+	}
+	return 0;
+}
+
+/**
+ * Open and close the GPIO driver of the device
+**/
+static int DEV_GPIO_Open(void)
+{
+	const char *chip = DEV_GPIO_Chip();
+	switch (DEV_Current.GPIO_Driver) {
+#ifdef HAVE_LGPIO
+	case DEV_GPIO_LGPIO: {
+		int number;
+		if (sscanf(chip, "/dev/gpiochip%d", &number) != 1) {
+			DEV_Log(DEV_LOG_ERROR, "dev", "%s is not a gpiochip device\r\n", chip);
+			return -1;
+		}
+		GPIO_Handle = lgGpiochipOpen(number);
+		if (GPIO_Handle < 0) {
+			DEV_Log(DEV_LOG_ERROR, "dev", "%s Export Failed\r\n", chip);
+			return -1;
+		}
+		return 0;
+	}
+#endif
+	case DEV_GPIO_SYSFS:
+		// Pins are exported one by one by DEV_GPIO_Mode
+		return 0;
+	default:
+		return GPIOD_Export(chip);
+	}
+}
+
+static void DEV_GPIO_Close(void)
+{
+	int pins[] = { EPD_RST_PIN, EPD_DC_PIN, EPD_CS_PIN, EPD_BUSY_PIN, EPD_PWR_PIN, EPD_MOSI_PIN, EPD_SCLK_PIN };
+	int count = DEV_Current.SPI_Driver == DEV_SPI_SOFTWARE ? 7 : 5;
+
+	switch (DEV_Current.GPIO_Driver) {
+#ifdef HAVE_LGPIO
+	case DEV_GPIO_LGPIO:
+		// Closing the chip frees the claimed lines
+		lgGpiochipClose(GPIO_Handle);
+		break;
+#endif
+	case DEV_GPIO_SYSFS:
+		for (int i = 0; i < count; i++) {
+			SYSFS_GPIO_Unexport(pins[i]);
+		}
+		break;
+	default:
+		GPIOD_Unexport_GPIO();
+		break;
+	}
+}
+#endif
 
 /**
  * GPIO read and write
 **/
 void DEV_Digital_Write(UWORD Pin, UBYTE Value)
 {
-#ifdef RPI
 #ifdef USE_BCM2835_LIB
 	bcm2835_gpio_write(Pin, Value);
 #elif USE_WIRINGPI_LIB
 	digitalWrite(Pin, Value);
-#elif  USE_LGPIO_LIB  
-    lgGpioWrite(GPIO_Handle, Pin, Value);
 #elif USE_DEV_LIB
-	GPIOD_Write(Pin, Value);
-#endif
-#endif
-
-#ifdef JETSON
-#ifdef USE_DEV_LIB
-	SYSFS_GPIO_Write(Pin, Value);
-#elif USE_HARDWARE_LIB
-	Debug("not support");
-#endif
+	switch (DEV_Current.GPIO_Driver) {
+#ifdef HAVE_LGPIO
+	case DEV_GPIO_LGPIO:
+		lgGpioWrite(GPIO_Handle, Pin, Value);
+		break;
+#endif
+	case DEV_GPIO_SYSFS:
+		SYSFS_GPIO_Write(Pin, Value);
+		break;
+	default:
+		GPIOD_Write(Pin, Value);
+		break;
+	}
 #endif
 }
 
 UBYTE DEV_Digital_Read(UWORD Pin)
 {
 	UBYTE Read_value = 0;
-#ifdef RPI
 #ifdef USE_BCM2835_LIB
 	Read_value = bcm2835_gpio_lev(Pin);
 #elif USE_WIRINGPI_LIB
 	Read_value = digitalRead(Pin);
-#elif  USE_LGPIO_LIB  
-    Read_value = lgGpioRead(GPIO_Handle,Pin);
 #elif USE_DEV_LIB
-	Read_value = GPIOD_Read(Pin);
-#endif
-#endif
-
-#ifdef JETSON
-#ifdef USE_DEV_LIB
-	Read_value = SYSFS_GPIO_Read(Pin);
-#elif USE_HARDWARE_LIB
-	Debug("not support");
-#endif
+	switch (DEV_Current.GPIO_Driver) {
+#ifdef HAVE_LGPIO
+	case DEV_GPIO_LGPIO:
+		Read_value = lgGpioRead(GPIO_Handle, Pin);
+		break;
+#endif
+	case DEV_GPIO_SYSFS:
+		Read_value = SYSFS_GPIO_Read(Pin);
+		break;
+	default:
+		Read_value = GPIOD_Read(Pin);
+		break;
+	}
 #endif
 	return Read_value;
 }
@@ -99,54 +365,51 @@ UBYTE DEV_Digital_Read(UWORD Pin)
 /**
  * SPI
 **/
+#ifdef USE_DEV_LIB
+/**
+ * Software SPI: mode 0, MSB first on the MOSI and SCLK pins
+**/
+static void DEV_Software_SPI_Transfer(UBYTE Value)
+{
+	for (UBYTE i = 0; i < 8; i++) {
+		DEV_Digital_Write(EPD_MOSI_PIN, (Value & 0x80) ? 1 : 0);
+		DEV_Digital_Write(EPD_SCLK_PIN, 1);
+		DEV_Digital_Write(EPD_SCLK_PIN, 0);
+		Value <<= 1;
+	}
+}
+#endif
+
 void DEV_SPI_WriteByte(uint8_t Value)
 {
-#ifdef RPI
 #ifdef USE_BCM2835_LIB
 	bcm2835_spi_transfer(Value);
 #elif USE_WIRINGPI_LIB
 	wiringPiSPIDataRW(0,&Value,1);
-#elif  USE_LGPIO_LIB 
-    lgSpiWrite(SPI_Handle,(char*)&Value, 1);
 #elif USE_DEV_LIB
-	DEV_HARDWARE_SPI_TransferByte(Value);
-#endif
-#endif
-
-#ifdef JETSON
-#ifdef USE_DEV_LIB
-	SYSFS_software_spi_transfer(Value);
-#elif USE_HARDWARE_LIB
-	Debug("not support");
-#endif
+	if (DEV_Current.SPI_Driver == DEV_SPI_SOFTWARE) {
+		DEV_Software_SPI_Transfer(Value);
+	} else {
+		DEV_HARDWARE_SPI_TransferByte(Value);
+	}
 #endif
 }
 
 void DEV_SPI_Write_nByte(uint8_t *pData, uint32_t Len)
 {
-#ifdef RPI
 #ifdef USE_BCM2835_LIB
 	char rData[Len];
 	bcm2835_spi_transfernb((char *)pData,rData,Len);
 #elif USE_WIRINGPI_LIB
 	wiringPiSPIDataRW(0, pData, Len);
-#elif  USE_LGPIO_LIB 
-    lgSpiWrite(SPI_Handle,(char*)pData, Len);
 #elif USE_DEV_LIB
-	DEV_HARDWARE_SPI_Transfer(pData, Len);
-#endif
-#endif
-
-#ifdef JETSON
-#ifdef USE_DEV_LIB
-	//JETSON nano waits for hardware SPI
-	// Debug("not support");
-    uint32_t i;
-    for(i = 0; i<Len; i++)
-        SYSFS_software_spi_transfer(pData[i]);
-#elif USE_HARDWARE_LIB
-	Debug("not support");
-#endif
+	if (DEV_Current.SPI_Driver == DEV_SPI_SOFTWARE) {
+		for (uint32_t i = 0; i < Len; i++) {
+			DEV_Software_SPI_Transfer(pData[i]);
+		}
+	} else {
+		DEV_HARDWARE_SPI_Transfer(pData, Len);
+	}
 #endif
 }
 
@@ -155,7 +418,6 @@ void DEV_SPI_Write_nByte(uint8_t *pData, uint32_t Len)
 **/
 void DEV_GPIO_Mode(UWORD Pin, UWORD Mode)
 {
-#ifdef RPI
 #ifdef USE_BCM2835_LIB
 	if(Mode == 0 || Mode == BCM2835_GPIO_FSEL_INPT) {
 		bcm2835_gpio_fsel(Pin, BCM2835_GPIO_FSEL_INPT);
@@ -170,32 +432,31 @@ void DEV_GPIO_Mode(UWORD Pin, UWORD Mode)
 		pinMode(Pin, OUTPUT);
 		// Debug (" %d OUT \r\n",Pin);
 	}
-#elif  USE_LGPIO_LIB  
-    if(Mode == 0 || Mode == LG_SET_INPUT){
-        lgGpioClaimInput(GPIO_Handle,LFLAGS,Pin);
-        // printf("IN Pin = %d\r\n",Pin);
-    }else{
-        lgGpioClaimOutput(GPIO_Handle, LFLAGS, Pin, LG_LOW);
-        // printf("OUT Pin = %d\r\n",Pin);
-    }
 #elif USE_DEV_LIB
-    if(Mode == 0 || Mode == GPIOD_IN) {
-        GPIOD_Direction(Pin, GPIOD_IN);
-        // Debug("IN Pin = %d\r\n",Pin);
-    } else {
-        GPIOD_Direction(Pin, GPIOD_OUT);
-        // Debug("OUT Pin = %d\r\n",Pin);
-    }
-#endif
-#endif
-
-#ifdef JETSON
-#ifdef USE_DEV_LIB
-	SYSFS_GPIO_Export(Pin);
-	SYSFS_GPIO_Direction(Pin, Mode);
-#elif USE_HARDWARE_LIB
-	Debug("not support");
-#endif
+	switch (DEV_Current.GPIO_Driver) {
+#ifdef HAVE_LGPIO
+	case DEV_GPIO_LGPIO:
+		if(Mode == 0 || Mode == LG_SET_INPUT){
+			lgGpioClaimInput(GPIO_Handle,LFLAGS,Pin);
+		}else{
+			lgGpioClaimOutput(GPIO_Handle, LFLAGS, Pin, LG_LOW);
+		}
+		break;
+#endif
+	case DEV_GPIO_SYSFS:
+		SYSFS_GPIO_Export(Pin);
+		SYSFS_GPIO_Direction(Pin, Mode == 0 ? IN : OUT);
+		break;
+	default:
+		if(Mode == 0 || Mode == GPIOD_IN) {
+			GPIOD_Direction(Pin, GPIOD_IN);
+			// Debug("IN Pin = %d\r\n",Pin);
+		} else {
+			GPIOD_Direction(Pin, GPIOD_OUT);
+			// Debug("OUT Pin = %d\r\n",Pin);
+		}
+		break;
+	}
 #endif
 }
 
@@ -204,22 +465,11 @@ void DEV_GPIO_Mode(UWORD Pin, UWORD Mode)
 **/
 void DEV_Delay_ms(UDOUBLE xms)
 {
-#ifdef RPI
 #ifdef USE_BCM2835_LIB
 	bcm2835_delay(xms);
 #elif USE_WIRINGPI_LIB
 	delay(xms);
-#elif  USE_LGPIO_LIB  
-    lguSleep(xms/1000.0);
-#elif USE_DEV_LIB
-	UDOUBLE i;
-	for(i=0; i < xms; i++) {
-		usleep(1000);
-	}
-#endif
-#endif
-
-#ifdef JETSON
+#else
 	UDOUBLE i;
 	for(i=0; i < xms; i++) {
 		usleep(1000);
@@ -227,83 +477,20 @@ void DEV_Delay_ms(UDOUBLE xms)
 #endif
 }
 
-static int DEV_Equipment_Testing(void)
-{
-	FILE *fp;
-	char issue_str[64];
-
-	fp = fopen("/etc/issue", "r");
-	if (fp == NULL) {
-		Debug("Unable to open /etc/issue");
-		return -1;
-	}
-	if (fread(issue_str, 1, sizeof(issue_str), fp) <= 0) {
-		Debug("Unable to read from /etc/issue");
-		return -1;
-	}
-	issue_str[sizeof(issue_str)-1] = '\0';
-	fclose(fp);
-
-	printf("Current environment: ");
-#ifdef RPI
-	char systems[][9] = {"Raspbian", "Debian", "NixOS"};
-	int detected = 0;
-	for(int i=0; i<3; i++) {
-		if (strstr(issue_str, systems[i]) != NULL) {
-			printf("%s\n", systems[i]);
-			detected = 1;
-		}
-	}
-	if (!detected) {
-		printf("not recognized\n");
-		printf("Built for Raspberry Pi, but unable to detect environment.\n");
-		printf("Perhaps you meant to 'make JETSON' instead?\n");
-		return -1;
-	}
-#endif
-#ifdef JETSON
-	char system[] = {"Ubuntu"};
-	if (strstr(issue_str, system) != NULL) {
-		printf("%s\n", system);
-	} else {
-		printf("not recognized\n");
-		printf("Built for Jetson, but unable to detect environment.\n");
-		printf("Perhaps you meant to 'make RPI' instead?\n");
-		return -1;
-	}
-#endif
-	return 0;
-}
-
-
-
 void DEV_GPIO_Init(void)
 {
-#ifdef RPI
-	EPD_RST_PIN     = 17;
-	EPD_DC_PIN      = 25;
-	EPD_CS_PIN      = 8;
-    EPD_PWR_PIN     = 18;
-	EPD_BUSY_PIN    = 24;
-    EPD_MOSI_PIN    = 10;
-	EPD_SCLK_PIN    = 11;
-#elif JETSON
-	EPD_RST_PIN     = GPIO17;
-	EPD_DC_PIN      = GPIO25;
-	EPD_CS_PIN      = SPI0_CS0;
-    EPD_PWR_PIN     = GPIO18;
-	EPD_BUSY_PIN    = GPIO24;
-    EPD_MOSI_PIN    = SPI0_MOSI;
-	EPD_SCLK_PIN    = SPI0_SCLK;
-#endif
-
     DEV_GPIO_Mode(EPD_BUSY_PIN, 0);
 	DEV_GPIO_Mode(EPD_RST_PIN, 1);
 	DEV_GPIO_Mode(EPD_DC_PIN, 1);
 	DEV_GPIO_Mode(EPD_CS_PIN, 1);
     DEV_GPIO_Mode(EPD_PWR_PIN, 1);
-    // DEV_GPIO_Mode(EPD_MOSI_PIN, 0);
-	// DEV_GPIO_Mode(EPD_SCLK_PIN, 1);
+#ifdef USE_DEV_LIB
+	if (DEV_Current.SPI_Driver == DEV_SPI_SOFTWARE) {
+		DEV_GPIO_Mode(EPD_MOSI_PIN, 1);
+		DEV_GPIO_Mode(EPD_SCLK_PIN, 1);
+		DEV_Digital_Write(EPD_SCLK_PIN, 0);
+	}
+#endif
 
 	DEV_Digital_Write(EPD_CS_PIN, 1);
     DEV_Digital_Write(EPD_PWR_PIN, 1);
@@ -368,6 +555,16 @@ UBYTE DEV_SPI_ReadData()
 	return j;
 }
 
+/**
+ * Separator logged around DEV_Module_Init, unless the configuration turns it off
+**/
+static void DEV_Log_Banner(void)
+{
+	if (DEV_Current.Banner) {
+		DEV_Log(DEV_LOG_INFO, "dev", "/***********************************/ \r\n");
+	}
+}
+
 /******************************************************************************
 function:	Module Initialize, the library and initialize the pins, SPI protocol
 parameter:
@@ -375,17 +572,13 @@ Info:
 ******************************************************************************/
 UBYTE DEV_Module_Init(void)
 {
-    printf("/***********************************/ \r\n");
-	if(DEV_Equipment_Testing() < 0) {
-		return 1;
-	}
-#ifdef RPI
+	DEV_Log_Banner();
 #ifdef USE_BCM2835_LIB
 	if(!bcm2835_init()) {
-		printf("bcm2835 init failed  !!! \r\n");
+		DEV_Log(DEV_LOG_ERROR, "dev", "bcm2835 init failed  !!! \r\n");
 		return 1;
 	} else {
-		printf("bcm2835 init success !!! \r\n");
+		DEV_Log(DEV_LOG_INFO, "dev", "bcm2835 init success !!! \r\n");
 	}
 
 	// GPIO Config
@@ -401,69 +594,46 @@ UBYTE DEV_Module_Init(void)
 #elif USE_WIRINGPI_LIB
 	//if(wiringPiSetup() < 0)//use wiringpi Pin number table
 	if(wiringPiSetupGpio() < 0) { //use BCM2835 Pin number table
-		printf("set wiringPi lib failed	!!! \r\n");
+		DEV_Log(DEV_LOG_ERROR, "dev", "set wiringPi lib failed	!!! \r\n");
 		return 1;
 	} else {
-		printf("set wiringPi lib success !!! \r\n");
+		DEV_Log(DEV_LOG_INFO, "dev", "set wiringPi lib success !!! \r\n");
 	}
 
 	// GPIO Config
 	DEV_GPIO_Init();
-	wiringPiSPISetup(0,10000000);
+	int bus, channel;
+	DEV_SPI_Numbers(&bus, &channel);
+	wiringPiSPISetup(channel, DEV_Current.SPI_Speed);
 	// wiringPiSPISetupMode(0, 32000000, 0);
-#elif  USE_LGPIO_LIB
-    char buffer[NUM_MAXBUF];
-    FILE *fp;
-    fp = popen("cat /proc/cpuinfo | grep 'Raspberry Pi 5'", "r");
-    if (fp == NULL) {
-        Debug("It is not possible to determine the model of the Raspberry PI\n");
-        return -1;
-    }
-
-    if(fgets(buffer, sizeof(buffer), fp) != NULL)
-    {
-        GPIO_Handle = lgGpiochipOpen(4);
-        if (GPIO_Handle < 0)
-        {
-            Debug( "gpiochip4 Export Failed\n");
-            return -1;
-        }
-    }
-    else
-    {
-        GPIO_Handle = lgGpiochipOpen(0);
-        if (GPIO_Handle < 0)
-        {
-            Debug( "gpiochip0 Export Failed\n");
-            return -1;
-        }
-    }
-    SPI_Handle = lgSpiOpen(0, 0, 10000000, 0);
-    DEV_GPIO_Init();
 #elif USE_DEV_LIB
-	printf("Write and read /dev/spidev0.0 \r\n");
-    GPIOD_Export();
-	DEV_GPIO_Init();
-	DEV_HARDWARE_SPI_begin("/dev/spidev0.0");
-    DEV_HARDWARE_SPI_setSpeed(10000000);
+	DEV_Resolve_Drivers(&DEV_Current);
+#ifndef HAVE_LGPIO
+	if (DEV_Current.GPIO_Driver == DEV_GPIO_LGPIO) {
+		DEV_Log(DEV_LOG_ERROR, "dev", "lgpio support was not built\r\n");
+		return 1;
+	}
 #endif
-
-#elif JETSON
-#ifdef USE_DEV_LIB
-	DEV_GPIO_Init();
-	printf("Software spi\r\n");
-	SYSFS_software_spi_begin();
-	SYSFS_software_spi_setBitOrder(SOFTWARE_SPI_MSBFIRST);
-	SYSFS_software_spi_setDataMode(SOFTWARE_SPI_Mode0);
-	SYSFS_software_spi_setClockDivider(SOFTWARE_SPI_CLOCK_DIV4);
-#elif USE_HARDWARE_LIB
-	printf("Write and read /dev/spidev0.0 \r\n");
+	if(DEV_Equipment_Testing() < 0) {
+		return 1;
+	}
+	if (DEV_GPIO_Open() < 0) {
+		return 1;
+	}
 	DEV_GPIO_Init();
-	DEV_HARDWARE_SPI_begin("/dev/spidev0.0");
-#endif
-
+	if (DEV_Current.SPI_Driver == DEV_SPI_SOFTWARE) {
+		DEV_Log(DEV_LOG_INFO, "dev", "Software spi\r\n");
+	} else {
+		DEV_Log(DEV_LOG_INFO, "dev", "Write and read %s \r\n", DEV_Current.SPI_Device);
+		if (DEV_HARDWARE_SPI_begin(DEV_Current.SPI_Device) < 0) {
+			DEV_GPIO_Close();
+			return 1;
+		}
+		DEV_HARDWARE_SPI_setSpeed(DEV_Current.SPI_Speed);
+	}
 #endif
-    printf("/***********************************/ \r\n");
+	DEV_Log_Banner();
+	DEV_Selected()->Opened = 1;
 	return 0;
 }
 
@@ -474,7 +644,7 @@ Info:
 ******************************************************************************/
 void DEV_Module_Exit(void)
 {
-#ifdef RPI
+	DEV_Selected()->Opened = 0;
 #ifdef USE_BCM2835_LIB
 	DEV_Digital_Write(EPD_CS_PIN, LOW);
     DEV_Digital_Write(EPD_PWR_PIN, LOW);
@@ -488,35 +658,14 @@ void DEV_Module_Exit(void)
     DEV_Digital_Write(EPD_PWR_PIN, 0);
 	DEV_Digital_Write(EPD_DC_PIN, 0);
 	DEV_Digital_Write(EPD_RST_PIN, 0);
-#elif USE_LGPIO_LIB 
-    // DEV_Digital_Write(EPD_CS_PIN, 0);
-    // DEV_Digital_Write(EPD_PWR_PIN, 0);
-	// DEV_Digital_Write(EPD_DC_PIN, 0);
-	// DEV_Digital_Write(EPD_RST_PIN, 0);
-    // lgSpiClose(SPI_Handle);
-    // lgGpiochipClose(GPIO_Handle);
 #elif USE_DEV_LIB
-	DEV_HARDWARE_SPI_end();
+	if (DEV_Current.SPI_Driver != DEV_SPI_SOFTWARE) {
+		DEV_HARDWARE_SPI_end();
+	}
 	DEV_Digital_Write(EPD_CS_PIN, 0);
     DEV_Digital_Write(EPD_PWR_PIN, 0);
 	DEV_Digital_Write(EPD_DC_PIN, 0);
 	DEV_Digital_Write(EPD_RST_PIN, 0);
-    GPIOD_Unexport(EPD_PWR_PIN);
-    GPIOD_Unexport(EPD_DC_PIN);
-    GPIOD_Unexport(EPD_RST_PIN);
-    GPIOD_Unexport(EPD_BUSY_PIN);
-    GPIOD_Unexport_GPIO();
-#endif
-
-#elif JETSON
-#ifdef USE_DEV_LIB
-	SYSFS_GPIO_Unexport(EPD_CS_PIN);
-    SYSFS_GPIO_Unexport(EPD_PWR_PIN;
-	SYSFS_GPIO_Unexport(EPD_DC_PIN);
-	SYSFS_GPIO_Unexport(EPD_RST_PIN);
-	SYSFS_GPIO_Unexport(EPD_BUSY_PIN);
-#elif USE_HARDWARE_LIB
-	Debug("not support");
-#endif
+	DEV_GPIO_Close();
 #endif
 }
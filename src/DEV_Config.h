@@ -62,24 +62,21 @@
     #elif USE_WIRINGPI_LIB
         #include <wiringPi.h>
         #include <wiringPiSPI.h>
-    #elif USE_LGPIO_LIB
-        #include <lgpio.h>
-        #define LFLAGS 0
-        #define NUM_MAXBUF  4
-    #elif USE_DEV_LIB
-        #include "RPI_gpiod.h"
-        #include "dev_hardware_SPI.h"
     #endif
 #endif
 
-#ifdef JETSON
-    #ifdef USE_DEV_LIB
-        #include "sysfs_gpio.h"    
-        #include "sysfs_software_spi.h"
-    #elif USE_HARDWARE_LIB
-        
+/**
+ * USE_DEV_LIB builds every Linux driver, the GPIO and SPI drivers are chosen per device.
+ * lgpio is added when its library is installed (HAVE_LGPIO).
+**/
+#ifdef USE_DEV_LIB
+    #include "RPI_gpiod.h"
+    #include "sysfs_gpio.h"
+    #include "dev_hardware_SPI.h"
+    #ifdef HAVE_LGPIO
+        #include <lgpio.h>
+        #define LFLAGS 0
     #endif
-
 #endif
 
 /**
@@ -90,15 +87,77 @@
 #define UDOUBLE uint32_t
 
 /**
- * GPIOI config
+ * Pin mapping and interfaces, applied by the next DEV_Module_Init
+**/
+#define DEV_PATH_MAX 64
+
+typedef enum {
+    DEV_GPIO_AUTO,      // sysfs on Jetson, libgpiod otherwise
+    DEV_GPIO_GPIOD,
+    DEV_GPIO_LGPIO,
+    DEV_GPIO_SYSFS,
+} DEV_GPIO_Driver;
+
+typedef enum {
+    DEV_SPI_AUTO,       // software SPI on Jetson, spidev otherwise
+    DEV_SPI_SPIDEV,
+    DEV_SPI_SOFTWARE,   // bit-banged on the MOSI and SCLK pins
+} DEV_SPI_Driver;
+
+typedef struct {
+    int RST_Pin;
+    int DC_Pin;
+    int CS_Pin;
+    int BUSY_Pin;
+    int PWR_Pin;
+    int MOSI_Pin;                    // software SPI only
+    int SCLK_Pin;                    // software SPI only
+    char SPI_Device[DEV_PATH_MAX];   // e.g. /dev/spidev0.0
+    UDOUBLE SPI_Speed;               // Hz
+    char GPIO_Chip[DEV_PATH_MAX];    // e.g. /dev/gpiochip0, empty to detect
+    DEV_GPIO_Driver GPIO_Driver;
+    DEV_SPI_Driver SPI_Driver;
+    int Banner;                      // log the banner lines of DEV_Module_Init
+} DEV_Config_t;
+
+/**
+ * One panel: its settings and the interfaces it opened.
+ * Every DEV_ and EPD_ call acts on the device selected by the calling thread,
+ * so panels on different threads can be driven at the same time.
+**/
+typedef struct {
+    UDOUBLE Id;                 // 0 for the default device, then numbered by DEV_Device_New
+    DEV_Config_t Config;        // drivers resolved by DEV_Module_Init
+    UDOUBLE Busy_Timeout;       // ms, 0 to wait forever
+    UDOUBLE Refresh_Timeout;    // ms, 0 to wait forever
+    int Opened;                 // set by DEV_Module_Init, cleared by DEV_Module_Exit
+#ifdef USE_DEV_LIB
+    GPIOD_Port GPIO;
+    HARDWARE_SPI SPI;
+#ifdef HAVE_LGPIO
+    int GPIO_Handle;
+#endif
+#endif
+} DEV_Device;
+
+DEV_Device *DEV_Device_New(void);
+void DEV_Device_Free(DEV_Device *device);
+void DEV_Select(DEV_Device *device);
+DEV_Device *DEV_Selected(void);
+
+void DEV_Config_Default(DEV_Config_t *config);
+void DEV_Set_Config(const DEV_Config_t *config);
+
+/**
+ * GPIOI config of the selected device
 **/
-extern int EPD_RST_PIN;
-extern int EPD_DC_PIN;
-extern int EPD_CS_PIN;
-extern int EPD_BUSY_PIN;
-extern int EPD_PWR_PIN;
-extern int EPD_MOSI_PIN;
-extern int EPD_SCLK_PIN;
+#define EPD_RST_PIN     (DEV_Selected()->Config.RST_Pin)
+#define EPD_DC_PIN      (DEV_Selected()->Config.DC_Pin)
+#define EPD_CS_PIN      (DEV_Selected()->Config.CS_Pin)
+#define EPD_BUSY_PIN    (DEV_Selected()->Config.BUSY_Pin)
+#define EPD_PWR_PIN     (DEV_Selected()->Config.PWR_Pin)
+#define EPD_MOSI_PIN    (DEV_Selected()->Config.MOSI_Pin)
+#define EPD_SCLK_PIN    (DEV_Selected()->Config.SCLK_Pin)
 
 /*------------------------------------------------------------------------------------------------------*/
 void DEV_Digital_Write(UWORD Pin, UBYTE Value);
@@ -0,0 +1,78 @@
+/*****************************************************************************
+* | File      	:	Debug.c
+* | Function    :	Route the driver's messages to a log handler
+* | Info        :
+*   Messages carry a level and the part of the driver that sent them, so a
+*   host application can forward them to its own logs instead of stdout.
+******************************************************************************/
+#include "Debug.h"
+#include <stdarg.h>
+#include <string.h>
+#include <pthread.h>
+
+// Set from the host thread and read by every thread that logs
+static pthread_mutex_t DEV_Log_Lock = PTHREAD_MUTEX_INITIALIZER;
+static DEV_Log_Handler DEV_Log_Target = NULL;
+#if DEBUG
+static DEV_Log_Level DEV_Log_Min = DEV_LOG_DEBUG;
+#else
+static DEV_Log_Level DEV_Log_Min = DEV_LOG_INFO;
+#endif
+
+/******************************************************************************
+function:	Set the handler receiving the messages
+parameter:
+	handler   : Handler, or NULL to print to stdout
+	min_level : Messages below this level are dropped before being formatted
+Info:	Safe to call while other threads are logging
+******************************************************************************/
+void DEV_Set_Log_Handler(DEV_Log_Handler handler, DEV_Log_Level min_level)
+{
+	pthread_mutex_lock(&DEV_Log_Lock);
+	DEV_Log_Target = handler;
+	DEV_Log_Min = min_level;
+	pthread_mutex_unlock(&DEV_Log_Lock);
+}
+
+/******************************************************************************
+function:	Log a message
+parameter:
+	level  : Level of the message
+	source : Part of the driver sending it, e.g. "spi"
+	format : printf format; trailing line breaks are dropped
+******************************************************************************/
+void DEV_Log(DEV_Log_Level level, const char *source, const char *format, ...)
+{
+	char message[256];
+	va_list args;
+	size_t len;
+	DEV_Log_Handler handler;
+	DEV_Log_Level min_level;
+
+	// The handler is called outside the lock, so it may log or change the handler itself
+	pthread_mutex_lock(&DEV_Log_Lock);
+	handler = DEV_Log_Target;
+	min_level = DEV_Log_Min;
+	pthread_mutex_unlock(&DEV_Log_Lock);
+
+	if (level < min_level) {
+		return;
+	}
+
+	va_start(args, format);
+	vsnprintf(message, sizeof(message), format, args);
+	va_end(args);
+
+	len = strlen(message);
+	while (len > 0 && (message[len - 1] == '\n' || message[len - 1] == '\r' || message[len - 1] == ' ')) {
+		message[--len] = '\0';
+	}
+
+	if (handler != NULL) {
+		handler(level, source, message);
+	} else if (level == DEV_LOG_DEBUG) {
+		printf("Debug: %s\r\n", message);
+	} else {
+		printf("%s\r\n", message);
+	}
+}
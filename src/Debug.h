@@ -37,11 +37,23 @@
 
 #include <stdio.h>
 
-#if DEBUG
-	#define Debug(__info,...) printf("Debug: " __info,##__VA_ARGS__)
-#else
-	#define Debug(__info,...)  
-#endif
+/**
+ * Log levels, and the handler that receives the driver's messages.
+ * Without a handler they are printed to stdout, debug ones in DEBUG builds only.
+**/
+typedef enum {
+	DEV_LOG_DEBUG,
+	DEV_LOG_INFO,
+	DEV_LOG_WARN,
+	DEV_LOG_ERROR,
+} DEV_Log_Level;
+
+typedef void (*DEV_Log_Handler)(DEV_Log_Level level, const char *source, const char *message);
+
+void DEV_Set_Log_Handler(DEV_Log_Handler handler, DEV_Log_Level min_level);
+void DEV_Log(DEV_Log_Level level, const char *source, const char *format, ...);
+
+#define Debug(__info,...) DEV_Log(DEV_LOG_DEBUG, "epd", __info, ##__VA_ARGS__)
 
 #endif
 
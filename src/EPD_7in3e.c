@@ -30,6 +30,63 @@
 ******************************************************************************/
 #include "EPD_7in3e.h"
 #include "Debug.h"
+#include <time.h>
+
+// Busy wait limits of the selected device in ms, 0 to wait forever.
+// A refresh takes far longer than the other steps.
+#define EPD_7IN3E_BusyTimeout (DEV_Selected()->Busy_Timeout)
+#define EPD_7IN3E_RefreshTimeout (DEV_Selected()->Refresh_Timeout)
+
+/******************************************************************************
+function :  Set the busy wait limits of the selected device
+parameter:
+    busy_ms    : Limit for the reset, power on, power off and sleep steps
+    refresh_ms : Limit for the display refresh
+******************************************************************************/
+void EPD_7IN3E_SetBusyTimeout(UDOUBLE busy_ms, UDOUBLE refresh_ms)
+{
+    EPD_7IN3E_BusyTimeout = busy_ms;
+    EPD_7IN3E_RefreshTimeout = refresh_ms;
+}
+
+/******************************************************************************
+function :  Get the busy wait limit behind a status code
+parameter:
+    status : Status code returned by a driver function
+******************************************************************************/
+UDOUBLE EPD_7IN3E_GetBusyTimeout(UBYTE status)
+{
+    return status == EPD_7IN3E_TIMEOUT_REFRESH ? EPD_7IN3E_RefreshTimeout : EPD_7IN3E_BusyTimeout;
+}
+
+/******************************************************************************
+function :  Get the name of the step behind a status code
+parameter:
+    status : Status code returned by a driver function
+******************************************************************************/
+const char *EPD_7IN3E_StageName(UBYTE status)
+{
+    switch (status) {
+    case EPD_7IN3E_TIMEOUT_RESET:     return "reset";
+    case EPD_7IN3E_TIMEOUT_INIT:      return "power-on";
+    case EPD_7IN3E_TIMEOUT_POWER_ON:  return "power-on";
+    case EPD_7IN3E_TIMEOUT_REFRESH:   return "refresh";
+    case EPD_7IN3E_TIMEOUT_POWER_OFF: return "power-off";
+    case EPD_7IN3E_TIMEOUT_SLEEP:     return "sleep";
+    default:                          return "";
+    }
+}
+
+/******************************************************************************
+function :  Milliseconds from a monotonic clock
+parameter:
+******************************************************************************/
+static UDOUBLE EPD_7IN3E_Millis(void)
+{
+    struct timespec now;
+    clock_gettime(CLOCK_MONOTONIC, &now);
+    return (UDOUBLE)now.tv_sec * 1000 + (UDOUBLE)(now.tv_nsec / 1000000);
+}
 
 /******************************************************************************
 function :  Software reset
@@ -72,27 +129,37 @@ static void EPD_7IN3E_SendData(UBYTE Data)
 }
 
 /******************************************************************************
-function :  Wait until the busy_pin goes LOW
+function :  Wait until the busy_pin goes HIGH
 parameter:
+    timeout_ms : Give up after this many ms, 0 to wait forever
+return    :  0 once released, 1 on timeout
 ******************************************************************************/
-static void EPD_7IN3E_ReadBusyH(void)
+static UBYTE EPD_7IN3E_ReadBusyH(UDOUBLE timeout_ms)
 {
+    UDOUBLE start = EPD_7IN3E_Millis();
     Debug("e-Paper busy H\r\n");
     while(!DEV_Digital_Read(EPD_BUSY_PIN)) {      //LOW: busy, HIGH: idle
+        if (timeout_ms > 0 && EPD_7IN3E_Millis() - start >= timeout_ms) {
+            DEV_Log(DEV_LOG_WARN, "epd", "e-Paper busy H timeout after %u ms\r\n", timeout_ms);
+            return 1;
+        }
         DEV_Delay_ms(1);
     }
     Debug("e-Paper busy H release\r\n");
+    return 0;
 }
 
 /******************************************************************************
 function :  Turn On Display
 parameter:
+return    :  EPD_7IN3E_OK or the timeout status of the step that failed
 ******************************************************************************/
-static void EPD_7IN3E_TurnOnDisplay(void)
+static UBYTE EPD_7IN3E_TurnOnDisplay(void)
 {
     
     EPD_7IN3E_SendCommand(0x04); // POWER_ON
-    EPD_7IN3E_ReadBusyH();
+    if (EPD_7IN3E_ReadBusyH(EPD_7IN3E_BusyTimeout))
+        return EPD_7IN3E_TIMEOUT_POWER_ON;
 
     //Second setting 
     EPD_7IN3E_SendCommand(0x06);
@@ -103,21 +170,25 @@ static void EPD_7IN3E_TurnOnDisplay(void)
 
     EPD_7IN3E_SendCommand(0x12); // DISPLAY_REFRESH
     EPD_7IN3E_SendData(0x00);
-    EPD_7IN3E_ReadBusyH();
+    if (EPD_7IN3E_ReadBusyH(EPD_7IN3E_RefreshTimeout))
+        return EPD_7IN3E_TIMEOUT_REFRESH;
     
     EPD_7IN3E_SendCommand(0x02); // POWER_OFF
     EPD_7IN3E_SendData(0X00);
-    EPD_7IN3E_ReadBusyH();
+    if (EPD_7IN3E_ReadBusyH(EPD_7IN3E_BusyTimeout))
+        return EPD_7IN3E_TIMEOUT_POWER_OFF;
+    return EPD_7IN3E_OK;
 }
 
 /******************************************************************************
 function :  Initialize the e-Paper register
 parameter:
 ******************************************************************************/
-void EPD_7IN3E_Init(void)
+UBYTE EPD_7IN3E_Init(void)
 {
     EPD_7IN3E_Reset();
-    EPD_7IN3E_ReadBusyH();
+    if (EPD_7IN3E_ReadBusyH(EPD_7IN3E_BusyTimeout))
+        return EPD_7IN3E_TIMEOUT_RESET;
     DEV_Delay_ms(30);
 
     EPD_7IN3E_SendCommand(0xAA);    // CMDH
@@ -182,15 +253,16 @@ void EPD_7IN3E_Init(void)
     EPD_7IN3E_SendData(0x2F);
 
     EPD_7IN3E_SendCommand(0x04);     //PWR on  
-    EPD_7IN3E_ReadBusyH();          //waiting for the electronic paper IC to release the idle signal
-
+    if (EPD_7IN3E_ReadBusyH(EPD_7IN3E_BusyTimeout))          //waiting for the electronic paper IC to release the idle signal
+        return EPD_7IN3E_TIMEOUT_INIT;
+    return EPD_7IN3E_OK;
 }
 
 /******************************************************************************
 function :  Clear screen
 parameter:
 ******************************************************************************/
-void EPD_7IN3E_Clear(UBYTE color)
+UBYTE EPD_7IN3E_Clear(UBYTE color)
 {
     UWORD Width, Height;
     Width = (EPD_7IN3E_WIDTH % 2 == 0)? (EPD_7IN3E_WIDTH / 2 ): (EPD_7IN3E_WIDTH / 2 + 1);
@@ -203,14 +275,14 @@ void EPD_7IN3E_Clear(UBYTE color)
         }
     }
 
-    EPD_7IN3E_TurnOnDisplay();
+    return EPD_7IN3E_TurnOnDisplay();
 }
 
 /******************************************************************************
 function :  show 7 kind of color block
 parameter:
 ******************************************************************************/
-void EPD_7IN3E_Show7Block(void)
+UBYTE EPD_7IN3E_Show7Block(void)
 {
     unsigned long i, j, k;
     unsigned char const Color_seven[6] = 
@@ -222,10 +294,10 @@ void EPD_7IN3E_Show7Block(void)
             EPD_7IN3E_SendData((Color_seven[k]<<4) |Color_seven[k]);
         }
     }
-    EPD_7IN3E_TurnOnDisplay();
+    return EPD_7IN3E_TurnOnDisplay();
 }
 
-void EPD_7IN3E_Show(void)
+UBYTE EPD_7IN3E_Show(void)
 {
     unsigned long k,o;
     unsigned char const Color_seven[6] = 
@@ -263,14 +335,14 @@ void EPD_7IN3E_Show(void)
         if(o >= Height)
             o = 0;
     }
-    EPD_7IN3E_TurnOnDisplay();
+    return EPD_7IN3E_TurnOnDisplay();
 }
 
 /******************************************************************************
 function :  Sends the image buffer in RAM to e-Paper and displays
 parameter:
 ******************************************************************************/
-void EPD_7IN3E_Display(UBYTE *Image)
+UBYTE EPD_7IN3E_Display(UBYTE *Image)
 {
     UWORD Width, Height;
     Width = (EPD_7IN3E_WIDTH % 2 == 0)? (EPD_7IN3E_WIDTH / 2 ): (EPD_7IN3E_WIDTH / 2 + 1);
@@ -282,20 +354,22 @@ void EPD_7IN3E_Display(UBYTE *Image)
             EPD_7IN3E_SendData(Image[i + j * Width]);
         }
     }
-    EPD_7IN3E_TurnOnDisplay();
+    return EPD_7IN3E_TurnOnDisplay();
 }
 
 /******************************************************************************
 function :  Enter sleep mode
 parameter:
 ******************************************************************************/
-void EPD_7IN3E_Sleep(void)
+UBYTE EPD_7IN3E_Sleep(void)
 {
     EPD_7IN3E_SendCommand(0X02); // DEEP_SLEEP
     EPD_7IN3E_SendData(0x00);
-    EPD_7IN3E_ReadBusyH();
+    if (EPD_7IN3E_ReadBusyH(EPD_7IN3E_BusyTimeout))
+        return EPD_7IN3E_TIMEOUT_SLEEP;
 
     EPD_7IN3E_SendCommand(0x07); // DEEP_SLEEP
     EPD_7IN3E_SendData(0XA5);
+    return EPD_7IN3E_OK;
 }
 
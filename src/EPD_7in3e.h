@@ -48,12 +48,31 @@ Color Index
 #define EPD_7IN3E_BLUE    0x5   /// 101
 #define EPD_7IN3E_GREEN   0x6   /// 110
 
-void EPD_7IN3E_Init(void);
+/**********************************
+Status codes, the step whose busy wait timed out
+**********************************/
+#define EPD_7IN3E_OK                0
+#define EPD_7IN3E_TIMEOUT_RESET     1   /// busy after the hardware reset
+#define EPD_7IN3E_TIMEOUT_INIT      2   /// busy after the power on closing Init
+#define EPD_7IN3E_TIMEOUT_POWER_ON  3
+#define EPD_7IN3E_TIMEOUT_REFRESH   4
+#define EPD_7IN3E_TIMEOUT_POWER_OFF 5
+#define EPD_7IN3E_TIMEOUT_SLEEP     6
+
+// Default busy wait limits in ms
+#define EPD_7IN3E_BUSY_TIMEOUT_MS     10000
+#define EPD_7IN3E_REFRESH_TIMEOUT_MS  60000
+
+void EPD_7IN3E_SetBusyTimeout(UDOUBLE busy_ms, UDOUBLE refresh_ms);
+UDOUBLE EPD_7IN3E_GetBusyTimeout(UBYTE status);
+const char *EPD_7IN3E_StageName(UBYTE status);
+
+UBYTE EPD_7IN3E_Init(void);
 void EPD_7IN3E_Init_Fast(void);
-void EPD_7IN3E_Clear(UBYTE color);
-void EPD_7IN3E_Show7Block(void);
-void EPD_7IN3E_Show(void);
-void EPD_7IN3E_Display(UBYTE *Image);
-void EPD_7IN3E_Sleep(void);
+UBYTE EPD_7IN3E_Clear(UBYTE color);
+UBYTE EPD_7IN3E_Show7Block(void);
+UBYTE EPD_7IN3E_Show(void);
+UBYTE EPD_7IN3E_Display(UBYTE *Image);
+UBYTE EPD_7IN3E_Sleep(void);
 
 #endif
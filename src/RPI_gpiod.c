@@ -38,50 +38,37 @@
 #include <unistd.h>
 #include <gpiod.h>
 
-struct gpiod_chip *gpiochip;
-struct gpiod_line *gpioline;
-int ret;
-
-int GPIOD_Export()
-{   
-    char buffer[NUM_MAXBUF];
-    FILE *fp;
-
-    fp = popen("cat /proc/cpuinfo | grep 'Raspberry Pi 5'", "r");
-    if (fp == NULL) {
-        GPIOD_Debug("It is not possible to determine the model of the Raspberry PI\n");
-        return -1;
-    }
+// Chip used by the calling thread, so several devices can drive their pins at once
+static GPIOD_Port GPIOD_Default;
+static __thread GPIOD_Port *GPIOD_Active = &GPIOD_Default;
+#define gpiochip (GPIOD_Active->chip)
 
-    if(fgets(buffer, sizeof(buffer), fp) != NULL)
-    {
-        gpiochip = gpiod_chip_open("/dev/gpiochip4");
-        if (gpiochip == NULL)
-        {
-            GPIOD_Debug( "gpiochip4 Export Failed\n");
-            return -1;
-        }
-    }
-    else
+void GPIOD_Select(GPIOD_Port *port)
+{
+    GPIOD_Active = port;
+}
+
+int GPIOD_Export(const char *chip)
+{
+    // The chip is detected by DEV_Module_Init when not configured
+    gpiochip = gpiod_chip_open(chip);
+    if (gpiochip == NULL)
     {
-        gpiochip = gpiod_chip_open("/dev/gpiochip0");
-        if (gpiochip == NULL)
-        {
-            GPIOD_Debug( "gpiochip0 Export Failed\n");
-            return -1;
-        }
+        DEV_Log(DEV_LOG_ERROR, "gpiod", "%s Export Failed\n", chip);
+        return -1;
     }
 
-        
     return 0;
 }
 
 int GPIOD_Unexport(int Pin)
 {
+    struct gpiod_line *gpioline;
+
     gpioline = gpiod_chip_get_line(gpiochip, Pin);
     if (gpioline == NULL)
     {
-        GPIOD_Debug( "Export Failed: Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "gpiod", "Export Failed: Pin%d\n", Pin);
         return -1;
     }
 
@@ -94,18 +81,22 @@ int GPIOD_Unexport(int Pin)
 
 int GPIOD_Unexport_GPIO(void)
 {
-    gpiod_line_release(gpioline);
+    // Closing the chip releases the lines still requested
     gpiod_chip_close(gpiochip);
+    gpiochip = NULL;
 
     return 0;
 }
 
 int GPIOD_Direction(int Pin, int Dir)
 {
+    struct gpiod_line *gpioline;
+    int ret;
+
     gpioline = gpiod_chip_get_line(gpiochip, Pin);
     if (gpioline == NULL)
     {
-        GPIOD_Debug( "Export Failed: Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "gpiod", "Export Failed: Pin%d\n", Pin);
         return -1;
     }
 
@@ -114,7 +105,7 @@ int GPIOD_Direction(int Pin, int Dir)
         ret = gpiod_line_request_input(gpioline, "gpio");
         if (ret != 0)
         {
-            GPIOD_Debug( "Export Failed: Pin%d\n", Pin);
+            DEV_Log(DEV_LOG_ERROR, "gpiod", "Export Failed: Pin%d\n", Pin);
             return -1;
         }        
         GPIOD_Debug("Pin%d:intput\r\n", Pin);
@@ -124,7 +115,7 @@ int GPIOD_Direction(int Pin, int Dir)
         ret = gpiod_line_request_output(gpioline, "gpio", 0);
         if (ret != 0)
         {
-            GPIOD_Debug( "Export Failed: Pin%d\n", Pin);
+            DEV_Log(DEV_LOG_ERROR, "gpiod", "Export Failed: Pin%d\n", Pin);
             return -1;
         }        
         GPIOD_Debug("Pin%d:Output\r\n", Pin);
@@ -134,17 +125,20 @@ int GPIOD_Direction(int Pin, int Dir)
 
 int GPIOD_Read(int Pin)
 {
+    struct gpiod_line *gpioline;
+    int ret;
+
     gpioline = gpiod_chip_get_line(gpiochip, Pin);
     if (gpioline == NULL)
     {
-        GPIOD_Debug( "Export Failed: Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "gpiod", "Export Failed: Pin%d\n", Pin);
         return -1;
     }
 
     ret = gpiod_line_get_value(gpioline);
     if (ret < 0)
     {
-        GPIOD_Debug( "failed to read value!\n");
+        DEV_Log(DEV_LOG_ERROR, "gpiod", "failed to read value!\n");
         return -1;
     }
 
@@ -153,17 +147,20 @@ int GPIOD_Read(int Pin)
 
 int GPIOD_Write(int Pin, int value)
 {
+    struct gpiod_line *gpioline;
+    int ret;
+
     gpioline = gpiod_chip_get_line(gpiochip, Pin);
     if (gpioline == NULL)
     {
-        GPIOD_Debug( "Export Failed: Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "gpiod", "Export Failed: Pin%d\n", Pin);
         return -1;
     }     
 
     ret = gpiod_line_set_value(gpioline, value);
     if (ret != 0)
     {
-        GPIOD_Debug( "failed to write value! : Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "gpiod", "failed to write value! : Pin%d\n", Pin);
         return -1;
     }
     return 0;
@@ -33,6 +33,7 @@
 
 #include <stdio.h>
 #include <gpiod.h>
+#include "Debug.h"
 
 #define GPIOD_IN  0
 #define GPIOD_OUT 1
@@ -45,40 +46,17 @@
 
 #define GPIOD_DEBUG 0
 #if GPIOD_DEBUG 
-	#define GPIOD_Debug(__info,...) printf("Debug: " __info,##__VA_ARGS__)
+	#define GPIOD_Debug(__info,...) DEV_Log(DEV_LOG_DEBUG, "gpiod", __info, ##__VA_ARGS__)
 #else
 	#define GPIOD_Debug(__info,...)  
 #endif 
 
-// BCM GPIO for Jetson nano
-#define GPIO4 4 // 7, 4
-#define GPIO17 7 // 11, 17
-#define GPIO18 18 // 12, 18
-#define GPIO27 27 // 13, 27
-#define GPIO22 22 // 15, 22
-#define GPIO23 23 // 16, 23
-#define GPIO24 24 // 18, 24
-#define SPI0_MOSI 10 // 19, 10
-#define SPI0_MISO 9 // 21, 9
-#define GPIO25 28 // 22, 25
-#define SPI0_SCK 11 // 23, 11
-#define SPI0_CS0 8 // 24, 8
-#define SPI0_CS1 7 // 26, 7
-#define GPIO5 5 // 29, 5
-#define GPIO6 6 // 31, 6
-#define GPIO12 12 // 32, 12
-#define GPIO13 13 // 33, 13
-#define GPIO19 19 // 35, 19
-#define GPIO16 16 // 36, 16
-#define GPIO26 26 // 37, 26
-#define GPIO20 20 // 38, 20
-#define GPIO21 21 // 40, 21
+typedef struct {
+    struct gpiod_chip *chip;
+} GPIOD_Port;
 
-extern struct gpiod_chip *gpiochip;
-extern struct gpiod_line *gpioline;
-extern int ret;
-
-int GPIOD_Export();
+void GPIOD_Select(GPIOD_Port *port);
+int GPIOD_Export(const char *chip);
 int GPIOD_Unexport(int Pin);
 int GPIOD_Unexport_GPIO(void);
 int GPIOD_Direction(int Pin, int Dir);
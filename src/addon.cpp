@@ -1,21 +1,242 @@
 #include <napi.h>
+#include <algorithm>
 #include <cstring>
+#include <functional>
+#include <mutex>
+#include <string>
+#include <vector>
 extern "C" {
     #include "EPD_7in3e.h"
     #include "DEV_Config.h"
 }
 
+// Outcome of a driver call. The message is empty on success; failures carry
+// the code, the step that failed and, for busy waits, the limit that ran out.
+struct EPDStatus {
+    std::string message;
+    std::string code;
+    std::string stage;
+    uint32_t timeout = 0;
+};
+
+// Read the optional pin mapping and interfaces argument of init() and open().
+// Missing fields keep the Waveshare HAT defaults. Returns false after throwing.
+static bool ReadConfig(const Napi::CallbackInfo& info, DEV_Config_t* config) {
+    Napi::Env env = info.Env();
+    DEV_Config_Default(config);
+
+    if (info.Length() < 1 || info[0].IsUndefined()) {
+        return true;
+    }
+    if (!info[0].IsObject()) {
+        Napi::TypeError::New(env, "Expected object").ThrowAsJavaScriptException();
+        return false;
+    }
+
+    Napi::Object options = info[0].As<Napi::Object>();
+    if (options.Has("pins")) {
+        if (!options.Get("pins").IsObject()) {
+            Napi::TypeError::New(env, "Expected pins object").ThrowAsJavaScriptException();
+            return false;
+        }
+        Napi::Object pins = options.Get("pins").As<Napi::Object>();
+        const char* names[] = { "rst", "dc", "cs", "busy", "pwr", "mosi", "sclk" };
+        int* targets[] = {
+            &config->RST_Pin, &config->DC_Pin, &config->CS_Pin, &config->BUSY_Pin, &config->PWR_Pin,
+            &config->MOSI_Pin, &config->SCLK_Pin
+        };
+        for (int i = 0; i < 7; i++) {
+            if (!pins.Has(names[i])) {
+                continue;
+            }
+            if (!pins.Get(names[i]).IsNumber()) {
+                Napi::TypeError::New(env, std::string("Expected number for pin ") + names[i]).ThrowAsJavaScriptException();
+                return false;
+            }
+            *targets[i] = pins.Get(names[i]).As<Napi::Number>().Int32Value();
+        }
+    }
+
+    const char* paths[] = { "spiDevice", "gpioChip" };
+    char* buffers[] = { config->SPI_Device, config->GPIO_Chip };
+    for (int i = 0; i < 2; i++) {
+        if (!options.Has(paths[i])) {
+            continue;
+        }
+        if (!options.Get(paths[i]).IsString()) {
+            Napi::TypeError::New(env, std::string("Expected string for ") + paths[i]).ThrowAsJavaScriptException();
+            return false;
+        }
+        std::string value = options.Get(paths[i]).As<Napi::String>().Utf8Value();
+        if (value.size() >= DEV_PATH_MAX) {
+            Napi::Error::New(env, std::string(paths[i]) + " is too long").ThrowAsJavaScriptException();
+            return false;
+        }
+        strcpy(buffers[i], value.c_str());
+    }
+
+    if (options.Has("spiSpeedHz")) {
+        if (!options.Get("spiSpeedHz").IsNumber()) {
+            Napi::TypeError::New(env, "Expected number for spiSpeedHz").ThrowAsJavaScriptException();
+            return false;
+        }
+        config->SPI_Speed = options.Get("spiSpeedHz").As<Napi::Number>().Uint32Value();
+    }
+
+    // Driver names, in the order of DEV_GPIO_Driver and DEV_SPI_Driver; empty picks the board default
+    const char* drivers[] = { "gpioDriver", "spiDriver" };
+    std::vector<std::string> choices[] = { { "", "gpiod", "lgpio", "sysfs" }, { "", "spidev", "software-spi" } };
+    int values[] = { DEV_GPIO_AUTO, DEV_SPI_AUTO };
+    for (int i = 0; i < 2; i++) {
+        if (!options.Has(drivers[i])) {
+            continue;
+        }
+        if (!options.Get(drivers[i]).IsString()) {
+            Napi::TypeError::New(env, std::string("Expected string for ") + drivers[i]).ThrowAsJavaScriptException();
+            return false;
+        }
+        std::string name = options.Get(drivers[i]).As<Napi::String>().Utf8Value();
+        auto found = std::find(choices[i].begin(), choices[i].end(), name);
+        if (found == choices[i].end()) {
+            Napi::Error::New(env, std::string("Unknown ") + drivers[i] + " " + name).ThrowAsJavaScriptException();
+            return false;
+        }
+        values[i] = found - choices[i].begin();
+    }
+#ifndef HAVE_LGPIO
+    if (values[0] == DEV_GPIO_LGPIO) {
+        Napi::Error::New(env, "The addon was built without lgpio").ThrowAsJavaScriptException();
+        return false;
+    }
+#endif
+    config->GPIO_Driver = static_cast<DEV_GPIO_Driver>(values[0]);
+    config->SPI_Driver = static_cast<DEV_SPI_Driver>(values[1]);
+
+    if (options.Has("banner")) {
+        if (!options.Get("banner").IsBoolean()) {
+            Napi::TypeError::New(env, "Expected boolean for banner").ThrowAsJavaScriptException();
+            return false;
+        }
+        config->Banner = options.Get("banner").As<Napi::Boolean>().Value();
+    }
+    return true;
+}
+
+// Driver messages waiting to be passed to the JS logger, or the flush marker of a device
+struct LogEntry {
+    DEV_Log_Level level;
+    std::string source;
+    std::string message;
+    uint32_t device;
+    bool flushed;
+};
+
+// JS logger set by setLogger(). Messages come from the main thread and from
+// the worker threads, so they are handed over through a thread-safe function.
+static std::mutex LogMutex;
+static Napi::ThreadSafeFunction LogFunction;
+static bool LogActive = false;
+
+// Call the JS logger with { level, source, message, device }, or { flushed: true, device }
+// for a flush marker, on the main thread
+static void CallLogger(Napi::Env env, Napi::Function logger, LogEntry* entry) {
+    const char* levels[] = { "debug", "info", "warn", "error" };
+    if (env != nullptr && logger != nullptr) {
+        Napi::Object record = Napi::Object::New(env);
+        if (entry->flushed) {
+            record.Set("flushed", Napi::Boolean::New(env, true));
+        } else {
+            record.Set("level", Napi::String::New(env, levels[entry->level]));
+            record.Set("source", Napi::String::New(env, entry->source));
+            record.Set("message", Napi::String::New(env, entry->message));
+        }
+        record.Set("device", Napi::Number::New(env, entry->device));
+        logger.Call({ record });
+    }
+    delete entry;
+}
+
+// DEV_Log handler: queue the message for the JS logger, tagged with the selected device
+static void ForwardLog(DEV_Log_Level level, const char* source, const char* message) {
+    LogEntry* entry = new LogEntry{ level, source, message, DEV_Selected()->Id, false };
+    std::lock_guard<std::mutex> lock(LogMutex);
+    if (!LogActive || LogFunction.NonBlockingCall(entry, CallLogger) != napi_ok) {
+        delete entry;
+    }
+}
+
+// Status of the GPIO/SPI setup
+static EPDStatus OpenStatus(const DEV_Config_t& config) {
+    EPDStatus status;
+    DEV_Set_Config(&config);
+    if (DEV_Module_Init() != 0) {
+        status.message = "Failed to initialize e-Paper module (EPD7in3e.probe() reports what is missing)";
+        status.code = "EPD_INIT_FAILED";
+        status.stage = "open";
+    }
+    return status;
+}
+
+// Status of a panel driver call; timeouts while waking the panel are init failures
+static EPDStatus DriverStatus(UBYTE result, bool waking = false) {
+    EPDStatus status;
+    if (result == EPD_7IN3E_OK) {
+        return status;
+    }
+    status.stage = EPD_7IN3E_StageName(result);
+    status.timeout = EPD_7IN3E_GetBusyTimeout(result);
+    status.code = waking ? "EPD_INIT_FAILED" : "EPD_BUSY_TIMEOUT";
+    status.message = "e-Paper still busy after " + std::to_string(status.timeout) + " ms (" + status.stage + ")";
+    return status;
+}
+
+// Build the JS error for a failed status
+static Napi::Error StatusError(Napi::Env env, const EPDStatus& status) {
+    Napi::Error error = Napi::Error::New(env, status.message);
+    error.Set("code", Napi::String::New(env, status.code));
+    error.Set("stage", Napi::String::New(env, status.stage));
+    if (status.timeout > 0) {
+        error.Set("timeout", Napi::Number::New(env, status.timeout));
+    }
+    return error;
+}
+
+// Throw the JS error for a failed status
+static Napi::Value Settle(Napi::Env env, const EPDStatus& status) {
+    if (!status.message.empty()) {
+        StatusError(env, status).ThrowAsJavaScriptException();
+    }
+    return env.Null();
+}
+
 // Initialize the e-Paper module
 Napi::Value Init(const Napi::CallbackInfo& info) {
     Napi::Env env = info.Env();
     
-    if (DEV_Module_Init() != 0) {
-        Napi::Error::New(env, "Failed to initialize e-Paper module").ThrowAsJavaScriptException();
+    DEV_Config_t config;
+    if (!ReadConfig(info, &config)) {
         return env.Null();
     }
+    EPDStatus status = OpenStatus(config);
+    if (!status.message.empty()) {
+        return Settle(env, status);
+    }
     
-    EPD_7IN3E_Init();
-    return env.Null();
+    return Settle(env, DriverStatus(EPD_7IN3E_Init(), true));
+}
+
+// Open the GPIO and SPI interfaces without configuring the panel
+Napi::Value Open(const Napi::CallbackInfo& info) {
+    DEV_Config_t config;
+    if (!ReadConfig(info, &config)) {
+        return info.Env().Null();
+    }
+    return Settle(info.Env(), OpenStatus(config));
+}
+
+// Reset and configure the panel, also waking it from deep sleep
+Napi::Value Wake(const Napi::CallbackInfo& info) {
+    return Settle(info.Env(), DriverStatus(EPD_7IN3E_Init(), true));
 }
 
 // Clear the display with a specified color
@@ -33,23 +254,17 @@ Napi::Value Clear(const Napi::CallbackInfo& info) {
     }
     
     uint8_t color = info[0].As<Napi::Number>().Uint32Value();
-    EPD_7IN3E_Clear(color);
-    
-    return env.Null();
+    return Settle(env, DriverStatus(EPD_7IN3E_Clear(color)));
 }
 
 // Display the 7-color block test pattern
 Napi::Value Show7Block(const Napi::CallbackInfo& info) {
-    Napi::Env env = info.Env();
-    EPD_7IN3E_Show7Block();
-    return env.Null();
+    return Settle(info.Env(), DriverStatus(EPD_7IN3E_Show7Block()));
 }
 
 // Display the color test pattern
 Napi::Value Show(const Napi::CallbackInfo& info) {
-    Napi::Env env = info.Env();
-    EPD_7IN3E_Show();
-    return env.Null();
+    return Settle(info.Env(), DriverStatus(EPD_7IN3E_Show()));
 }
 
 // Display an image buffer
@@ -78,15 +293,12 @@ Napi::Value Display(const Napi::CallbackInfo& info) {
         return env.Null();
     }
     
-    EPD_7IN3E_Display(buffer.Data());
-    return env.Null();
+    return Settle(env, DriverStatus(EPD_7IN3E_Display(buffer.Data())));
 }
 
 // Put the display to sleep
 Napi::Value Sleep(const Napi::CallbackInfo& info) {
-    Napi::Env env = info.Env();
-    EPD_7IN3E_Sleep();
-    return env.Null();
+    return Settle(info.Env(), DriverStatus(EPD_7IN3E_Sleep()));
 }
 
 // Exit the module (cleanup)
@@ -96,6 +308,233 @@ Napi::Value Exit(const Napi::CallbackInfo& info) {
     return env.Null();
 }
 
+// Set the busy wait limits in ms (0 waits forever)
+Napi::Value SetBusyTimeout(const Napi::CallbackInfo& info) {
+    Napi::Env env = info.Env();
+
+    if (info.Length() < 2) {
+        Napi::TypeError::New(env, "Wrong number of arguments").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+
+    if (!info[0].IsNumber() || !info[1].IsNumber()) {
+        Napi::TypeError::New(env, "Expected number").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+
+    EPD_7IN3E_SetBusyTimeout(info[0].As<Napi::Number>().Uint32Value(), info[1].As<Napi::Number>().Uint32Value());
+    return env.Null();
+}
+
+// Send the driver messages to a JS function instead of stdout, or back to stdout with null.
+// The second argument is the lowest level passed on: 0 debug, 1 info, 2 warn, 3 error.
+Napi::Value SetLogger(const Napi::CallbackInfo& info) {
+    Napi::Env env = info.Env();
+
+    if (info.Length() < 1 || !(info[0].IsFunction() || info[0].IsNull())) {
+        Napi::TypeError::New(env, "Expected function or null").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+    uint32_t level = info.Length() > 1 && info[1].IsNumber() ? info[1].As<Napi::Number>().Uint32Value() : static_cast<uint32_t>(DEV_LOG_INFO);
+    if (level > DEV_LOG_ERROR) {
+        Napi::RangeError::New(env, "Log level out of range").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+
+    std::lock_guard<std::mutex> lock(LogMutex);
+    if (LogActive) {
+        LogFunction.Release();
+        LogActive = false;
+    }
+    if (info[0].IsNull()) {
+        DEV_Set_Log_Handler(NULL, DEV_LOG_INFO);
+        return env.Null();
+    }
+    LogFunction = Napi::ThreadSafeFunction::New(env, info[0].As<Napi::Function>(), "EPDLogger", 0, 1);
+    // Pending messages must not keep the process alive
+    LogFunction.Unref(env);
+    LogActive = true;
+    DEV_Set_Log_Handler(ForwardLog, static_cast<DEV_Log_Level>(level));
+    return env.Null();
+}
+
+// Queue a flush marker for a device behind the messages already sent to the JS logger.
+// Returns false when no logger is set, as nothing is left to flush then.
+Napi::Value FlushLogger(const Napi::CallbackInfo& info) {
+    Napi::Env env = info.Env();
+
+    if (info.Length() < 1 || !info[0].IsNumber()) {
+        Napi::TypeError::New(env, "Expected number for device").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+    LogEntry* entry = new LogEntry{ DEV_LOG_INFO, "", "", info[0].As<Napi::Number>().Uint32Value(), true };
+    std::lock_guard<std::mutex> lock(LogMutex);
+    if (!LogActive || LogFunction.NonBlockingCall(entry, CallLogger) != napi_ok) {
+        delete entry;
+        return Napi::Boolean::New(env, false);
+    }
+    return Napi::Boolean::New(env, true);
+}
+
+// Runs a blocking driver call on the libuv thread pool and settles a Promise.
+// The task returns the status of the call. The owner, the Panel the call was
+// made on, is kept alive until the call settles.
+class EPDWorker : public Napi::AsyncWorker {
+public:
+    typedef std::function<EPDStatus()> Task;
+
+    EPDWorker(Napi::Env env, const char* name, Task task, Napi::Value owner)
+        : Napi::AsyncWorker(env, name),
+          task_(task),
+          deferred_(Napi::Promise::Deferred::New(env)) {
+        if (owner.IsObject()) {
+            owner_ = Napi::Persistent(owner.As<Napi::Object>());
+        }
+    }
+
+    Napi::Promise GetPromise() { return deferred_.Promise(); }
+
+protected:
+    void Execute() override {
+        status_ = task_();
+        if (!status_.message.empty()) {
+            SetError(status_.message);
+        }
+    }
+
+    void OnOK() override {
+        deferred_.Resolve(Env().Undefined());
+    }
+
+    void OnError(const Napi::Error&) override {
+        deferred_.Reject(StatusError(Env(), status_).Value());
+    }
+
+private:
+    Task task_;
+    EPDStatus status_;
+    Napi::Promise::Deferred deferred_;
+    Napi::ObjectReference owner_;
+};
+
+// Queue a task on the device selected by the caller and return its Promise
+static Napi::Value QueueWorker(const Napi::CallbackInfo& info, const char* name, EPDWorker::Task task) {
+    DEV_Device* device = DEV_Selected();
+    EPDWorker* worker = new EPDWorker(info.Env(), name, [device, task]() -> EPDStatus {
+        DEV_Select(device);
+        return task();
+    }, info.This());
+    Napi::Promise promise = worker->GetPromise();
+    worker->Queue();
+    return promise;
+}
+
+// Initialize the e-Paper module without blocking the event loop
+Napi::Value InitAsync(const Napi::CallbackInfo& info) {
+    DEV_Config_t config;
+    if (!ReadConfig(info, &config)) {
+        return info.Env().Null();
+    }
+    return QueueWorker(info, "EPDInit", [config]() -> EPDStatus {
+        EPDStatus status = OpenStatus(config);
+        if (!status.message.empty()) {
+            return status;
+        }
+        return DriverStatus(EPD_7IN3E_Init(), true);
+    });
+}
+
+// Open the GPIO and SPI interfaces without blocking the event loop
+Napi::Value OpenAsync(const Napi::CallbackInfo& info) {
+    DEV_Config_t config;
+    if (!ReadConfig(info, &config)) {
+        return info.Env().Null();
+    }
+    return QueueWorker(info, "EPDOpen", [config]() -> EPDStatus {
+        return OpenStatus(config);
+    });
+}
+
+// Reset and configure the panel without blocking the event loop
+Napi::Value WakeAsync(const Napi::CallbackInfo& info) {
+    return QueueWorker(info, "EPDWake", []() -> EPDStatus {
+        return DriverStatus(EPD_7IN3E_Init(), true);
+    });
+}
+
+// Clear the display without blocking the event loop
+Napi::Value ClearAsync(const Napi::CallbackInfo& info) {
+    Napi::Env env = info.Env();
+
+    if (info.Length() < 1) {
+        Napi::TypeError::New(env, "Wrong number of arguments").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+
+    if (!info[0].IsNumber()) {
+        Napi::TypeError::New(env, "Expected number").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+
+    uint8_t color = info[0].As<Napi::Number>().Uint32Value();
+    return QueueWorker(info, "EPDClear", [color]() -> EPDStatus {
+        return DriverStatus(EPD_7IN3E_Clear(color));
+    });
+}
+
+// Display the 7-color block test pattern without blocking the event loop
+Napi::Value Show7BlockAsync(const Napi::CallbackInfo& info) {
+    return QueueWorker(info, "EPDShow7Block", []() -> EPDStatus {
+        return DriverStatus(EPD_7IN3E_Show7Block());
+    });
+}
+
+// Display the color test pattern without blocking the event loop
+Napi::Value ShowAsync(const Napi::CallbackInfo& info) {
+    return QueueWorker(info, "EPDShow", []() -> EPDStatus {
+        return DriverStatus(EPD_7IN3E_Show());
+    });
+}
+
+// Display an image buffer without blocking the event loop
+Napi::Value DisplayAsync(const Napi::CallbackInfo& info) {
+    Napi::Env env = info.Env();
+
+    if (info.Length() < 1) {
+        Napi::TypeError::New(env, "Wrong number of arguments").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+
+    if (!info[0].IsBuffer()) {
+        Napi::TypeError::New(env, "Expected buffer").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+
+    Napi::Buffer<uint8_t> buffer = info[0].As<Napi::Buffer<uint8_t>>();
+
+    uint32_t width = (EPD_7IN3E_WIDTH % 2 == 0) ? (EPD_7IN3E_WIDTH / 2) : (EPD_7IN3E_WIDTH / 2 + 1);
+    uint32_t height = EPD_7IN3E_HEIGHT;
+    uint32_t expected_size = width * height;
+
+    if (buffer.Length() != expected_size) {
+        Napi::Error::New(env, "Buffer size mismatch. Expected " + std::to_string(expected_size) + " bytes").ThrowAsJavaScriptException();
+        return env.Null();
+    }
+
+    // Copy the frame so the caller may reuse its buffer while the transfer runs
+    std::vector<uint8_t> image(buffer.Data(), buffer.Data() + buffer.Length());
+    return QueueWorker(info, "EPDDisplay", [image]() mutable -> EPDStatus {
+        return DriverStatus(EPD_7IN3E_Display(image.data()));
+    });
+}
+
+// Put the display to sleep without blocking the event loop
+Napi::Value SleepAsync(const Napi::CallbackInfo& info) {
+    return QueueWorker(info, "EPDSleep", []() -> EPDStatus {
+        return DriverStatus(EPD_7IN3E_Sleep());
+    });
+}
+
 // Get display width
 Napi::Value GetWidth(const Napi::CallbackInfo& info) {
     Napi::Env env = info.Env();
@@ -116,6 +555,71 @@ Napi::Value GetBufferSize(const Napi::CallbackInfo& info) {
     return Napi::Number::New(env, width * height);
 }
 
+// Run a driver call on the default device, shared by the module-level functions
+template <Napi::Value (*Method)(const Napi::CallbackInfo&)>
+static Napi::Value OnDefault(const Napi::CallbackInfo& info) {
+    DEV_Select(NULL);
+    return Method(info);
+}
+
+// One panel with its own pins, interfaces and busy wait limits.
+// Calls on different panels may overlap; calls on one panel must not.
+class Panel : public Napi::ObjectWrap<Panel> {
+public:
+    static Napi::Function Define(Napi::Env env) {
+        return DefineClass(env, "Panel", {
+            InstanceAccessor<&Panel::GetId>("id"),
+            InstanceMethod("init", &Panel::On<Init>),
+            InstanceMethod("open", &Panel::On<Open>),
+            InstanceMethod("wake", &Panel::On<Wake>),
+            InstanceMethod("clear", &Panel::On<Clear>),
+            InstanceMethod("show7Block", &Panel::On<Show7Block>),
+            InstanceMethod("show", &Panel::On<Show>),
+            InstanceMethod("display", &Panel::On<Display>),
+            InstanceMethod("sleep", &Panel::On<Sleep>),
+            InstanceMethod("exit", &Panel::On<Exit>),
+            InstanceMethod("initAsync", &Panel::On<InitAsync>),
+            InstanceMethod("openAsync", &Panel::On<OpenAsync>),
+            InstanceMethod("wakeAsync", &Panel::On<WakeAsync>),
+            InstanceMethod("clearAsync", &Panel::On<ClearAsync>),
+            InstanceMethod("show7BlockAsync", &Panel::On<Show7BlockAsync>),
+            InstanceMethod("showAsync", &Panel::On<ShowAsync>),
+            InstanceMethod("displayAsync", &Panel::On<DisplayAsync>),
+            InstanceMethod("sleepAsync", &Panel::On<SleepAsync>),
+            InstanceMethod("setBusyTimeout", &Panel::On<SetBusyTimeout>)
+        });
+    }
+
+    Panel(const Napi::CallbackInfo& info) : Napi::ObjectWrap<Panel>(info) {
+        device_ = DEV_Device_New();
+        if (device_ == NULL) {
+            Napi::Error::New(info.Env(), "Failed to allocate e-Paper device").ThrowAsJavaScriptException();
+        }
+    }
+
+    // Closes the interfaces if the panel was never exited
+    ~Panel() {
+        if (device_ != NULL) {
+            DEV_Device_Free(device_);
+        }
+    }
+
+private:
+    // Number of the device, as given to the logger
+    Napi::Value GetId(const Napi::CallbackInfo& info) {
+        return Napi::Number::New(info.Env(), device_ != NULL ? device_->Id : 0);
+    }
+
+    // Run a driver call on this panel's device
+    template <Napi::Value (*Method)(const Napi::CallbackInfo&)>
+    Napi::Value On(const Napi::CallbackInfo& info) {
+        DEV_Select(device_);
+        return Method(info);
+    }
+
+    DEV_Device* device_;
+};
+
 // Create a color constants object
 Napi::Object CreateColorConstants(Napi::Env env) {
     Napi::Object colors = Napi::Object::New(env);
@@ -128,19 +632,45 @@ Napi::Object CreateColorConstants(Napi::Env env) {
     return colors;
 }
 
+// List the GPIO drivers built into the addon
+Napi::Array CreateDriverList(Napi::Env env) {
+    Napi::Array drivers = Napi::Array::New(env);
+    drivers.Set(drivers.Length(), Napi::String::New(env, "gpiod"));
+#ifdef HAVE_LGPIO
+    drivers.Set(drivers.Length(), Napi::String::New(env, "lgpio"));
+#endif
+    drivers.Set(drivers.Length(), Napi::String::New(env, "sysfs"));
+    return drivers;
+}
+
 // Initialize the addon
 Napi::Object InitAll(Napi::Env env, Napi::Object exports) {
-    exports.Set("init", Napi::Function::New(env, Init));
-    exports.Set("clear", Napi::Function::New(env, Clear));
-    exports.Set("show7Block", Napi::Function::New(env, Show7Block));
-    exports.Set("show", Napi::Function::New(env, Show));
-    exports.Set("display", Napi::Function::New(env, Display));
-    exports.Set("sleep", Napi::Function::New(env, Sleep));
-    exports.Set("exit", Napi::Function::New(env, Exit));
+    exports.Set("init", Napi::Function::New(env, OnDefault<Init>));
+    exports.Set("open", Napi::Function::New(env, OnDefault<Open>));
+    exports.Set("wake", Napi::Function::New(env, OnDefault<Wake>));
+    exports.Set("clear", Napi::Function::New(env, OnDefault<Clear>));
+    exports.Set("show7Block", Napi::Function::New(env, OnDefault<Show7Block>));
+    exports.Set("show", Napi::Function::New(env, OnDefault<Show>));
+    exports.Set("display", Napi::Function::New(env, OnDefault<Display>));
+    exports.Set("sleep", Napi::Function::New(env, OnDefault<Sleep>));
+    exports.Set("exit", Napi::Function::New(env, OnDefault<Exit>));
+    exports.Set("initAsync", Napi::Function::New(env, OnDefault<InitAsync>));
+    exports.Set("openAsync", Napi::Function::New(env, OnDefault<OpenAsync>));
+    exports.Set("wakeAsync", Napi::Function::New(env, OnDefault<WakeAsync>));
+    exports.Set("clearAsync", Napi::Function::New(env, OnDefault<ClearAsync>));
+    exports.Set("show7BlockAsync", Napi::Function::New(env, OnDefault<Show7BlockAsync>));
+    exports.Set("showAsync", Napi::Function::New(env, OnDefault<ShowAsync>));
+    exports.Set("displayAsync", Napi::Function::New(env, OnDefault<DisplayAsync>));
+    exports.Set("sleepAsync", Napi::Function::New(env, OnDefault<SleepAsync>));
+    exports.Set("setBusyTimeout", Napi::Function::New(env, OnDefault<SetBusyTimeout>));
+    exports.Set("setLogger", Napi::Function::New(env, SetLogger));
+    exports.Set("flushLogger", Napi::Function::New(env, FlushLogger));
     exports.Set("getWidth", Napi::Function::New(env, GetWidth));
     exports.Set("getHeight", Napi::Function::New(env, GetHeight));
     exports.Set("getBufferSize", Napi::Function::New(env, GetBufferSize));
     exports.Set("Colors", CreateColorConstants(env));
+    exports.Set("gpioDrivers", CreateDriverList(env));
+    exports.Set("Panel", Panel::Define(env));
     
     return exports;
 }
@@ -43,8 +43,13 @@
 #include <sys/ioctl.h> 
 #include <linux/types.h> 
 #include <linux/spi/spidev.h> 
+#include <string.h>
+#include <errno.h>
 
-HARDWARE_SPI hardware_SPI;
+// Port used by the calling thread, so several devices can transfer at once
+static HARDWARE_SPI DEV_HARDWARE_SPI_Default;
+static __thread HARDWARE_SPI *DEV_HARDWARE_SPI_Active = &DEV_HARDWARE_SPI_Default;
+#define hardware_SPI (*DEV_HARDWARE_SPI_Active)
 
 static uint8_t bits = 8; 
 
@@ -55,8 +60,29 @@ static uint8_t bits = 8;
 #define SPI_NO_CS       0x40                //A single device occupies one SPI bus, so there is no chip select 
 #define SPI_READY       0x80                //Slave pull low to stop data transmission  
 
-struct spi_ioc_transfer tr;
 
+/******************************************************************************
+function:   Select the SPI port used by the calling thread
+parameter:
+    spi : Port state, owned by the caller
+******************************************************************************/
+void DEV_HARDWARE_SPI_Select(HARDWARE_SPI *spi)
+{
+    DEV_HARDWARE_SPI_Active = spi;
+}
+
+/******************************************************************************
+function:   Fill a transfer with the settings of the selected port
+parameter:
+    tr : Transfer to fill
+******************************************************************************/
+static void DEV_HARDWARE_SPI_Prepare(struct spi_ioc_transfer *tr)
+{
+    memset(tr, 0, sizeof(*tr));
+    tr->bits_per_word = bits;
+    tr->speed_hz = hardware_SPI.speed;
+    tr->delay_usecs = hardware_SPI.delay;
+}
 
 /******************************************************************************
 function:   SPI port initialization
@@ -66,65 +92,61 @@ Info:
     /dev/spidev0.0 
     /dev/spidev0.1
 ******************************************************************************/
-void DEV_HARDWARE_SPI_begin(char *SPI_device)
+int DEV_HARDWARE_SPI_begin(char *SPI_device)
 {
     //device
     int ret = 0; 
     if((hardware_SPI.fd = open(SPI_device, O_RDWR )) < 0)  {
-        perror("Failed to open SPI device.\n");  
-        printf("Failed to open SPI device\r\n");
-        DEV_HARDWARE_SPI_Debug("Failed to open SPI device\r\n");
-        exit(1); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "Failed to open SPI device %s: %s\r\n", SPI_device, strerror(errno));
+        return -1;
     } else {
-        printf("open : %s\r\n", SPI_device);
         DEV_HARDWARE_SPI_Debug("open : %s\r\n", SPI_device);
     }
     hardware_SPI.mode = 0;
     
     ret = ioctl(hardware_SPI.fd, SPI_IOC_WR_BITS_PER_WORD, &bits);
     if (ret == -1) {
-        printf("can't set bits per word\r\n");
-        DEV_HARDWARE_SPI_Debug("can't set bits per word\r\n"); 
+        DEV_Log(DEV_LOG_WARN, "spi", "can't set bits per word\r\n");
     }
  
     ret = ioctl(hardware_SPI.fd, SPI_IOC_RD_BITS_PER_WORD, &bits);
     if (ret == -1) {
-        printf("can't get bits per word\r\n");
-        DEV_HARDWARE_SPI_Debug("can't get bits per word\r\n"); 
+        DEV_Log(DEV_LOG_WARN, "spi", "can't get bits per word\r\n");
     }
-    tr.bits_per_word = bits;
     
     DEV_HARDWARE_SPI_Mode(SPI_MODE_0);
     DEV_HARDWARE_SPI_ChipSelect(SPI_CS_Mode_LOW);
     DEV_HARDWARE_SPI_SetBitOrder(SPI_BIT_ORDER_LSBFIRST);
     DEV_HARDWARE_SPI_setSpeed(20000000);
     DEV_HARDWARE_SPI_SetDataInterval(5);
+    return 0;
 }
 
-void DEV_HARDWARE_SPI_beginSet(char *SPI_device, SPIMode mode, uint32_t speed)
+int DEV_HARDWARE_SPI_beginSet(char *SPI_device, SPIMode mode, uint32_t speed)
 {
     //device
     int ret = 0; 
     hardware_SPI.mode = 0;
     if((hardware_SPI.fd = open(SPI_device, O_RDWR )) < 0)  {
-        perror("Failed to open SPI device.\n");  
-        exit(1); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "Failed to open SPI device %s: %s\r\n", SPI_device, strerror(errno));
+        return -1;
     } else {
         DEV_HARDWARE_SPI_Debug("open : %s\r\n", SPI_device);
     }
     
     ret = ioctl(hardware_SPI.fd, SPI_IOC_WR_BITS_PER_WORD, &bits);
     if (ret == -1) 
-        DEV_HARDWARE_SPI_Debug("can't set bits per word\r\n"); 
+        DEV_Log(DEV_LOG_WARN, "spi", "can't set bits per word\r\n");
  
     ret = ioctl(hardware_SPI.fd, SPI_IOC_RD_BITS_PER_WORD, &bits);
     if (ret == -1) 
-        DEV_HARDWARE_SPI_Debug("can't get bits per word\r\n"); 
+        DEV_Log(DEV_LOG_WARN, "spi", "can't get bits per word\r\n");
 
     DEV_HARDWARE_SPI_Mode(mode);
     DEV_HARDWARE_SPI_ChipSelect(SPI_CS_Mode_LOW);
     DEV_HARDWARE_SPI_setSpeed(speed);
     DEV_HARDWARE_SPI_SetDataInterval(0);
+    return 0;
 }
 
 
@@ -137,8 +159,7 @@ void DEV_HARDWARE_SPI_end(void)
 {
     hardware_SPI.mode = 0;
     if (close(hardware_SPI.fd) != 0){
-        DEV_HARDWARE_SPI_Debug("Failed to close SPI device\r\n");
-        perror("Failed to close SPI device.\n");  
+        DEV_Log(DEV_LOG_ERROR, "spi", "Failed to close SPI device: %s\r\n", strerror(errno));
     }
 }
 
@@ -156,19 +177,18 @@ int DEV_HARDWARE_SPI_setSpeed(uint32_t speed)
 
     //Write speed
     if (ioctl(hardware_SPI.fd, SPI_IOC_WR_MAX_SPEED_HZ, &speed) == -1) {
-        DEV_HARDWARE_SPI_Debug("can't set max speed hz\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't set max speed hz: %s\r\n", strerror(errno));
         hardware_SPI.speed = speed1;//Setting failure rate unchanged
         return -1;
     }
     
     //Read the speed of just writing
     if (ioctl(hardware_SPI.fd, SPI_IOC_RD_MAX_SPEED_HZ, &speed) == -1) {
-        DEV_HARDWARE_SPI_Debug("can't get max speed hz\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't get max speed hz: %s\r\n", strerror(errno));
         hardware_SPI.speed = speed1;//Setting failure rate unchanged
         return -1;
     }
     hardware_SPI.speed = speed;
-    tr.speed_hz = hardware_SPI.speed;
     return 1;
 }
 
@@ -192,7 +212,7 @@ int DEV_HARDWARE_SPI_Mode(SPIMode mode)
     
     //Write device
     if (ioctl(hardware_SPI.fd, SPI_IOC_WR_MODE, &hardware_SPI.mode) == -1) {
-        DEV_HARDWARE_SPI_Debug("can't set spi mode\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't set spi mode: %s\r\n", strerror(errno));
         return -1;
     }
     return 1;
@@ -218,7 +238,7 @@ int DEV_HARDWARE_SPI_CSEN(SPICSEN EN)
     }
     //Write device
     if (ioctl(hardware_SPI.fd, SPI_IOC_WR_MODE, &hardware_SPI.mode) == -1) {
-        DEV_HARDWARE_SPI_Debug("can't set spi CS EN\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't set spi CS EN: %s\r\n", strerror(errno));
         return -1;
     }
     return 1;
@@ -250,7 +270,7 @@ int DEV_HARDWARE_SPI_ChipSelect(SPIChipSelect CS_Mode)
     }
     
     if (ioctl(hardware_SPI.fd, SPI_IOC_WR_MODE, &hardware_SPI.mode) == -1) {
-        DEV_HARDWARE_SPI_Debug("can't set spi mode\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't set spi mode: %s\r\n", strerror(errno));
         return -1;
     }
     return 1;
@@ -281,7 +301,7 @@ int DEV_HARDWARE_SPI_SetBitOrder(SPIBitOrder Order)
     int fd = ioctl(hardware_SPI.fd, SPI_IOC_WR_MODE, &hardware_SPI.mode);
     DEV_HARDWARE_SPI_Debug("fd = %d\r\n",fd);
     if (fd == -1) {
-        DEV_HARDWARE_SPI_Debug("can't set spi SPI_LSB_FIRST\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't set spi SPI_LSB_FIRST: %s\r\n", strerror(errno));
         return -1;
     }
     return 1;
@@ -306,7 +326,7 @@ int DEV_HARDWARE_SPI_SetBusMode(BusMode mode)
         hardware_SPI.mode &= ~SPI_3WIRE;
     }
     if (ioctl(hardware_SPI.fd, SPI_IOC_WR_MODE, &hardware_SPI.mode) == -1) {
-        DEV_HARDWARE_SPI_Debug("can't set spi mode\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't set spi mode: %s\r\n", strerror(errno));
         return -1;
     }
     return 1;
@@ -322,7 +342,6 @@ Info:
 void DEV_HARDWARE_SPI_SetDataInterval(uint16_t us)
 {
     hardware_SPI.delay = us;
-    tr.delay_usecs  = hardware_SPI.delay;
 }
 
 /******************************************************************************
@@ -334,13 +353,15 @@ Info:
 uint8_t DEV_HARDWARE_SPI_TransferByte(uint8_t buf)
 {
     uint8_t rbuf[1];
+    struct spi_ioc_transfer tr;
+    DEV_HARDWARE_SPI_Prepare(&tr);
     tr.len = 1;
     tr.tx_buf =  (unsigned long)&buf;
     tr.rx_buf =  (unsigned long)rbuf;
     
     //ioctl Operation, transmission of data
     if ( ioctl(hardware_SPI.fd, SPI_IOC_MESSAGE(1), &tr) < 1 )  
-        DEV_HARDWARE_SPI_Debug("can't send spi message\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't send spi message: %s\r\n", strerror(errno));
     return rbuf[0];
 }
 
@@ -351,13 +372,15 @@ Info: Return read data
 ******************************************************************************/
 int DEV_HARDWARE_SPI_Transfer(uint8_t *buf, uint32_t len)
 {
+    struct spi_ioc_transfer tr;
+    DEV_HARDWARE_SPI_Prepare(&tr);
     tr.len = len;
     tr.tx_buf =  (unsigned long)buf;
     tr.rx_buf =  (unsigned long)buf;
     
     //ioctl Operation, transmission of data
     if (ioctl(hardware_SPI.fd, SPI_IOC_MESSAGE(1), &tr)  < 1 ){  
-        DEV_HARDWARE_SPI_Debug("can't send spi message\r\n"); 
+        DEV_Log(DEV_LOG_ERROR, "spi", "can't send spi message: %s\r\n", strerror(errno));
         return -1;
     }
     
@@ -32,10 +32,11 @@
 #define __DEV_HARDWARE_SPI_
 
 #include <stdint.h>
+#include "Debug.h"
 
 #define DEV_HARDWARE_SPI_DEBUG 0
 #if DEV_HARDWARE_SPI_DEBUG
-#define DEV_HARDWARE_SPI_Debug(__info,...) printf("Debug: " __info,##__VA_ARGS__)
+#define DEV_HARDWARE_SPI_Debug(__info,...) DEV_Log(DEV_LOG_DEBUG, "spi", __info, ##__VA_ARGS__)
 #else
 #define DEV_HARDWARE_SPI_Debug(__info,...)
 #endif
@@ -99,9 +100,9 @@ typedef struct SPIStruct {
 
 
 
-
-void DEV_HARDWARE_SPI_begin(char *SPI_device);
-void DEV_HARDWARE_SPI_beginSet(char *SPI_device, SPIMode mode, uint32_t speed);
+void DEV_HARDWARE_SPI_Select(HARDWARE_SPI *spi);
+int DEV_HARDWARE_SPI_begin(char *SPI_device);
+int DEV_HARDWARE_SPI_beginSet(char *SPI_device, SPIMode mode, uint32_t speed);
 void DEV_HARDWARE_SPI_end(void);
 
 int DEV_HARDWARE_SPI_setSpeed(uint32_t speed);
@@ -45,7 +45,7 @@ int SYSFS_GPIO_Export(int Pin)
 
     fd = open("/sys/class/gpio/export", O_WRONLY);
     if (fd < 0) {
-        SYSFS_GPIO_Debug( "Export Failed: Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "sysfs", "Export Failed: Pin%d\n", Pin);
         return -1;
     }
 
@@ -66,7 +66,7 @@ int SYSFS_GPIO_Unexport(int Pin)
 
     fd = open("/sys/class/gpio/unexport", O_WRONLY);
     if (fd < 0) {
-        SYSFS_GPIO_Debug( "unexport Failed: Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "sysfs", "unexport Failed: Pin%d\n", Pin);
         return -1;
     }
 
@@ -88,12 +88,12 @@ int SYSFS_GPIO_Direction(int Pin, int Dir)
     snprintf(path, DIR_MAXSIZ, "/sys/class/gpio/gpio%d/direction", Pin);
     fd = open(path, O_WRONLY);
     if (fd < 0) {
-        SYSFS_GPIO_Debug( "Set Direction failed: Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "sysfs", "Set Direction failed: Pin%d\n", Pin);
         return -1;
     }
 
     if (write(fd, &dir_str[Dir == IN ? 0 : 3], Dir == IN ? 2 : 3) < 0) {
-        SYSFS_GPIO_Debug("failed to set direction!\r\n");
+        DEV_Log(DEV_LOG_ERROR, "sysfs", "failed to set direction!\r\n");
         return -1;
     }
 
@@ -116,12 +116,12 @@ int SYSFS_GPIO_Read(int Pin)
     snprintf(path, DIR_MAXSIZ, "/sys/class/gpio/gpio%d/value", Pin);
     fd = open(path, O_RDONLY);
     if (fd < 0) {
-        SYSFS_GPIO_Debug( "Read failed Pin%d\n", Pin);
+        DEV_Log(DEV_LOG_ERROR, "sysfs", "Read failed Pin%d\n", Pin);
         return -1;
     }
 
     if (read(fd, value_str, 3) < 0) {
-        SYSFS_GPIO_Debug( "failed to read value!\n");
+        DEV_Log(DEV_LOG_ERROR, "sysfs", "failed to read value!\n");
         return -1;
     }
 
@@ -138,12 +138,12 @@ int SYSFS_GPIO_Write(int Pin, int value)
     snprintf(path, DIR_MAXSIZ, "/sys/class/gpio/gpio%d/value", Pin);
     fd = open(path, O_WRONLY);
     if (fd < 0) {
-        SYSFS_GPIO_Debug( "Write failed : Pin%d,value = %d\n", Pin, value);
+        DEV_Log(DEV_LOG_ERROR, "sysfs", "Write failed : Pin%d,value = %d\n", Pin, value);
         return -1;
     }
 
     if (write(fd, &s_values_str[value == LOW ? 0 : 1], 1) < 0) {
-        SYSFS_GPIO_Debug( "failed to write value!\n");
+        DEV_Log(DEV_LOG_ERROR, "sysfs", "failed to write value!\n");
         return -1;
     }
     
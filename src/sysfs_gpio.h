@@ -32,6 +32,7 @@
 #define __SYSFS_GPIO_
 
 #include <stdio.h>
+#include "Debug.h"
 
 #define IN  0
 #define OUT 1
@@ -44,7 +45,7 @@
 
 #define SYSFS_GPIO_DEBUG 1
 #if SYSFS_GPIO_DEBUG 
-	#define SYSFS_GPIO_Debug(__info,...) printf("Debug: " __info,##__VA_ARGS__)
+	#define SYSFS_GPIO_Debug(__info,...) DEV_Log(DEV_LOG_DEBUG, "sysfs", __info, ##__VA_ARGS__)
 #else
 	#define SYSFS_GPIO_Debug(__info,...)  
 #endif 
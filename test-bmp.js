@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+const { decodeBMP } = require('./lib/bmp');
+
+/**
+ * BMP import and export tests
+ * Round-trip panel buffers through BMP files of every supported depth:
+ *   node --test test-bmp.js
+ */
+
+const epd = new EPD7in3e({ backend: 'virtual' });
+const colors = epd.colors;
+const INKS = [colors.BLACK, colors.WHITE, colors.YELLOW, colors.RED, colors.BLUE, colors.GREEN];
+
+/**
+ * Panel buffer with vertical ink stripes and a marker in the top-left corner
+ */
+function stripes() {
+    const buffer = epd.createBuffer(colors.WHITE);
+    for (let y = 0; y < epd.getHeight(); y++) {
+        for (let x = 0; x < epd.getWidth(); x++) {
+            epd.setPixel(buffer, x, y, INKS[Math.floor(x / 7) % INKS.length]);
+        }
+    }
+    epd.setPixel(buffer, 0, 0, colors.RED);
+    epd.setPixel(buffer, 1, 0, colors.BLUE);
+    return buffer;
+}
+
+/**
+ * Build a top-down 24-bit BMP
+ * @param {Function} pixel - (x, y) => [r, g, b]
+ */
+function rgbBMP(width, height, pixel) {
+    const rowSize = Math.floor((24 * width + 31) / 32) * 4;
+    const file = Buffer.alloc(54 + rowSize * height);
+    file.write('BM', 0, 'ascii');
+    file.writeUInt32LE(file.length, 2);
+    file.writeUInt32LE(54, 10);
+    file.writeUInt32LE(40, 14);
+    file.writeInt32LE(width, 18);
+    file.writeInt32LE(-height, 22);
+    file.writeUInt16LE(1, 26);
+    file.writeUInt16LE(24, 28);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = pixel(x, y);
+            file.set([b, g, r], 54 + y * rowSize + x * 3);
+        }
+    }
+    return file;
+}
+
+test('round-trips panel buffers through 4, 8 and 24-bit files', () => {
+    const buffer = stripes();
+    for (const bitsPerPixel of [4, 8, 24]) {
+        const bmp = EPD7in3e.toBMP(buffer, { bitsPerPixel });
+        assert.ok(EPD7in3e.fromBMP(bmp).equals(buffer), `${bitsPerPixel}-bit`);
+    }
+});
+
+test('writes 4-bit files with the panel nibbles and the ink palette', () => {
+    const bmp = EPD7in3e.toBMP(stripes());
+    assert.strictEqual(bmp.toString('ascii', 0, 2), 'BM');
+    assert.strictEqual(bmp.readUInt32LE(2), bmp.length);
+    assert.strictEqual(bmp.readInt32LE(18), 800);
+    assert.strictEqual(bmp.readInt32LE(22), 480);
+    assert.strictEqual(bmp.readUInt16LE(28), 4);
+    assert.strictEqual(bmp.readUInt32LE(46), 16);
+
+    // Palette entries are BGRX, indexed by the panel color value
+    const entry = color => [...bmp.slice(54 + color * 4, 54 + color * 4 + 3)];
+    assert.deepStrictEqual(entry(colors.RED), [0, 0, 255]);
+    assert.deepStrictEqual(entry(colors.YELLOW), [0, 255, 255]);
+    assert.deepStrictEqual(entry(4), [255, 255, 255]);
+
+    // Rows are stored bottom-up, so the first panel row is the last one in the file
+    const topRow = bmp.readUInt32LE(10) + 479 * 400;
+    assert.strictEqual(bmp[topRow], (colors.RED << 4) | colors.BLUE);
+
+    const decoded = decodeBMP(bmp);
+    assert.deepStrictEqual([...decoded.data.slice(0, 6)], [255, 0, 0, 0, 0, 255]);
+});
+
+test('keeps only black and white in 1-bit files', () => {
+    const buffer = epd.createBuffer(colors.WHITE);
+    epd.setPixel(buffer, 0, 0, colors.BLACK);
+    epd.setPixel(buffer, 1, 0, colors.RED);
+    const bmp = EPD7in3e.toBMP(buffer, { bitsPerPixel: 1 });
+    assert.strictEqual(bmp.readUInt32LE(46), 2);
+
+    const result = EPD7in3e.fromBMP(bmp);
+    assert.strictEqual(epd.getPixel(result, 0, 0), colors.BLACK);
+    assert.strictEqual(epd.getPixel(result, 1, 0), colors.WHITE);
+});
+
+test('writes the chosen palette to the file', () => {
+    const buffer = epd.createBuffer(colors.GREEN);
+    const bmp = EPD7in3e.toBMP(buffer, { bitsPerPixel: 24, palette: 'measured-7in3e' });
+    assert.deepStrictEqual([...decodeBMP(bmp).data.slice(0, 3)], [18, 95, 32]);
+
+    // Reading it back needs the same palette for the colors to match exactly
+    assert.ok(EPD7in3e.fromBMP(bmp, { palette: 'measured-7in3e' }).equals(buffer));
+});
+
+test('places smaller images at the top-left on white and clips larger ones', () => {
+    const small = EPD7in3e.fromBMP(rgbBMP(3, 2, () => [255, 0, 0]));
+    assert.strictEqual(epd.getPixel(small, 2, 1), colors.RED);
+    assert.strictEqual(epd.getPixel(small, 3, 1), colors.WHITE);
+    assert.strictEqual(epd.getPixel(small, 2, 2), colors.WHITE);
+
+    const large = EPD7in3e.fromBMP(rgbBMP(802, 481, x => (x < 800 ? [0, 0, 255] : [255, 0, 0])));
+    assert.ok(large.equals(epd.createBuffer(colors.BLUE)));
+});
+
+test('maps colors that are not inks to the nearest ink', () => {
+    const result = EPD7in3e.fromBMP(rgbBMP(2, 1, x => (x === 0 ? [240, 20, 10] : [20, 20, 200])));
+    assert.strictEqual(epd.getPixel(result, 0, 0), colors.RED);
+    assert.strictEqual(epd.getPixel(result, 1, 0), colors.BLUE);
+});
+
+test('rejects invalid buffers and unsupported files', () => {
+    assert.throws(() => EPD7in3e.toBMP(Buffer.alloc(10)), /Buffer size mismatch. Expected 192000 bytes, got 10/);
+    assert.throws(() => EPD7in3e.toBMP('frame'), /Expected a Buffer object/);
+    assert.throws(() => EPD7in3e.toBMP(stripes(), { bitsPerPixel: 16 }), /Unsupported BMP bit depth: 16. Expected one of: 1, 4, 8, 24/);
+
+    assert.throws(() => EPD7in3e.fromBMP(Buffer.from('not a bitmap at all, really')), /Not a BMP file/);
+    const compressed = rgbBMP(2, 2, () => [0, 0, 0]);
+    compressed.writeUInt32LE(1, 30);
+    assert.throws(() => EPD7in3e.fromBMP(compressed), /Compressed BMP files are not supported/);
+    assert.throws(() => EPD7in3e.fromBMP(rgbBMP(4, 4, () => [0, 0, 0]).subarray(0, 80)), /Truncated BMP file/);
+});
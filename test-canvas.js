@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+
+/**
+ * Canvas drawing tests
+ * Draw shapes on small canvases and check the resulting pixels:
+ *   node --test test-canvas.js
+ */
+
+const { Canvas, Colors } = EPD7in3e;
+
+function createCanvas(width = 40, height = 20) {
+    return new Canvas(Buffer.alloc(Math.ceil(width / 2) * height, (Colors.WHITE << 4) | Colors.WHITE), { width, height });
+}
+
+/**
+ * Collect the coordinates of every pixel with a color, as "x,y" strings
+ */
+function pixelsOf(canvas, color) {
+    const pixels = [];
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            if (canvas.getPixel(x, y) === color) {
+                pixels.push(`${x},${y}`);
+            }
+        }
+    }
+    return pixels;
+}
+
+test('creates a canvas over a panel buffer', () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const canvas = epd.createCanvas();
+    assert.strictEqual(canvas.width, 800);
+    assert.strictEqual(canvas.height, 480);
+    canvas.setPixel(799, 479, Colors.RED);
+    assert.strictEqual(epd.getPixel(canvas.buffer, 799, 479), Colors.RED);
+    assert.strictEqual(canvas.getPixel(800, 0), -1);
+
+    assert.throws(() => new Canvas(Buffer.alloc(10)), /Buffer size mismatch. Expected 192000 bytes, got 10/);
+    assert.throws(() => new Canvas('frame'), /Expected a Buffer object/);
+});
+
+test('draws lines including both end points', () => {
+    const canvas = createCanvas();
+    canvas.drawLine(2, 3, 6, 3);
+    assert.deepStrictEqual(pixelsOf(canvas, Colors.BLACK), ['2,3', '3,3', '4,3', '5,3', '6,3']);
+
+    canvas.drawLine(10, 0, 13, 3, { color: Colors.RED });
+    assert.deepStrictEqual(pixelsOf(canvas, Colors.RED), ['10,0', '11,1', '12,2', '13,3']);
+});
+
+test('applies the line width and dash pattern', () => {
+    const wide = createCanvas();
+    wide.drawLine(5, 10, 9, 10, { lineWidth: 3 });
+    assert.strictEqual(pixelsOf(wide, Colors.BLACK).length, 7 * 3);
+    assert.strictEqual(wide.getPixel(4, 9), Colors.BLACK);
+    assert.strictEqual(wide.getPixel(10, 11), Colors.BLACK);
+
+    const dashed = createCanvas();
+    dashed.drawLine(0, 0, 9, 0, { dash: [2, 1] });
+    assert.deepStrictEqual(pixelsOf(dashed, Colors.BLACK), ['0,0', '1,0', '3,0', '4,0', '6,0', '7,0', '9,0']);
+
+    assert.throws(() => dashed.drawLine(0, 0, 5, 0, { dash: [0, 0] }), /must not be all zeros/);
+    assert.throws(() => dashed.drawLine(0, 0, 5, 0, { dash: [2, -1] }), /non-negative integers/);
+});
+
+test('outlines and fills rectangles', () => {
+    const canvas = createCanvas();
+    canvas.drawRect(1, 1, 4, 3);
+    assert.deepStrictEqual(pixelsOf(canvas, Colors.BLACK), ['1,1', '2,1', '3,1', '4,1', '1,2', '4,2', '1,3', '2,3', '3,3', '4,3']);
+
+    canvas.drawRect(10, 1, 4, 3, { fill: Colors.YELLOW, color: Colors.BLUE });
+    assert.strictEqual(pixelsOf(canvas, Colors.BLUE).length, 10);
+    assert.deepStrictEqual(pixelsOf(canvas, Colors.YELLOW), ['11,2', '12,2']);
+
+    canvas.drawRect(20, 1, 3, 2, { fill: Colors.GREEN, color: null });
+    assert.deepStrictEqual(pixelsOf(canvas, Colors.GREEN), ['20,1', '21,1', '22,1', '20,2', '21,2', '22,2']);
+});
+
+test('draws symmetric circles', () => {
+    const canvas = createCanvas(41, 41);
+    canvas.drawCircle(20, 20, 10, { fill: true, color: Colors.RED });
+    const filled = pixelsOf(canvas, Colors.RED);
+    assert.ok(filled.includes('30,20') && filled.includes('20,10') && filled.includes('10,20') && filled.includes('20,30'));
+    assert.ok(!filled.includes('31,20') && !filled.includes('28,28'));
+    // The area is close to pi * r^2
+    assert.ok(Math.abs(filled.length - Math.PI * 100) < 40, String(filled.length));
+    for (const pixel of filled) {
+        const [x, y] = pixel.split(',').map(Number);
+        assert.ok(filled.includes(`${40 - x},${y}`) && filled.includes(`${x},${40 - y}`), pixel);
+    }
+
+    const ring = createCanvas(41, 41);
+    ring.drawCircle(20, 20, 10);
+    assert.strictEqual(ring.getPixel(20, 20), Colors.WHITE);
+    assert.strictEqual(ring.getPixel(30, 20), Colors.BLACK);
+});
+
+test('fills polygons with the even-odd rule', () => {
+    const canvas = createCanvas();
+    canvas.drawPolygon([[0, 0], [10, 0], [10, 10], [0, 10]], { fill: Colors.GREEN, color: null });
+    assert.strictEqual(pixelsOf(canvas, Colors.GREEN).length, 100);
+
+    // A square drawn twice around a hole: the inner square stays unfilled
+    const holed = createCanvas();
+    holed.drawPolygon([
+        { x: 0, y: 0 }, { x: 12, y: 0 }, { x: 12, y: 12 }, { x: 0, y: 12 }, { x: 0, y: 0 },
+        { x: 4, y: 4 }, { x: 4, y: 8 }, { x: 8, y: 8 }, { x: 8, y: 4 }, { x: 4, y: 4 }
+    ], { fill: Colors.BLUE, color: null });
+    assert.strictEqual(holed.getPixel(6, 6), Colors.WHITE);
+    assert.strictEqual(holed.getPixel(2, 6), Colors.BLUE);
+    assert.strictEqual(pixelsOf(holed, Colors.BLUE).length, 144 - 16);
+
+    const line = createCanvas();
+    line.drawPolyline([[0, 0], [3, 0], [3, 2]]);
+    assert.deepStrictEqual(pixelsOf(line, Colors.BLACK), ['0,0', '1,0', '2,0', '3,0', '3,1', '3,2']);
+    assert.throws(() => line.drawPolygon('0,0 1,1'), /Expected an array of points/);
+});
+
+test('only draws inside the clip region', () => {
+    const canvas = createCanvas();
+    canvas.setClip(5, 5, 4, 3);
+    canvas.clear(Colors.YELLOW);
+    canvas.drawLine(0, 6, 39, 6, { color: Colors.RED });
+    canvas.setPixel(0, 0, Colors.RED);
+
+    assert.strictEqual(pixelsOf(canvas, Colors.YELLOW).length + pixelsOf(canvas, Colors.RED).length, 12);
+    assert.deepStrictEqual(pixelsOf(canvas, Colors.RED), ['5,6', '6,6', '7,6', '8,6']);
+
+    canvas.resetClip();
+    canvas.setPixel(0, 0, Colors.RED);
+    assert.strictEqual(canvas.getPixel(0, 0), Colors.RED);
+
+    // A clip region past the edges is limited to the canvas
+    canvas.setClip(-10, -10, 100, 100);
+    assert.deepStrictEqual(canvas.clip, { x0: 0, y0: 0, x1: 39, y1: 19 });
+});
+
+test('flood fills the connected area up to its outline', () => {
+    const canvas = createCanvas();
+    canvas.drawRect(2, 2, 10, 8);
+    canvas.drawLine(6, 2, 6, 9);
+    canvas.floodFill(3, 3, Colors.RED);
+
+    // Only the left half of the rectangle: x 3-5, y 3-8
+    assert.strictEqual(pixelsOf(canvas, Colors.RED).length, 3 * 6);
+    assert.strictEqual(canvas.getPixel(7, 3), Colors.WHITE);
+    assert.strictEqual(canvas.getPixel(0, 0), Colors.WHITE);
+
+    // Filling with the color already there is a no-op
+    canvas.floodFill(3, 3, Colors.RED);
+    assert.strictEqual(pixelsOf(canvas, Colors.RED).length, 3 * 6);
+
+    // Filling the background reaches around the shapes but not inside them
+    canvas.floodFill(0, 0, Colors.BLUE);
+    assert.strictEqual(pixelsOf(canvas, Colors.BLUE).length, 40 * 20 - 10 * 8);
+    assert.strictEqual(canvas.getPixel(7, 3), Colors.WHITE);
+});
+
+test('stops flood fills at the clip region', () => {
+    const canvas = createCanvas();
+    canvas.setClip(10, 5, 5, 5);
+    canvas.floodFill(12, 7, Colors.GREEN);
+    assert.strictEqual(pixelsOf(canvas, Colors.GREEN).length, 25);
+
+    // Seeds outside the clip region do nothing
+    canvas.floodFill(0, 0, Colors.RED);
+    assert.strictEqual(pixelsOf(canvas, Colors.RED).length, 0);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+const { DISTANCE_METHODS, rgbToLab, rgbToOklab, deltaE2000, createMatcher } = require('./lib/color-space');
+const { IDEAL_PALETTE } = require('./lib/palette');
+
+/**
+ * Perceptual color distance tests
+ * Check the color space conversions against reference values and the nearest-ink matchers:
+ *   node --test test-color-space.js
+ */
+
+function assertClose(actual, expected, tolerance, message) {
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `${message}: ${actual} != ${expected}`);
+    });
+}
+
+test('converts sRGB to CIELAB and OKLab', () => {
+    assertClose(rgbToLab(255, 255, 255), [100, 0, 0], 1e-3, 'Lab white');
+    assertClose(rgbToLab(255, 0, 0), [53.2408, 80.0925, 67.2032], 1e-3, 'Lab red');
+    assertClose(rgbToLab(0, 0, 0), [0, 0, 0], 1e-9, 'Lab black');
+    assertClose(rgbToOklab(255, 255, 255), [1, 0, 0], 1e-6, 'OKLab white');
+    assertClose(rgbToOklab(255, 0, 0), [0.62796, 0.22486, 0.12585], 1e-4, 'OKLab red');
+});
+
+test('computes CIEDE2000 like the reference data set', () => {
+    // Pairs 1 and 17 from Sharma, Wu and Dalal's CIEDE2000 test data
+    assert.ok(Math.abs(deltaE2000([50, 2.6772, -79.7751], [50, 0, -82.7485]) - 2.0425) < 1e-4);
+    assert.ok(Math.abs(deltaE2000([50, 2.5, 0], [73, 25, -18]) - 27.1492) < 1e-4);
+    assert.strictEqual(deltaE2000([60, 10, -5], [60, 10, -5]), 0);
+    assert.strictEqual(deltaE2000([50, 2.5, 0], [73, 25, -18]), deltaE2000([73, 25, -18], [50, 2.5, 0]));
+});
+
+test('maps every ink to itself with each perceptual distance', () => {
+    for (const method of DISTANCE_METHODS.filter(method => method !== 'rgb')) {
+        const match = createMatcher(IDEAL_PALETTE, method);
+        for (const ink of IDEAL_PALETTE) {
+            assert.strictEqual(match(ink.r, ink.g, ink.b), ink.color, `${method} ${ink.color}`);
+        }
+        // Results are cached per RGB value
+        assert.strictEqual(match(200, 30, 40), match(200, 30, 40));
+    }
+    assert.throws(() => createMatcher(IDEAL_PALETTE, 'cmyk'), /Unknown color distance "cmyk"/);
+});
+
+test('picks the distance from the constructor or per call', () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const colors = epd.colors;
+    assert.strictEqual(epd.colorDistance, 'rgb');
+
+    // Dark green is nearer to black in weighted RGB, and to green in CIEDE2000
+    assert.strictEqual(epd.mapRGBToDisplayColor(0, 119, 0), colors.BLACK);
+    assert.strictEqual(epd.mapRGBToDisplayColor(0, 119, 0, 'deltaE2000'), colors.GREEN);
+
+    const perceptual = new EPD7in3e({ backend: 'virtual', colorDistance: 'deltaE2000' });
+    assert.strictEqual(perceptual.mapRGBToDisplayColor(0, 119, 0), colors.GREEN);
+    assert.strictEqual(perceptual.mapRGBToDisplayColor(0, 119, 0, 'rgb'), colors.BLACK);
+
+    const rgb = Buffer.from([0, 119, 0]);
+    assert.strictEqual(epd.getPixel(epd.createBufferFromRGB(rgb, 1, 1, 3), 0, 0), colors.BLACK);
+    assert.strictEqual(epd.getPixel(epd.createBufferFromRGB(rgb, 1, 1, 3, { distance: 'deltaE2000' }), 0, 0), colors.GREEN);
+    assert.strictEqual(epd.getPixel(epd.createBufferFromRGBAdvanced(rgb, 1, 1, 3, 'closest', { distance: 'deltaE2000' }), 0, 0), colors.GREEN);
+    assert.strictEqual(epd.getPixel(epd.createBufferFromRGBAdvanced(rgb, 1, 1, 3, 'atkinson', { distance: 'deltaE2000' }), 0, 0), colors.GREEN);
+});
+
+test('rejects an unknown default distance', () => {
+    assert.throws(() => new EPD7in3e({ backend: 'virtual', colorDistance: 'hsv' }), /Unknown color distance "hsv". Expected one of: rgb, deltaE76, deltaE2000, oklab/);
+    assert.deepStrictEqual(EPD7in3e.DISTANCE_METHODS, DISTANCE_METHODS);
+});
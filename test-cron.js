@@ -0,0 +1,295 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const EPD7in3e = require('./index.js');
+const FramikDaemon = require('./lib/daemon');
+const Scheduler = require('./lib/scheduler');
+const { nextRun, parseCron, previousRun } = require('./lib/cron');
+
+/**
+ * Cron and scheduler tests
+ * Each test sets its own time zone, so the results do not depend on the machine:
+ *   node --test test-cron.js
+ */
+
+const zone = process.env.TZ;
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+});
+
+after(() => {
+    if (zone === undefined) {
+        delete process.env.TZ;
+    } else {
+        process.env.TZ = zone;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Format a time as local "YYYY-MM-DD HH:MM" with its UTC offset in minutes
+ */
+function local(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())} ${-date.getTimezoneOffset()}`;
+}
+
+test('parses fields, names and macros', () => {
+    const cron = parseCron('*/15 7-9 * jan,jul mon-fri');
+    assert.deepStrictEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...cron.hours], [7, 8, 9]);
+    assert.deepStrictEqual([...cron.months], [1, 7]);
+    assert.deepStrictEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+    assert.ok(parseCron('0 0 * * 7').weekdays.has(0));
+    assert.throws(() => parseCron('0 0 * *'), /Expected 5 fields/);
+    assert.throws(() => parseCron('61 * * * *'), /Invalid minute/);
+});
+
+test('finds the next and previous runs', () => {
+    process.env.TZ = 'UTC';
+    const now = new Date(2026, 0, 15, 10, 20, 30);
+    assert.strictEqual(local(nextRun('0 7 * * *', now)), '2026-01-16 07:00 0');
+    assert.strictEqual(local(previousRun('0 7 * * *', now)), '2026-01-15 07:00 0');
+    assert.strictEqual(local(nextRun('*/15 * * * *', now)), '2026-01-15 10:30 0');
+    assert.strictEqual(local(previousRun('20 10 * * *', now)), '2026-01-15 10:20 0');
+    assert.strictEqual(local(nextRun('0 0 29 2 *', now)), '2028-02-29 00:00 0');
+    // Either day field matches when both are restricted
+    assert.strictEqual(local(nextRun('0 12 1 * sat', now)), '2026-01-17 12:00 0');
+    assert.throws(() => nextRun('0 0 31 2 *', now), /never matches/);
+});
+
+test('skips the missing hour when clocks go forward (Europe/Paris)', () => {
+    process.env.TZ = 'Europe/Paris';
+    // 2026-03-29: 02:00 CET becomes 03:00 CEST
+    const morning = new Date(2026, 2, 29, 5, 0);
+    assert.strictEqual(local(previousRun('0 2 * * *', morning)), '2026-03-28 02:00 60');
+    assert.strictEqual(local(previousRun('59 2 * * *', morning)), '2026-03-28 02:59 60');
+    assert.strictEqual(local(previousRun('0 3 * * *', morning)), '2026-03-29 03:00 120');
+    assert.strictEqual(local(previousRun('30 1 * * *', morning)), '2026-03-29 01:30 60');
+
+    const evening = new Date(2026, 2, 28, 22, 0);
+    assert.strictEqual(local(nextRun('0 2 * * *', evening)), '2026-03-30 02:00 120');
+    assert.strictEqual(local(nextRun('0 3 * * *', evening)), '2026-03-29 03:00 120');
+    assert.strictEqual(local(nextRun('*/30 * * * *', new Date(2026, 2, 29, 1, 45))), '2026-03-29 03:00 120');
+});
+
+test('skips the missing hour when clocks go forward (America/New_York)', () => {
+    process.env.TZ = 'America/New_York';
+    // 2026-03-08: 02:00 EST becomes 03:00 EDT
+    const morning = new Date(2026, 2, 8, 9, 0);
+    assert.strictEqual(local(previousRun('30 2 * * *', morning)), '2026-03-07 02:30 -300');
+    assert.strictEqual(local(previousRun('0 * * * *', new Date(2026, 2, 8, 3, 10))), '2026-03-08 03:00 -240');
+    assert.strictEqual(local(previousRun('0 * * * *', new Date(2026, 2, 8, 3, 0))), '2026-03-08 03:00 -240');
+    assert.strictEqual(local(previousRun('0 * * * *', new Date(2026, 2, 8, 1, 59))), '2026-03-08 01:00 -300');
+    assert.strictEqual(local(previousRun('0 2 * * *', new Date(2026, 2, 8, 3, 30))), '2026-03-07 02:00 -300');
+    assert.strictEqual(local(nextRun('30 2 * * *', new Date(2026, 2, 7, 9, 0))), '2026-03-09 02:30 -240');
+});
+
+test('runs a repeated time once when clocks go back', () => {
+    process.env.TZ = 'Europe/Paris';
+    // 2026-10-25: 03:00 CEST becomes 02:00 CET, so 02:00-02:59 happens twice
+    const before = new Date(2026, 9, 25, 1, 0);
+    const first = nextRun('30 2 * * *', before);
+    assert.strictEqual(local(first), '2026-10-25 02:30 120');
+    assert.strictEqual(local(nextRun('30 2 * * *', first)), '2026-10-26 02:30 60');
+    assert.strictEqual(local(previousRun('30 2 * * *', new Date(2026, 9, 25, 6, 0))), '2026-10-25 02:30 120');
+
+    process.env.TZ = 'America/New_York';
+    // 2026-11-01: 02:00 EDT becomes 01:00 EST
+    const hourly = nextRun('0 * * * *', new Date(2026, 10, 1, 1, 0));
+    assert.strictEqual(local(hourly), '2026-11-01 02:00 -300');
+    assert.strictEqual(hourly.getTime() - new Date(2026, 10, 1, 1, 0).getTime(), 2 * 60 * 60 * 1000);
+    assert.strictEqual(local(previousRun('0 * * * *', new Date(hourly.getTime() - 1))), '2026-11-01 01:00 -240');
+});
+
+test('finds runs across a whole year of days in several time zones', () => {
+    for (const zone of ['Europe/Paris', 'America/New_York', 'Australia/Lord_Howe', 'America/Santiago']) {
+        process.env.TZ = zone;
+        let time = new Date(2026, 0, 1);
+        for (let day = 0; day < 366; day++) {
+            const next = nextRun('*/30 0-3 * * *', time);
+            assert.ok(next > time, `${zone}: ${local(next)} after ${local(time)}`);
+            assert.ok(previousRun('*/30 0-3 * * *', next).getTime() === next.getTime(), `${zone}: ${local(next)}`);
+            time = new Date(next.getTime() + 24 * 60 * 60 * 1000);
+        }
+    }
+});
+
+test('catches up on a run missed while stopped', async () => {
+    process.env.TZ = 'UTC';
+    const statePath = path.join(dir, 'missed.json');
+    const day = 24 * 60 * 60 * 1000;
+    const lastRun = previousRun('0 * * * *', new Date(Date.now() - day)).getTime();
+    fs.writeFileSync(statePath, JSON.stringify({
+        jobs: [{ name: 'red', schedule: '0 * * * *', action: { type: 'clear', color: 'red' }, createdAt: lastRun - day, lastRun }]
+    }));
+
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const scheduler = new Scheduler({ epd, statePath });
+    const started = [];
+    scheduler.on('job:start', info => started.push(info));
+    try {
+        await scheduler.start();
+        assert.strictEqual(started.length, 1);
+        assert.strictEqual(started[0].catchUp, true);
+        assert.strictEqual(started[0].scheduledAt, previousRun('0 * * * *').toISOString());
+        assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(epd.colors.RED)));
+        assert.strictEqual(epd.getPowerState(), 'sleeping');
+
+        const saved = JSON.parse(fs.readFileSync(statePath, 'utf8')).jobs[0];
+        assert.strictEqual(saved.lastRun, Date.parse(started[0].scheduledAt));
+    } finally {
+        await scheduler.stop();
+    }
+});
+
+test('saves added jobs and lists their runs', async () => {
+    process.env.TZ = 'UTC';
+    const statePath = path.join(dir, 'jobs.json');
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const scheduler = new Scheduler({ epd, statePath });
+    await scheduler.start();
+    try {
+        const summary = await scheduler.addJob({ name: 'night', schedule: '0 23 * * *', action: { type: 'clear', color: 'white' } });
+        assert.strictEqual(summary.lastRun, null);
+        assert.strictEqual(summary.nextRun, nextRun('0 23 * * *').toISOString());
+        await scheduler.addJob({ name: 'morning', schedule: '0 7 * * 1-5', action: { type: 'display', image: 'agenda.png' } });
+        assert.strictEqual(await scheduler.removeJob('morning'), true);
+        assert.strictEqual(await scheduler.removeJob('morning'), false);
+    } finally {
+        await scheduler.stop();
+    }
+
+    const restarted = new Scheduler({ epd, statePath, catchUp: false });
+    await restarted.start();
+    try {
+        assert.deepStrictEqual(restarted.getJobs().map(job => job.name), ['night']);
+        assert.strictEqual(restarted.getJobs()[0].catchUp, true);
+        await restarted.runJob('night');
+        assert.ok(restarted.getJobs()[0].lastRun !== null);
+        await assert.rejects(restarted.runJob('noon'), /Unknown job "noon"/);
+    } finally {
+        await restarted.stop();
+    }
+});
+
+test('replaces saved jobs with the configured ones and forgets removed ones', async () => {
+    const statePath = path.join(dir, 'configured.json');
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const jobs = [
+        { name: 'a', schedule: '@daily', action: { type: 'sleep' }, catchUp: false },
+        { name: 'b', schedule: '@hourly', action: { type: 'sleep' }, catchUp: false }
+    ];
+    const first = new Scheduler({ epd, statePath, jobs });
+    await first.start();
+    await first.runJob('b');
+    const lastRun = first.getJobs()[1].lastRun;
+    await first.stop();
+
+    const second = new Scheduler({ epd, statePath, jobs: [{ ...jobs[1], schedule: '30 * * * *' }] });
+    await second.start();
+    await second.stop();
+    assert.deepStrictEqual(second.getJobs().map(job => [job.name, job.schedule, job.lastRun]), [['b', '30 * * * *', lastRun]]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')).jobs.map(job => job.name), ['b']);
+});
+
+test('renders images, templates and tasks', async () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const image = path.join(dir, 'yellow.png');
+    await sharp({ create: { width: 80, height: 48, channels: 3, background: { r: 255, g: 255, b: 0 } } }).toFile(image);
+    const template = path.join(dir, 'frame.svg');
+    fs.writeFileSync(template, '<svg xmlns="http://www.w3.org/2000/svg" width="80" height="48"><rect width="80" height="48" fill="{{ color }}"/></svg>');
+
+    const scheduler = new Scheduler({
+        epd,
+        tasks: { blue: async display => display.createBuffer(display.colors.BLUE), nothing: async () => undefined },
+        jobs: [
+            { name: 'photo', schedule: '@yearly', action: { type: 'display', image } },
+            { name: 'svg', schedule: '@yearly', action: { type: 'svg', template, variables: { color: '#00ff00' } } },
+            { name: 'blue', schedule: '@yearly', action: { type: 'task', task: 'blue' } },
+            { name: 'nothing', schedule: '@yearly', action: { type: 'task', task: 'nothing' } },
+            { name: 'missing', schedule: '@yearly', action: { type: 'task', task: 'weather' } }
+        ],
+        catchUp: false
+    });
+    const shows = name => epd.backend.getFramebuffer().equals(epd.createBuffer(epd.colors[name]));
+    await scheduler.start();
+    try {
+        await scheduler.runJob('photo');
+        assert.ok(shows('YELLOW'));
+        await scheduler.runJob('svg');
+        assert.ok(shows('GREEN'));
+        assert.strictEqual((await scheduler.runJob('blue')).skipped, false);
+        assert.ok(shows('BLUE'));
+        // The panel already shows this frame
+        const refreshes = epd.backend.refreshCount;
+        assert.strictEqual((await scheduler.runJob('blue')).skipped, true);
+        assert.strictEqual(epd.backend.refreshCount, refreshes);
+        await scheduler.runJob('nothing');
+        assert.ok(shows('BLUE'));
+        assert.strictEqual(epd.getPowerState(), 'sleeping');
+
+        const errors = [];
+        scheduler.on('job:error', (error, info) => errors.push(info.name));
+        await assert.rejects(scheduler.runJob('missing'), /Unknown task "weather". Register it with defineTask\(\)/);
+        assert.deepStrictEqual(errors, ['missing']);
+    } finally {
+        await scheduler.stop();
+    }
+});
+
+test('submits panel jobs through a daemon', async () => {
+    const daemon = new FramikDaemon({
+        epd: new EPD7in3e({ backend: 'virtual' }),
+        socketPath: path.join(dir, 'framik.sock'),
+        lockPath: path.join(dir, 'framik.lock'),
+        sleepTimeout: 60000
+    });
+    await daemon.start();
+    const scheduler = new Scheduler({ daemon, jobs: [{ name: 'red', schedule: '@daily', action: { type: 'clear', color: 'red' } }], catchUp: false });
+    try {
+        const jobs = [];
+        daemon.on('job:start', job => jobs.push(job.type));
+        await scheduler.start();
+        await scheduler.runJob('red');
+        assert.deepStrictEqual(jobs, ['clear']);
+        assert.ok(daemon.epd.backend.getFramebuffer().equals(daemon.epd.createBuffer(daemon.epd.colors.RED)));
+        assert.strictEqual((await scheduler.runJob('red')).skipped, true);
+        assert.strictEqual(daemon.getStatus().skipped, 1);
+    } finally {
+        await scheduler.stop();
+        await daemon.stop();
+    }
+});
+
+test('rejects invalid jobs', async () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const scheduler = new Scheduler({ epd });
+    assert.throws(() => new Scheduler({}), /Scheduler needs an epd or a daemon/);
+    assert.throws(() => scheduler.defineTask('weather', 'fetch'), /Task "weather" must be a function/);
+    await assert.rejects(scheduler.addJob({ schedule: '@daily', action: { type: 'sleep' } }), /Job must have a name/);
+    await assert.rejects(scheduler.addJob({ name: 'x', schedule: '0 0 31 2 *', action: { type: 'sleep' } }), /never matches/);
+    await assert.rejects(scheduler.addJob({ name: 'x', schedule: '@daily', action: { type: 'print' } }), /Job "x" needs an action type. Expected one of: display, svg, clear, sleep, task/);
+    await assert.rejects(scheduler.addJob({ name: 'x', schedule: '@daily', action: { type: 'display' } }), /display actions need an image path/);
+    await assert.rejects(scheduler.addJob({ name: 'x', schedule: '@daily', action: { type: 'clear', color: 'purple' } }), /Invalid color "purple"/);
+    assert.deepStrictEqual(scheduler.getJobs(), []);
+
+    // Saved jobs that no longer validate are dropped with a warning
+    const statePath = path.join(dir, 'invalid.json');
+    fs.writeFileSync(statePath, JSON.stringify({ jobs: [{ name: 'bad', schedule: '61 * * * *', action: { type: 'sleep' } }] }));
+    const restored = new Scheduler({ epd, statePath });
+    const warnings = [];
+    restored.on('warning', error => warnings.push(error.message));
+    await restored.start();
+    await restored.stop();
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Ignoring saved job "bad": Invalid minute/);
+    assert.deepStrictEqual(restored.getJobs(), []);
+});
@@ -0,0 +1,268 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const EPD7in3e = require('./index.js');
+const FramikDaemon = require('./lib/daemon');
+const FramikClient = require('./lib/client');
+
+/**
+ * Framik daemon tests
+ * Run the daemon on the virtual backend, with its socket and lock in a temporary directory:
+ *   node --test test-daemon.js
+ */
+
+let dir;
+let daemons;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+    daemons = [];
+});
+
+afterEach(async () => {
+    for (const daemon of daemons) {
+        await daemon.stop().catch(() => {});
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function createDaemon(options = {}) {
+    const daemon = new FramikDaemon({
+        epd: options.epd || new EPD7in3e({ backend: 'virtual' }),
+        socketPath: path.join(dir, 'framik.sock'),
+        lockPath: path.join(dir, 'framik.lock'),
+        ...options
+    });
+    daemons.push(daemon);
+    return daemon;
+}
+
+/**
+ * Send raw data on the daemon socket and collect the response lines until it closes
+ */
+function sendRaw(socketPath, data) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(socketPath);
+        let received = '';
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            received += chunk;
+        });
+        // The daemon may close the connection before all the data is written
+        socket.on('error', error => {
+            if (error.code !== 'EPIPE' && error.code !== 'ECONNRESET') {
+                reject(error);
+            }
+        });
+        socket.on('close', () => resolve(received.split('\n').filter(Boolean).map(line => JSON.parse(line))));
+        socket.on('connect', () => {
+            socket.write(data);
+            setTimeout(() => socket.end(), 50);
+        });
+    });
+}
+
+function runCli(args) {
+    return childProcess.spawnSync(process.execPath, [path.join(__dirname, 'bin', 'framik-daemon.js'), ...args], {
+        encoding: 'utf8',
+        timeout: 10000
+    });
+}
+
+test('runs jobs from clients and releases the socket and lock on stop', async () => {
+    const daemon = createDaemon({ sleepTimeout: 60000 });
+    await daemon.start();
+    assert.ok(fs.existsSync(daemon.lockPath));
+    assert.strictEqual(fs.readFileSync(daemon.lockPath, 'utf8'), String(process.pid));
+
+    const client = new FramikClient({ socketPath: daemon.socketPath });
+    const buffer = daemon.epd.createBuffer(daemon.epd.colors.RED);
+    const summary = await client.display(buffer);
+    assert.strictEqual(summary.type, 'display');
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(buffer));
+
+    await client.clear(daemon.epd.colors.GREEN);
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(daemon.epd.createBuffer(daemon.epd.colors.GREEN)));
+
+    const status = await client.status();
+    assert.strictEqual(status.completed, 2);
+    assert.strictEqual(status.panel, 'awake');
+    assert.strictEqual(status.backend, 'virtual');
+    assert.strictEqual(status.queueLength, 0);
+
+    await daemon.stop();
+    assert.strictEqual(fs.existsSync(daemon.lockPath), false);
+    assert.strictEqual(fs.existsSync(daemon.socketPath), false);
+    await assert.rejects(client.status(), /daemon is not running/);
+});
+
+test('skips display and clear jobs the panel already shows', async () => {
+    const daemon = createDaemon({ sleepTimeout: 60000 });
+    await daemon.start();
+    const client = new FramikClient({ socketPath: daemon.socketPath });
+    const colors = daemon.epd.colors;
+    const buffer = daemon.epd.createBuffer(colors.RED);
+
+    assert.strictEqual((await client.display(buffer, { ifChanged: true })).skipped, false);
+    assert.strictEqual((await client.display(buffer, { ifChanged: true })).skipped, true);
+    // Without ifChanged the frame is refreshed anyway
+    assert.strictEqual((await client.display(buffer)).skipped, false);
+    assert.strictEqual((await client.clear(colors.RED, { ifChanged: true })).skipped, true);
+    assert.strictEqual((await client.clear(colors.WHITE, { ifChanged: true })).skipped, false);
+    assert.strictEqual((await daemon.submit({ type: 'clear', ifChanged: true })).skipped, true);
+
+    const status = await client.status();
+    assert.strictEqual(status.completed, 6);
+    assert.strictEqual(status.skipped, 3);
+});
+
+test('runs jobs one at a time in submission order', async () => {
+    const daemon = createDaemon({ epd: new EPD7in3e({ backend: 'virtual', refreshTime: 5 }) });
+    await daemon.start();
+    const started = [];
+    daemon.on('job:start', job => started.push(job.type));
+
+    const colors = daemon.epd.colors;
+    const results = await Promise.all([
+        daemon.submit({ type: 'clear', color: colors.RED }),
+        daemon.submit({ type: 'show7Block' }),
+        daemon.submit({ type: 'display', buffer: daemon.epd.createBuffer(colors.BLUE) })
+    ]);
+    assert.deepStrictEqual(started, ['clear', 'show7Block', 'display']);
+    assert.deepStrictEqual(results.map(result => result.id), [1, 2, 3]);
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(daemon.epd.createBuffer(colors.BLUE)));
+});
+
+test('replaces a waiting refresh with a newer one of the same kind', async () => {
+    const daemon = createDaemon({ epd: new EPD7in3e({ backend: 'virtual', refreshPolicy: { minInterval: 150 } }), sleepTimeout: 60000 });
+    await daemon.start();
+    const colors = daemon.epd.colors;
+    await daemon.submit({ type: 'clear' });
+
+    const results = await Promise.all([colors.RED, colors.GREEN, colors.BLUE].map(color => daemon.submit({
+        type: 'display',
+        buffer: daemon.epd.createBuffer(color)
+    })));
+    assert.deepStrictEqual(results.map(result => result.supersededBy), [results[2].id, results[2].id, undefined]);
+    assert.deepStrictEqual(results.map(result => result.type), ['display', 'display', 'display']);
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(daemon.epd.createBuffer(colors.BLUE)));
+    assert.strictEqual(daemon.epd.backend.refreshCount, 2);
+    assert.strictEqual(daemon.getStatus().superseded, 2);
+});
+
+test('runs a waiting clear and the display queued after it', async () => {
+    const daemon = createDaemon({ epd: new EPD7in3e({ backend: 'virtual', refreshPolicy: { minInterval: 100 } }), sleepTimeout: 60000 });
+    await daemon.start();
+    const colors = daemon.epd.colors;
+    await daemon.submit({ type: 'clear' });
+    const started = [];
+    daemon.on('job:start', job => started.push(job.type));
+
+    const red = daemon.epd.createBuffer(colors.RED);
+    const [clear, display] = await Promise.all([
+        daemon.submit({ type: 'clear', color: colors.BLUE }),
+        daemon.submit({ type: 'display', buffer: red })
+    ]);
+    assert.deepStrictEqual(started, ['clear', 'display']);
+    assert.strictEqual(clear.supersededBy, undefined);
+    assert.strictEqual(display.supersededBy, undefined);
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(red));
+
+    // Only a display with the same ifChanged setting replaces a waiting one
+    const [unchanged, forced] = await Promise.all([
+        daemon.submit({ type: 'display', buffer: red, ifChanged: true }),
+        daemon.submit({ type: 'display', buffer: red })
+    ]);
+    assert.strictEqual(unchanged.skipped, true);
+    assert.strictEqual(forced.skipped, false);
+    assert.strictEqual(daemon.epd.backend.refreshCount, 4);
+    assert.strictEqual(daemon.getStatus().superseded, 0);
+});
+
+test('rejects invalid jobs before queueing them', async () => {
+    const daemon = createDaemon();
+    await assert.rejects(daemon.submit({ type: 'clear' }), /not running/);
+    await daemon.start();
+    await assert.rejects(daemon.submit({ type: 'explode' }), /Unknown job type/);
+    await assert.rejects(daemon.submit({ type: 'display', buffer: Buffer.alloc(10) }), /Buffer size mismatch/);
+    await assert.rejects(daemon.submit({ type: 'display' }), /Expected a Buffer/);
+    assert.strictEqual(daemon.getStatus().completed, 0);
+});
+
+test('puts the panel to sleep once the queue stays empty', async () => {
+    const daemon = createDaemon({ sleepTimeout: 10 });
+    const events = [];
+    daemon.on('panel:init', () => events.push('init'));
+    daemon.on('panel:sleep', () => events.push('sleep'));
+    await daemon.start();
+
+    await daemon.submit({ type: 'clear' });
+    assert.strictEqual(daemon.getStatus().panel, 'awake');
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.deepStrictEqual(events, ['init', 'sleep']);
+
+    await daemon.submit({ type: 'clear' });
+    assert.deepStrictEqual(events, ['init', 'sleep', 'init']);
+});
+
+test('refuses to start while another live process holds the lock', async () => {
+    const daemon = createDaemon();
+    fs.writeFileSync(daemon.lockPath, String(process.ppid));
+    await assert.rejects(daemon.start(), /already owned/);
+
+    // A lock left by a process that is gone is replaced
+    fs.writeFileSync(daemon.lockPath, '999999999');
+    await daemon.start();
+    await daemon.stop();
+});
+
+test('releases the socket and lock when the panel fails to close', async () => {
+    const daemon = createDaemon();
+    await daemon.start();
+    await daemon.submit({ type: 'clear' });
+    daemon.epd.backend.exit = () => {
+        throw new Error('GPIO release failed');
+    };
+
+    await assert.rejects(daemon.stop(), /GPIO release failed/);
+    assert.strictEqual(fs.existsSync(daemon.lockPath), false);
+    assert.strictEqual(fs.existsSync(daemon.socketPath), false);
+    assert.strictEqual(daemon.running, false);
+});
+
+test('answers malformed client requests with an error', async () => {
+    const daemon = createDaemon();
+    await daemon.start();
+
+    const responses = await sendRaw(daemon.socketPath, 'not json\n{"id":7,"type":"explode"}\n');
+    assert.deepStrictEqual(responses[0], { id: null, ok: false, error: 'Invalid JSON request' });
+    assert.strictEqual(responses[1].id, 7);
+    assert.match(responses[1].error, /Unknown job type/);
+});
+
+test('drops a client whose request line exceeds the limit', async () => {
+    const daemon = createDaemon();
+    await daemon.start();
+
+    const responses = await sendRaw(daemon.socketPath, 'x'.repeat(1024 * 1024 + 1));
+    assert.strictEqual(responses.length, 1);
+    assert.match(responses[0].error, /Request line longer than 1048576 characters/);
+
+    // Other clients are still served
+    const client = new FramikClient({ socketPath: daemon.socketPath });
+    assert.strictEqual((await client.status()).running, true);
+});
+
+test('exits with a usage error on a missing or invalid option value', () => {
+    for (const args of [['--sleep-timeout'], ['--sleep-timeout', 'soon'], ['--sleep-timeout', '-5'], ['--socket']]) {
+        const result = runCli(args);
+        assert.strictEqual(result.status, 2, args.join(' '));
+        assert.match(result.stderr, /^Error: (Missing value for|Invalid) --/);
+        assert.match(result.stderr, /Usage: framik-daemon/);
+    }
+    assert.match(runCli(['--frobnicate', 'x']).stderr, /Unknown option: --frobnicate/);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+const { getBlueNoiseMatrix } = require('./lib/dither');
+
+/**
+ * Dithering tests
+ * Map synthetic RGB images to the panel inks with every color method:
+ *   node --test test-dither.js
+ */
+
+const { COLOR_METHODS, DITHER_METHODS } = EPD7in3e;
+
+const epd = new EPD7in3e({ backend: 'virtual' });
+const colors = epd.colors;
+
+function solidImage(width, height, rgb, channels = 3) {
+    const data = Buffer.alloc(width * height * channels, 255);
+    for (let i = 0; i < width * height; i++) {
+        data[i * channels] = rgb[0];
+        data[i * channels + 1] = rgb[1];
+        data[i * channels + 2] = rgb[2];
+    }
+    return data;
+}
+
+/**
+ * Count the pixels of each color in the top-left width x height region
+ */
+function histogram(buffer, width, height) {
+    const counts = {};
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const color = epd.getPixel(buffer, x, y);
+            counts[color] = (counts[color] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+test('lists the per-pixel mappings followed by the dithering methods', () => {
+    assert.deepStrictEqual(DITHER_METHODS, ['floyd-steinberg', 'atkinson', 'stucki', 'sierra', 'bayer', 'blue-noise']);
+    assert.deepStrictEqual(COLOR_METHODS, ['closest', 'threshold', 'exact', ...DITHER_METHODS]);
+});
+
+test('keeps solid ink colors unchanged with error diffusion', () => {
+    for (const method of DITHER_METHODS.slice(0, 4)) {
+        for (const [name, rgb] of [['RED', [255, 0, 0]], ['BLUE', [0, 0, 255]], ['WHITE', [255, 255, 255]]]) {
+            const buffer = epd.createBufferFromRGBAdvanced(solidImage(32, 16, rgb), 32, 16, 3, method);
+            assert.deepStrictEqual(histogram(buffer, 32, 16), { [colors[name]]: 32 * 16 }, `${method} ${name}`);
+        }
+    }
+});
+
+test('mixes black and white to render mid gray', () => {
+    const gray = solidImage(64, 64, [128, 128, 128]);
+    const flat = histogram(epd.createBufferFromRGBAdvanced(gray, 64, 64, 3, 'closest'), 64, 64);
+    assert.strictEqual(Object.keys(flat).length, 1);
+
+    for (const method of DITHER_METHODS) {
+        const counts = histogram(epd.createBufferFromRGBAdvanced(gray, 64, 64, 3, method), 64, 64);
+        const white = counts[colors.WHITE] || 0;
+        const black = counts[colors.BLACK] || 0;
+        assert.ok(white > 64 * 64 * 0.3 && black > 64 * 64 * 0.3, `${method}: ${JSON.stringify(counts)}`);
+    }
+});
+
+test('produces the same frame on every run', () => {
+    const gradient = Buffer.alloc(48 * 32 * 3);
+    for (let i = 0; i < 48 * 32; i++) {
+        gradient[i * 3] = (i * 7) % 256;
+        gradient[i * 3 + 1] = (i * 3) % 256;
+        gradient[i * 3 + 2] = i % 256;
+    }
+    for (const method of DITHER_METHODS) {
+        const first = epd.createBufferFromRGBDithered(gradient, 48, 32, 3, method);
+        const second = epd.createBufferFromRGBDithered(gradient, 48, 32, 3, method);
+        assert.ok(first.equals(second), method);
+    }
+});
+
+test('reads RGBA input and crops images larger than the panel', () => {
+    const rgba = solidImage(900, 10, [0, 255, 0], 4);
+    const buffer = epd.createBufferFromRGBDithered(rgba, 900, 10, 4, 'atkinson');
+    assert.deepStrictEqual(histogram(buffer, 800, 10), { [colors.GREEN]: 8000 });
+    // Rows below the image stay at the zero-filled default
+    assert.strictEqual(epd.getPixel(buffer, 0, 10), 0);
+});
+
+test('generates a blue-noise matrix ranking every cell once', () => {
+    const matrix = getBlueNoiseMatrix();
+    assert.strictEqual(matrix.length, 64);
+    const ranks = matrix.flat().sort((a, b) => a - b);
+    assert.deepStrictEqual(ranks, Array.from({ length: 64 * 64 }, (_, i) => i));
+    assert.strictEqual(getBlueNoiseMatrix(), matrix);
+});
+
+test('rejects unknown dithering methods', () => {
+    const image = solidImage(2, 2, [0, 0, 0]);
+    assert.throws(() => epd.createBufferFromRGBDithered(image, 2, 2, 3, 'closest'), /Unknown dithering method "closest"/);
+    assert.throws(() => epd.createBufferFromRGBDithered(image, 2, 2, 3, 'halftone'), /Expected one of: floyd-steinberg/);
+});
@@ -0,0 +1,202 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EPD7in3e = require('./index.js');
+const FramikDaemon = require('./lib/daemon');
+const FramikClient = require('./lib/client');
+const FramikHttpServer = require('./lib/http-server');
+const { toEPDError } = require('./lib/errors');
+
+/**
+ * Hardware fault tests
+ * Simulate busy timeouts and failed inits on the virtual backend and check the typed errors,
+ * the resets and the retries:
+ *   node --test test-faults.js
+ */
+
+const { EPDError, EPDInitError, EPDBusyTimeoutError } = EPD7in3e;
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function createDisplay(faultPolicy) {
+    return new EPD7in3e({ backend: 'virtual', faultPolicy });
+}
+
+test('reports refresh timeouts as typed errors and resets the panel', () => {
+    const epd = createDisplay();
+    epd.init();
+    epd.backend.simulateFault('refresh');
+
+    assert.throws(() => epd.clear(epd.colors.RED), error => {
+        assert.ok(error instanceof EPDBusyTimeoutError);
+        assert.ok(error instanceof EPDError);
+        assert.strictEqual(error.name, 'EPDBusyTimeoutError');
+        assert.strictEqual(error.code, 'EPD_BUSY_TIMEOUT');
+        assert.strictEqual(error.stage, 'refresh');
+        assert.strictEqual(error.timeout, 60000);
+        assert.strictEqual(error.message, 'e-Paper still busy after 60000 ms (refresh)');
+        return true;
+    });
+    assert.strictEqual(epd.getPowerState(), 'initialized');
+    assert.strictEqual(epd.getLastFrame(), null);
+
+    // The next refresh resets the panel first
+    epd.clear(epd.colors.RED);
+    assert.strictEqual(epd.getPowerState(), 'awake');
+    assert.strictEqual(epd.backend.refreshCount, 1);
+    epd.exit();
+});
+
+test('reports init failures with the step that failed', async () => {
+    const epd = createDisplay({ retries: 2 });
+    epd.backend.simulateFault('open');
+    assert.throws(() => epd.init(), error => {
+        assert.ok(error instanceof EPDInitError);
+        assert.strictEqual(error.code, 'EPD_INIT_FAILED');
+        assert.strictEqual(error.stage, 'open');
+        assert.strictEqual(error.timeout, null);
+        return true;
+    });
+    // A missing interface is not a panel fault, so it is not retried
+    assert.strictEqual(epd.getPowerState(), 'off');
+    assert.deepStrictEqual(epd.backend.faults, { open: 0 });
+
+    const stuck = createDisplay({ busyTimeout: 500 });
+    stuck.backend.simulateFault('reset');
+    await assert.rejects(stuck.initAsync(), error => {
+        assert.ok(error instanceof EPDInitError);
+        assert.strictEqual(error.stage, 'reset');
+        assert.strictEqual(error.timeout, 500);
+        return true;
+    });
+    assert.strictEqual(stuck.getPowerState(), 'initialized');
+    await stuck.wakeAsync();
+    assert.strictEqual(stuck.getPowerState(), 'awake');
+    stuck.exit();
+});
+
+test('retries a timed out refresh after a reset', async () => {
+    const epd = createDisplay({ retries: 2 });
+    epd.init();
+    epd.backend.simulateFault('refresh', 2);
+    epd.clear(epd.colors.BLUE);
+    assert.strictEqual(epd.backend.refreshCount, 1);
+    assert.ok(epd.getLastFrame().equals(epd.createBuffer(epd.colors.BLUE)));
+
+    epd.backend.simulateFault('power-on', 2);
+    await epd.displayAsync(epd.createBuffer(epd.colors.GREEN));
+    assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(epd.colors.GREEN)));
+
+    epd.backend.simulateFault('power-off', 3);
+    await assert.rejects(epd.clearAsync(epd.colors.WHITE), /still busy after 10000 ms \(power-off\)/);
+    assert.strictEqual(epd.getPowerState(), 'initialized');
+    epd.exit();
+});
+
+test('puts the panel up for a reset when sleep times out', async () => {
+    const epd = createDisplay();
+    epd.init();
+    epd.backend.simulateFault('sleep');
+    assert.throws(() => epd.sleep(), EPDBusyTimeoutError);
+    assert.strictEqual(epd.getPowerState(), 'initialized');
+
+    epd.wake();
+    epd.backend.simulateFault('sleep');
+    await assert.rejects(epd.sleepAsync(), { stage: 'sleep' });
+    assert.strictEqual(epd.getPowerState(), 'initialized');
+    epd.exit();
+});
+
+test('rejects replaced refreshes when the refresh that replaced them fails', async () => {
+    const epd = new EPD7in3e({ backend: 'virtual', refreshPolicy: { minInterval: 150 } });
+    await epd.initAsync();
+    await epd.clearAsync(epd.colors.WHITE);
+
+    const first = epd.displayAsync(epd.createBuffer(epd.colors.RED));
+    const second = epd.displayAsync(epd.createBuffer(epd.colors.GREEN));
+    epd.backend.simulateFault('refresh');
+    await assert.rejects(first, /still busy/);
+    await assert.rejects(second, /still busy/);
+    epd.exit();
+});
+
+test('validates the fault policy', () => {
+    const epd = createDisplay();
+    assert.deepStrictEqual(epd.getFaultPolicy(), { busyTimeout: 10000, refreshTimeout: 60000, retries: 0 });
+    epd.setFaultPolicy({ busyTimeout: 0, refreshTimeout: 30000, retries: 1 });
+    assert.deepStrictEqual(epd.getFaultPolicy(), { busyTimeout: 0, refreshTimeout: 30000, retries: 1 });
+    assert.strictEqual(epd.backend.refreshTimeout, 30000);
+
+    assert.throws(() => epd.setFaultPolicy({ retries: -1 }), /Invalid retries -1. Expected a non-negative integer/);
+    assert.throws(() => epd.setFaultPolicy({ busyTimeout: 1.5 }), /Invalid busyTimeout 1.5/);
+    assert.throws(() => epd.backend.simulateFault('smoke'), /Unknown fault stage "smoke". Expected one of: open, reset, power-on, refresh, power-off, sleep/);
+});
+
+test('types the errors raised by the native addon', () => {
+    const busy = Object.assign(new Error('e-Paper still busy after 10000 ms (power-on)'), { code: 'EPD_BUSY_TIMEOUT', stage: 'power-on', timeout: 10000 });
+    const typed = toEPDError(busy);
+    assert.ok(typed instanceof EPDBusyTimeoutError);
+    assert.strictEqual(typed.message, busy.message);
+    assert.strictEqual(typed.timeout, 10000);
+
+    const init = toEPDError(Object.assign(new Error('Failed to initialize e-Paper module'), { code: 'EPD_INIT_FAILED', stage: 'open' }));
+    assert.ok(init instanceof EPDInitError);
+    assert.strictEqual(init.timeout, null);
+
+    const other = new TypeError('Expected buffer');
+    assert.strictEqual(toEPDError(other), other);
+});
+
+test('reports faults to daemon clients and in the status', async () => {
+    const epd = createDisplay();
+    const daemon = new FramikDaemon({
+        epd,
+        socketPath: path.join(dir, 'framik.sock'),
+        lockPath: path.join(dir, 'framik.lock'),
+        sleepTimeout: 60000
+    });
+    daemon.on('job:error', () => {});
+    await daemon.start();
+    const server = new FramikHttpServer(daemon, { port: 0 });
+    await server.listen();
+    try {
+        const client = new FramikClient({ socketPath: daemon.socketPath });
+        await client.clear(epd.colors.WHITE);
+
+        epd.backend.simulateFault('refresh');
+        await assert.rejects(client.clear(epd.colors.RED), { code: 'EPD_BUSY_TIMEOUT', stage: 'refresh' });
+        const status = await client.status();
+        assert.strictEqual(status.panel, 'initialized');
+        assert.strictEqual(status.lastFault.code, 'EPD_BUSY_TIMEOUT');
+        assert.strictEqual(status.lastFault.stage, 'refresh');
+        assert.strictEqual(status.lastFault.timeout, 60000);
+        assert.strictEqual(status.failed, 1);
+
+        epd.backend.simulateFault('power-on');
+        const response = await fetch(`http://127.0.0.1:${server.port}/clear?color=red`, { method: 'POST' });
+        assert.strictEqual(response.status, 500);
+        assert.deepStrictEqual(await response.json(), {
+            error: 'e-Paper still busy after 10000 ms (power-on)',
+            code: 'EPD_INIT_FAILED',
+            stage: 'power-on'
+        });
+
+        // The panel recovers on the next job
+        await client.clear(epd.colors.RED);
+        assert.strictEqual((await client.status()).panel, 'awake');
+        assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(epd.colors.RED)));
+    } finally {
+        await server.close();
+        await daemon.stop();
+    }
+});
@@ -0,0 +1,194 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const EPD7in3e = require('./index.js');
+const { parseSfnt } = require('./lib/sfnt');
+
+/**
+ * Text rendering tests
+ * Lay out text with the bundled bitmap fonts and the Lato subsets in test-fixtures/,
+ * and feed the font parser damaged files:
+ *   node --test test-font.js
+ */
+
+const TTF_PATH = path.join(__dirname, 'test-fixtures', 'lato-subset.ttf');
+const OTF_PATH = path.join(__dirname, 'test-fixtures', 'lato-subset.otf');
+
+const epd = new EPD7in3e({ backend: 'virtual' });
+const colors = epd.colors;
+
+/**
+ * Find a table record in an sfnt file
+ * @returns {Object} { record, offset, length } where record is the directory entry position
+ */
+function findTable(font, tag) {
+    const numTables = font.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        if (font.toString('latin1', record, record + 4) === tag) {
+            return { record, offset: font.readUInt32BE(record + 8), length: font.readUInt32BE(record + 12) };
+        }
+    }
+    throw new Error(`No ${tag} table`);
+}
+
+function countInk(buffer) {
+    let count = 0;
+    for (let y = 0; y < epd.getHeight(); y++) {
+        for (let x = 0; x < epd.getWidth(); x++) {
+            count += epd.getPixel(buffer, x, y) !== colors.WHITE ? 1 : 0;
+        }
+    }
+    return count;
+}
+
+test('draws and measures text with the built-in bitmap fonts', () => {
+    assert.deepStrictEqual(EPD7in3e.BUILTIN_FONT_NAMES, ['Font8', 'Font12', 'Font16', 'Font20', 'Font24']);
+
+    const metrics = epd.measureText('Hello', { font: 'Font16' });
+    assert.strictEqual(metrics.height, 16);
+    assert.strictEqual(metrics.width % 5, 0);
+    assert.deepStrictEqual(metrics.lines, ['Hello']);
+
+    const buffer = epd.createBuffer(colors.WHITE);
+    const drawn = epd.drawText(buffer, 10, 20, 'Hello', { font: 'Font16', color: colors.RED });
+    assert.deepStrictEqual(drawn, metrics);
+    for (let y = 0; y < epd.getHeight(); y++) {
+        for (let x = 0; x < epd.getWidth(); x++) {
+            const color = epd.getPixel(buffer, x, y);
+            if (color !== colors.WHITE) {
+                assert.strictEqual(color, colors.RED);
+                assert.ok(x >= 10 && x < 10 + metrics.width && y >= 20 && y < 36, `${x},${y}`);
+            }
+        }
+    }
+
+    // The size picks the closest built-in font when none is named
+    assert.strictEqual(epd.measureText('A', { size: 23 }).height, 24);
+    assert.throws(() => epd.measureText('A', { font: 'Comic' }), /Unknown font "Comic"/);
+});
+
+test('wraps, aligns and truncates text in a box', () => {
+    const wrapped = epd.measureText('one two three four', { font: 'Font12', width: 60 });
+    assert.ok(wrapped.lines.length > 1);
+    assert.ok(wrapped.width <= 60);
+    assert.strictEqual(wrapped.lines.join(' '), 'one two three four');
+
+    const cut = epd.measureText('one two three four', { font: 'Font12', width: 60, height: 12 });
+    assert.strictEqual(cut.lines.length, 1);
+    assert.strictEqual(cut.truncated, true);
+
+    // Right-aligned text ends at the box edge
+    const buffer = epd.createBuffer(colors.WHITE);
+    epd.drawText(buffer, 0, 0, 'ab', { font: 'Font16', width: 200, align: 'right' });
+    let rightmost = -1;
+    for (let x = 0; x < 200; x++) {
+        for (let y = 0; y < 16; y++) {
+            if (epd.getPixel(buffer, x, y) !== colors.WHITE) {
+                rightmost = x;
+            }
+        }
+    }
+    assert.ok(rightmost > 180 && rightmost < 200, String(rightmost));
+
+    assert.throws(() => epd.measureText('a', { align: 'justify' }), /Invalid alignment "justify"/);
+    assert.throws(() => epd.measureText('a', { width: -5 }), /width must be a positive number/);
+    assert.throws(() => epd.measureText(42), /Text must be a string/);
+});
+
+test('parses TrueType and CFF OpenType fonts alike', () => {
+    const ttf = parseSfnt(fs.readFileSync(TTF_PATH));
+    const otf = parseSfnt(fs.readFileSync(OTF_PATH));
+
+    for (const font of [ttf, otf]) {
+        assert.strictEqual(font.unitsPerEm, 2000);
+        assert.strictEqual(font.ascender, 1974);
+        assert.strictEqual(font.descender, -426);
+        assert.strictEqual(font.numGlyphs, 7);
+        assert.strictEqual(font.glyphIndex('x'.codePointAt(0)), 0);
+        assert.strictEqual(font.advanceWidth(font.glyphIndex('H'.codePointAt(0))), 1512);
+        assert.deepStrictEqual(font.glyphPath(font.glyphIndex('H'.codePointAt(0)))[0], ['M', 1336, 0]);
+        assert.deepStrictEqual(font.glyphPath(99), []);
+    }
+
+    // é is a composite glyph in the TrueType file: base letter plus accent
+    const eacute = ttf.glyphPath(ttf.glyphIndex('é'.codePointAt(0)));
+    assert.strictEqual(eacute.filter(command => command[0] === 'M').length, 3);
+    assert.ok(eacute.some(command => command[0] === 'Q'));
+    assert.ok(otf.glyphPath(otf.glyphIndex('é'.codePointAt(0))).some(command => command[0] === 'C'));
+});
+
+test('renders loaded fonts at any size', () => {
+    const ttf = EPD7in3e.loadFont(TTF_PATH);
+    const otf = EPD7in3e.loadFont(fs.readFileSync(OTF_PATH));
+    assert.strictEqual(ttf.name, 'lato-subset');
+    assert.strictEqual(otf.name, 'font');
+
+    const small = epd.measureText('Hi!', { font: ttf, size: 20 });
+    const large = epd.measureText('Hi!', { font: ttf, size: 40 });
+    assert.ok(large.width > small.width * 1.8 && large.width < small.width * 2.2);
+    assert.deepStrictEqual(epd.measureText('Hi!', { font: otf, size: 40 }), large);
+
+    // Quadratic and cubic outlines of the same glyph rasterize identically
+    const fromTTF = epd.createBuffer(colors.WHITE);
+    const fromOTF = epd.createBuffer(colors.WHITE);
+    epd.drawText(fromTTF, 5, 5, 'Hié', { font: ttf, size: 48 });
+    epd.drawText(fromOTF, 5, 5, 'Hié', { font: otf, size: 48 });
+    assert.ok(countInk(fromTTF) > 500);
+    assert.ok(fromTTF.equals(fromOTF));
+
+    assert.throws(() => EPD7in3e.loadFont(42), /Font must be a file path or a Buffer/);
+    assert.throws(() => epd.measureText('a', { font: {} }), /Font must be a built-in font name or a font returned by loadFont/);
+});
+
+test('rejects files that are not fonts', () => {
+    assert.throws(() => parseSfnt(Buffer.from('definitely not a font file')), /^Error: Not a TrueType or OpenType font$/);
+    assert.throws(() => parseSfnt(Buffer.from('ttcf\0\0\0\0\0\0\0\0')), /Font collections \(\.ttc\) are not supported/);
+
+    // A header announcing 60000 tables in a 12-byte file
+    const header = Buffer.from([0, 1, 0, 0, 0xEA, 0x60, 0, 0, 0, 0, 0, 0]);
+    assert.throws(() => parseSfnt(header), /^Error: Not a TrueType or OpenType font$/);
+});
+
+test('reports truncated and malformed fonts as corrupt', () => {
+    const ttf = fs.readFileSync(TTF_PATH);
+    const otf = fs.readFileSync(OTF_PATH);
+
+    for (const font of [ttf, otf]) {
+        assert.throws(() => parseSfnt(font.subarray(0, font.length >> 1)), /Corrupt font: the .+ table extends past the end of the file/);
+    }
+
+    const noCmap = Buffer.from(ttf);
+    noCmap.write('xmap', findTable(noCmap, 'cmap').record, 'latin1');
+    assert.throws(() => parseSfnt(noCmap), /Font is missing the cmap table/);
+
+    const zeroEm = Buffer.from(ttf);
+    zeroEm.writeUInt16BE(0, findTable(zeroEm, 'head').offset + 18);
+    assert.throws(() => parseSfnt(zeroEm), /Corrupt font: unitsPerEm is 0/);
+
+    const shortGlyf = Buffer.from(ttf);
+    shortGlyf.writeUInt32BE(16, findTable(shortGlyf, 'glyf').record + 12);
+    assert.throws(() => parseSfnt(shortGlyf), /Corrupt font: glyph \d+ starts past the end of the glyf table/);
+
+    const badCff = Buffer.from(otf);
+    const cff = findTable(badCff, 'CFF ').offset;
+    // offSize of the name INDEX, which must be 1 to 4
+    badCff[cff + badCff[cff + 2] + 2] = 7;
+    assert.throws(() => parseSfnt(badCff), /Corrupt font: a CFF INDEX is out of bounds/);
+});
+
+test('reports outlines that run past their glyph data', () => {
+    const damaged = Buffer.from(fs.readFileSync(TTF_PATH));
+    const head = findTable(damaged, 'head').offset;
+    const loca = findTable(damaged, 'loca').offset;
+    const glyf = findTable(damaged, 'glyf').offset;
+    const glyph = parseSfnt(damaged).glyphIndex('H'.codePointAt(0));
+    const start = damaged.readInt16BE(head + 50) === 0 ? damaged.readUInt16BE(loca + glyph * 2) * 2 : damaged.readUInt32BE(loca + glyph * 4);
+    // Claim far more contours than the glyph holds
+    damaged.writeInt16BE(0x7FFF, glyf + start);
+
+    const font = EPD7in3e.loadFont(damaged);
+    assert.throws(() => epd.measureText('H', { font, size: 20 }), new RegExp(`Corrupt font: the outline of glyph ${glyph} is truncated`));
+    assert.ok(epd.measureText('i', { font, size: 20 }).width > 0);
+});
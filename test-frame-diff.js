@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const EPD7in3e = require('./index.js');
+const { compareFrames, countChangedPixels } = require('./lib/frame-diff');
+
+/**
+ * Frame comparison tests
+ * Track the last frame sent to the virtual panel and skip refreshes that would not change it:
+ *   node --test test-frame-diff.js
+ */
+
+function createDisplay() {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    epd.init();
+    return epd;
+}
+
+test('counts changed pixels in both nibbles', () => {
+    const previous = Buffer.from([0x11, 0x11, 0x11]);
+    assert.strictEqual(countChangedPixels(previous, Buffer.from([0x11, 0x11, 0x11])), 0);
+    assert.strictEqual(countChangedPixels(previous, Buffer.from([0x31, 0x13, 0x33])), 4);
+
+    const stats = compareFrames(previous, Buffer.from([0x10, 0x11, 0x11]));
+    assert.strictEqual(stats.changed, true);
+    assert.strictEqual(stats.changedPixels, 1);
+    assert.strictEqual(stats.totalPixels, 6);
+    assert.ok(Math.abs(stats.percentChanged - 100 / 6) < 1e-9);
+    assert.strictEqual(stats.hash, crypto.createHash('sha256').update(Buffer.from([0x10, 0x11, 0x11])).digest('hex'));
+
+    // Without a previous frame every pixel counts as changed
+    assert.strictEqual(compareFrames(null, previous).changedPixels, 6);
+});
+
+test('remembers the frames that are displayed and cleared', async () => {
+    const epd = createDisplay();
+    const colors = epd.colors;
+    assert.strictEqual(epd.getLastFrame(), null);
+    assert.strictEqual(epd.compareFrame(epd.createBuffer(colors.WHITE)).percentChanged, 100);
+
+    const red = epd.createBuffer(colors.RED);
+    epd.display(red);
+    assert.ok(epd.getLastFrame().equals(red));
+    assert.strictEqual(epd.getLastFrameHash(), epd.compareFrame(red).hash);
+    assert.strictEqual(epd.compareFrame(red).previousHash, epd.getLastFrameHash());
+    // The buffer is copied, so later drawing does not change the remembered frame
+    red[0] = 0x00;
+    assert.strictEqual(epd.compareFrame(red).changedPixels, 2);
+
+    epd.clear(colors.BLUE);
+    assert.strictEqual(epd.compareFrame(epd.createBuffer(colors.BLUE)).changed, false);
+    await epd.clearAsync(colors.GREEN);
+    assert.strictEqual(epd.compareFrame(epd.createBuffer(colors.GREEN)).changed, false);
+
+    // Test patterns leave the content unknown
+    epd.show7Block();
+    assert.strictEqual(epd.getLastFrameHash(), null);
+    await epd.displayAsync(epd.createBuffer(colors.YELLOW));
+    await epd.showAsync();
+    assert.strictEqual(epd.getLastFrame(), null);
+
+    epd.clear(colors.BLACK);
+    epd.resetLastFrame();
+    assert.strictEqual(epd.compareFrame(epd.createBuffer(colors.BLACK)).changed, true);
+});
+
+test('only refreshes when enough pixels change', async () => {
+    const epd = createDisplay();
+    const colors = epd.colors;
+    const frame = epd.createBuffer(colors.WHITE);
+    assert.strictEqual(epd.displayIfChanged(frame).displayed, true);
+    assert.strictEqual(epd.backend.refreshCount, 1);
+
+    const unchanged = epd.displayIfChanged(Buffer.from(frame));
+    assert.strictEqual(unchanged.displayed, false);
+    assert.strictEqual(unchanged.changedPixels, 0);
+    assert.strictEqual(epd.backend.refreshCount, 1);
+
+    // One row of 800 pixels out of 384000 is about 0.21%
+    for (let x = 0; x < 800; x++) {
+        epd.setPixel(frame, x, 0, colors.RED);
+    }
+    const small = await epd.displayIfChangedAsync(frame, { threshold: 0.5 });
+    assert.strictEqual(small.displayed, false);
+    assert.strictEqual(small.changedPixels, 800);
+    assert.strictEqual((await epd.displayIfChangedAsync(frame, { threshold: 0.2 })).displayed, true);
+    assert.strictEqual(epd.backend.refreshCount, 2);
+    assert.ok(epd.backend.getFramebuffer().equals(frame));
+});
+
+test('compares queued frames against the frame left by earlier operations', async () => {
+    const epd = createDisplay();
+    const colors = epd.colors;
+    const blue = epd.createBuffer(colors.BLUE);
+    const results = await Promise.all([
+        epd.displayIfChangedAsync(blue),
+        epd.clearAsync(colors.RED),
+        epd.displayIfChangedAsync(blue),
+        epd.displayIfChangedAsync(blue)
+    ]);
+    assert.deepStrictEqual([results[0].displayed, results[2].displayed, results[3].displayed], [true, true, false]);
+});
+
+test('leaves the content unknown when a refresh fails', async () => {
+    const epd = createDisplay();
+    const frame = epd.createBuffer(epd.colors.RED);
+    epd.display(frame);
+    epd.backend.sleep();
+    assert.throws(() => epd.display(epd.createBuffer(epd.colors.BLUE)), /asleep/);
+    assert.strictEqual(epd.getLastFrame(), null);
+    assert.strictEqual(epd.compareFrame(frame).changed, true);
+});
+
+test('rejects invalid buffers', async () => {
+    const epd = createDisplay();
+    assert.throws(() => epd.compareFrame('frame'), /Expected a Buffer object/);
+    assert.throws(() => epd.displayIfChanged(Buffer.alloc(10)), /Buffer size mismatch. Expected 192000 bytes, got 10/);
+    await assert.rejects(epd.displayIfChangedAsync(Buffer.alloc(10)), /Buffer size mismatch/);
+    await assert.rejects(epd.displayIfChangedAsync(null), /Expected a Buffer object/);
+    assert.throws(() => new EPD7in3e({ backend: 'virtual' }).displayIfChanged(epd.createBuffer()), /not initialized/i);
+});
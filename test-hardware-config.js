@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const EPD7in3e = require('./index.js');
+const {
+    DEFAULT_PINS, JETSON_PINS, boardOf, boardDefaults, readModel, resolveHardwareConfig, claimHardware, releaseHardware
+} = require('./lib/hardware-config');
+
+/**
+ * Hardware configuration tests
+ * Check the pin mapping, interface options and board defaults without opening anything:
+ *   node --test test-hardware-config.js
+ */
+
+// Drivers and pins the backends fill in on the machine running the tests
+const HOST = boardDefaults(boardOf(readModel()));
+
+function runDaemon(args) {
+    return spawnSync(process.execPath, [path.join(__dirname, 'bin', 'framik-daemon.js'), ...args], {
+        encoding: 'utf8',
+        timeout: 10000
+    });
+}
+
+test('defaults to the Waveshare HAT wiring', () => {
+    assert.deepStrictEqual(DEFAULT_PINS, { rst: 17, dc: 25, cs: 8, busy: 24, pwr: 18, mosi: 10, sclk: 11 });
+    assert.strictEqual(EPD7in3e.DEFAULT_PINS, DEFAULT_PINS);
+    assert.deepStrictEqual(resolveHardwareConfig({}, 'raspberry-pi'), {
+        pins: { rst: 17, dc: 25, cs: 8, busy: 24, pwr: 18, mosi: 10, sclk: 11 },
+        spiDevice: '/dev/spidev0.0',
+        spiSpeedHz: 10000000,
+        gpioChip: null,
+        gpioDriver: 'gpiod',
+        spiDriver: 'spidev'
+    });
+});
+
+test('overrides single pins and the interfaces', () => {
+    const epd = new EPD7in3e({
+        backend: 'virtual',
+        pins: { ...HOST.pins, rst: 5, busy: 13 },
+        spiDevice: '/dev/spidev1.0',
+        spiSpeedHz: 4000000,
+        gpioChip: 4
+    });
+    const config = epd.getHardwareConfig();
+    assert.deepStrictEqual(config, {
+        pins: { ...HOST.pins, rst: 5, busy: 13 },
+        spiDevice: '/dev/spidev1.0',
+        spiSpeedHz: 4000000,
+        gpioChip: '/dev/gpiochip4',
+        gpioDriver: HOST.gpioDriver,
+        spiDriver: HOST.spiDriver
+    });
+
+    // The returned configuration is a copy
+    config.pins.rst = 6;
+    assert.strictEqual(epd.getHardwareConfig().pins.rst, 5);
+    assert.strictEqual(resolveHardwareConfig({ gpioChip: '/dev/gpiochip0' }).gpioChip, '/dev/gpiochip0');
+});
+
+test('rejects invalid pin mappings and interfaces', () => {
+    assert.throws(() => resolveHardwareConfig({ pins: { miso: 9 } }), /Unknown pin "miso". Expected one of: rst, dc, cs, busy, pwr, mosi, sclk/);
+    assert.throws(() => resolveHardwareConfig({ pins: { busy: -1 } }), /Invalid GPIO number -1 for pin busy/);
+    assert.throws(() => resolveHardwareConfig({ pins: { busy: '24' } }), /Invalid GPIO number 24 for pin busy/);
+    assert.throws(() => resolveHardwareConfig({ pins: { busy: 17 } }), /Pins rst and busy both use GPIO 17/);
+    assert.throws(() => resolveHardwareConfig({ spiDevice: 'spidev0.0' }), /Invalid spiDevice spidev0.0. Expected a \/dev path/);
+    assert.throws(() => resolveHardwareConfig({ gpioChip: `/dev/${'x'.repeat(60)}` }), /Paths are limited to 63 characters/);
+    assert.throws(() => resolveHardwareConfig({ spiSpeedHz: 0 }), /Invalid SPI speed 0. Expected a positive number of Hz/);
+    assert.throws(() => new EPD7in3e({ backend: 'virtual', pins: { dc: 2.5 } }), /Invalid GPIO number 2.5 for pin dc/);
+});
+
+test('reads the hardware options on the command line', () => {
+    const unknown = runDaemon(['--backend', 'virtual', '--pins', 'rst=5,miso=9']);
+    assert.strictEqual(unknown.status, 1);
+    assert.match(unknown.stderr, /Unknown pin "miso"/);
+
+    const invalid = runDaemon(['--pins', 'rst=five']);
+    assert.strictEqual(invalid.status, 2);
+    assert.match(invalid.stderr, /Invalid pin "rst=five". Expected name=GPIO, e.g. busy=24/);
+
+    const speed = runDaemon(['--spi-speed', 'fast']);
+    assert.strictEqual(speed.status, 2);
+    assert.match(speed.stderr, /--spi-speed/);
+
+    const driver = runDaemon(['--backend', 'virtual', '--spi-driver', 'i2c']);
+    assert.strictEqual(driver.status, 1);
+    assert.match(driver.stderr, /Unknown spiDriver "i2c". Expected one of: auto, spidev, software-spi/);
+});
+
+test('chooses the GPIO and SPI drivers per display', () => {
+    const epd = new EPD7in3e({ backend: 'virtual', gpioDriver: 'lgpio', spiDriver: 'software-spi' });
+    assert.strictEqual(epd.getHardwareConfig().gpioDriver, 'lgpio');
+    assert.strictEqual(epd.getHardwareConfig().spiDriver, 'software-spi');
+    assert.deepStrictEqual(EPD7in3e.GPIO_DRIVERS, ['gpiod', 'lgpio', 'sysfs']);
+    assert.deepStrictEqual(EPD7in3e.SPI_DRIVERS, ['spidev', 'software-spi']);
+
+    const auto = resolveHardwareConfig({ gpioDriver: 'auto', spiDriver: 'auto' }, 'raspberry-pi-5');
+    assert.strictEqual(auto.gpioDriver, 'gpiod');
+    assert.strictEqual(auto.spiDriver, 'spidev');
+    assert.throws(() => resolveHardwareConfig({ gpioDriver: 'wiringpi' }), /Unknown gpioDriver "wiringpi". Expected one of: auto, gpiod, lgpio, sysfs/);
+});
+
+test('only checks the MOSI and SCLK pins for the software SPI', () => {
+    // The hardware SPI drives MOSI and SCLK itself, so other pins may reuse their numbers
+    const spidev = resolveHardwareConfig({ pins: { pwr: 10 } }, 'raspberry-pi');
+    assert.strictEqual(spidev.pins.pwr, 10);
+    assert.throws(() => resolveHardwareConfig({ pins: { pwr: 10 }, spiDriver: 'software-spi' }, 'raspberry-pi'), /Pins pwr and mosi both use GPIO 10/);
+
+    // A bit-banged panel holds MOSI and SCLK but not the SPI device
+    const owner = {};
+    const other = {};
+    claimHardware(resolveHardwareConfig({ spiDriver: 'software-spi' }, 'raspberry-pi'), owner);
+    try {
+        claimHardware(resolveHardwareConfig({ pins: { rst: 2, dc: 3, cs: 4, busy: 5, pwr: 6 } }, 'raspberry-pi'), other);
+        releaseHardware(other);
+        assert.throws(() => claimHardware(resolveHardwareConfig({ pins: { rst: 2, dc: 3, cs: 4, busy: 5, pwr: 6 }, spiDriver: 'software-spi' }, 'raspberry-pi'), other),
+            /GPIO 10 \(mosi\) is already used by another panel/);
+    } finally {
+        releaseHardware(owner);
+        releaseHardware(other);
+    }
+});
+
+test('recognises the board family from its model', () => {
+    assert.strictEqual(boardOf('Raspberry Pi 5 Model B Rev 1.0'), 'raspberry-pi-5');
+    assert.strictEqual(boardOf('Raspberry Pi 4 Model B Rev 1.4'), 'raspberry-pi');
+    assert.strictEqual(boardOf('NVIDIA Jetson Nano Developer Kit'), 'jetson');
+    assert.strictEqual(boardOf('Radxa ROCK 5B'), 'unknown');
+    assert.strictEqual(boardOf(null), 'unknown');
+});
+
+test('fills in the drivers and pins of the board', () => {
+    const pi = resolveHardwareConfig({}, 'raspberry-pi');
+    assert.strictEqual(pi.gpioDriver, 'gpiod');
+    assert.strictEqual(pi.spiDriver, 'spidev');
+    assert.deepStrictEqual(pi.pins, DEFAULT_PINS);
+
+    const jetson = resolveHardwareConfig({ pins: { busy: 12 } }, 'jetson');
+    assert.strictEqual(jetson.gpioDriver, 'sysfs');
+    assert.strictEqual(jetson.spiDriver, 'software-spi');
+    assert.deepStrictEqual(jetson.pins, { ...JETSON_PINS, busy: 12 });
+    assert.throws(() => resolveHardwareConfig({ pins: { mosi: 50 } }, 'jetson'), /Pins rst and mosi both use GPIO 50/);
+
+    // Drivers given in the options win over the board
+    const config = resolveHardwareConfig({ gpioDriver: 'gpiod', spiDriver: 'auto' }, 'jetson');
+    assert.strictEqual(config.gpioDriver, 'gpiod');
+    assert.strictEqual(config.spiDriver, 'software-spi');
+});
+
+test('reports the same configuration in the probe as the backends use', () => {
+    const options = { spiDevice: '/dev/spidev0.1', pins: { busy: 27 } };
+    const report = EPD7in3e.probe(options);
+    const config = new EPD7in3e({ backend: 'virtual', ...options }).getHardwareConfig();
+    assert.strictEqual(report.board, boardOf(readModel()));
+    assert.strictEqual(report.config.gpioDriver, config.gpioDriver);
+    assert.strictEqual(report.config.spiDriver, config.spiDriver);
+    assert.strictEqual(report.config.spiDevice, '/dev/spidev0.1');
+    assert.deepStrictEqual(report.config.pins, config.pins);
+    // The probe names the chip the driver will open
+    assert.match(report.config.gpioChip, /^\/dev\/gpiochip\d+$/);
+    assert.strictEqual(report.ok, report.problems.length === 0);
+    if (!report.addon.loaded) {
+        assert.ok(report.problems.includes(report.addon.error));
+    }
+});
+
+test('prints the probe report on the command line', () => {
+    const result = runDaemon(['--probe', '--spi-device', '/dev/spidev9.9']);
+    const report = JSON.parse(result.stdout);
+    assert.strictEqual(report.config.spiDevice, '/dev/spidev9.9');
+    assert.ok(report.problems.includes('SPI device /dev/spidev9.9 not found'));
+    assert.strictEqual(report.ok, false);
+    assert.strictEqual(result.status, 1);
+});
@@ -0,0 +1,213 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const EPD7in3e = require('./index.js');
+const FramikDaemon = require('./lib/daemon');
+const FramikHttpServer = require('./lib/http-server');
+
+/**
+ * HTTP API tests
+ * Push images to a daemon on the virtual backend over a local HTTP server:
+ *   node --test test-http-server.js
+ */
+
+let dir;
+let daemon;
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+    daemon = new FramikDaemon({
+        epd: new EPD7in3e({ backend: 'virtual' }),
+        socketPath: path.join(dir, 'framik.sock'),
+        lockPath: path.join(dir, 'framik.lock'),
+        sleepTimeout: 60000
+    });
+    await daemon.start();
+    server = new FramikHttpServer(daemon, { port: 0, maxBodySize: 64 * 1024 });
+    await server.listen();
+    baseUrl = `http://127.0.0.1:${server.port}`;
+});
+
+afterEach(async () => {
+    await server.close();
+    await daemon.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function request(route, options = {}) {
+    const response = await fetch(baseUrl + route, options);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+function solidPNG(r, g, b, width = 80, height = 48) {
+    return sharp({ create: { width, height, channels: 3, background: { r, g, b } } }).png().toBuffer();
+}
+
+/**
+ * Build an 8-bit palette BMP with every pixel set to palette index 0
+ * @param {Object} options - Header overrides: colorsUsed, dataOffset
+ */
+function paletteBMP(color, options = {}) {
+    const width = 4;
+    const height = 2;
+    const paletteSize = 256 * 4;
+    const dataOffset = options.dataOffset !== undefined ? options.dataOffset : 54 + paletteSize;
+    const buffer = Buffer.alloc(54 + paletteSize + width * height);
+    buffer.write('BM', 0, 'ascii');
+    buffer.writeUInt32LE(buffer.length, 2);
+    buffer.writeUInt32LE(dataOffset, 10);
+    buffer.writeUInt32LE(40, 14);
+    buffer.writeInt32LE(width, 18);
+    buffer.writeInt32LE(height, 22);
+    buffer.writeUInt16LE(1, 26);
+    buffer.writeUInt16LE(8, 28);
+    buffer.writeUInt32LE(options.colorsUsed !== undefined ? options.colorsUsed : 256, 46);
+    buffer[54] = color[2];
+    buffer[55] = color[1];
+    buffer[56] = color[0];
+    return buffer;
+}
+
+test('reports the daemon status', async () => {
+    const { status, body } = await request('/status');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.running, true);
+    assert.strictEqual(body.backend, 'virtual');
+});
+
+test('answers unknown routes and methods with JSON errors', async () => {
+    const missing = await request('/nowhere');
+    assert.strictEqual(missing.status, 404);
+    assert.deepStrictEqual(missing.body, { error: 'Not found: /nowhere' });
+
+    const wrongMethod = await request('/display');
+    assert.strictEqual(wrongMethod.status, 405);
+    assert.strictEqual(wrongMethod.headers.get('allow'), 'POST');
+
+    await daemon.stop();
+    assert.strictEqual((await request('/status')).status, 503);
+});
+
+test('displays a raw image upload on the panel', async () => {
+    const { status, body } = await request('/display?fit=fill', { method: 'POST', body: await solidPNG(255, 0, 0) });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.type, 'display');
+
+    const framebuffer = daemon.epd.backend.getFramebuffer();
+    assert.ok(framebuffer.equals(daemon.epd.createBuffer(daemon.epd.colors.RED)));
+});
+
+test('letterboxes images on white with the default fit', async () => {
+    await request('/display', { method: 'POST', body: await solidPNG(0, 0, 255, 48, 48) });
+    const framebuffer = daemon.epd.backend.getFramebuffer();
+    assert.strictEqual(daemon.epd.getPixel(framebuffer, 400, 240), daemon.epd.colors.BLUE);
+    assert.strictEqual(daemon.epd.getPixel(framebuffer, 0, 0), daemon.epd.colors.WHITE);
+});
+
+test('reads the file part of a multipart upload', async () => {
+    const form = new FormData();
+    form.append('caption', 'ignored');
+    form.append('file', new Blob([paletteBMP([0, 255, 0])]), 'green.bmp');
+
+    const { status, body } = await request('/display?fit=cover', { method: 'POST', body: form });
+    assert.strictEqual(status, 200, body.error);
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(daemon.epd.createBuffer(daemon.epd.colors.GREEN)));
+
+    const noFile = new FormData();
+    noFile.append('caption', 'no file');
+    const missing = await request('/display', { method: 'POST', body: noFile });
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual(missing.body.error, 'No file found in multipart upload');
+});
+
+test('dithers uploads with the requested method', async () => {
+    const { status } = await request('/display?fit=fill&method=floyd-steinberg', { method: 'POST', body: await solidPNG(128, 128, 128) });
+    assert.strictEqual(status, 200);
+
+    const framebuffer = daemon.epd.backend.getFramebuffer();
+    const seen = new Set();
+    for (let x = 0; x < 16; x++) {
+        seen.add(daemon.epd.getPixel(framebuffer, x, 0));
+    }
+    assert.ok(seen.has(daemon.epd.colors.BLACK) && seen.has(daemon.epd.colors.WHITE));
+});
+
+test('returns 202 without waiting for the refresh when wait=false', async () => {
+    const { status, body } = await request('/display?wait=false', { method: 'POST', body: await solidPNG(0, 0, 0) });
+    assert.strictEqual(status, 202);
+    assert.strictEqual(body.accepted, true);
+});
+
+test('rejects invalid uploads with 4xx errors', async () => {
+    const badFit = await request('/display?fit=stretch', { method: 'POST', body: await solidPNG(0, 0, 0) });
+    assert.strictEqual(badFit.status, 400);
+    assert.match(badFit.body.error, /Invalid fit "stretch"/);
+
+    const badMethod = await request('/display?method=halftone', { method: 'POST', body: await solidPNG(0, 0, 0) });
+    assert.strictEqual(badMethod.status, 400);
+    assert.match(badMethod.body.error, /Invalid method "halftone". Expected one of: closest, threshold, exact, floyd-steinberg/);
+
+    const empty = await request('/display', { method: 'POST', body: '' });
+    assert.strictEqual(empty.status, 400);
+    assert.strictEqual(empty.body.error, 'Empty image upload');
+
+    const garbage = await request('/display', { method: 'POST', body: 'not an image' });
+    assert.strictEqual(garbage.status, 400);
+    assert.match(garbage.body.error, /^Unable to decode image/);
+
+    const tooLarge = await request('/display', { method: 'POST', body: Buffer.alloc(65 * 1024) });
+    assert.strictEqual(tooLarge.status, 413);
+    assert.strictEqual(daemon.getStatus().completed, 0);
+});
+
+test('rejects BMP palettes that do not fit the file', async () => {
+    const oversized = await request('/display', { method: 'POST', body: paletteBMP([255, 0, 0], { colorsUsed: 0xFFFFFFFF }) });
+    assert.strictEqual(oversized.status, 400);
+    assert.strictEqual(oversized.body.error, 'Unable to decode image: Invalid BMP palette: 4294967295 colors for 8-bit pixels');
+
+    // The pixel data starts where the palette should still be
+    const overlapping = await request('/display', { method: 'POST', body: paletteBMP([255, 0, 0], { dataOffset: 54 + 16 }) });
+    assert.strictEqual(overlapping.status, 400);
+    assert.strictEqual(overlapping.body.error, 'Unable to decode image: Truncated BMP palette');
+
+    const truncated = paletteBMP([255, 0, 0]).subarray(0, 300);
+    const cut = await request('/display', { method: 'POST', body: truncated });
+    assert.strictEqual(cut.status, 400);
+    assert.strictEqual(cut.body.error, 'Unable to decode image: Truncated BMP palette');
+});
+
+test('clears the panel with a color from the query or a JSON body', async () => {
+    assert.strictEqual((await request('/clear?color=yellow', { method: 'POST' })).status, 200);
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(daemon.epd.createBuffer(daemon.epd.colors.YELLOW)));
+
+    await request('/clear', { method: 'POST', body: JSON.stringify({ color: daemon.epd.colors.BLACK }) });
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(daemon.epd.createBuffer(daemon.epd.colors.BLACK)));
+
+    await request('/clear', { method: 'POST' });
+    assert.ok(daemon.epd.backend.getFramebuffer().equals(daemon.epd.createBuffer(daemon.epd.colors.WHITE)));
+
+    const badColor = await request('/clear?color=purple', { method: 'POST' });
+    assert.strictEqual(badColor.status, 400);
+    assert.match(badColor.body.error, /Invalid color "purple"/);
+
+    const unchanged = await request('/clear?ifChanged=true', { method: 'POST' });
+    assert.strictEqual(unchanged.body.skipped, true);
+    const changed = await request('/clear', { method: 'POST', body: JSON.stringify({ color: 'red', ifChanged: true }) });
+    assert.strictEqual(changed.body.skipped, false);
+
+    const badJson = await request('/clear', { method: 'POST', body: '{color' });
+    assert.strictEqual(badJson.status, 400);
+    assert.strictEqual(badJson.body.error, 'Invalid JSON body');
+});
+
+test('puts the panel to sleep on request', async () => {
+    await request('/clear', { method: 'POST' });
+    assert.strictEqual(daemon.getStatus().panel, 'awake');
+    assert.strictEqual((await request('/sleep', { method: 'POST' })).status, 200);
+    assert.strictEqual(daemon.getStatus().panel, 'sleeping');
+});
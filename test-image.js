@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const EPD7in3e = require('./index.js');
+
+/**
+ * Image loading tests
+ * Decode generated images with loadImage() and check how they are fitted to the panel:
+ *   node --test test-image.js
+ */
+
+const epd = new EPD7in3e({ backend: 'virtual' });
+const colors = epd.colors;
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Create an image split into two solid halves
+ * @param {string} split - 'vertical' (left | right) or 'horizontal' (top / bottom)
+ */
+function halves(width, height, first, second, split = 'vertical') {
+    const data = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const rgb = (split === 'vertical' ? x < width / 2 : y < height / 2) ? first : second;
+            data.set(rgb, (y * width + x) * 3);
+        }
+    }
+    return sharp(data, { raw: { width, height, channels: 3 } });
+}
+
+const RED = [255, 0, 0];
+const BLUE = [0, 0, 255];
+
+test('loads an image from a file path or a Buffer', async () => {
+    const png = await halves(100, 60, RED, BLUE).png().toBuffer();
+    const file = path.join(dir, 'halves.png');
+    fs.writeFileSync(file, png);
+
+    const fromFile = await epd.loadImage(file);
+    const fromBuffer = await epd.loadImage(png);
+    assert.strictEqual(fromFile.length, epd.getBufferSize());
+    assert.ok(fromFile.equals(fromBuffer));
+    assert.strictEqual(epd.getPixel(fromFile, 10, 240), colors.RED);
+    assert.strictEqual(epd.getPixel(fromFile, 790, 240), colors.BLUE);
+});
+
+test('letterboxes, crops or stretches depending on fit', async () => {
+    const wide = await halves(400, 100, RED, BLUE).png().toBuffer();
+
+    const contain = await epd.loadImage(wide, { background: '#000000' });
+    assert.strictEqual(epd.getPixel(contain, 400, 10), colors.BLACK);
+    assert.strictEqual(epd.getPixel(contain, 10, 240), colors.RED);
+
+    const cover = await epd.loadImage(wide, { fit: 'cover' });
+    assert.strictEqual(epd.getPixel(cover, 420, 10), colors.BLUE);
+    assert.strictEqual(epd.getPixel(cover, 380, 470), colors.RED);
+
+    const fill = await epd.loadImage(wide, { fit: 'fill' });
+    assert.strictEqual(epd.getPixel(fill, 0, 0), colors.RED);
+    assert.strictEqual(epd.getPixel(fill, 799, 479), colors.BLUE);
+});
+
+test('applies the EXIF orientation and the requested rotation', async () => {
+    // Red on top, blue at the bottom
+    const image = halves(480, 480, RED, BLUE, 'horizontal');
+
+    const rotated = await epd.loadImage(await image.clone().png().toBuffer(), { fit: 'fill', rotate: 90 });
+    assert.strictEqual(epd.getPixel(rotated, 10, 240), colors.BLUE);
+    assert.strictEqual(epd.getPixel(rotated, 790, 240), colors.RED);
+
+    // Orientation 6: the stored pixels are shown rotated 90 degrees clockwise
+    const jpeg = await image.clone().jpeg({ quality: 100 }).withMetadata({ orientation: 6 }).toBuffer();
+    const oriented = await epd.loadImage(jpeg, { fit: 'fill' });
+    assert.strictEqual(epd.getPixel(oriented, 10, 240), colors.BLUE);
+    assert.strictEqual(epd.getPixel(oriented, 790, 240), colors.RED);
+});
+
+test('flattens transparency onto the background', async () => {
+    const transparent = await sharp({ create: { width: 50, height: 30, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 0 } } })
+        .png()
+        .toBuffer();
+
+    const onWhite = await epd.loadImage(transparent);
+    assert.ok(onWhite.equals(epd.createBuffer(colors.WHITE)));
+    const onYellow = await epd.loadImage(transparent, { background: { r: 255, g: 255, b: 0 } });
+    assert.ok(onYellow.equals(epd.createBuffer(colors.YELLOW)));
+});
+
+test('decodes BMP files', async () => {
+    const bmp = Buffer.alloc(54 + 4 * 2 * 3);
+    bmp.write('BM', 0, 'ascii');
+    bmp.writeUInt32LE(bmp.length, 2);
+    bmp.writeUInt32LE(54, 10);
+    bmp.writeUInt32LE(40, 14);
+    bmp.writeInt32LE(4, 18);
+    bmp.writeInt32LE(2, 22);
+    bmp.writeUInt16LE(1, 26);
+    bmp.writeUInt16LE(24, 28);
+    // Pixels are stored as BGR
+    for (let i = 0; i < 8; i++) {
+        bmp[54 + i * 3 + 1] = 255;
+    }
+
+    const buffer = await epd.loadImage(bmp, { fit: 'fill' });
+    assert.ok(buffer.equals(epd.createBuffer(colors.GREEN)));
+});
+
+test('passes the color mapping options through', async () => {
+    const gray = await sharp({ create: { width: 80, height: 48, channels: 3, background: { r: 128, g: 128, b: 128 } } }).png().toBuffer();
+
+    const flat = await epd.loadImage(gray);
+    const dithered = await epd.loadImage(gray, { method: 'bayer' });
+    const seen = new Set();
+    for (let x = 0; x < 8; x++) {
+        seen.add(epd.getPixel(dithered, x, 0));
+    }
+    assert.strictEqual(epd.getPixel(flat, 0, 0), epd.getPixel(flat, 1, 0));
+    assert.ok(seen.has(colors.BLACK) && seen.has(colors.WHITE));
+
+    const green = await sharp({ create: { width: 80, height: 48, channels: 3, background: { r: 18, g: 95, b: 32 } } }).png().toBuffer();
+    assert.ok((await epd.loadImage(green, { palette: 'measured-7in3e' })).equals(epd.createBuffer(colors.GREEN)));
+});
+
+test('rejects invalid options and inputs', async () => {
+    await assert.rejects(epd.loadImage(Buffer.alloc(0), { fit: 'stretch' }), /Invalid fit "stretch". Expected one of: contain, cover, fill/);
+    await assert.rejects(epd.loadImage(Buffer.alloc(0), { rotate: 'left' }), /Rotation must be a number of degrees/);
+    await assert.rejects(epd.loadImage(42), /Image must be a file path or a Buffer/);
+    await assert.rejects(epd.loadImage(path.join(dir, 'missing.png')), { code: 'ENOENT' });
+    assert.deepStrictEqual(EPD7in3e.FIT_MODES, ['contain', 'cover', 'fill']);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+const { NativeBackend } = require('./lib/backends');
+
+/**
+ * Driver logging tests
+ * Check the logger options of the native backend; they are validated before the addon is loaded:
+ *   node --test test-logging.js
+ */
+
+const { LOG_LEVELS } = EPD7in3e;
+
+/**
+ * Create a native backend, ignoring a missing addon so the option checks can run anywhere
+ * @returns {NativeBackend|null} Backend, or null if the options were accepted but the addon is not built
+ */
+function createNative(options) {
+    try {
+        return new NativeBackend(options);
+    } catch (error) {
+        if (/Unable to load the native addon/.test(error.message)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+test('orders the driver log levels', () => {
+    assert.deepStrictEqual(LOG_LEVELS, ['debug', 'info', 'warn', 'error']);
+    assert.strictEqual(NativeBackend.LOG_LEVELS, LOG_LEVELS);
+});
+
+test('validates the logger options', () => {
+    assert.throws(() => createNative({ logger: 'console' }), /logger must be a function/);
+    assert.throws(() => createNative({ logLevel: 'verbose' }), /Unknown logLevel "verbose". Expected one of: debug, info, warn, error/);
+    assert.throws(() => new EPD7in3e({ backend: 'native', logLevel: 'trace' }), /Unknown logLevel "trace"/);
+
+    for (const logLevel of LOG_LEVELS) {
+        createNative({ logLevel, logger: () => {} });
+    }
+    createNative({ logLevel: null, logger: null });
+});
+
+test('leaves the banner out when a logger is given', t => {
+    const quiet = createNative({ logger: () => {} });
+    if (!quiet) {
+        t.skip('native addon not built');
+        return;
+    }
+    assert.strictEqual(quiet.banner, false);
+    assert.strictEqual(quiet.logLevel, 'info');
+    assert.strictEqual(createNative({}).banner, true);
+    assert.strictEqual(createNative({ logger: () => {}, banner: true, logLevel: 'debug' }).banner, true);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+const { resolveHardwareConfig, claimHardware, releaseHardware } = require('./lib/hardware-config');
+
+/**
+ * Multiple panel tests
+ * Drive several panels from one process and check that they do not share pins or SPI devices:
+ *   node --test test-multi-panel.js
+ */
+
+const { EPDInitError } = EPD7in3e;
+
+const RIGHT_PANEL = { spiDevice: '/dev/spidev0.1', pins: { rst: 5, dc: 6, cs: 7, busy: 13, pwr: 19 } };
+
+test('drives several panels side by side', async () => {
+    const left = new EPD7in3e({ backend: 'virtual', refreshTime: 20 });
+    const right = new EPD7in3e({ backend: 'virtual', refreshTime: 20, ...RIGHT_PANEL });
+    await Promise.all([left.initAsync(), right.initAsync()]);
+    await Promise.all([
+        left.displayAsync(left.createBuffer(left.colors.RED)),
+        right.displayAsync(right.createBuffer(right.colors.BLUE))
+    ]);
+
+    assert.ok(left.backend.getFramebuffer().equals(left.createBuffer(left.colors.RED)));
+    assert.ok(right.backend.getFramebuffer().equals(right.createBuffer(right.colors.BLUE)));
+    assert.strictEqual(left.backend.refreshCount, 1);
+    assert.strictEqual(right.backend.refreshCount, 1);
+
+    await right.sleepAsync();
+    assert.strictEqual(left.getPowerState(), 'awake');
+    assert.strictEqual(right.getPowerState(), 'sleeping');
+    left.exit();
+    right.exit();
+});
+
+test('refuses pins and SPI devices held by another panel', () => {
+    const first = {};
+    const second = {};
+    const third = {};
+    claimHardware(resolveHardwareConfig({}, 'raspberry-pi'), first);
+    try {
+        assert.throws(() => claimHardware(resolveHardwareConfig({ spiDevice: '/dev/spidev0.1' }, 'raspberry-pi'), second), error => {
+            assert.ok(error instanceof EPDInitError);
+            assert.strictEqual(error.stage, 'open');
+            assert.strictEqual(error.message, 'GPIO 17 (rst) is already used by another panel');
+            return true;
+        });
+        assert.throws(() => claimHardware(resolveHardwareConfig({ pins: RIGHT_PANEL.pins }, 'raspberry-pi'), second),
+            /SPI device \/dev\/spidev0.0 is already used by another panel/);
+
+        // A failed claim reserves nothing, so the next panel can still take the pins
+        claimHardware(resolveHardwareConfig({ pins: RIGHT_PANEL.pins, spiDevice: '/dev/spidev1.0' }, 'raspberry-pi'), third);
+
+        // The same pin numbers on another GPIO chip are different lines
+        claimHardware(resolveHardwareConfig({ gpioChip: 1, spiDevice: '/dev/spidev0.1' }, 'raspberry-pi'), second);
+
+        // Reopening a panel keeps its own reservation
+        claimHardware(resolveHardwareConfig({}, 'raspberry-pi'), first);
+    } finally {
+        releaseHardware(first);
+        releaseHardware(second);
+        releaseHardware(third);
+    }
+
+    // Closing a panel frees its pins
+    claimHardware(resolveHardwareConfig({}, 'raspberry-pi'), second);
+    releaseHardware(second);
+});
@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const sharp = require('sharp');
+const EPD7in3e = require('./index.js');
+const { Orientation } = require('./lib/orientation');
+
+/**
+ * Display orientation tests
+ * Draw in logical coordinates with every rotation and mirror mode and check where pixels land on the panel:
+ *   node --test test-orientation.js
+ */
+
+const { Colors, ROTATIONS, MIRROR_MODES } = EPD7in3e;
+
+// Reads buffers in panel order
+const panel = new EPD7in3e({ backend: 'virtual' });
+
+test('swaps width and height at 90 and 270 degrees', () => {
+    assert.deepStrictEqual(ROTATIONS, [0, 90, 180, 270]);
+    assert.deepStrictEqual(MIRROR_MODES, ['none', 'horizontal', 'vertical', 'both']);
+
+    const epd = new EPD7in3e({ backend: 'virtual', rotation: 90 });
+    assert.strictEqual(epd.getWidth(), 480);
+    assert.strictEqual(epd.getHeight(), 800);
+    assert.strictEqual(epd.getBufferSize(), 192000);
+
+    epd.setRotation(180);
+    epd.setMirror('both');
+    assert.strictEqual(epd.getRotation(), 180);
+    assert.strictEqual(epd.getMirror(), 'both');
+    assert.strictEqual(epd.getWidth(), 800);
+    assert.strictEqual(epd.getHeight(), 480);
+
+    assert.throws(() => epd.setRotation(45), /Invalid rotation 45. Expected one of: 0, 90, 180, 270/);
+    assert.throws(() => new EPD7in3e({ backend: 'virtual', mirror: 'diagonal' }), /Invalid mirror mode "diagonal"/);
+    assert.strictEqual(epd.getRotation(), 180);
+});
+
+test('maps every logical pixel to a distinct panel pixel', () => {
+    for (const rotation of ROTATIONS) {
+        for (const mirror of MIRROR_MODES) {
+            const orientation = new Orientation(6, 4, { rotation, mirror });
+            const seen = new Set();
+            for (let y = 0; y < orientation.height; y++) {
+                for (let x = 0; x < orientation.width; x++) {
+                    const panelX = orientation.panelX(x, y);
+                    const panelY = orientation.panelY(x, y);
+                    assert.ok(panelX >= 0 && panelX < 6 && panelY >= 0 && panelY < 4, `${rotation} ${mirror}: ${x},${y}`);
+                    seen.add(`${panelX},${panelY}`);
+                }
+            }
+            assert.strictEqual(seen.size, 24, `${rotation} ${mirror}`);
+        }
+    }
+});
+
+test('round-trips pixels through setPixel and getPixel', () => {
+    for (const rotation of ROTATIONS) {
+        for (const mirror of MIRROR_MODES) {
+            const epd = new EPD7in3e({ backend: 'virtual', rotation, mirror });
+            const width = epd.getWidth();
+            const height = epd.getHeight();
+            const points = [[0, 0, Colors.RED], [width - 1, 0, Colors.BLUE], [0, height - 1, Colors.GREEN], [width - 1, height - 1, Colors.YELLOW], [3, 7, Colors.BLACK]];
+
+            const buffer = epd.createBuffer(Colors.WHITE);
+            for (const [x, y, color] of points) {
+                epd.setPixel(buffer, x, y, color);
+            }
+            for (const [x, y, color] of points) {
+                assert.strictEqual(epd.getPixel(buffer, x, y), color, `${rotation} ${mirror}: ${x},${y}`);
+            }
+            assert.strictEqual(epd.getPixel(buffer, 4, 7), Colors.WHITE);
+            assert.throws(() => epd.setPixel(buffer, width, 0, Colors.RED), /Coordinates out of bounds/);
+        }
+    }
+});
+
+test('places the logical origin at the rotated corner of the panel', () => {
+    const corners = [
+        [{ rotation: 0 }, 0, 0],
+        [{ rotation: 90 }, 799, 0],
+        [{ rotation: 180 }, 799, 479],
+        [{ rotation: 270 }, 0, 479],
+        [{ mirror: 'horizontal' }, 799, 0],
+        [{ mirror: 'vertical' }, 0, 479],
+        [{ rotation: 90, mirror: 'horizontal' }, 799, 479]
+    ];
+    for (const [options, panelX, panelY] of corners) {
+        const epd = new EPD7in3e({ backend: 'virtual', ...options });
+        const buffer = epd.createBuffer(Colors.WHITE);
+        epd.setPixel(buffer, 0, 0, Colors.RED);
+        assert.strictEqual(panel.getPixel(buffer, panelX, panelY), Colors.RED, JSON.stringify(options));
+    }
+
+    // At 90 degrees the logical x axis runs down the panel
+    const epd = new EPD7in3e({ backend: 'virtual', rotation: 90 });
+    const buffer = epd.createBuffer(Colors.WHITE);
+    epd.setPixel(buffer, 5, 0, Colors.BLUE);
+    assert.strictEqual(panel.getPixel(buffer, 799, 5), Colors.BLUE);
+});
+
+test('draws canvases in logical coordinates', () => {
+    const epd = new EPD7in3e({ backend: 'virtual', rotation: 270, mirror: 'vertical' });
+    const canvas = epd.createCanvas();
+    assert.strictEqual(canvas.width, 480);
+    assert.strictEqual(canvas.height, 800);
+
+    canvas.drawRect(10, 700, 30, 20, { fill: Colors.GREEN, color: Colors.RED });
+    canvas.setPixel(479, 799, Colors.BLUE);
+    const expected = epd.createBuffer(Colors.WHITE);
+    for (let y = 700; y < 720; y++) {
+        for (let x = 10; x < 40; x++) {
+            const edge = x === 10 || x === 39 || y === 700 || y === 719;
+            epd.setPixel(expected, x, y, edge ? Colors.RED : Colors.GREEN);
+        }
+    }
+    epd.setPixel(expected, 479, 799, Colors.BLUE);
+    assert.ok(canvas.buffer.equals(expected));
+    assert.strictEqual(canvas.getPixel(479, 799), Colors.BLUE);
+});
+
+test('fits images to the rotated display', async () => {
+    // Red on top, blue at the bottom, in portrait
+    const data = Buffer.alloc(480 * 800 * 3);
+    for (let i = 0; i < 480 * 800; i++) {
+        data.set(i < 480 * 400 ? [255, 0, 0] : [0, 0, 255], i * 3);
+    }
+    const portrait = await sharp(data, { raw: { width: 480, height: 800, channels: 3 } }).png().toBuffer();
+
+    const epd = new EPD7in3e({ backend: 'virtual', rotation: 90 });
+    const buffer = await epd.loadImage(portrait);
+    assert.strictEqual(epd.getPixel(buffer, 240, 10), Colors.RED);
+    assert.strictEqual(epd.getPixel(buffer, 240, 790), Colors.BLUE);
+    // On the panel the top of the image is on the right
+    assert.strictEqual(panel.getPixel(buffer, 790, 240), Colors.RED);
+    assert.strictEqual(panel.getPixel(buffer, 10, 240), Colors.BLUE);
+});
+
+test('renders previews as the frame hangs', async () => {
+    const epd = new EPD7in3e({ backend: 'virtual', rotation: 90, mirror: 'horizontal' });
+    const buffer = epd.createBuffer(Colors.WHITE);
+    epd.setPixel(buffer, 0, 0, Colors.RED);
+
+    const { data, info } = await sharp(await epd.toPNG(buffer)).raw().toBuffer({ resolveWithObject: true });
+    assert.strictEqual(info.width, 480);
+    assert.strictEqual(info.height, 800);
+    // Mirroring is part of what the panel shows, so the pixel appears at the top-right
+    const pixel = (x, y) => [...data.slice((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+    assert.deepStrictEqual(pixel(479, 0), [255, 0, 0]);
+    assert.deepStrictEqual(pixel(0, 0), [255, 255, 255]);
+});
+
+test('rejects invalid orientations on the command line', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, 'bin', 'framik-daemon.js'), '--backend', 'virtual', '--rotation', '45'], {
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Invalid rotation 45/);
+
+    const invalid = spawnSync(process.execPath, [path.join(__dirname, 'bin', 'framik-daemon.js'), '--rotation', '-90'], {
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    assert.strictEqual(invalid.status, 2);
+    assert.match(invalid.stderr, /Invalid --rotation "-90"/);
+});
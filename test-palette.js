@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+const { IDEAL_PALETTE, MEASURED_7IN3E_PALETTE, resolvePalette } = require('./lib/palette');
+
+/**
+ * Ink palette tests
+ * Resolve palette presets and custom palettes, and map colors against them:
+ *   node --test test-palette.js
+ */
+
+const { Colors, PALETTES } = EPD7in3e;
+
+const CUSTOM = {
+    BLACK: [10, 10, 10],
+    WHITE: [240, 240, 240],
+    YELLOW: { r: 230, g: 210, b: 60 },
+    RED: [190, 30, 30],
+    BLUE: [40, 80, 180],
+    GREEN: [30, 100, 40]
+};
+
+test('resolves the presets by name', () => {
+    assert.deepStrictEqual(Object.keys(PALETTES), ['ideal', 'measured-7in3e']);
+    assert.strictEqual(resolvePalette('ideal'), IDEAL_PALETTE);
+    assert.strictEqual(resolvePalette('measured-7in3e'), MEASURED_7IN3E_PALETTE);
+    assert.deepStrictEqual(IDEAL_PALETTE.map(ink => ink.color), [Colors.BLACK, Colors.WHITE, Colors.YELLOW, Colors.RED, Colors.BLUE, Colors.GREEN]);
+    assert.ok(Object.isFrozen(MEASURED_7IN3E_PALETTE) && Object.isFrozen(MEASURED_7IN3E_PALETTE[0]));
+    assert.throws(() => resolvePalette('sepia'), /Unknown palette "sepia". Expected one of: ideal, measured-7in3e/);
+});
+
+test('builds palettes from objects keyed by color name and from lists', () => {
+    const palette = resolvePalette(CUSTOM);
+    assert.deepStrictEqual(palette.find(ink => ink.color === Colors.YELLOW), { color: Colors.YELLOW, r: 230, g: 210, b: 60 });
+    assert.deepStrictEqual(palette.find(ink => ink.color === Colors.RED), { color: Colors.RED, r: 190, g: 30, b: 30 });
+    // An already resolved palette is returned as is
+    assert.strictEqual(resolvePalette(palette), palette);
+
+    const fromList = resolvePalette(palette.map(ink => ({ ...ink })));
+    assert.notStrictEqual(fromList, palette);
+    assert.deepStrictEqual(fromList, palette);
+});
+
+test('rejects incomplete or invalid palettes', () => {
+    const missingGreen = { ...CUSTOM };
+    delete missingGreen.GREEN;
+    assert.throws(() => resolvePalette(missingGreen), /Palette is missing GREEN/);
+    assert.throws(() => resolvePalette({ ...CUSTOM, RED: [300, 0, 0] }), /Invalid RED value in palette/);
+    assert.throws(() => resolvePalette({ ...CUSTOM, BLUE: [0, 0] }), /Invalid BLUE value in palette/);
+    assert.throws(() => resolvePalette(IDEAL_PALETTE.slice(1).map(ink => ({ ...ink }))), /Palette is missing BLACK/);
+    assert.throws(() => resolvePalette(42), /Expected a palette name, list or object/);
+});
+
+test('maps colors against the instance palette', () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    assert.strictEqual(epd.getPalette(), IDEAL_PALETTE);
+    // The measured green ink is closer to black than to the pure green primary
+    assert.strictEqual(epd.mapRGBToDisplayColor(18, 95, 32), Colors.BLACK);
+
+    epd.setPalette('measured-7in3e');
+    assert.strictEqual(epd.getPalette(), MEASURED_7IN3E_PALETTE);
+    assert.strictEqual(epd.mapRGBToDisplayColor(18, 95, 32), Colors.GREEN);
+    assert.strictEqual(epd.mapRGBToDisplayColor(18, 95, 32, { distance: 'oklab' }), Colors.GREEN);
+
+    const measured = new EPD7in3e({ backend: 'virtual', palette: 'measured-7in3e' });
+    assert.strictEqual(measured.getPalette(), MEASURED_7IN3E_PALETTE);
+    assert.throws(() => new EPD7in3e({ backend: 'virtual', palette: 'sepia' }), /Unknown palette/);
+});
+
+test('takes a palette per call', () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const rgb = Buffer.from([18, 95, 32]);
+    assert.strictEqual(epd.mapRGBToDisplayColor(18, 95, 32, { palette: 'measured-7in3e' }), Colors.GREEN);
+    assert.strictEqual(epd.getPixel(epd.createBufferFromRGB(rgb, 1, 1, 3, { palette: 'measured-7in3e' }), 0, 0), Colors.GREEN);
+    assert.strictEqual(epd.getPixel(epd.createBufferFromRGBAdvanced(rgb, 1, 1, 3, 'closest', { palette: CUSTOM }), 0, 0), Colors.GREEN);
+    assert.strictEqual(epd.getPalette(), IDEAL_PALETTE);
+});
+
+test('diffuses the error against the palette inks', () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const width = 32;
+    const height = 8;
+    const paper = Buffer.alloc(width * height * 3, 232);
+
+    // The measured white ink matches the input exactly, so no error is spread
+    const measured = epd.createBufferFromRGBDithered(paper, width, height, 3, 'floyd-steinberg', { palette: 'measured-7in3e' });
+    const ideal = epd.createBufferFromRGBDithered(paper, width, height, 3, 'floyd-steinberg');
+    const count = (buffer, color) => {
+        let total = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                total += epd.getPixel(buffer, x, y) === color ? 1 : 0;
+            }
+        }
+        return total;
+    };
+    assert.strictEqual(count(measured, Colors.WHITE), width * height);
+    assert.ok(count(ideal, Colors.WHITE) < width * height);
+});
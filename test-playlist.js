@@ -0,0 +1,291 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const EPD7in3e = require('./index.js');
+const FramikDaemon = require('./lib/daemon');
+const Playlist = require('./lib/playlist');
+
+/**
+ * Playlist tests
+ * Cycle through small generated images on the virtual backend, with the state file in a temporary directory:
+ *   node --test test-playlist.js
+ */
+
+const INKS = {
+    BLACK: [0, 0, 0],
+    WHITE: [255, 255, 255],
+    YELLOW: [255, 255, 0],
+    RED: [255, 0, 0],
+    BLUE: [0, 0, 255],
+    GREEN: [0, 255, 0]
+};
+
+let dir;
+let playlists;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+    playlists = [];
+});
+
+afterEach(async () => {
+    for (const playlist of playlists) {
+        await playlist.stop();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function createPlaylist(options) {
+    const playlist = new Playlist({ epd: new EPD7in3e({ backend: 'virtual' }), ...options });
+    playlists.push(playlist);
+    return playlist;
+}
+
+/**
+ * Write a solid image in one of the INKS colors
+ * @returns {Promise<string>} File path
+ */
+async function writeImage(name, ink) {
+    const [r, g, b] = INKS[ink];
+    const file = path.join(dir, name);
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: { r, g, b } } }).toFile(file);
+    return file;
+}
+
+/**
+ * Color at the center of the panel, where the letterboxed images are
+ */
+function shownColor(epd) {
+    return epd.backend.getFramebuffer()[240 * 400 + 200] >> 4;
+}
+
+/**
+ * Time of day a number of minutes from now, as HH:MM
+ */
+function timeIn(minutes) {
+    const date = new Date(Date.now() + minutes * 60 * 1000);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+test('cycles through a directory in natural order', async () => {
+    const red = await writeImage('img2.png', 'RED');
+    const blue = await writeImage('img10.png', 'BLUE');
+    const green = await writeImage('img1.jpg', 'GREEN');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not an image');
+
+    const playlist = createPlaylist({ directory: dir });
+    const epd = playlist.epd;
+    assert.deepStrictEqual(await playlist.next(), { path: green, position: 0, total: 3 });
+    assert.strictEqual(shownColor(epd), epd.colors.GREEN);
+    assert.strictEqual((await playlist.next()).path, red);
+    assert.strictEqual((await playlist.next()).path, blue);
+    assert.strictEqual((await playlist.next()).path, green);
+    assert.strictEqual((await playlist.previous()).path, blue);
+    assert.strictEqual(shownColor(epd), epd.colors.BLUE);
+    // The panel sleeps between refreshes when there is no daemon
+    assert.strictEqual(epd.getPowerState(), 'sleeping');
+
+    // New files are picked up on the next refresh
+    const yellow = await writeImage('img3.png', 'YELLOW');
+    assert.strictEqual((await playlist.previous()).path, yellow);
+});
+
+test('shows every item once per round when shuffling', async () => {
+    const items = [];
+    for (const ink of ['BLACK', 'YELLOW', 'RED', 'BLUE', 'GREEN']) {
+        items.push(await writeImage(`${ink}.png`, ink));
+    }
+    const playlist = createPlaylist({ items, shuffle: true });
+
+    const shown = [];
+    for (let i = 0; i < 20; i++) {
+        shown.push((await playlist.next()).path);
+    }
+    for (let round = 0; round < 4; round++) {
+        assert.deepStrictEqual(shown.slice(round * 5, round * 5 + 5).sort(), items.slice().sort(), `round ${round}`);
+        if (round > 0) {
+            assert.notStrictEqual(shown[round * 5], shown[round * 5 - 1], `round ${round} starts with the last item`);
+        }
+    }
+});
+
+test('only refreshes inside the active hours', async () => {
+    const playlist = createPlaylist({ items: [await writeImage('a.png', 'RED')] });
+    playlist.activeHours = [];
+    assert.strictEqual(playlist.isActive(), true);
+
+    const night = createPlaylist({ items: ['a.png'], activeHours: ['22:00-02:00', { start: '12:00', end: '12:30' }] });
+    assert.strictEqual(night.isActive(new Date(2024, 0, 1, 23, 30)), true);
+    assert.strictEqual(night.isActive(new Date(2024, 0, 1, 1, 59)), true);
+    assert.strictEqual(night.isActive(new Date(2024, 0, 1, 2, 0)), false);
+    assert.strictEqual(night.isActive(new Date(2024, 0, 1, 12, 15)), true);
+    assert.strictEqual(night.isActive(new Date(2024, 0, 1, 8, 0)), false);
+
+    const always = createPlaylist({ items: ['a.png'], activeHours: ['00:00-24:00'] });
+    assert.strictEqual(always.isActive(new Date(2024, 0, 1, 3, 0)), true);
+
+    assert.throws(() => createPlaylist({ items: ['a.png'], activeHours: ['7-23'] }), /Invalid time "7". Expected HH:MM/);
+    assert.throws(() => createPlaylist({ items: ['a.png'], activeHours: ['07:00-24:30'] }), /Invalid time "24:30"/);
+    assert.throws(() => createPlaylist({ items: ['a.png'], activeHours: [{ start: '07:00' }] }), /Invalid time "undefined"/);
+});
+
+test('pauses until the next window opens', async () => {
+    const shown = [];
+    const playlist = createPlaylist({ items: [await writeImage('a.png', 'RED')], activeHours: [`${timeIn(120)}-${timeIn(121)}`] });
+    playlist.on('show', item => shown.push(item));
+
+    const paused = once(playlist, 'pause');
+    await playlist.start();
+    const [until] = await paused;
+    const wait = until.getTime() - Date.now();
+    assert.ok(wait > 118 * 60 * 1000 && wait <= 120 * 60 * 1000, String(wait));
+    assert.deepStrictEqual(shown, []);
+    assert.strictEqual(playlist.getStatus().active, false);
+    assert.ok(Math.abs(Date.parse(playlist.getStatus().nextAt) - until.getTime()) < 1000);
+
+    // Manual changes ignore the active hours
+    assert.strictEqual((await playlist.next()).position, 0);
+});
+
+test('resumes the saved item for the rest of its duration', async () => {
+    const items = [await writeImage('a.png', 'RED'), await writeImage('b.png', 'BLUE'), await writeImage('c.png', 'GREEN')];
+    const statePath = path.join(dir, 'state.json');
+
+    const first = createPlaylist({ items, interval: 60000, statePath });
+    await first.next();
+    await first.next();
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    assert.strictEqual(state.current, items[1]);
+    assert.strictEqual(state.position, 1);
+    assert.deepStrictEqual(state.order, items);
+
+    const resumed = createPlaylist({ items, interval: 60000, statePath });
+    resumed.on('show', () => assert.fail('resumed item shown again'));
+    await resumed.start();
+    const status = resumed.getStatus();
+    assert.strictEqual(status.current, items[1]);
+    assert.strictEqual(status.position, 1);
+    assert.ok(Math.abs(Date.parse(status.nextAt) - (state.shownAt + 60000)) < 1000);
+    await resumed.stop();
+    resumed.removeAllListeners('show');
+    assert.strictEqual((await resumed.next()).path, items[2]);
+
+    // An item whose time is up is replaced as soon as the playlist starts
+    state.shownAt = Date.now() - 120000;
+    fs.writeFileSync(statePath, JSON.stringify(state));
+    const late = createPlaylist({ items, interval: 60000, statePath });
+    const shown = once(late, 'show');
+    await late.start();
+    assert.strictEqual((await shown)[0].path, items[2]);
+});
+
+test('keeps the shuffled order across restarts', async () => {
+    const items = [];
+    for (const ink of ['BLACK', 'YELLOW', 'RED', 'BLUE', 'GREEN']) {
+        items.push(await writeImage(`${ink}.png`, ink));
+    }
+    const statePath = path.join(dir, 'state.json');
+    const first = createPlaylist({ items, shuffle: true, statePath });
+    const seen = [(await first.next()).path, (await first.next()).path];
+
+    const resumed = createPlaylist({ items, shuffle: true, statePath });
+    await resumed.start();
+    const rest = [];
+    for (let i = 0; i < 3; i++) {
+        rest.push((await resumed.next()).path);
+    }
+    assert.deepStrictEqual(seen.concat(rest).sort(), items.slice().sort());
+    assert.deepStrictEqual(resumed.order.map(item => item.path), first.order.map(item => item.path));
+});
+
+test('ignores an unreadable state file', async () => {
+    const statePath = path.join(dir, 'state.json');
+    fs.writeFileSync(statePath, '{ not json');
+    const playlist = createPlaylist({ items: [await writeImage('a.png', 'RED')], statePath });
+    const warnings = [];
+    playlist.on('warning', error => warnings.push(error.message));
+
+    const shown = once(playlist, 'show');
+    await playlist.start();
+    await shown;
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Ignoring unreadable playlist state/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')).position, 0);
+});
+
+test('skips items that fail to load', async () => {
+    const broken = path.join(dir, 'broken.png');
+    fs.writeFileSync(broken, 'not really a png');
+    const good = await writeImage('good.png', 'YELLOW');
+
+    const playlist = createPlaylist({ items: [broken, good] });
+    const errors = [];
+    playlist.on('item:error', (error, item) => errors.push(item.path));
+    assert.strictEqual((await playlist.next()).path, good);
+    assert.deepStrictEqual(errors, [broken]);
+
+    const hopeless = createPlaylist({ items: [broken] });
+    hopeless.on('item:error', () => {});
+    await assert.rejects(hopeless.next(), /No playlist item could be shown/);
+
+    const empty = createPlaylist({ directory: fs.mkdtempSync(path.join(dir, 'empty-')) });
+    await assert.rejects(empty.next(), /Playlist is empty/);
+});
+
+test('applies per-item durations and image options', async () => {
+    const gray = path.join(dir, 'gray.png');
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: { r: 128, g: 128, b: 128 } } }).toFile(gray);
+    const playlist = createPlaylist({ items: [{ path: gray, duration: 1000, method: 'bayer', fit: 'fill' }], method: 'closest', interval: 60000 });
+    await playlist.start();
+    await once(playlist, 'show');
+
+    const frame = playlist.epd.backend.getFramebuffer();
+    assert.notStrictEqual(frame[0] >> 4, frame[0] & 0x0F);
+
+    // The panel already shows the only item
+    const refreshes = playlist.epd.backend.refreshCount;
+    await playlist.next();
+    assert.strictEqual(playlist.epd.backend.refreshCount, refreshes);
+    const wait = Date.parse(playlist.getStatus().nextAt) - Date.now();
+    assert.ok(wait > 0 && wait <= 1000, String(wait));
+});
+
+test('submits frames through a daemon', async () => {
+    const daemon = new FramikDaemon({
+        epd: new EPD7in3e({ backend: 'virtual' }),
+        socketPath: path.join(dir, 'framik.sock'),
+        lockPath: path.join(dir, 'framik.lock'),
+        sleepTimeout: 60000
+    });
+    await daemon.start();
+    try {
+        const jobs = [];
+        daemon.on('job:start', job => jobs.push(job.type));
+        const playlist = new Playlist({ daemon, items: [await writeImage('a.png', 'BLUE')] });
+        playlists.push(playlist);
+        await playlist.next();
+        assert.deepStrictEqual(jobs, ['display']);
+        assert.strictEqual(shownColor(daemon.epd), daemon.epd.colors.BLUE);
+        // A single item is not refreshed again
+        await playlist.next();
+        assert.strictEqual(daemon.getStatus().skipped, 1);
+    } finally {
+        await daemon.stop();
+    }
+});
+
+test('rejects invalid playlists', async () => {
+    assert.throws(() => new Playlist({ items: ['a.png'] }), /Playlist needs an epd or a daemon/);
+    assert.throws(() => createPlaylist({}), /Playlist needs either a directory or a list of items/);
+    assert.throws(() => createPlaylist({ directory: dir, items: [] }), /Playlist needs either a directory or a list of items/);
+    assert.throws(() => createPlaylist({ items: [42] }), /Playlist items must be image paths or objects with a path/);
+    assert.throws(() => createPlaylist({ items: [{ path: 'a.png', duration: -1 }] }), /Invalid duration for/);
+
+    const playlist = createPlaylist({ items: [await writeImage('a.png', 'RED')] });
+    await playlist.start();
+    await assert.rejects(playlist.start(), /Playlist already running/);
+});
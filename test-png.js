@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const EPD7in3e = require('./index.js');
+const { MEASURED_7IN3E_PALETTE } = require('./lib/palette');
+
+/**
+ * PNG preview tests
+ * Render panel buffers with the ideal and measured ink palettes:
+ *   node --test test-png.js
+ */
+
+const INKS = ['BLACK', 'WHITE', 'YELLOW', 'RED', 'BLUE', 'GREEN'];
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Panel buffer with one ink per 100-pixel column band, in INKS order
+ */
+function bands(epd) {
+    const buffer = epd.createBuffer(epd.colors.WHITE);
+    for (let y = 0; y < epd.getHeight(); y++) {
+        for (let x = 0; x < INKS.length * 100; x++) {
+            epd.setPixel(buffer, x, y, epd.colors[INKS[Math.floor(x / 100)]]);
+        }
+    }
+    return buffer;
+}
+
+async function decode(png) {
+    const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+    const pixel = (x, y) => [...data.slice((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+    return { info, pixel };
+}
+
+test('draws each ink with its palette color', async () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const { info, pixel } = await decode(await epd.toPNG(bands(epd)));
+    assert.strictEqual(info.width, 800);
+    assert.strictEqual(info.height, 480);
+
+    const ideal = { BLACK: [0, 0, 0], WHITE: [255, 255, 255], YELLOW: [255, 255, 0], RED: [255, 0, 0], BLUE: [0, 0, 255], GREEN: [0, 255, 0] };
+    INKS.forEach((name, i) => {
+        assert.deepStrictEqual(pixel(i * 100 + 50, 240), ideal[name], name);
+    });
+});
+
+test('uses the palette from the options or the instance', async () => {
+    const measured = name => {
+        const ink = MEASURED_7IN3E_PALETTE.find(entry => entry.color === EPD7in3e.Colors[name]);
+        return [ink.r, ink.g, ink.b];
+    };
+
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const perCall = await decode(await epd.toPNG(bands(epd), { palette: 'measured-7in3e' }));
+    INKS.forEach((name, i) => {
+        assert.deepStrictEqual(perCall.pixel(i * 100 + 50, 0), measured(name), name);
+    });
+
+    const realistic = new EPD7in3e({ backend: 'virtual', palette: 'measured-7in3e' });
+    const fromInstance = await decode(await realistic.toPNG(realistic.createBuffer(realistic.colors.RED)));
+    assert.deepStrictEqual(fromInstance.pixel(0, 0), measured('RED'));
+});
+
+test('draws pixel values without an ink as white', async () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    const buffer = epd.createBuffer(epd.colors.BLACK);
+    buffer[0] = 0x4F;
+    const { pixel } = await decode(await epd.toPNG(buffer, { palette: 'measured-7in3e' }));
+    assert.deepStrictEqual(pixel(0, 0), [232, 232, 232]);
+    assert.deepStrictEqual(pixel(1, 0), [232, 232, 232]);
+    assert.deepStrictEqual(pixel(2, 0), [25, 30, 33]);
+});
+
+test('renders and saves the virtual framebuffer with a palette', async () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    epd.init();
+    epd.clear(epd.colors.BLUE);
+
+    const ideal = await decode(await epd.backend.toPNG());
+    assert.deepStrictEqual(ideal.pixel(0, 0), [0, 0, 255]);
+
+    const file = path.join(dir, 'frame.png');
+    await epd.backend.savePNG(file, { palette: 'measured-7in3e' });
+    const saved = await decode(fs.readFileSync(file));
+    assert.deepStrictEqual(saved.pixel(799, 479), [33, 87, 186]);
+    epd.exit();
+});
+
+test('rejects buffers of the wrong size and unknown palettes', async () => {
+    const epd = new EPD7in3e({ backend: 'virtual' });
+    await assert.rejects(epd.toPNG(Buffer.alloc(10)), /Buffer size mismatch. Expected 192000 bytes, got 10/);
+    await assert.rejects(epd.toPNG('frame'), /Expected a Buffer object/);
+    await assert.rejects(epd.toPNG(epd.createBuffer(), { palette: 'sepia' }), /Unknown palette "sepia"/);
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EPD7in3e = require('./index.js');
+const FramikDaemon = require('./lib/daemon');
+
+/**
+ * Power state tests
+ * The off → initialized → awake → sleeping state machine, auto-sleep and the daemon's view of it,
+ * on the virtual backend:
+ *   node --test test-power-state.js
+ */
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createDisplay(options = {}) {
+    const epd = new EPD7in3e({ backend: 'virtual', ...options });
+    epd.transitions = [];
+    epd.on('power', (state, previous) => epd.transitions.push(`${previous}>${state}`));
+    return epd;
+}
+
+test('moves through the power states and reports each change', () => {
+    const epd = createDisplay();
+    assert.strictEqual(epd.getPowerState(), 'off');
+    epd.init();
+    assert.strictEqual(epd.getPowerState(), 'awake');
+    assert.throws(() => epd.init(), /already initialized/);
+
+    epd.sleep();
+    assert.strictEqual(epd.getPowerState(), 'sleeping');
+    epd.sleep();
+    epd.exit();
+    assert.strictEqual(epd.getPowerState(), 'off');
+    assert.deepStrictEqual(epd.transitions, ['off>initialized', 'initialized>awake', 'awake>sleeping', 'sleeping>off']);
+});
+
+test('wakes a sleeping panel on the next refresh and on init()', async () => {
+    const epd = createDisplay();
+    epd.init();
+    epd.sleep();
+    epd.clear(epd.colors.RED);
+    assert.strictEqual(epd.getPowerState(), 'awake');
+    assert.strictEqual(epd.backend.refreshCount, 1);
+
+    epd.sleep();
+    epd.init();
+    assert.strictEqual(epd.getPowerState(), 'awake');
+
+    await epd.sleepAsync();
+    await epd.displayAsync(epd.createBuffer(epd.colors.BLUE));
+    assert.strictEqual(epd.getPowerState(), 'awake');
+    assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(epd.colors.BLUE)));
+    epd.exit();
+});
+
+test('puts the panel to sleep once idle', async () => {
+    const epd = createDisplay({ autoSleep: 30 });
+    await epd.initAsync();
+    await epd.clearAsync(epd.colors.WHITE);
+    assert.strictEqual(epd.getPowerState(), 'awake');
+    await delay(80);
+    assert.strictEqual(epd.getPowerState(), 'sleeping');
+
+    epd.setAutoSleep(null);
+    epd.clear(epd.colors.BLACK);
+    await delay(80);
+    assert.strictEqual(epd.getPowerState(), 'awake');
+    epd.exit();
+});
+
+test('does not keep the process alive while waiting to sleep', () => {
+    const script = `
+        const EPD7in3e = require(${JSON.stringify(path.join(__dirname, 'index.js'))});
+        const epd = new EPD7in3e({ backend: 'virtual', autoSleep: 60000 });
+        epd.init();
+        epd.clear(epd.colors.WHITE);
+    `;
+    const started = Date.now();
+    const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 10000 });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(Date.now() - started < 10000);
+});
+
+test('reports the display power state from the daemon', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+    const epd = createDisplay();
+    const daemon = new FramikDaemon({
+        epd,
+        socketPath: path.join(dir, 'framik.sock'),
+        lockPath: path.join(dir, 'framik.lock'),
+        sleepTimeout: 30
+    });
+    const events = [];
+    daemon.on('panel:init', () => events.push('init'));
+    daemon.on('panel:sleep', () => events.push('sleep'));
+
+    try {
+        await daemon.start();
+        assert.strictEqual(daemon.getStatus().panel, 'off');
+        assert.strictEqual(epd.getAutoSleep(), 30);
+
+        await daemon.submit({ type: 'clear' });
+        assert.strictEqual(daemon.getStatus().panel, 'awake');
+        await delay(80);
+        assert.strictEqual(daemon.getStatus().panel, 'sleeping');
+
+        await daemon.submit({ type: 'clear', color: epd.colors.RED });
+        assert.strictEqual(daemon.getStatus().panel, 'awake');
+        await daemon.stop();
+        assert.strictEqual(daemon.getStatus().panel, 'off');
+        assert.deepStrictEqual(events, ['init', 'sleep', 'init', 'sleep']);
+    } finally {
+        await daemon.stop().catch(() => {});
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,162 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EPD7in3e = require('./index.js');
+
+/**
+ * Refresh policy tests
+ * Minimum interval, coalescing of waiting refreshes and the wear counter, on the virtual backend:
+ *   node --test test-refresh-policy.js
+ */
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'framik-test-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function createDisplay(refreshPolicy) {
+    const epd = new EPD7in3e({ backend: 'virtual', refreshPolicy });
+    await epd.initAsync();
+    return epd;
+}
+
+test('makes synchronous refreshes throw and asynchronous ones wait within the interval', async () => {
+    const epd = await createDisplay({ minInterval: 200 });
+    const started = Date.now();
+    await epd.clearAsync(epd.colors.WHITE);
+    assert.ok(epd.getRefreshDelay() > 0);
+    assert.throws(() => epd.clear(epd.colors.BLACK), /Refresh rate limited/);
+
+    await epd.clearAsync(epd.colors.BLACK);
+    assert.ok(Date.now() - started >= 190);
+    assert.strictEqual(epd.backend.refreshCount, 2);
+    epd.exit();
+});
+
+test('replaces a waiting display with the latest frame', async () => {
+    const epd = await createDisplay({ minInterval: 150 });
+    const colors = epd.colors;
+    await epd.displayAsync(epd.createBuffer(colors.RED));
+
+    const second = epd.displayAsync(epd.createBuffer(colors.GREEN));
+    const third = epd.displayAsync(epd.createBuffer(colors.BLUE));
+    assert.deepStrictEqual(await Promise.all([second, third]), [undefined, undefined]);
+
+    assert.strictEqual(epd.backend.refreshCount, 2);
+    assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(colors.BLUE)));
+    epd.exit();
+});
+
+test('answers a replaced displayIfChangedAsync with its own comparison', async () => {
+    const epd = await createDisplay({ minInterval: 150 });
+    const colors = epd.colors;
+    await epd.clearAsync(colors.WHITE);
+
+    const first = epd.displayIfChangedAsync(epd.createBuffer(colors.RED));
+    const second = epd.displayIfChangedAsync(epd.createBuffer(colors.YELLOW));
+    const [replaced, shown] = await Promise.all([first, second]);
+
+    assert.strictEqual(replaced.displayed, false);
+    assert.strictEqual(replaced.superseded, true);
+    assert.strictEqual(typeof replaced.percentChanged, 'number');
+    assert.strictEqual(shown.displayed, true);
+    assert.strictEqual(shown.superseded, undefined);
+    assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(colors.YELLOW)));
+    epd.exit();
+});
+
+test('does not coalesce refreshes of different kinds', async () => {
+    const epd = await createDisplay({ minInterval: 150 });
+    const colors = epd.colors;
+    await epd.clearAsync(colors.WHITE);
+
+    const display = epd.displayIfChangedAsync(epd.createBuffer(colors.RED));
+    const clear = epd.clearAsync(colors.BLUE);
+    const stats = await display;
+    assert.strictEqual(stats.displayed, true);
+    assert.strictEqual(stats.changed, true);
+    assert.strictEqual(await clear, undefined);
+
+    assert.strictEqual(epd.backend.refreshCount, 3);
+    assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(colors.BLUE)));
+    epd.exit();
+});
+
+test('runs every refresh when coalescing is off', async () => {
+    const epd = await createDisplay({ minInterval: 100, coalesce: false });
+    await epd.clearAsync(epd.colors.WHITE);
+    await Promise.all([
+        epd.displayAsync(epd.createBuffer(epd.colors.RED)),
+        epd.displayAsync(epd.createBuffer(epd.colors.GREEN))
+    ]);
+    assert.strictEqual(epd.backend.refreshCount, 3);
+    epd.exit();
+});
+
+test('counts refreshes, recommends cleaning and keeps the counter in the wear file', async () => {
+    const wearPath = path.join(dir, 'wear.json');
+    const epd = await createDisplay({ cleanEvery: 2, wearPath });
+    epd.clear(epd.colors.WHITE);
+    epd.show7Block();
+    assert.strictEqual(epd.getWearReport().cleanRecommended, false);
+    epd.show();
+
+    const report = epd.getWearReport();
+    assert.strictEqual(report.refreshes, 3);
+    assert.strictEqual(report.refreshesSinceClean, 2);
+    assert.strictEqual(report.cleanRecommended, true);
+    epd.exit();
+
+    const restarted = await createDisplay({ cleanEvery: 2, wearPath });
+    assert.strictEqual(restarted.getWearReport().refreshes, 3);
+    restarted.clear(restarted.colors.WHITE);
+    assert.strictEqual(restarted.getWearReport().refreshesSinceClean, 0);
+    assert.strictEqual(restarted.getWearReport().cleanRecommended, false);
+    restarted.exit();
+});
+
+test('recommends cleaning after a long idle time', async () => {
+    const wearPath = path.join(dir, 'idle.json');
+    const lastRefresh = Date.now() - 30 * 60 * 60 * 1000;
+    fs.writeFileSync(wearPath, JSON.stringify({ refreshes: 5, refreshesSinceClean: 1, lastRefresh, lastClean: null }));
+
+    const epd = await createDisplay({ wearPath });
+    const report = epd.getWearReport();
+    assert.strictEqual(report.lastRefresh, new Date(lastRefresh).toISOString());
+    assert.deepStrictEqual(report.reasons, ['no refresh for 30 hours']);
+    assert.strictEqual(report.cleanRecommended, true);
+
+    epd.setRefreshPolicy({ wearPath, maxIdle: 0 });
+    assert.strictEqual(epd.getWearReport().cleanRecommended, false);
+    epd.exit();
+});
+
+test('validates and reports the policy settings', async () => {
+    const epd = await createDisplay();
+    assert.deepStrictEqual(epd.getRefreshPolicy(), {
+        minInterval: 0,
+        coalesce: true,
+        wearPath: null,
+        cleanEvery: 100,
+        maxIdle: 24 * 60 * 60 * 1000
+    });
+    await epd.clearAsync(epd.colors.WHITE);
+    assert.strictEqual(epd.getRefreshDelay(), 0);
+
+    epd.setRefreshPolicy({ minInterval: 60000, coalesce: false });
+    assert.strictEqual(epd.getRefreshPolicy().coalesce, false);
+    assert.ok(epd.getRefreshDelay() > 59000);
+    assert.throws(() => epd.setRefreshPolicy({ minInterval: -1 }), /Invalid minimum refresh interval -1/);
+
+    const corrupt = path.join(dir, 'corrupt.json');
+    fs.writeFileSync(corrupt, '{ refreshes');
+    assert.throws(() => new EPD7in3e({ backend: 'virtual', refreshPolicy: { wearPath: corrupt } }), /Unreadable wear counter/);
+    epd.exit();
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+const { renderTemplate } = require('./lib/svg');
+
+/**
+ * SVG template tests
+ * Fill placeholders and render small SVG layouts to panel buffers:
+ *   node --test test-svg.js
+ */
+
+const epd = new EPD7in3e({ backend: 'virtual' });
+const colors = epd.colors;
+
+// 80x48 user units, the panel aspect ratio: {{ left }} and {{ right }} halves with a one-unit black bar in the middle
+const HALVES = '<svg xmlns="http://www.w3.org/2000/svg" width="80" height="48">' +
+    '<rect x="0" y="0" width="40" height="48" fill="{{ left }}"/>' +
+    '<rect x="40" y="0" width="40" height="48" fill="{{ right }}"/>' +
+    '<rect x="39.5" y="0" width="1" height="48" fill="#000000"/>' +
+    '</svg>';
+
+test('escapes inserted values unless triple braces are used', () => {
+    assert.strictEqual(
+        renderTemplate('<text>{{ city }}</text>', { city: 'Tom & Jerry\'s <"house">' }),
+        '<text>Tom &amp; Jerry&apos;s &lt;&quot;house&quot;&gt;</text>'
+    );
+    assert.strictEqual(renderTemplate('<g>{{{ icon }}}</g>', { icon: '<circle r="2"/>' }), '<g><circle r="2"/></g>');
+    assert.strictEqual(renderTemplate('{{weather.temp}}° {{ weather.summary }}', { weather: { temp: 0, summary: 'Fog' } }), '0° Fog');
+    assert.strictEqual(renderTemplate('{ single } {{ count }}', { count: 3 }), '{ single } 3');
+});
+
+test('reports missing template variables', () => {
+    assert.throws(() => renderTemplate('{{ city }}', {}), /Missing template variable "city"/);
+    assert.throws(() => renderTemplate('{{ city }}'), /Missing template variable "city"/);
+    assert.throws(() => renderTemplate('{{ weather.temp }}', { weather: null }), /Missing template variable "weather.temp"/);
+    assert.throws(() => renderTemplate('{{{ icon }}}', { icon: null }), /Missing template variable "icon"/);
+});
+
+test('renders a template at the panel resolution', async () => {
+    const buffer = await epd.renderSVG(HALVES, { variables: { left: '#ff0000', right: '#0000ff' } });
+    assert.strictEqual(buffer.length, epd.getBufferSize());
+    assert.strictEqual(epd.getPixel(buffer, 10, 10), colors.RED);
+    assert.strictEqual(epd.getPixel(buffer, 790, 470), colors.BLUE);
+
+    // The one-unit bar is rasterized 10 pixels wide, not upscaled from a single pixel
+    let bar = 0;
+    for (let x = 380; x < 420; x++) {
+        bar += epd.getPixel(buffer, x, 240) === colors.BLACK ? 1 : 0;
+    }
+    assert.strictEqual(bar, 10);
+});
+
+test('renders values with markup characters as text', async () => {
+    const template = '<svg xmlns="http://www.w3.org/2000/svg" width="800" height="480">' +
+        '<rect width="800" height="480" fill="#00ff00"/>' +
+        '<text x="10" y="40" font-size="30">{{ title }}</text>' +
+        '</svg>';
+    const buffer = await epd.renderSVG(template, { variables: { title: '</text><rect width="800" height="480" fill="#ff0000"/>' } });
+    assert.strictEqual(epd.getPixel(buffer, 700, 400), colors.GREEN);
+
+    await assert.rejects(epd.renderSVG(template, { variables: {} }), /Missing template variable "title"/);
+    // Triple braces insert the value as is, so it can break the document
+    await assert.rejects(epd.renderSVG(template.replace('{{ title }}', '{{{ title }}}'), { variables: { title: '</g>' } }), /Invalid SVG/);
+});
+
+test('passes the fit, background and color options through', async () => {
+    // A square layout letterboxed on a black background
+    const square = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10" fill="#ffff00"/></svg>';
+    const contain = await epd.renderSVG(square, { background: '#000000' });
+    assert.strictEqual(epd.getPixel(contain, 400, 240), colors.YELLOW);
+    assert.strictEqual(epd.getPixel(contain, 10, 240), colors.BLACK);
+
+    const cover = await epd.renderSVG(square, { fit: 'cover' });
+    assert.ok(cover.equals(epd.createBuffer(colors.YELLOW)));
+
+    const green = await epd.renderSVG(HALVES, { variables: { left: '#125f20', right: '#125f20' }, palette: 'measured-7in3e' });
+    assert.strictEqual(epd.getPixel(green, 10, 10), colors.GREEN);
+});
+
+test('rejects inputs that are not SVG documents', async () => {
+    await assert.rejects(epd.renderSVG(42), /SVG must be a string or a Buffer/);
+    await assert.rejects(epd.renderSVG('just some text'), /Invalid SVG/);
+    await assert.rejects(epd.renderSVG(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect')), /Invalid SVG/);
+});
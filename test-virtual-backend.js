@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const EPD7in3e = require('./index.js');
+const { VirtualBackend } = EPD7in3e;
+
+/**
+ * Virtual backend tests
+ * Drive EPD7in3e through the pure-JS panel emulator, without hardware:
+ *   node --test test-virtual-backend.js
+ */
+
+function createDisplay(options = {}) {
+    return new EPD7in3e({ backend: 'virtual', ...options });
+}
+
+test('selects the virtual backend by name, as an instance and through EPD_BACKEND', () => {
+    assert.strictEqual(createDisplay().backend.name, 'virtual');
+
+    const backend = new VirtualBackend();
+    assert.strictEqual(new EPD7in3e({ backend }).backend, backend);
+    assert.throws(() => new EPD7in3e({ backend: 'hologram' }), /Unknown backend "hologram"/);
+
+    const previous = process.env.EPD_BACKEND;
+    process.env.EPD_BACKEND = 'virtual';
+    try {
+        assert.strictEqual(new EPD7in3e().backend.name, 'virtual');
+    } finally {
+        if (previous === undefined) {
+            delete process.env.EPD_BACKEND;
+        } else {
+            process.env.EPD_BACKEND = previous;
+        }
+    }
+});
+
+test('reports the panel geometry', () => {
+    const epd = createDisplay();
+    assert.strictEqual(epd.getWidth(), 800);
+    assert.strictEqual(epd.getHeight(), 480);
+    assert.strictEqual(epd.getBufferSize(), 192000);
+});
+
+test('rejects refreshes before init() and while the emulated panel is asleep', () => {
+    const epd = createDisplay();
+    assert.throws(() => epd.clear(), /not initialized/);
+    assert.throws(() => epd.display(epd.createBuffer()), /not initialized/);
+
+    // The controller ignores commands until it is reset out of deep sleep
+    const backend = new VirtualBackend();
+    assert.throws(() => backend.wake(), /not initialized/);
+    backend.open();
+    backend.wake();
+    backend.sleep();
+    assert.throws(() => backend.clear(1), /asleep/);
+    backend.wake();
+    backend.clear(1);
+    assert.strictEqual(backend.refreshCount, 1);
+    backend.exit();
+});
+
+test('keeps the last displayed frame in the framebuffer', () => {
+    const epd = createDisplay();
+    epd.init();
+    const buffer = epd.createBuffer(epd.colors.WHITE);
+    epd.setPixel(buffer, 0, 0, epd.colors.RED);
+    epd.setPixel(buffer, 799, 479, epd.colors.BLUE);
+    epd.display(buffer);
+
+    const framebuffer = epd.backend.getFramebuffer();
+    assert.ok(framebuffer.equals(buffer));
+    assert.strictEqual(epd.getPixel(framebuffer, 0, 0), epd.colors.RED);
+    assert.strictEqual(epd.getPixel(framebuffer, 799, 479), epd.colors.BLUE);
+    assert.strictEqual(epd.backend.refreshCount, 1);
+
+    framebuffer.fill(0);
+    assert.ok(epd.backend.getFramebuffer().equals(buffer));
+    epd.exit();
+});
+
+test('fills the framebuffer on clear() and draws the 7-color blocks', () => {
+    const epd = createDisplay();
+    epd.init();
+    epd.clear(epd.colors.GREEN);
+    assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(epd.colors.GREEN)));
+
+    epd.show7Block();
+    const framebuffer = epd.backend.getFramebuffer();
+    assert.strictEqual(framebuffer[0], (epd.colors.BLACK << 4) | epd.colors.BLACK);
+    assert.strictEqual(framebuffer[20000], (epd.colors.YELLOW << 4) | epd.colors.YELLOW);
+    assert.strictEqual(framebuffer[100000], (epd.colors.WHITE << 4) | epd.colors.WHITE);
+    assert.strictEqual(epd.backend.refreshCount, 2);
+    epd.exit();
+});
+
+test('rejects buffers of the wrong size', () => {
+    const epd = createDisplay();
+    epd.init();
+    assert.throws(() => epd.display(Buffer.alloc(10)), /Buffer size mismatch/);
+    assert.throws(() => epd.display('frame'), /Expected a Buffer/);
+    epd.exit();
+});
+
+test('runs async operations in call order after the refresh time', async () => {
+    const epd = createDisplay({ refreshTime: 5 });
+    await epd.initAsync();
+    const first = epd.createBuffer(epd.colors.RED);
+    const second = epd.createBuffer(epd.colors.YELLOW);
+
+    const started = Date.now();
+    const done = Promise.all([epd.displayAsync(first), epd.displayAsync(second)]);
+    assert.ok(epd.isBusy());
+    assert.throws(() => epd.clear(), /busy/);
+    await done;
+
+    assert.ok(Date.now() - started >= 10);
+    assert.ok(epd.backend.getFramebuffer().equals(second));
+    assert.strictEqual(epd.isBusy(), false);
+    epd.exit();
+});
+
+test('copies async frames when the call is made', async () => {
+    const epd = createDisplay();
+    await epd.initAsync();
+    const buffer = epd.createBuffer(epd.colors.RED);
+    const done = epd.displayAsync(buffer);
+    buffer.fill(0);
+    await done;
+    assert.ok(epd.backend.getFramebuffer().equals(epd.createBuffer(epd.colors.RED)));
+    epd.exit();
+});
+
+test('rejects async operations that fail and keeps running the queue', async () => {
+    const epd = createDisplay();
+    await assert.rejects(epd.clearAsync(epd.colors.RED), /not initialized/);
+    await epd.initAsync();
+    await epd.clearAsync(epd.colors.RED);
+    assert.strictEqual(epd.backend.refreshCount, 1);
+    epd.exit();
+});
+
+test('renders the framebuffer as a PNG in the ink colors', async () => {
+    const sharp = require('sharp');
+    const epd = createDisplay();
+    epd.init();
+    epd.clear(epd.colors.BLUE);
+    const png = await epd.backend.toPNG();
+    assert.ok(png.slice(1, 4).equals(Buffer.from('PNG')));
+
+    const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+    assert.strictEqual(info.width, 800);
+    assert.strictEqual(info.height, 480);
+    assert.deepStrictEqual([...data.slice(0, 3)], [0, 0, 255]);
+    epd.exit();
+});